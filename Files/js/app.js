@@ -14,14 +14,15 @@
  * @description The primary namespace module, containing a pair of access
  * namespaces that determine whether or not external invocation is permitted or
  * prohibited. Almost all functions, arrays, enums, and variables are included
- * in the <code>inaccessible</code> object namespace, with only the function
- * <code>accessible.init</code> externally available for invocation by outside
- * functions. These namespaces are supposed to both limit access and simulate
- * the access keywords <code>public</code> and <code>private</code> in Java. As
- * they are prepended to the function signatures and names of arrays in the body
- * of the module, they intentionally bring to mind these keywords and alert the
- * user as to what functions are externally available and which are private in
- * much the same way.
+ * in the <code>inaccessible</code> object namespace, with only
+ * <code>accessible.init</code> and a handful of thin public API wrappers
+ * externally available for invocation by outside functions. These namespaces
+ * are supposed to both limit access and simulate the access keywords
+ * <code>public</code> and <code>private</code> in Java. As they are prepended
+ * to the function signatures and names of arrays in the body of the module,
+ * they intentionally bring to mind these keywords and alert the user as to
+ * what functions are externally available and which are private in much the
+ * same way.
  * <br />
  * <br />
  * Contained within the <code>inaccessible</code> object namespace are all the
@@ -35,31 +36,63 @@
  * alteration without having to modify both the JS file and the HTML file.
  * <br />
  * <br />
+ * The module function is invoked once on load, building the viewer started by
+ * <code>accessible.init</code> in the page's <code>body</code>, and again by
+ * <code>accessible.create</code> for each additional viewer. Each invocation
+ * produces a fresh pair of namespaces, complete with their own copies of the
+ * source data arrays and state, so that several viewers may coexist on a page
+ * sharing nothing but the Three.js library itself.
+ * <br />
+ * <br />
  * <pre>
  * Table of contents
  * - Enums
- *   - Utility                    Line 0091
- *   - Identifiers                Line 0131
- *   - Text                       Line 0161
- *   - Colors                     Line 0183
+ *   - Utility                    Line 0125
+ *   - Identifiers                Line 0254
+ *   - Text                       Line 0343
+ *   - Colors                     Line 0440
+ *   - Easing                     Line 0465
+ *   - TransformationTypes        Line 0498
+ *   - TextureTypes               Line 0513
+ *   - ModelFormats               Line 0529
+ *   - LightTypes                 Line 0546
+ *   - Events                     Line 0582
  * - Source data
- *   - elementIdNumbersInUse      Line 0206
- *   - sceneElementData           Line 0228
- *   - sceneLightData             Line 0361
- *   - sidebarButtonData          Line 0407
+ *   - elementIdNumbersInUse      Line 0598
+ *   - mountedElements            Line 0607
+ *   - eventHandlers              Line 0617
+ *   - plugins                    Line 0624
+ *   - modelGeometries            Line 0633
+ *   - viewerOptions              Line 0672
+ *   - pointerState               Line 0695
+ *   - sceneElementData           Line 0751
+ *   - sceneLightData             Line 0917
+ *   - sidebarButtonData          Line 0968
+ *   - cameraPresetData           Line 1033
+ *   - inspectorFieldData         Line 1064
+ *   - keyboardActions            Line 1153
+ *   - defaultKeyBindings         Line 1306
+ *   - keyBindings                Line 1332
  * - Function groups
- *   - Utility functions          Line 0430
- *   - Handlers                   Line 0600
- *   - Assembly functions         Line 0969
- *   - init                       Line 1492
+ *   - Utility functions          Line 1347
+ *   - Handlers                   Line 3836
+ *   - Assembly functions         Line 6276
+ *   - Plugin functions           Line 8446
+ *   - Model import functions     Line 8577
+ *   - Physics functions          Line 9245
+ *   - Scene modification         Line 10599
+ *   - Snapshot functions         Line 11006
+ *   - init                       Line 11295
+ *   - Public API                 Line 11412
  * </pre>
  *
  * @see {@link //google.github.io/styleguide/javascriptguide.xml|Styleguide #2}
  * @author Andrew Eissen
  * @module ProjectThreeModule
+ * @param {?ShadowRoot=} paramRoot Shadow root of a mounted viewer, if any
  * @const
  */
-const ProjectThreeModule = (function () {
+const ProjectThreeModule = (function assembleModule(paramRoot) {
 
   // Declare access namespaces (basically public and private)
   let accessible, inaccessible;
@@ -69,9 +102,10 @@ const ProjectThreeModule = (function () {
   inaccessible = inaccessible || {};
 
   /**
-   * @description This constant is used to test the program and display messages
-   * in the console. Though not a part of the <code>inaccessible</code> object,
-   * it is still contained within the private restricted scope of the
+   * @description This constant is used to display diagnostic messages in the
+   * console (the automated tests themselves live in <code>test/</code>).
+   * Though not a part of the <code>inaccessible</code> object, it is still
+   * contained within the private restricted scope of the
    * <code>ProjectThreeModule</code> IIFE and cannot be accessed externally.
    * @const
    */
@@ -91,13 +125,18 @@ const ProjectThreeModule = (function () {
   inaccessible.Utility = Object.freeze({
 
     // setInterval values
-    TESTING_INTERVAL: 1600,
     FADE_IN_INTERVAL: 10,
 
     // Opacity
     OPACITY_INCREASE_AMOUNT: 0.015,
 
-    // Canvas
+    // Upper bound of randomly generated checkbox id numbers
+    MAX_ID_NUMBER: 999,
+
+    // Format version of saved snapshots and permalinks
+    SNAPSHOT_VERSION: 1,
+
+    // Canvas (fixed layout, or until the responsive layout is measured)
     CANVAS_WIDTH: 640,
     CANVAS_HEIGHT: 480,
 
@@ -106,6 +145,24 @@ const ProjectThreeModule = (function () {
     CAMERA_FOV: 45,
     FRUSTRUM_NEAR_PLANE: 1,
     FRUSTRUM_FAR_PLANE: 100,
+    MIN_CAMERA_FOV: 1,
+    MAX_CAMERA_FOV: 179,
+    CAMERA_TRANSITION_DURATION: 600,
+
+    // Light sources
+    LIGHT_HELPER_SIZE: 1,
+    SPOT_LIGHT_ANGLE: Math.PI / 6,
+    MAX_LIGHT_INTENSITY: 2,
+    LIGHT_INTENSITY_STEP: 0.05,
+    LIGHT_POSITION_STEP: 0.5,
+
+    // Animation timing (rotation amounts are per frame at 60 fps)
+    FRAME_INTERVAL: 1000 / 60,
+    FRAMES_PER_SECOND: 60,
+    MAX_FRAME_INTERVAL: 100,
+    MIN_ANIMATION_SPEED: -3,
+    MAX_ANIMATION_SPEED: 3,
+    ANIMATION_SPEED_STEP: 0.25,
 
     // Transformation operations
     ANIMATION_INCREMENT: 0.01,
@@ -115,40 +172,165 @@ const ProjectThreeModule = (function () {
     DEFAULT_ROTATION_COORDINATES: [0.4, -0.2, 0],
     DEFAULT_SCALE_COORDINATES: [1, 1, 1],
     DEFAULT_TRANSLATION_COORDINATES: [0, -1.5, 0],
+
+    // Pointer controls (inertia in radians and delays in milliseconds)
+    MIN_MODEL_SCALE: 0.1,
+    MAX_MODEL_SCALE: 10,
+    INERTIA_THRESHOLD: 0.000005,
+    INERTIA_RELEASE_DELAY: 100,
+    MIN_DRAG_INTERVAL: 1,
+    RIGHT_MOUSE_BUTTON: 2,
+    LEFT_MOUSE_BUTTON: 0,
+    CLICK_DISTANCE_THRESHOLD: 5,
+
+    // Tooltip distance from the cursor, in pixels
+    TOOLTIP_OFFSET: 12,
+
+    // Notifications (durations in milliseconds)
+    NOTIFICATION_DURATION: 4000,
+    MAX_VISIBLE_NOTIFICATIONS: 3,
+
+    // Screenshot and frame sequence export
+    EXPORT_SCALES: [1, 2, 4],
+    EXPORT_FRAME_COUNT: 60,
+    EXPORT_FRAME_RATE: 30,
+    EXPORT_FRAME_DIGITS: 4,
+
+    // Clipping checks (steps in 60 Hz frames, periods in seconds)
+    CLIPPING_FRAME_STEP: 1,
+    CLIPPING_MAX_PERIOD_MULTIPLE: 8,
+    CLIPPING_PERIOD_TOLERANCE: 0.000001,
+    CLIPPING_RAY_DIRECTION: [0.31, 0.64, 0.7],
+
+    // Texture maps (procedural texture sizes in pixels)
+    TEXTURE_MAPS: ['map', 'normalMap', 'roughnessMap'],
+    TEXTURE_SIZE: 256,
+    TEXTURE_CELLS: 8,
+    GRADIENT_DIRECTIONS: ['horizontal', 'vertical', 'radial'],
+    NORMAL_MAP_STRENGTH: 2,
+    WOOD_GRAIN_LINES: 5,
+    WOOD_SEAM_WIDTH: 0.04,
+
+    // Model import (largest dimension of imported models, GLB header values)
+    MODEL_SIZE: 2,
+    GLB_MAGIC: 0x46546C67,
+    GLB_JSON_CHUNK: 0x4E4F534A,
+    GLB_BINARY_CHUNK: 0x004E4942,
+
+    // Physics (timestep in seconds, distances in model units)
+    PHYSICS_TIMESTEP: 1 / 120,
+    PHYSICS_MAX_STEPS: 12,
+    PHYSICS_GRAVITY: [0, -9.81, 0],
+    PHYSICS_ITERATIONS: 10,
+    PHYSICS_BAUMGARTE: 0.2,
+    PHYSICS_SLOP: 0.01,
+    PHYSICS_BOUNCE_THRESHOLD: 1,
+    PHYSICS_DAMPING: 0.1,
+    PHYSICS_ANGULAR_DAMPING: 2,
+    PHYSICS_SLEEP_SPEED: 0.05,
+    PHYSICS_SLEEP_STEPS: 60,
+    PHYSICS_KILL_DEPTH: -50,
+    PHYSICS_MAX_ITERATIONS: 32,
+    PHYSICS_EPA_TOLERANCE: 0.0001,
+    PHYSICS_DROP_HEIGHT: 2,
+    PHYSICS_DROP_SPACING: 0.25,
+    PHYSICS_DROP_SPREAD: 1.2,
+    PHYSICS_DURATION: 5,
   });
 
   /**
    * @description This enum is used to store the <code>String</code>
    * representations of the various DOM element ids and class names present in
    * the interface. This enum is useful in assisting the process of grabbing
-   * elements in the DOM via <code>document.getElementById</code> in multiple
-   * places, allowing the user to adjust these names as needed without having to
-   * sift through all the application logic functions below for each appearance.
+   * elements in the DOM via <code>getElementById</code> in multiple places,
+   * allowing the user to adjust these names as needed without having to sift
+   * through all the application logic functions below for each appearance. As
+   * each viewer mounted via <code>accessible.create</code> lives in a shadow
+   * root of its own, the same ids may be used by several viewers on one page.
    *
    * @readonly
    * @enum {string}
    */
   inaccessible.Identifiers = Object.freeze({
     CONTAINER_ID: 'container',
+    ERROR_DETAILS_CLASS: 'error-details',
     CONTAINER_MODULE: 'container-module',
+    RESPONSIVE_CLASS: 'responsive-layout',
+    MOUNTED_CLASS: 'mounted-layout',
+    PLUGIN_MODULE_CLASS: 'plugin-module',
+    PLUGIN_CONTENT_CLASS: 'plugin-content',
     SIDEBAR_ID: 'interface-sidebar',
     SIDEBAR_MODULE_CLASS: 'sidebar-module',
     SIDEBAR_ELEMENT_CLASS: 'sidebar-element',
     CANVAS_HOLDER_ID: 'canvas-holder',
+    DROP_TARGET_CLASS: 'drop-target',
     CANVAS_ID: 'glcanvas',
     FORM_ID: 'toggle-button-holder',
+    LIGHT_HELPER_TOGGLE_ID: 'toggleLightHelpers',
+    LABEL_TOGGLE_ID: 'toggleLabels',
+    LABEL_LAYER_ID: 'label-layer',
+    SCENE_LABEL_CLASS: 'scene-label',
+    TOOLTIP_ID: 'scene-tooltip',
+    NOTIFICATION_HOLDER_ID: 'notification-holder',
+    NOTIFICATION_CLASS: 'notification',
+    NOTIFICATION_ERROR_CLASS: 'notification-error',
+    NOTIFICATION_TEXT_CLASS: 'notification-text',
+    NOTIFICATION_CLOSE_CLASS: 'notification-close',
+    HELP_OVERLAY_ID: 'help-overlay',
+    HELP_PANEL_ID: 'help-panel',
+    HELP_TABLE_ID: 'help-table',
     HEADER_CLASS: 'header-text',
     CHECKBOX_CLASS: 'toggle-button',
     LABEL_CLASS: 'toggle-button-label',
+    TREE_NODE_CLASS: 'tree-node',
+    TREE_TOGGLE_CLASS: 'tree-toggle',
+    TREE_CHILDREN_CLASS: 'tree-children',
+    TREE_COLLAPSED_CLASS: 'tree-collapsed',
+    TREE_PAUSED_CLASS: 'tree-paused',
     BUTTON_CLASS: 'action-button',
     BUTTON_HOLDER_ID: 'button-holder',
+    SPEED_HOLDER_ID: 'speed-holder',
+    SPEED_INPUT_ID: 'speed-input',
+    SPEED_OUTPUT_ID: 'speed-output',
+    KEY_BINDING_HOLDER_ID: 'key-binding-holder',
+    KEY_BINDING_CLASS: 'key-binding',
+    KEY_BINDING_BUTTON_CLASS: 'key-binding-button',
+    INSPECTOR_HOLDER_ID: 'inspector-holder',
+    INSPECTOR_FIELD_CLASS: 'inspector-field',
+    INVALID_INPUT_CLASS: 'invalid-input',
+    LIGHT_MIXER_HOLDER_ID: 'light-mixer-holder',
+    LIGHT_MIXER_CLASS: 'light-mixer',
+    LIGHT_MIXER_NAME_CLASS: 'light-mixer-name',
+    LIGHT_MIXER_BUTTON_CLASS: 'light-mixer-button',
+    KEY_BINDINGS_STORAGE_KEY: 'project-three-key-bindings',
+    SESSION_STORAGE_KEY: 'project-three-session',
+    PERMALINK_PREFIX: '#state=',
+    SNAPSHOT_FILE_NAME: 'project-three-snapshot.json',
+    SCREENSHOT_FILE_NAME: 'project-three-screenshot.png',
+    FRAME_FILE_PREFIX: 'project-three-frame-',
+    VIDEO_FILE_NAME: 'project-three-animation.webm',
+    EXPORT_HOLDER_ID: 'export-holder',
+    EXPORT_SCALE_ID: 'export-scale',
+    EXPORT_FRAME_COUNT_ID: 'export-frame-count',
+    EXPORT_FRAME_RATE_ID: 'export-frame-rate',
+    EXPORT_FIELD_CLASS: 'export-field',
+    CLIPPING_HOLDER_ID: 'clipping-holder',
+    CLIPPING_RESULTS_ID: 'clipping-results',
+    PHYSICS_HOLDER_ID: 'physics-holder',
+    CAMERA_HOLDER_ID: 'camera-holder',
+    CAMERA_FIELD_CLASS: 'camera-field',
+    CAMERA_ORTHOGRAPHIC_ID: 'camera-orthographic',
+    CAMERA_FOLLOW_ID: 'camera-follow',
+    CAMERA_FOV_ID: 'camera-fov',
+    CAMERA_NEAR_ID: 'camera-near',
+    CAMERA_FAR_ID: 'camera-far',
   });
 
   /**
    * @description This enum is used to store all the text <code>String</code>s
-   * used in the display of popup <code>window.alert</code>s or error messages
-   * to be appended to the main container element, as well as the text nodes of
-   * button or checkbox elements. As per the Google styleguide's section on
+   * used in the display of notifications or error messages to be appended to
+   * the main container element, as well as the text nodes of button or
+   * checkbox elements. As per the Google styleguide's section on
    * "Template literals," template literal strings spanning multiple lines do
    * not have to follow the indentation of the enclosing block. As such, these
    * strings rather messily break the indentation of the enum. The author is
@@ -163,11 +345,86 @@ const ProjectThreeModule = (function () {
     CHECKBOXES_HEADER: 'Animation display options',
     BUTTON_HOLDER_HEADER: 'Interaction buttons',
     WEBGL_ERROR: 'Sorry, WebGL is required but is not available.',
+    WEBGL_UNSUPPORTED: 'This browser does not support WebGL.',
+    WEBGL_DISABLED: `WebGL is supported by this browser but could not be \
+started, and may be disabled or blocked for this graphics card.`,
+    FALLBACK_UNAVAILABLE: 'A 2D canvas is not available either.',
+    FALLBACK_INFO: `WebGL is unavailable, so a simplified wireframe view is \
+shown instead.`,
+    RENDERER_ERROR: 'Sorry, the renderer could not be created.',
+    CONFIGURATION_ERROR: 'Sorry, the scene configuration is invalid.',
+    ASSEMBLY_ERROR: 'Sorry, the viewer could not be assembled.',
+    MOUNT_ERROR: 'Viewers must be mounted in an element not hosting one yet',
+    EVENT_NAME_ERROR: 'Unrecognized event name',
+    EVENT_HANDLER_ERROR: 'Event handlers must be functions',
+    PLUGIN_ERROR: 'Plugins need a unique name and an install function',
+    PLUGIN_INSTALL_ERROR: 'Sorry, this plugin could not be installed:',
+    SCENE_LOAD_ERROR: 'Sorry, the scene description could not be loaded.',
+    SCENE_FORMAT_ERROR: 'Scene description must be an object or a file path',
+    SCENE_ENTRY_ERROR: 'Invalid scene description entry',
+    COLOR_ERROR: 'Unrecognized color value',
+    MATERIAL_ERROR: 'Material property must be a number from 0 to 1',
+    PHYSICS_PROPERTY_ERROR: 'Invalid physics property',
+    TEXTURE_ERROR: 'Invalid texture',
+    TEXTURE_LOAD_ERROR: 'Sorry, this texture could not be loaded:',
+    MODEL_FORMAT_ERROR: 'Unrecognized model format',
+    MODEL_PARSE_ERROR: 'Invalid model file',
+    MODEL_RESOURCE_ERROR: 'Model resource not found',
+    MODEL_NOT_LOADED_ERROR: 'Model has not been loaded',
+    MODEL_LOAD_ERROR: 'Sorry, this model could not be loaded:',
+    LIGHT_TYPE_ERROR: 'Unrecognized light type',
+    LIGHT_HELPER_LABEL: 'Light Helpers',
+    SCENE_LABEL_LABEL: 'Labels',
+    TRANSFORMATION_ERROR: 'Invalid transformation',
+    NOT_INITIALIZED_ERROR: 'Scene has not been initialized yet',
+    ENTRY_NOT_FOUND_ERROR: 'No scene entry exists with id',
+    ENTRY_ID_IN_USE_ERROR: 'A scene entry already exists with id',
+    PARENT_ERROR: 'No preceding scene element exists with parent id',
+    PARENT_CYCLE_ERROR: 'Scene elements cannot be nested inside themselves',
+    TREE_COLLAPSE: 'Collapse',
+    TREE_EXPAND: 'Expand',
+    SNAPSHOT_ERROR: 'Sorry, this snapshot could not be restored.',
+    PERMALINK_INFO: 'Permalink copied to the address bar:',
     START_BUTTON_ERROR: `Animation is already running.`,
     STOP_BUTTON_ERROR: `Animation is not currently running.`,
-    KEYSTROKE_INFO: `Use arrow keys, PgUp, and PgDn to rotate scene
-Use E and R to adjust scale/zoom
-Use W, A, S, D, Z, and X to translate scene`,
+    STEP_BUTTON_ERROR: `Animation must be stopped before stepping.`,
+    FULLSCREEN_ERROR: `Fullscreen is not supported by this browser.`,
+    EXPORT_BUSY_ERROR: `An export is already in progress.`,
+    VIDEO_ERROR: `Sorry, this browser cannot record WebM video.`,
+    EXPORT_HEADER: 'Export',
+    EXPORT_SCALE: 'Resolution',
+    EXPORT_FRAME_COUNT: 'Frames',
+    EXPORT_FRAME_RATE: 'Frame rate',
+    CLIPPING_HEADER: 'Clipping check',
+    CLIPPING_CLEAN: 'No clipping found',
+    CLIPPING_FRAMES: 'frames checked',
+    PHYSICS_HEADER: 'Physics',
+    PHYSICS_START_ERROR: `Physics is already running.`,
+    PHYSICS_RESET_ERROR: `Physics is not currently running.`,
+    CAMERA_HEADER: 'Camera',
+    CAMERA_ORTHOGRAPHIC: 'Orthographic',
+    CAMERA_FOLLOW: 'Follow',
+    CAMERA_FOLLOW_NONE: 'Nothing',
+    CAMERA_FOV: 'Field of view',
+    CAMERA_NEAR: 'Near plane',
+    CAMERA_FAR: 'Far plane',
+    SPEED_HOLDER_HEADER: 'Animation speed',
+    INSPECTOR_HEADER: 'Inspector',
+    INSPECTOR_DESELECT: 'Deselect',
+    LIGHT_MIXER_HEADER: 'Light mixer',
+    LIGHT_MIXER_SOLO: 'Solo',
+    LIGHT_MIXER_MUTE: 'Mute',
+    LIGHT_MIXER_UNMUTE: 'Unmute',
+    KEY_BINDING_HEADER: 'Key bindings',
+    KEY_BINDING_RESET: 'Restore default keys',
+    KEY_BINDING_PROMPT: 'Press a key...',
+    KEY_BINDING_UNBOUND: 'Unbound',
+    NOTIFICATION_DISMISS: 'Dismiss',
+    HELP_HEADER: 'Controls',
+    HELP_CLOSE: 'Close',
+    POINTER_INFO: `Drag to rotate scene, scroll or pinch to zoom
+Right-drag or two-finger drag to pan scene
+Hover over a shape to identify it, click to inspect it`,
   });
 
   /**
@@ -194,6 +451,141 @@ Use W, A, S, D, Z, and X to translate scene`,
     CHARTREUSE: 0x7FFF00,
     MAGENTA: 0xFF00FF,
     DODGERBLUE: 0x1E90FF,
+    DARKYELLOW: 0x404000,
+  });
+
+  /**
+   * @description This enum contains the easing functions available to the
+   * segments of keyframed transformation tracks. Each maps the linear progress
+   * through a segment, from 0 to 1, to an eased progress over the same range.
+   *
+   * @readonly
+   * @enum {function(number): number}
+   */
+  inaccessible.Easing = Object.freeze({
+    linear: function (t) {
+      return t;
+    },
+    easeIn: function (t) {
+      return t * t;
+    },
+    easeOut: function (t) {
+      return t * (2 - t);
+    },
+    easeInOut: function (t) {
+      return (t < 0.5) ? 2 * t * t : -1 + (4 - 2 * t) * t;
+    },
+    sine: function (t) {
+      return (1 - Math.cos(Math.PI * t)) / 2;
+    },
+    step: function (t) {
+      return (t < 1) ? 0 : 1;
+    },
+  });
+
+  /**
+   * @description This enum maps the <code>type</code> property of a scene
+   * element's time-based transformations to the <code>String</code>
+   * representation of the function that applies it, in the same manner as the
+   * <code>functionName</code> properties of
+   * <code>inaccessible.sidebarButtonData</code>. Transformations without a
+   * <code>type</code> are the original per-frame
+   * <code>rotationAxis</code>/<code>rotationAmount</code> increments.
+   *
+   * @readonly
+   * @enum {string}
+   */
+  inaccessible.TransformationTypes = Object.freeze({
+    keyframes: 'applyKeyframeTrack',
+    orbit: 'applyOrbit',
+    oscillate: 'applyOscillation',
+  });
+
+  /**
+   * @description This enum maps the <code>type</code> values of procedural
+   * textures, as listed in an element's <code>textures</code>, to the names of
+   * the functions drawing them on a 2D canvas. Textures without a
+   * <code>type</code> are image files loaded from their <code>url</code>.
+   *
+   * @readonly
+   * @enum {string}
+   */
+  inaccessible.TextureTypes = Object.freeze({
+    checkerboard: 'drawCheckerboardTexture',
+    noise: 'drawNoiseTexture',
+    gradient: 'drawGradientTexture',
+    wood: 'drawWoodTexture',
+  });
+
+  /**
+   * @description This enum maps the file formats of the 3D models that may be
+   * imported as scene elements, named by their file extensions, to the names
+   * of the functions parsing them into geometries. Binary glTF files are read
+   * by the same function as the JSON kind.
+   *
+   * @readonly
+   * @enum {string}
+   */
+  inaccessible.ModelFormats = Object.freeze({
+    gltf: 'parseGLTFModel',
+    glb: 'parseGLTFModel',
+    obj: 'parseOBJModel',
+    stl: 'parseSTLModel',
+  });
+
+  /**
+   * @description This enum lists the <code>lightType</code> values accepted by
+   * the light source entries of <code>inaccessible.sceneLightData</code>,
+   * mapping each to the name of the <code>THREE</code> helper class used to
+   * display its position and direction in the scene. Ambient lights have
+   * neither, and so have no helper.
+   *
+   * @readonly
+   * @enum {?string}
+   */
+  inaccessible.LightTypes = Object.freeze({
+    DirectionalLight: 'DirectionalLightHelper',
+    PointLight: 'PointLightHelper',
+    SpotLight: 'SpotLightHelper',
+    AmbientLight: null,
+    HemisphereLight: 'HemisphereLightHelper',
+  });
+
+  /**
+   * @description This enum lists the names of the events that may be listened
+   * for via <code>accessible.on</code>. Each handler is passed a single object
+   * describing the event:
+   * <br />
+   * <br />
+   * <ul>
+   * <li><code>frame</code>: <code>{timestamp, frames}</code>, after each
+   * animation frame is rendered, <code>frames</code> being the number of 60 Hz
+   * frames the animation advanced by.</li>
+   * <li><code>elementToggled</code> and <code>lightToggled</code>:
+   * <code>{id, isAnimated}</code>, after a shape's animation or a light is
+   * switched on or off.</li>
+   * <li><code>modelTransformed</code>: <code>{source, model}</code>, after the
+   * model is rotated, scaled, or moved by the <code>keyboard</code>, a
+   * <code>pointer</code>, a <code>reset</code>, or a restored
+   * <code>state</code>, <code>model</code> being as in
+   * <code>getState</code>.</li>
+   * <li><code>ready</code>: <code>{isFallbackRenderer}</code>, once the viewer
+   * is up and running.</li>
+   * <li><code>error</code>: <code>{message, error}</code>, if startup fails or
+   * a plugin cannot be installed.</li>
+   * </ul>
+   * No events but <code>error</code> fire before <code>ready</code>.
+   *
+   * @readonly
+   * @enum {string}
+   */
+  inaccessible.Events = Object.freeze({
+    FRAME: 'frame',
+    ELEMENT_TOGGLED: 'elementToggled',
+    LIGHT_TOGGLED: 'lightToggled',
+    MODEL_TRANSFORMED: 'modelTransformed',
+    READY: 'ready',
+    ERROR: 'error',
   });
 
   /**
@@ -205,6 +597,110 @@ Use W, A, S, D, Z, and X to translate scene`,
    */
   inaccessible.elementIdNumbersInUse = [];
 
+  /**
+   * @description This array stores the host elements of the viewers mounted
+   * via <code>accessible.create</code>. Keystrokes made in those viewers bubble
+   * up to the document, retargeted to their hosts, and are to be left alone by
+   * the viewer started via <code>accessible.init</code>, whose keystroke
+   * handler listens there.
+   */
+  inaccessible.mountedElements = [];
+
+  /**
+   * @description This object maps each of the <code>inaccessible.Events</code>
+   * names listened for to an array of the handlers added via
+   * <code>accessible.on</code>. It lives here rather than being set in
+   * <code>inaccessible.main</code> so that handlers may be added before
+   * <code>init</code> is called, and so hear its <code>ready</code> or
+   * <code>error</code> event.
+   */
+  inaccessible.eventHandlers = {};
+
+  /**
+   * @description This array stores the plugins registered via
+   * <code>accessible.registerPlugin</code>, in order of registration. Plugins
+   * registered before the viewer is ready are installed once it is.
+   */
+  inaccessible.plugins = [];
+
+  /**
+   * @description This object maps the source of each imported model, being the
+   * URL or file name it was loaded from, to the geometry parsed from it. The
+   * geometries are kept as loaded, each scene element built from one being
+   * given a centered and scaled copy, so that the model need not be loaded
+   * again when the element's mesh is rebuilt or another element uses it.
+   */
+  inaccessible.modelGeometries = {};
+
+  /**
+   * @description This object contains the user-adjustable options of the
+   * viewer, with the defaults below overwritten by any options passed to
+   * <code>accessible.init</code>. Unlike the enums above, it is deliberately
+   * left mutable for that reason.
+   * <br />
+   * <br />
+   * <code>restoreSession</code> determines whether the viewer state is saved
+   * to <code>localStorage</code> on page unload and restored on the next load.
+   * The sensitivity options scale pointer drags (radians and scene units per
+   * pixel) and wheel deltas into model transforms, while
+   * <code>enableInertia</code> lets a released rotation drag coast to a stop,
+   * losing <code>dampingFactor</code> of its speed every 60th of a second.
+   * <code>animationSpeed</code> is the initial animation speed multiplier,
+   * while <code>showLightHelpers</code> and <code>showLabels</code> are the
+   * initial states of the light helper and label toggles.
+   * <br />
+   * <br />
+   * With <code>responsive</code> set, the viewer fills the window and the
+   * <code>canvas</code> tracks the size of its wrapper. Left unset, the
+   * original fixed 640x480 layout is kept. Either way, the drawing buffer is
+   * scaled by the device pixel ratio, up to <code>maxPixelRatio</code>, for
+   * sharp rendering on high density displays without overtaxing the GPU.
+   * <br />
+   * <br />
+   * <code>seed</code>, if set to an integer, seeds the pseudorandom numbers
+   * used to generate entry ids, so that repeated runs of the same scene (i.e.
+   * for exporting frame sequences) produce identical ids and states.
+   * <br />
+   * <br />
+   * <code>createRenderer</code> may be set to a function that is passed the
+   * renderer config and returns a renderer to use in place of the default
+   * <code>THREE.WebGLRenderer</code>. It exists mainly so that the automated
+   * tests may run headlessly with a stub renderer, as WebGL is unavailable
+   * outside the browser. WebGL detection and the wireframe fallback are skipped
+   * for such renderers.
+   */
+  inaccessible.viewerOptions = {
+    restoreSession: false,
+    animationSpeed: 1,
+    createRenderer: null,
+    rotateSensitivity: 0.005,
+    panSensitivity: 0.02,
+    zoomSensitivity: 0.001,
+    enableInertia: false,
+    dampingFactor: 0.08,
+    showLightHelpers: false,
+    showLabels: false,
+    responsive: false,
+    maxPixelRatio: 2,
+    seed: null,
+  };
+
+  /**
+   * @description This object tracks the pointers (mouse buttons, pens, or
+   * fingers) currently pressed on the <code>canvas</code>, keyed by pointer id,
+   * as well as the rotation velocity (per millisecond) used for inertial
+   * coasting once the last pointer is released, the time of the drag movement
+   * that set it, and the timestamp of the last frame of the coast.
+   */
+  inaccessible.pointerState = {
+    pointers: {},
+    velocityX: 0,
+    velocityY: 0,
+    lastRotationTime: 0,
+    lastInertiaTimestamp: null,
+    isCoasting: false,
+  };
+
   /**
    * @description This array of objects is used to store all the data related to
    * the types of objects to be assembled and added to the <code>canvas</code>
@@ -224,6 +720,33 @@ Use W, A, S, D, Z, and X to translate scene`,
    * the shiniest objects, the sphere and icosahedron, actually pass through the
    * torus without clipping, like a ball through a hoop. The author still thinks
    * it's pretty neat to see.
+   * <br />
+   * <br />
+   * Entries may also use <code>MeshStandardMaterial</code> or
+   * <code>MeshPhysicalMaterial</code>, for which <code>roughness</code> and
+   * <code>metalness</code> may be set from 0 to 1. Any material may be given an
+   * <code>emissive</code> color and an <code>opacity</code> below 1, making it
+   * transparent, and <code>textures</code> mapping <code>map</code>,
+   * <code>normalMap</code>, or <code>roughnessMap</code> to an image file or
+   * a procedural texture (see <code>inaccessible.normalizeTexture</code>).
+   * Properties a material doesn't have are ignored.
+   * <br />
+   * <br />
+   * An entry with a <code>parent</code>, being the id of an entry listed
+   * before it, is built inside that entry's mesh rather than the model, so
+   * that its position and animation are relative to its parent and it is
+   * carried along by the parent's own. Scene descriptions may instead list an
+   * entry's <code>children</code> within it, which
+   * <code>inaccessible.flattenSceneElementEntries</code> turns into entries
+   * of this flat form.
+   * <br />
+   * <br />
+   * The last four properties are used by the physics mode. An element's
+   * <code>restitution</code>, from 0 to 1, sets how much of its speed it keeps
+   * on bouncing, and its <code>friction</code> how readily it slides, while
+   * <code>isStatic</code> elements (i.e. the floor) stay put for the others to
+   * land on. The brown box is the only one here, but unchecked elements are
+   * held still as well.
    */
   inaccessible.sceneElementData = [
     {
@@ -237,6 +760,10 @@ Use W, A, S, D, Z, and X to translate scene`,
       geometryConfig: [5, .5, 5],
       positionCoords: [0, 0, 0],
       rotateCoords: null,
+      restitution: 0.2,
+      friction: 0.6,
+      mass: 1,
+      isStatic: true,
       transformations: [
         {
           rotationAxis: 'y',
@@ -255,6 +782,10 @@ Use W, A, S, D, Z, and X to translate scene`,
       geometryConfig: [1, 0],
       positionCoords: [0, 0, -7],
       rotateCoords: null,
+      restitution: 0.3,
+      friction: 0.5,
+      mass: 1,
+      isStatic: false,
       transformations: [
         {
           rotationAxis: 'x',
@@ -273,6 +804,10 @@ Use W, A, S, D, Z, and X to translate scene`,
       geometryConfig: [1, 0],
       positionCoords: [7, 0, 0],
       rotateCoords: null,
+      restitution: 0.3,
+      friction: 0.5,
+      mass: 1,
+      isStatic: false,
       transformations: [
         {
           rotationAxis: 'z',
@@ -291,6 +826,10 @@ Use W, A, S, D, Z, and X to translate scene`,
       geometryConfig: [1, 0],
       positionCoords: [0, 0, 7],
       rotateCoords: null,
+      restitution: 0.3,
+      friction: 0.5,
+      mass: 1,
+      isStatic: false,
       transformations: [
         {
           rotationAxis: 'x',
@@ -309,6 +848,10 @@ Use W, A, S, D, Z, and X to translate scene`,
       geometryConfig: [1, 32, 32],
       positionCoords: [-7, 0, 0],
       rotateCoords: null,
+      restitution: 0.6,
+      friction: 0.3,
+      mass: 1,
+      isStatic: false,
       transformations: [
         {
           rotationAxis: 'z',
@@ -327,6 +870,10 @@ Use W, A, S, D, Z, and X to translate scene`,
       geometryConfig: [1.6, 0.4, 6, 100, 6.3],
       positionCoords: [0, 7, 0],
       rotateCoords: null,
+      restitution: 0.2,
+      friction: 0.5,
+      mass: 1,
+      isStatic: false,
       transformations: [
         {
           rotationAxis: 'x',
@@ -357,10 +904,20 @@ Use W, A, S, D, Z, and X to translate scene`,
    * while the red and blue lights were provided a slight boost to their
    * intensities to match the brightness of the green. The viewpoint light was
    * placed at the camera and the global light slightly above that.
+   * <br />
+   * <br />
+   * Each entry's <code>lightType</code> is one of the keys of
+   * <code>inaccessible.LightTypes</code>. Point and spot lights also accept
+   * <code>distance</code> and <code>decay</code>, spot lights an
+   * <code>angle</code>, <code>penumbra</code> and <code>targetArray</code>,
+   * and hemisphere lights a <code>groundColor</code> to go with their sky
+   * <code>lightColor</code>. Entries with <code>hasHelper</code> set to
+   * <code>false</code> are never shown with a helper.
    */
   inaccessible.sceneLightData = [
     {
       itemType: 'RedLight',
+      lightType: 'DirectionalLight',
       isAnimated: true,
       positionArray: [1, 0, 0],
       lightColor: inaccessible.Colors.RED,
@@ -368,6 +925,7 @@ Use W, A, S, D, Z, and X to translate scene`,
     },
     {
       itemType: 'GreenLight',
+      lightType: 'DirectionalLight',
       isAnimated: true,
       positionArray: [0, 1, 0],
       lightColor: inaccessible.Colors.GREEN,
@@ -375,6 +933,7 @@ Use W, A, S, D, Z, and X to translate scene`,
     },
     {
       itemType: 'BlueLight',
+      lightType: 'DirectionalLight',
       isAnimated: true,
       positionArray: [-1, 0 , 0],
       lightColor: inaccessible.Colors.BLUE,
@@ -382,6 +941,7 @@ Use W, A, S, D, Z, and X to translate scene`,
     },
     {
       itemType: 'ViewpointLight',
+      lightType: 'DirectionalLight',
       isAnimated: true,
       positionArray: [0, 0, 1],
       lightColor: inaccessible.Colors.WHITE,
@@ -389,6 +949,7 @@ Use W, A, S, D, Z, and X to translate scene`,
     },
     {
       itemType: 'GlobalLight',
+      lightType: 'DirectionalLight',
       isAnimated: true,
       positionArray:[0, 50, 50],
       lightColor: inaccessible.Colors.WHITE,
@@ -420,13 +981,369 @@ Use W, A, S, D, Z, and X to translate scene`,
       functionName: 'handleAnimationStop',
       functionArguments: []
     },
+    {
+      buttonType: 'Step frame',
+      functionName: 'handleFrameStep',
+      functionArguments: []
+    },
+    {
+      buttonType: 'Reverse animation',
+      functionName: 'handleAnimationReversal',
+      functionArguments: []
+    },
     {
       buttonType: 'Reset model',
       functionName: 'handleSettingOfDefaultTransforms',
       functionArguments: []
     },
+    {
+      buttonType: 'Save snapshot',
+      functionName: 'handleSnapshotExport',
+      functionArguments: []
+    },
+    {
+      buttonType: 'Load snapshot',
+      functionName: 'handleSnapshotImport',
+      functionArguments: []
+    },
+    {
+      buttonType: 'Import model',
+      functionName: 'handleModelImport',
+      functionArguments: []
+    },
+    {
+      buttonType: 'Copy permalink',
+      functionName: 'handlePermalinkCreation',
+      functionArguments: []
+    },
+    {
+      buttonType: 'Toggle fullscreen',
+      functionName: 'handleFullscreenToggle',
+      functionArguments: []
+    },
+  ];
+
+  /**
+   * @description This array of objects contains the named camera presets
+   * offered in the camera panel. Each gives the direction, from the point the
+   * camera looks at, in which the camera is placed (at the usual distance of
+   * <code>Utility.Z_AXIS_CAMERA_POSITION</code>), along with the direction
+   * treated as up, which for the top view can't be the y-axis itself.
+   */
+  inaccessible.cameraPresetData = [
+    {
+      presetName: 'Front',
+      direction: [0, 0, 1],
+      up: [0, 1, 0],
+    },
+    {
+      presetName: 'Top',
+      direction: [0, 1, 0],
+      up: [0, 0, -1],
+    },
+    {
+      presetName: 'Side',
+      direction: [1, 0, 0],
+      up: [0, 1, 0],
+    },
+    {
+      presetName: 'Isometric',
+      direction: [1, 1, 1],
+      up: [0, 1, 0],
+    },
+  ];
+
+  /**
+   * @description This array of objects describes the fields of the inspector
+   * panel shown for the selected scene element. Each names the entry property
+   * it edits, the label shown beside it, and the kind of input used to edit it:
+   * a color picker, a dropdown of <code>options</code>, a number input, an
+   * x/y/z triple of number inputs, or a text area of JSON. Number inputs may
+   * be given further <code>attributes</code>, i.e. a range.
+   */
+  inaccessible.inspectorFieldData = [
+    {
+      property: 'colorType',
+      label: 'Color',
+      inputType: 'color',
+    },
+    {
+      property: 'meshMaterial',
+      label: 'Material',
+      inputType: 'select',
+      options: [
+        'MeshLambertMaterial',
+        'MeshPhongMaterial',
+        'MeshStandardMaterial',
+        'MeshPhysicalMaterial',
+      ],
+    },
+    {
+      property: 'shininess',
+      label: 'Shininess',
+      inputType: 'number',
+    },
+    {
+      property: 'specular',
+      label: 'Specular',
+      inputType: 'color',
+    },
+    {
+      property: 'roughness',
+      label: 'Roughness',
+      inputType: 'number',
+      attributes: {min: 0, max: 1, step: 0.05},
+    },
+    {
+      property: 'metalness',
+      label: 'Metalness',
+      inputType: 'number',
+      attributes: {min: 0, max: 1, step: 0.05},
+    },
+    {
+      property: 'emissive',
+      label: 'Emissive',
+      inputType: 'color',
+    },
+    {
+      property: 'opacity',
+      label: 'Opacity',
+      inputType: 'number',
+      attributes: {min: 0, max: 1, step: 0.05},
+    },
+    {
+      property: 'restitution',
+      label: 'Restitution',
+      inputType: 'number',
+      attributes: {min: 0, max: 1, step: 0.05},
+    },
+    {
+      property: 'friction',
+      label: 'Friction',
+      inputType: 'number',
+      attributes: {min: 0, step: 0.05},
+    },
+    {
+      property: 'positionCoords',
+      label: 'Position',
+      inputType: 'vector',
+    },
+    {
+      property: 'textures',
+      label: 'Textures',
+      inputType: 'json',
+    },
+    {
+      property: 'transformations',
+      label: 'Transformations',
+      inputType: 'json',
+    },
+  ];
+
+  /**
+   * @description This array of objects contains the named actions that may be
+   * bound to keys via <code>inaccessible.keyBindings</code>. Transformation
+   * actions denote the model property to adjust, the axes along which to
+   * adjust it, and the amount by which to do so per keystroke, while the
+   * remaining actions name a handler function to call like the entries of
+   * <code>inaccessible.sidebarButtonData</code>. The order of the array is the
+   * order in which the actions are listed in the key binding panel and the
+   * help overlay.
+   */
+  inaccessible.keyboardActions = [
+    {
+      actionName: 'rotateY-',
+      description: 'Rotate left',
+      property: 'rotation',
+      axes: ['y'],
+      amount: -inaccessible.Utility.ROTATION_INCREMENT
+    },
+    {
+      actionName: 'rotateY+',
+      description: 'Rotate right',
+      property: 'rotation',
+      axes: ['y'],
+      amount: inaccessible.Utility.ROTATION_INCREMENT
+    },
+    {
+      actionName: 'rotateX-',
+      description: 'Rotate up',
+      property: 'rotation',
+      axes: ['x'],
+      amount: -inaccessible.Utility.ROTATION_INCREMENT
+    },
+    {
+      actionName: 'rotateX+',
+      description: 'Rotate down',
+      property: 'rotation',
+      axes: ['x'],
+      amount: inaccessible.Utility.ROTATION_INCREMENT
+    },
+    {
+      actionName: 'rotateZ-',
+      description: 'Roll clockwise',
+      property: 'rotation',
+      axes: ['z'],
+      amount: -inaccessible.Utility.ROTATION_INCREMENT
+    },
+    {
+      actionName: 'rotateZ+',
+      description: 'Roll counterclockwise',
+      property: 'rotation',
+      axes: ['z'],
+      amount: inaccessible.Utility.ROTATION_INCREMENT
+    },
+    {
+      actionName: 'translateY+',
+      description: 'Move up',
+      property: 'position',
+      axes: ['y'],
+      amount: inaccessible.Utility.TRANSLATE_INCREMENT
+    },
+    {
+      actionName: 'translateY-',
+      description: 'Move down',
+      property: 'position',
+      axes: ['y'],
+      amount: -inaccessible.Utility.TRANSLATE_INCREMENT
+    },
+    {
+      actionName: 'translateX-',
+      description: 'Move left',
+      property: 'position',
+      axes: ['x'],
+      amount: -inaccessible.Utility.TRANSLATE_INCREMENT
+    },
+    {
+      actionName: 'translateX+',
+      description: 'Move right',
+      property: 'position',
+      axes: ['x'],
+      amount: inaccessible.Utility.TRANSLATE_INCREMENT
+    },
+    {
+      actionName: 'translateZ-',
+      description: 'Move away',
+      property: 'position',
+      axes: ['z'],
+      amount: -inaccessible.Utility.TRANSLATE_INCREMENT
+    },
+    {
+      actionName: 'translateZ+',
+      description: 'Move closer',
+      property: 'position',
+      axes: ['z'],
+      amount: inaccessible.Utility.TRANSLATE_INCREMENT
+    },
+    {
+      actionName: 'scaleUp',
+      description: 'Zoom in',
+      property: 'scale',
+      axes: ['x', 'y', 'z'],
+      amount: inaccessible.Utility.SCALE_INCREMENT
+    },
+    {
+      actionName: 'scaleDown',
+      description: 'Zoom out',
+      property: 'scale',
+      axes: ['x', 'y', 'z'],
+      amount: -inaccessible.Utility.SCALE_INCREMENT
+    },
+    {
+      actionName: 'startAnimation',
+      description: 'Start animation',
+      functionName: 'handleAnimationStart',
+      functionArguments: []
+    },
+    {
+      actionName: 'stopAnimation',
+      description: 'Stop animation',
+      functionName: 'handleAnimationStop',
+      functionArguments: []
+    },
+    {
+      actionName: 'stepFrame',
+      description: 'Step frame',
+      functionName: 'handleFrameStep',
+      functionArguments: []
+    },
+    {
+      actionName: 'reverseAnimation',
+      description: 'Reverse animation',
+      functionName: 'handleAnimationReversal',
+      functionArguments: []
+    },
+    {
+      actionName: 'reset',
+      description: 'Reset model',
+      functionName: 'handleSettingOfDefaultTransforms',
+      functionArguments: []
+    },
+    {
+      actionName: 'showInfo',
+      description: 'About',
+      functionName: 'handleInfoDisplay',
+      functionArguments: []
+    },
+    {
+      actionName: 'toggleFullscreen',
+      description: 'Toggle fullscreen',
+      functionName: 'handleFullscreenToggle',
+      functionArguments: []
+    },
   ];
 
+  /**
+   * @description This enum maps <code>KeyboardEvent.code</code> values to the
+   * names of the actions in <code>inaccessible.keyboardActions</code>,
+   * mirroring the keys used by the original <code>keyCode</code>-based key
+   * handler. As <code>code</code> values denote physical key positions, the W,
+   * A, S, and D keys remain in the same place on non-QWERTY layouts.
+   *
+   * @readonly
+   * @enum {string}
+   */
+  inaccessible.defaultKeyBindings = Object.freeze({
+    ArrowLeft: 'rotateY-',
+    ArrowRight: 'rotateY+',
+    ArrowUp: 'rotateX-',
+    ArrowDown: 'rotateX+',
+    PageUp: 'rotateZ-',
+    PageDown: 'rotateZ+',
+    KeyW: 'translateY+',
+    KeyS: 'translateY-',
+    KeyA: 'translateX-',
+    KeyD: 'translateX+',
+    KeyZ: 'translateZ-',
+    KeyX: 'translateZ+',
+    KeyR: 'scaleUp',
+    KeyE: 'scaleDown',
+    Home: 'reset',
+    KeyF: 'toggleFullscreen',
+    '?': 'showInfo',
+  });
+
+  /**
+   * @description This object contains the active key bindings, keyed on either
+   * <code>KeyboardEvent.code</code> or <code>KeyboardEvent.key</code> values.
+   * It begins as a copy of <code>inaccessible.defaultKeyBindings</code> and is
+   * replaced by the user's saved bindings, if any, on startup.
+   */
+  inaccessible.keyBindings = Object.assign({},
+      inaccessible.defaultKeyBindings);
+
+  /**
+   * @description The name of the action awaiting a new key in the key binding
+   * panel, or <code>null</code> if the panel isn't listening for a keystroke.
+   */
+  inaccessible.rebindingActionName = null;
+
+  /**
+   * @description The scene element entry currently selected by a click on the
+   * <code>canvas</code> and shown in the inspector panel, if any.
+   */
+  inaccessible.selectedEntry = null;
+
   // Utility functions
 
   /**
@@ -440,7 +1357,7 @@ Use W, A, S, D, Z, and X to translate scene`,
    * @returns {void}
    */
   inaccessible.append = function (paramTarget, paramSubject) {
-    document.getElementById(paramTarget).appendChild(paramSubject);
+    this.root.getElementById(paramTarget).appendChild(paramSubject);
   };
 
   /**
@@ -454,10 +1371,32 @@ Use W, A, S, D, Z, and X to translate scene`,
    * @returns {void}
    */
   inaccessible.prepend = function (paramTarget, paramSubject) {
-    document.getElementById(paramTarget).insertBefore(paramSubject,
+    this.root.getElementById(paramTarget).insertBefore(paramSubject,
         paramTarget.firstChild);
   };
 
+  /**
+   * @description Like <code>inaccessible.append</code>, this function is based
+   * on jQuery, this time on its <code>$().remove()</code> function used to
+   * remove a DOM element based on a <code>String</code> representation of its
+   * id. Ids not present in the DOM are ignored.
+   *
+   * @param {string} paramTarget
+   * @returns {void}
+   */
+  inaccessible.remove = function (paramTarget) {
+
+    // Declaration
+    let element;
+
+    // Definition
+    element = this.root.getElementById(paramTarget);
+
+    if (element != null) {
+      element.parentNode.removeChild(element);
+    }
+  };
+
   /**
    * @description This function returns a <code>boolean</code> value based on
    * whether or not the inputted object is an array. It is used by
@@ -488,7 +1427,7 @@ Use W, A, S, D, Z, and X to translate scene`,
     let element;
 
     // Definition
-    element = document.getElementById(paramElementId);
+    element = this.root.getElementById(paramElementId);
 
     while (element.firstChild) {
       element.removeChild(element.firstChild);
@@ -496,21 +1435,158 @@ Use W, A, S, D, Z, and X to translate scene`,
   };
 
   /**
-   * @description This helper function is used to generate an integer that lies
-   * between the input parameter values of <code>paramMin</code> and
-   * <code>paramMax</code>, a value which is returned and appended to the
-   * checkbox element id name to provide an artificial unique identifier for
-   * that element in the event of there being multiple instances of the same
-   * shape type. If the generated value already exists in the id number array at
-   * <code>inaccessible.elementIdNumbersInUse</code>, the function recursively
-   * calls itself again with the same parameters until a unique number is
-   * generated.
-   * <br />
-   * <br />
-   * Admittedly this approach makes styling individual elements via their ids
-   * difficult as the id will change with each run of the program, but since the
-   * author had not built the program with user-defined CSS in mind, this issue
-   * was not a major concern. All that mattered was that multiple instances of
+   * @description This utility function adds an event listener to a target
+   * outliving the viewer's own DOM, namely the <code>window</code>, the
+   * <code>document</code>, or a mounted viewer's container, and records it so
+   * that <code>inaccessible.destroy</code> can remove it again. Listeners on
+   * elements built by the viewer need no such care, going with the elements.
+   *
+   * @param {!EventTarget} paramTarget
+   * @param {string} paramType
+   * @param {function} paramHandler
+   * @returns {void}
+   */
+  inaccessible.addGlobalListener = function (paramTarget, paramType,
+      paramHandler) {
+    paramTarget.addEventListener(paramType, paramHandler, false);
+    this.globalListeners.push([paramTarget, paramType, paramHandler]);
+  };
+
+  /**
+   * @description This function adds a handler for the event of the inputted
+   * name, one of the values of <code>inaccessible.Events</code>. Unknown names
+   * are rejected rather than ignored, as a misspelled event would otherwise
+   * simply never fire.
+   *
+   * @param {string} paramName
+   * @param {function(object)} paramHandler
+   * @returns {void}
+   */
+  inaccessible.addEventHandler = function (paramName, paramHandler) {
+    if (!this.isEventName(paramName)) {
+      throw new TypeError(`${this.Text.EVENT_NAME_ERROR}: ${paramName}`);
+    }
+
+    if (typeof paramHandler !== 'function') {
+      throw new TypeError(this.Text.EVENT_HANDLER_ERROR);
+    }
+
+    this.eventHandlers[paramName] = (this.eventHandlers[paramName] || [])
+        .concat([paramHandler]);
+  };
+
+  /**
+   * @description This function removes a handler added via
+   * <code>inaccessible.addEventHandler</code>. Handlers that were never added
+   * are ignored.
+   *
+   * @param {string} paramName
+   * @param {function(object)} paramHandler
+   * @returns {void}
+   */
+  inaccessible.removeEventHandler = function (paramName, paramHandler) {
+    if (!this.isEventName(paramName)) {
+      throw new TypeError(`${this.Text.EVENT_NAME_ERROR}: ${paramName}`);
+    }
+
+    this.eventHandlers[paramName] = (this.eventHandlers[paramName] || [])
+        .filter(function (handler) {
+      return handler !== paramHandler;
+    });
+  };
+
+  /**
+   * @description This function returns whether the inputted value is the name
+   * of one of the events listed in <code>inaccessible.Events</code>.
+   *
+   * @param {*} paramName
+   * @returns {boolean}
+   */
+  inaccessible.isEventName = function (paramName) {
+    return Object.values(this.Events).indexOf(paramName) !== -1;
+  };
+
+  /**
+   * @description This function calls each handler of the event of the inputted
+   * name with the inputted details. A handler that throws doesn't get to take
+   * the viewer down with it (i.e. by ending the animation loop mid-frame), nor
+   * to keep the other handlers from hearing the event; its error is instead
+   * rethrown asynchronously, so it is still reported in the console. Events
+   * other than errors are held back until the viewer is ready.
+   *
+   * @param {string} paramName
+   * @param {object} paramDetails
+   * @returns {void}
+   */
+  inaccessible.emitEvent = function (paramName, paramDetails) {
+    if (!this.isReady && paramName !== this.Events.ERROR) {
+      return;
+    }
+
+    (this.eventHandlers[paramName] || []).forEach(function (handler) {
+      try {
+        handler(paramDetails);
+      } catch (e) {
+        window.setTimeout(function () {
+          throw e;
+        }, 0);
+      }
+    });
+  };
+
+  /**
+   * @description This function returns a pseudorandom number in the range
+   * [0, 1) like <code>Math.random</code>, which it simply defers to unless the
+   * <code>seed</code> option is set. In that case, the numbers are drawn from a
+   * small seeded generator (Mulberry32), so that every run produces the same
+   * sequence of numbers.
+   * <br />
+   * <br />
+   * The generator's state is kept in the <code>randomState</code> property of
+   * the inputted source object, or of <code>inaccessible</code> itself if none
+   * is inputted. Procedural textures pass their own, so that they are drawn
+   * alike on every run whether or not the <code>seed</code> option is set.
+   *
+   * @param {?object=} paramSource
+   * @returns {number}
+   */
+  inaccessible.getRandomNumber = function (paramSource) {
+
+    // Declarations
+    let source, t;
+
+    // Definition
+    source = paramSource || this;
+
+    if (source.randomState == null) {
+      return Math.random();
+    }
+
+    // Mulberry32, by Tommy Ettinger (public domain)
+    source.randomState = (source.randomState + 0x6D2B79F5) | 0;
+    t = Math.imul(source.randomState ^ (source.randomState >>> 15),
+        1 | source.randomState);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  /**
+   * @description This helper function is used to generate an integer that lies
+   * between the input parameter values of <code>paramMin</code> and
+   * <code>paramMax</code>, a value which is returned and appended to the
+   * checkbox element id name to provide an artificial unique identifier for
+   * that element in the event of there being multiple instances of the same
+   * shape type. If the generated value already exists in the id number array at
+   * <code>inaccessible.elementIdNumbersInUse</code>, the function recursively
+   * calls itself again with the same parameters until a unique number is
+   * generated.
+   * <br />
+   * <br />
+   * Admittedly this approach makes styling individual elements via their ids
+   * difficult as the id will change with each run of the program, but since the
+   * author had not built the program with user-defined CSS in mind, this issue
+   * was not a major concern. All that mattered was that multiple instances of
    * the same shape type be permitted in the scene without multiples of the ids
    * existing in the DOM.
    *
@@ -524,7 +1600,8 @@ Use W, A, S, D, Z, and X to translate scene`,
     let number, inUseArray;
 
     // Definition
-    number = Math.floor(Math.random() * (paramMax - paramMin + 1)) + paramMin;
+    number = Math.floor(this.getRandomNumber() * (paramMax - paramMin + 1)) +
+        paramMin;
     inUseArray = this.elementIdNumbersInUse;
 
     // If the number's in the array already
@@ -535,7 +1612,7 @@ Use W, A, S, D, Z, and X to translate scene`,
 
       // Prevent endless recursion if no more available numbers can be created
       if (inUseArray.length !== (paramMax - paramMin + 1)) {
-        this.getRandomNumberForId(paramMin, paramMax);
+        return this.getRandomNumberForId(paramMin, paramMax);
       }
     } else {
       inUseArray.push(number);
@@ -565,12 +1642,14 @@ Use W, A, S, D, Z, and X to translate scene`,
   inaccessible.fadeIn = function (paramElementId) {
 
     // Declarations
-    let that, container, interval;
+    let that, container;
 
     // Definitions
     that = this;
-    container = document.getElementById(paramElementId);
-    interval = setInterval(function () {
+    container = this.root.getElementById(paramElementId);
+
+    // Kept as object-global so that inaccessible.destroy may cancel it
+    this.fadeInIntervalId = setInterval(function () {
       if (container.style.opacity < 1) {
         container.style.opacity = (parseFloat(container.style.opacity) +
             that.Utility.OPACITY_INCREASE_AMOUNT);
@@ -579,7 +1658,7 @@ Use W, A, S, D, Z, and X to translate scene`,
           console.log('Scene fade-in complete');
         }
 
-        clearInterval(interval);
+        clearInterval(that.fadeInIntervalId);
         return;
       }
     }, this.Utility.FADE_IN_INTERVAL);
@@ -594,915 +1673,9979 @@ Use W, A, S, D, Z, and X to translate scene`,
    * @returns {void}
    */
   inaccessible.render = function () {
-    this.renderer.render(this.scene, this.camera);
-  };
 
-  // Handlers
+    // The camera keeps its followed element in view, barring a transition
+    if (this.followedEntry != null && this.cameraTransition == null) {
+      this.cameraTarget.copy(this.getCameraTarget());
+      this.handleSettingOfCameraPose(this.camera.quaternion);
+    }
 
-  /**
-   * @description One of two checkbox listener handlers, this function simply
-   * sets the negated value of the <code>isAnimated</code> <code>boolean</code>
-   * object property as the property itself, like a toggle function of sorts.
-   *
-   * @param {object} paramObject
-   * @returns {void}
-   */
-  inaccessible.handleSceneElementCheckboxChanges = function (paramObject) {
-    paramObject.isAnimated = !paramObject.isAnimated;
+    // Clipping outlines are refit to their elements before each render
+    this.clippingHelpers.forEach(function (helper) {
+      helper.update();
+    });
+
+    this.renderer.render(this.scene, this.camera);
+
+    // Labels follow their objects, so must be moved with every render
+    if (this.areLabelsVisible) {
+      this.handleSceneLabelPlacement();
+    }
   };
 
   /**
-   * @description The second of the two checkbox event listener handlers, this
-   * function negates the <code>isAnimated</code> <code>boolean</code> property
-   * and switches on or off the light accordingly.
-   * <br />
-   * <br />
-   * Originally, this toggling functionality was undertaken by setting the
-   * <code>boolean</code> value of <code>isAnimated</code> as the value of
-   * <code>THREE.DirectionalLight.visible</code> as per the appropriate
-   * <code>Object3D</code> property. However, clicks of the approriate toggle
-   * button in the GUI resulted in seconds-spanning wait times in which the
-   * entire window was frozen for reasons not fully understood to the author. As
-   * a hacky workaround, the author just decided to change the light color to
-   * black on toggle, which resulted in faster render times which didn't block
-   * the entire program for long durations.
+   * @description This function does the drawing of the fallback renderer
+   * built by <code>inaccessible.assembleFallbackRenderer</code> for browsers
+   * without WebGL. Each visible mesh is drawn as a wireframe of its triangles
+   * in its material's color on a 2D canvas, with triangles facing away from the
+   * camera left out so that shapes read as solid rather than as tangles of
+   * lines. There is no lighting or depth testing, but the scene's layout and
+   * motion remain visible.
    *
-   * @param {object} paramObject
+   * @param {object} paramRenderer
+   * @param {THREE.Scene} paramScene
+   * @param {THREE.Camera} paramCamera
    * @returns {void}
    */
-  inaccessible.handleLightSourceCheckboxChanges = function (paramObject) {
-    paramObject.isAnimated = !paramObject.isAnimated;
+  inaccessible.renderWireframe = function (paramRenderer, paramScene,
+      paramCamera) {
 
-    // This approach is just too slow for some reason
-    //paramObject.assembledLight.visible = paramObject.isAnimated;
+    // Declarations
+    let that, context, width, height, toCanvas;
 
-    // Alternate approach simply adjusts off light color to black
-    if (!paramObject.isAnimated) {
-      paramObject.assembledLight.color.set(this.Colors.BLACK);
-    } else {
-      paramObject.assembledLight.color.set(paramObject.lightColor);
-    }
+    // Definitions
+    that = this;
+    context = paramRenderer.context;
+    width = paramRenderer.domElement.width;
+    height = paramRenderer.domElement.height;
+    toCanvas = function (paramPoint) {
+      return [(paramPoint.x + 1) / 2 * width, (1 - paramPoint.y) / 2 * height];
+    };
 
-    // Save render for an unanimated scene
-    if (!this.isSceneAnimated) {
-      this.render();
-    }
+    // As THREE.WebGLRenderer does before drawing
+    paramScene.updateMatrixWorld();
+    paramCamera.updateMatrixWorld();
+
+    context.fillStyle = paramRenderer.clearColor.getStyle();
+    context.fillRect(0, 0, width, height);
+    context.lineWidth = paramRenderer.pixelRatio;
+
+    paramScene.traverseVisible(function (object) {
+
+      // Declarations
+      let triangles, isCulled;
+
+      if (!object.isMesh) {
+        return;
+      }
+
+      // Local triangles are cached, as geometries are rebuilt rather than
+      // edited in place
+      triangles = paramRenderer.triangleCache[object.geometry.uuid];
+
+      if (triangles == null) {
+        triangles = that.getGeometryTriangles(object.geometry);
+        paramRenderer.triangleCache[object.geometry.uuid] = triangles;
+      }
+
+      isCulled = object.material.side === THREE.FrontSide;
+
+      context.strokeStyle = object.material.color.getStyle();
+      context.beginPath();
+
+      triangles.forEach(function (triangle) {
+
+        // Declarations
+        let points, area;
+
+        // Definitions
+        points = [triangle.a, triangle.b, triangle.c].map(function (vertex) {
+          return vertex.clone().applyMatrix4(object.matrixWorld)
+              .project(paramCamera);
+        });
+        area = (points[1].x - points[0].x) * (points[2].y - points[0].y) -
+            (points[1].y - points[0].y) * (points[2].x - points[0].x);
+
+        // Triangles behind the camera or facing away from it are skipped
+        if (points.some(function (point) {
+          return point.z < -1 || point.z > 1;
+        }) || (isCulled && area <= 0)) {
+          return;
+        }
+
+        points = points.map(toCanvas);
+        context.moveTo(...points[0]);
+        context.lineTo(...points[1]);
+        context.lineTo(...points[2]);
+        context.closePath();
+      });
+
+      context.stroke();
+    });
   };
 
   /**
-   * @description In lieu of a status log (which the author debated adding but
-   * decided against due to a lack of space and logical placement), the program
-   * displays a <code>window.alert</code> popup informing the user of what keys
-   * perform what actions. Originally, the author wanted to add a personalized
-   * modal like the ones in Bootstrap.js or those available in jQuery, but
-   * ultimately was unable to find the time or energy to do so.
+   * @description This function returns the colors of the inputted procedural
+   * texture as CSS hex strings, as expected by 2D canvas contexts.
    *
-   * @returns {void}
+   * @param {object} paramTexture
+   * @returns {!Array<string>}
    */
-  inaccessible.handleInfoDisplay = function () {
-    window.alert(this.Text.KEYSTROKE_INFO);
+  inaccessible.getTextureColors = function (paramTexture) {
+    return paramTexture.colors.map(function (color) {
+      return `#${new THREE.Color(color).getHexString()}`;
+    });
   };
 
   /**
-   * @description This function handles presses of the "Start animation" button,
-   * setting the object-global <code>inaccessible.isSceneAnimated</code> value
-   * to <code>true</code> and calling <code>inaccessible.handleFrame</code> as
-   * per the Project 3 template file example. If the animation is running and
-   * the button is pressed again, a <code>window.alert</code> popup is displayed
-   * to inform the user of the animation's current status.
+   * @description This function builds the lattice of random values from which
+   * <code>inaccessible.getNoiseValue</code> interpolates, one per cell of a
+   * square grid the inputted number of cells wide. The values are drawn from
+   * a generator seeded with the inputted seed.
    *
-   * @returns {void}
+   * @param {number} paramCells
+   * @param {number} paramSeed
+   * @returns {!Array<number>}
    */
-  inaccessible.handleAnimationStart = function () {
-    if (!this.isSceneAnimated) {
-      this.isSceneAnimated = true;
+  inaccessible.getNoiseLattice = function (paramCells, paramSeed) {
 
-      // Run the testing animation if unit testing is in progress
-      if (DEBUG) {
-        this.handleAnimationTesting();
-      } else {
-        // Like P3 template's doFrame
-        this.handleFrame();
-      }
-    } else {
-      window.alert(this.Text.START_BUTTON_ERROR);
-    }
+    // Declarations
+    let that, source;
+
+    // Definitions
+    that = this;
+    source = {randomState: paramSeed};
+
+    return Array.from({length: paramCells * paramCells}, function () {
+      return that.getRandomNumber(source);
+    });
   };
 
   /**
-   * @description This function is like that above it,
-   * <code>inaccessible.handleAnimationStart</code>, in that it simply sets the
-   * object-global <code>inaccessible.isSceneAnimated</code> and displays a
-   * <code>window.alert</code> popup if the button is pressed and the animation
-   * is not running.
+   * @description This function returns the value noise at the inputted point
+   * of a lattice built by <code>inaccessible.getNoiseLattice</code>, with
+   * coordinates in cells. The lattice values are smoothly interpolated, and
+   * wrap around at the edges so that textures drawn from them tile seamlessly.
    *
-   * @returns {void}
+   * @param {!Array<number>} paramLattice
+   * @param {number} paramCells
+   * @param {number} paramX
+   * @param {number} paramY
+   * @returns {number} Value in the range [0, 1)
    */
-  inaccessible.handleAnimationStop = function () {
-    if (this.isSceneAnimated) {
-      this.isSceneAnimated = false;
-    } else {
-      alert(this.Text.STOP_BUTTON_ERROR);
-    }
+  inaccessible.getNoiseValue = function (paramLattice, paramCells, paramX,
+      paramY) {
+
+    // Declarations
+    let x0, y0, x1, y1, tx, ty, smooth, top, bottom;
+
+    // Definitions
+    smooth = function (paramT) {
+      return paramT * paramT * (3 - 2 * paramT);
+    };
+    x0 = Math.floor(paramX);
+    y0 = Math.floor(paramY);
+    tx = smooth(paramX - x0);
+    ty = smooth(paramY - y0);
+    x0 = ((x0 % paramCells) + paramCells) % paramCells;
+    y0 = ((y0 % paramCells) + paramCells) % paramCells;
+    x1 = (x0 + 1) % paramCells;
+    y1 = (y0 + 1) % paramCells;
+    top = THREE.Math.lerp(paramLattice[y0 * paramCells + x0],
+        paramLattice[y0 * paramCells + x1], tx);
+    bottom = THREE.Math.lerp(paramLattice[y1 * paramCells + x0],
+        paramLattice[y1 * paramCells + x1], tx);
+
+    return THREE.Math.lerp(top, bottom, ty);
   };
 
   /**
-   * @description This function is the main testing function of the program,
-   * based on the similar method in the author's Project 2 submission, namely
-   * <code>ScenePanel.runAnimation</code>. As with that method, this function is
-   * used to allow the author to storyboard the transformations along the x, y,
-   * and z-axes as denoted below before running the test, after which the
-   * expected results can be compared to the observed results. This particular
-   * function is only run when the <code>DEBUG</code> global flag is set to a
-   * value of <code>true</code>, with the main animation handler of
-   * <code>inaccessible.handleFrame</code> called in normal cases of presses of
-   * the "Start animation" button.
-   * <br />
-   * <br />
-   * Like the aforementioned testing method in Project 2, this method runs
-   * through a set of six (6) animations over a predetermined interval (as with
-   * that method, 1600 milliseconds per animation), with the transformations
-   * tested similar in type to those in the previously mentioned test method.
+   * @description This function fills the canvas of the inputted context pixel
+   * by pixel, blending between the colors of the inputted procedural texture
+   * per the value returned for each pixel by the inputted function. The
+   * function is passed the pixel's coordinates as fractions of the texture's
+   * size, and returns a value from 0 (the first color) to 1 (the last).
    *
+   * @param {!CanvasRenderingContext2D} paramContext
+   * @param {object} paramTexture
+   * @param {function(number, number): number} paramGetValue
    * @returns {void}
    */
-  inaccessible.handleAnimationTesting = function () {
+  inaccessible.drawTextureValues = function (paramContext, paramTexture,
+      paramGetValue) {
 
     // Declarations
-    let that, interval, counter, amount;
+    let size, colors, image, x, y, value, index, color;
 
     // Definitions
-    that = this;
-    counter = 1;
-    amount = 0;
-    this.isSceneAnimated = true;
-    interval = setInterval(function () {
-      if (!that.isSceneAnimated) {
-        console.log('Animation complete');
-        that.handleSettingOfDefaultTransforms();
-        clearInterval(interval);
-        return;
-      }
+    size = paramTexture.size;
+    image = paramContext.createImageData(size, size);
+    color = new THREE.Color();
+    colors = paramTexture.colors.map(function (item) {
+      return new THREE.Color(item);
+    });
 
-      switch (counter) {
-        case 1:
-          amount = -0.45;
-          that.model.rotation.y += amount;
-          console.log('Rotate scene on y-axis by ' + amount);
-          break;
-        case 2:
-          amount = 0.30;
-          that.model.rotation.x += amount;
-          console.log('Rotate scene on x-axis by ' + amount);
-          break;
-        case 3:
-          amount = 0.2;
-          that.model.scale.x += amount;
-          that.model.scale.y += amount;
-          that.model.scale.z += amount;
-          console.log('Scale scene by ' + amount);
-          break;
-        case 4:
-          amount = 0.75;
-          that.model.rotation.y += amount;
-          console.log('Rotate scene on y-axis by ' + amount);
-          break;
-        case 5:
-          amount = -2;
-          that.model.position.x += amount;
-          console.log('Translate scene on x-axis by ' + amount);
-          break;
-        case 6:
-          amount = -0.25;
-          that.model.scale.x += amount;
-          that.model.scale.y += amount;
-          that.model.scale.z += amount;
-          console.log('Scale scene by ' + amount);
-          break;
-        default:
-          console.log('Resetting scene');
-          counter = 0;
-          that.handleSettingOfDefaultTransforms();
-          break;
+    for (y = 0; y < size; y++) {
+      for (x = 0; x < size; x++) {
+        value = THREE.Math.clamp(paramGetValue(x / size, y / size), 0, 1) *
+            (colors.length - 1);
+        index = Math.min(Math.floor(value), colors.length - 2);
+        color.copy(colors[index]).lerp(colors[index + 1], value - index);
+        image.data.set([color.r * 255, color.g * 255, color.b * 255, 255],
+            (y * size + x) * 4);
       }
+    }
 
-      that.render();
-      counter++;
-    }, this.Utility.TESTING_INTERVAL);
+    paramContext.putImageData(image, 0, 0);
   };
 
   /**
-   * @description Making heavy usage of the author's beloved spread operator,
-   * this function is used by several others to reset or set the scene to the
-   * default transformation values denoted in the appropriate
-   * <code>inaccessible.Utility</code> enum. It is based on a similar method
-   * found in the author's previous Project 2 submission entry.
-   * <br />
-   * <br />
-   * The function is called from within the bodies of the functions
-   * <code>inaccessible.assembleScene</code> and
-   * <code>inaccessible.handleAnimationTesting</code>, as well as on clicks of
-   * the "Reset model" button.
+   * @description This function draws a checkerboard procedural texture of the
+   * texture's <code>cells</code> squares a side, alternating between its first
+   * two colors.
    *
+   * @param {!CanvasRenderingContext2D} paramContext
+   * @param {object} paramTexture
    * @returns {void}
    */
-  inaccessible.handleSettingOfDefaultTransforms = function () {
-    this.model.rotation.set(...this.Utility.DEFAULT_ROTATION_COORDINATES);
-    this.model.scale.set(...this.Utility.DEFAULT_SCALE_COORDINATES);
-    this.model.position.set(...this.Utility.DEFAULT_TRANSLATION_COORDINATES);
+  inaccessible.drawCheckerboardTexture = function (paramContext,
+      paramTexture) {
 
-    if (!this.isSceneAnimated) {
-      this.render();
+    // Declarations
+    let colors, cellSize, x, y;
+
+    // Definitions
+    colors = this.getTextureColors(paramTexture);
+    cellSize = paramTexture.size / paramTexture.cells;
+
+    for (y = 0; y < paramTexture.cells; y++) {
+      for (x = 0; x < paramTexture.cells; x++) {
+        paramContext.fillStyle = colors[(x + y) % 2];
+        paramContext.fillRect(x * cellSize, y * cellSize, cellSize, cellSize);
+      }
     }
   };
 
   /**
-   * @description This function was simply taken from the default function made
-   * available in the Project 3 template HTML file, therein called
-   * <code>doFrame</code>. It checks if the animation is running, and calls the
-   * frame handler and render functions if so before calling itself recursively
-   * until the scene is no longer animated.
+   * @description This function draws a value noise procedural texture, i.e.
+   * for a mottled stone or concrete look or a roughness map, with features of
+   * about one of the texture's <code>cells</code> in size.
    *
-   * @see modeling-starter.doFrame
+   * @param {!CanvasRenderingContext2D} paramContext
+   * @param {object} paramTexture
    * @returns {void}
    */
-  inaccessible.handleFrame = function () {
-    if (this.isSceneAnimated) {
-      this.handleFrameUpdate();
-      this.render();
-      window.requestAnimationFrame(this.handleFrame.bind(this));
-    }
+  inaccessible.drawNoiseTexture = function (paramContext, paramTexture) {
+
+    // Declarations
+    let that, cells, lattice;
+
+    // Definitions
+    that = this;
+    cells = paramTexture.cells;
+    lattice = this.getNoiseLattice(cells, paramTexture.seed);
+
+    this.drawTextureValues(paramContext, paramTexture, function (paramX,
+        paramY) {
+      return that.getNoiseValue(lattice, cells, paramX * cells,
+          paramY * cells);
+    });
   };
 
   /**
-   * @description Like the function above, this function was also lifted from
-   * the Project 3 template HTML file, though it was subsequently expanded to
-   * allow for easier manipulation. Whereas before all animated elements were
-   * rotated along the y-axis exclusively, this implementation allows for scene
-   * element objects to notate in an array a list of axis-based rotations to be
-   * undertaken per frame, allowing for more variety in animated movement. The
-   * only thing that bugs the author is the nested loops. He hates nested loops
-   * as a matter of principle. So ugly.
+   * @description This function draws a gradient procedural texture through
+   * all the texture's colors, running left to right if its
+   * <code>direction</code> is <code>horizontal</code>, top to bottom if
+   * <code>vertical</code>, or from the center outward if <code>radial</code>.
    *
-   * @see modeling-starter.updateForFrame
+   * @param {!CanvasRenderingContext2D} paramContext
+   * @param {object} paramTexture
    * @returns {void}
    */
-  inaccessible.handleFrameUpdate = function () {
-
-    // For every scene element...
-    this.sceneElementData.forEach(function (entry) {
-
-      // If the user hasn't toggled the element off...
-      if (entry.isAnimated) {
-
-        // We take each of its preset rotations from its transformation array
-        entry.transformations.forEach(function (transformation) {
-
-          // And apply it to the object along the selected axis
-          entry.object.rotation[transformation.rotationAxis] +=
-              transformation.rotationAmount;
-        });
+  inaccessible.drawGradientTexture = function (paramContext, paramTexture) {
+    this.drawTextureValues(paramContext, paramTexture, function (paramX,
+        paramY) {
+      switch (paramTexture.direction) {
+        case 'horizontal':
+          return paramX;
+        case 'vertical':
+          return paramY;
+        default:
+          return Math.hypot(paramX - 0.5, paramY - 0.5) * 2;
       }
     });
   };
 
   /**
-   * @description Much of this function's contents were derived from the similar
-   * <code>switch</code>-mediated method in his Project 2 submission, namely,
-   * <code>ScenePanel.SceneKeyListener.keyPressed</code>. As with that method,
-   * this function permits the user to interact with the scene via either
-   * rotation, scale, or translation transformation operations, meditated via
-   * the use of the W, A, S, D, Z, X, E, R, PgUp, PgDn, and arrow keys. Assuming
-   * the key pressed was a legitimate, supported keystroke, the scene is
-   * re-rendered to display the modifications undertaken.
-   * <br />
-   * <br />
-   * In addition to sharing some similarities with the author's Project 2
-   * submission method mentioned above, this function also shares some basic
-   * functionality with the related <code>doKey</code> function contained in the
-   * Project 3 template file, <code>modeling-starter.html</code>.
+   * @description This function draws a wood grain procedural texture of the
+   * texture's <code>cells</code> planks, running left to right. Each plank's
+   * grain lines are warped by noise and offset from those of its neighbors,
+   * and a dark seam is left between planks. The first color is that of the
+   * light wood, the last that of the grain lines and seams.
    *
-   * @see modeling-starter.doKey
-   * @param {event} paramEvent
+   * @param {!CanvasRenderingContext2D} paramContext
+   * @param {object} paramTexture
    * @returns {void}
    */
-  inaccessible.handleKeyPress = function (paramEvent) {
+  inaccessible.drawWoodTexture = function (paramContext, paramTexture) {
 
-    // Declaration
-    let isTransformed;
+    // Declarations
+    let that, cells, lattice, offsets, aliasUtility;
 
-    switch (paramEvent.keyCode) {
-      case 37: // Left arrow
-        this.model.rotation.y -= this.Utility.ROTATION_INCREMENT;
-        isTransformed = true;
-        break;
-      case 39: // Right arrow
-        this.model.rotation.y += this.Utility.ROTATION_INCREMENT;
-        isTransformed = true;
-        break;
-      case 38: // Up arrow
-        this.model.rotation.x -= this.Utility.ROTATION_INCREMENT;
-        isTransformed = true;
-        break;
-      case 40: // Down arrow
-        this.model.rotation.x += this.Utility.ROTATION_INCREMENT;
-        isTransformed = true;
-        break;
-      case 33: // PgUp
-        this.model.rotation.z -= this.Utility.ROTATION_INCREMENT;
-        isTransformed = true;
-        break;
-      case 34: // PgDowm
-        this.model.rotation.z += this.Utility.ROTATION_INCREMENT;
-        isTransformed = true;
-        break;
-      case 87: // W
-        this.model.position.y += this.Utility.TRANSLATE_INCREMENT;
-        isTransformed = true;
-        break;
-      case 83: // S
-        this.model.position.y -= this.Utility.TRANSLATE_INCREMENT;
-        isTransformed = true;
-        break;
-      case 65: // A
-        this.model.position.x -= this.Utility.TRANSLATE_INCREMENT;
-        isTransformed = true;
-        break;
-      case 68: // D
-        this.model.position.x += this.Utility.TRANSLATE_INCREMENT;
-        isTransformed = true;
-        break;
-      case 88: // X
-        this.model.position.z += this.Utility.TRANSLATE_INCREMENT;
-        isTransformed = true;
-        break;
-      case 90: // Z
-        this.model.position.z -= this.Utility.TRANSLATE_INCREMENT;
-        isTransformed = true;
-        break;
-      case 82: // R
-        this.model.scale.x += this.Utility.SCALE_INCREMENT;
-        this.model.scale.y += this.Utility.SCALE_INCREMENT;
-        this.model.scale.z += this.Utility.SCALE_INCREMENT;
-        isTransformed = true;
-        break;
-      case 69: // E
-        this.model.scale.x -= this.Utility.SCALE_INCREMENT;
-        this.model.scale.y -= this.Utility.SCALE_INCREMENT;
-        this.model.scale.z -= this.Utility.SCALE_INCREMENT;
-        isTransformed = true;
-        break;
-      default:
-        isTransformed = false;
-        break;
-    }
+    // Definitions
+    that = this;
+    cells = paramTexture.cells;
+    aliasUtility = this.Utility;
+    lattice = this.getNoiseLattice(cells, paramTexture.seed);
+    offsets = this.getNoiseLattice(cells, paramTexture.seed + 1);
 
-    if (isTransformed) {
-      paramEvent.preventDefault();
+    this.drawTextureValues(paramContext, paramTexture, function (paramX,
+        paramY) {
 
-      if (!this.isSceneAnimated) {
-        this.render();
+      // Declarations
+      let plank, across, grain;
+
+      // Definitions
+      plank = Math.floor(paramY * cells);
+      across = paramY * cells - plank;
+
+      if (across < aliasUtility.WOOD_SEAM_WIDTH) {
+        return 1;
       }
-    }
-  };
 
-  // Assembly functions
+      grain = across * aliasUtility.WOOD_GRAIN_LINES + offsets[plank] * 10 +
+          that.getNoiseValue(lattice, cells, paramX * cells, paramY * cells) *
+          2;
+
+      return Math.pow(Math.abs(Math.sin(grain * Math.PI)), 8) * 0.8;
+    });
+  };
 
   /**
-   * @description As with all the assembly functions, this function is used to
-   * construct an individual instance of an element or object; in this case,it
-   * builds a single HTML element that will be returned from the function and
-   * appended to the DOM dynamically. It accepts an array of strings denoting
-   * the type of element to create and also handles potentially nested element
-   * arrays for elements that are to exist inside the outer element tags as
-   * inner HTML.
-   * <br />
-   * <br />
-   * This method was borrowed and slightly modified from a StackOverflow thread
-   * response found <a href="https://stackoverflow.com/a/2947012">here</a>. Link
-   * is provided in jsdoc style below but doesn't work as expected in NetBeans
-   * despite being of the proper form.
+   * @description This function paints basketball court markings in the color
+   * of the texture's <code>courtLines</code> over a procedural texture, i.e.
+   * one of wood grain: the boundary, the half-court line and center circle,
+   * and a key and three-point arc at either end. The court runs left to right.
    *
-   * @see {@link https://stackoverflow.com/a/2947012|SO Thread}
-   * @param {!Array<string>} paramArray
-   * @returns {HTMLElement} element
+   * @param {!CanvasRenderingContext2D} paramContext
+   * @param {object} paramTexture
+   * @returns {void}
    */
-  inaccessible.assembleElement = function (paramArray) {
+  inaccessible.drawCourtLines = function (paramContext, paramTexture) {
 
     // Declarations
-    let element, name, attributes, counter, content;
-
-    if (!this.isArray(paramArray)) {
-      return this.assembleElement.call(this,
-          Array.prototype.slice.call(arguments));
-    }
+    let size, inset, middle;
 
     // Definitions
-    name = paramArray[0];
-    attributes = paramArray[1];
-    element = document.createElement(name);
-    counter = 1;
-
-    // attributes != null -> attributes === undefined || attributes === null
-    if (typeof attributes === 'object' && attributes != null &&
-        !this.isArray(attributes)) {
-      for (let attribute in attributes) {
-        element.setAttribute(attribute, attributes[attribute]);
-      }
-      counter = 2;
-    }
-
-    for (let i = counter; i < paramArray.length; i++) {
-      if (this.isArray(paramArray[i])) {
-        content = this.assembleElement(paramArray[i]);
-      } else {
-         content = document.createTextNode(paramArray[i]);
-      }
-
-      element.appendChild(content);
-    }
-
-    return element;
+    size = paramTexture.size;
+    inset = size * 0.05;
+    middle = size / 2;
+
+    paramContext.strokeStyle =
+        `#${new THREE.Color(paramTexture.courtLines).getHexString()}`;
+    paramContext.lineWidth = Math.max(1, size / 128);
+
+    // Boundary and half-court line
+    paramContext.strokeRect(inset, inset, size - inset * 2, size - inset * 2);
+    paramContext.beginPath();
+    paramContext.moveTo(middle, inset);
+    paramContext.lineTo(middle, size - inset);
+    paramContext.stroke();
+
+    // Center circle
+    paramContext.beginPath();
+    paramContext.arc(middle, middle, size * 0.12, 0, Math.PI * 2);
+    paramContext.stroke();
+
+    // Key and three-point arc at either end, mirrored
+    [[inset, 1], [size - inset, -1]].forEach(function (end) {
+      paramContext.strokeRect(Math.min(end[0], end[0] + end[1] * size * 0.2),
+          middle - size * 0.1, size * 0.2, size * 0.2);
+      paramContext.beginPath();
+      paramContext.arc(end[0], middle, size * 0.3, -Math.PI / 2 * end[1],
+          -Math.PI / 2 * end[1] + Math.PI);
+      paramContext.stroke();
+    });
   };
 
   /**
-   * @description This assembly function is used to create and add a new light
-   * source element to the scene. It is called from within the scene creation
-   * function, <code>inaccessible.assembleScene</code>, via its use in
-   * <code>inaccessible.assembleElementsAndCheckboxes</code>. It simply
-   * assembles a new <code>THREE.DirectionalLight</code> instance, making use of
-   * the parameters provided in the inputted <code>paramObject</code>.
-   * <br />
-   * <br />
-   * Originally, the <code>paramObject</codE> also contained a
-   * <code>String</code> representation of the individual light source's light
-   * type, with options ranging from <code>DirectionalLight</code> to
-   * <code>AmbientLight</code>. However, this was eventually simplified to
-   * reduce the total number of moving parts in the scene. The use of the
-   * <code>DirectionalLight</code> was sufficient for the author's purposes.
+   * @description This function converts the procedural texture drawn on the
+   * inputted context into a normal map, treating the brightness of each pixel
+   * as a height. The slopes between neighboring pixels, wrapping around at the
+   * edges, are scaled by the texture's <code>strength</code> and encoded as
+   * normals in the usual tangent space fashion.
    *
-   * @param {object} paramObject
+   * @param {!CanvasRenderingContext2D} paramContext
+   * @param {object} paramTexture
    * @returns {void}
    */
-  inaccessible.assembleLightSource = function (paramObject) {
+  inaccessible.convertToNormalMap = function (paramContext, paramTexture) {
 
     // Declarations
-    let newLightSource, tempColor, tempIntensity;
+    let size, source, image, heights, height, normal, x, y;
 
     // Definitions
-    tempColor = paramObject.lightColor;
-    tempIntensity = paramObject.intensity;
-
-    // Create new DirectionalLight
-    newLightSource = new THREE.DirectionalLight(tempColor, tempIntensity);
+    size = paramTexture.size;
+    source = paramContext.getImageData(0, 0, size, size).data;
+    image = paramContext.createImageData(size, size);
+    normal = new THREE.Vector3();
+    heights = new Float32Array(size * size);
+    height = function (paramX, paramY) {
+      return heights[((paramY + size) % size) * size + (paramX + size) % size];
+    };
 
-    // Place at specified position
-    newLightSource.position.set(...paramObject.positionArray);
+    for (x = 0; x < heights.length; x++) {
+      heights[x] = (source[x * 4] + source[x * 4 + 1] + source[x * 4 + 2]) /
+          765;
+    }
 
-    // Add to object for future toggling-mediated recoloring purposes
-    paramObject.assembledLight = newLightSource;
+    // Canvas rows run downward, whereas normal maps take green to be up
+    for (y = 0; y < size; y++) {
+      for (x = 0; x < size; x++) {
+        normal.set(
+            (height(x - 1, y) - height(x + 1, y)) * paramTexture.strength,
+            (height(x, y + 1) - height(x, y - 1)) * paramTexture.strength,
+            1).normalize();
+        image.data.set([(normal.x + 1) * 127.5, (normal.y + 1) * 127.5,
+            (normal.z + 1) * 127.5, 255], (y * size + x) * 4);
+      }
+    }
 
-    // Add to scene
-    this.scene.add(newLightSource);
+    paramContext.putImageData(image, 0, 0);
   };
 
   /**
-   * @description This assembly method is responsible for creating new objects
-   * in the scene. Taking the properties of the associated object contained in
-   * <code>inaccessible.sceneElementData</code>, this function assembles a new
-   * mesh and object node from a constructed mesh material and associated
-   * geoemtry, adding those two new items as properties of the scene element
-   * object. The mesh is <em>not</em> added to the object node in this method
-   * however; that is done in the body of
-   * <code>inaccessible.assembleScene</code> instead for added readability,
-   * though it could be easily done in this function as well.
-   * <br />
-   * <br />
-   * It is also worth noting that this function makes intentional use of the
-   * so-called "weak comparison operator," that is <code>==</code> and its
-   * negation <code>!=</code>. Unlike Java and other languages, JavaScript has
-   * both a strong and weak comparison operator set, with the weak operators to
-   * be avoided in most cases. In this case though, the negated operator
-   * <code>!=</code> is used to allow the function to check for both undefined
-   * and null behavior simultaneously while still permitting the possibility of
-   * a ReferenceError being thrown. This is conventional practice among JS
-   * developers as it is more succinct than the longer equivalent expression
-   * <code>variable === undefined || variable === null</code>.
+   * @description As JSON scene description files cannot make use of the
+   * <code>inaccessible.Colors</code> enum directly, this helper translates the
+   * various permitted color notations into the hexadecimal number expected by
+   * the Three.js color setters. Numbers are returned as is, while strings may
+   * either name a member of the enum (i.e. <code>"DODGERBLUE"</code>) or denote
+   * a hex value in CSS or JS style (i.e. <code>"#1E90FF"</code> or
+   * <code>"0x1E90FF"</code>).
    *
-   * @see {@link https://dorey.github.io/JavaScript-Equality-Table/|JET}
-   * @param {object} paramObject
-   * @returns {void}
+   * @param {number|string} paramColor
+   * @returns {number}
    */
-  inaccessible.assembleSceneElement = function (paramObject) {
+  inaccessible.resolveColor = function (paramColor) {
 
-    // Declarations
-    let newGeometry, newMesh, newMeshMaterial, newObject, config, tempShininess,
-      tempSpecular, tempGeometry, tempGeometryConfig, tempMeshMaterial,
-      tempPositionCoords, tempRotateCoords;
+    // Declaration
+    let colorName;
 
-    // Temp definitions
-    tempShininess = paramObject.shininess;
-    tempSpecular = paramObject.specular;
-    tempGeometry = paramObject.geometry;
-    tempGeometryConfig = paramObject.geometryConfig;
-    tempMeshMaterial = paramObject.meshMaterial;
-    tempPositionCoords = paramObject.positionCoords;
-    tempRotateCoords = paramObject.rotateCoords;
+    if (typeof paramColor === 'number') {
+      return paramColor;
+    }
 
-    // Definition of mesh material
-    config = {
-      color: paramObject.colorType
-    };
+    if (typeof paramColor === 'string') {
+      colorName = paramColor.toUpperCase();
 
-    // Equal to tempShininess === undefined || tempShininess === null
-    if (tempShininess != null) {
-      config.shininess = tempShininess;
+      if (this.Colors.hasOwnProperty(colorName)) {
+        return this.Colors[colorName];
+      } else if (/^(#|0X)[0-9A-F]{6}$/.test(colorName)) {
+        return parseInt(colorName.replace('#', '0X'), 16);
+      }
     }
 
-    // Equal to tempSpecular === undefined || tempSpecular === null
-    if (tempSpecular != null) {
-      config.specular = tempSpecular;
+    throw new TypeError(`${this.Text.COLOR_ERROR}: ${paramColor}`);
+  };
+
+  /**
+   * @description This function formats the inputted entry's value of an
+   * inspector field for display in that field's inputs. Colors are formatted
+   * as CSS hex strings, as expected by color pickers, and transformations as
+   * indented JSON.
+   *
+   * @param {object} paramField Entry of inaccessible.inspectorFieldData
+   * @param {object} paramEntry
+   * @returns {string|!Array<number>}
+   */
+  inaccessible.getInspectorFieldValue = function (paramField, paramEntry) {
+
+    // Declaration
+    let value;
+
+    // Definition
+    value = paramEntry[paramField.property];
+
+    switch (paramField.inputType) {
+      case 'color':
+        return `#${new THREE.Color(value || this.Colors.BLACK).getHexString()}`;
+      case 'vector':
+        return value;
+      case 'json':
+        return JSON.stringify(value, null, 2);
+      default:
+        return (value == null) ? '' : String(value);
     }
+  };
 
-    // Create geometry type, passing config array as arguments
-    newGeometry = new THREE[tempGeometry](...tempGeometryConfig);
+  /**
+   * @description This function reads the value entered into an inspector
+   * field's inputs, converting it into the form stored in scene element
+   * entries. An empty number input clears the property, while non-numeric
+   * coordinates and malformed JSON throw errors.
+   *
+   * @param {object} paramField Entry of inaccessible.inspectorFieldData
+   * @param {HTMLElement} paramElement Field wrapper element
+   * @returns {*}
+   */
+  inaccessible.getInspectorFieldInput = function (paramField, paramElement) {
 
-    // Create new mesh material
-    newMeshMaterial = new THREE[tempMeshMaterial](config);
+    // Declarations
+    let inputs, values;
 
-    // Create new object node
-    newObject = new THREE.Object3D();
+    // Definition
+    inputs = paramElement.querySelectorAll('input, select, textarea');
 
-    // Define mesh given geometry and material assembled above
-    newMesh = new THREE.Mesh(newGeometry, newMeshMaterial);
+    switch (paramField.inputType) {
+      case 'vector':
+        values = Array.prototype.map.call(inputs, function (input) {
+          return parseFloat(input.value);
+        });
 
-    // Equal to tempPositionCoords === undefined || tempPositionCoords === null
-    if (tempPositionCoords != null && tempPositionCoords.length === 3) {
-      newMesh.position.set(...tempPositionCoords);
-    }
+        if (values.some(isNaN)) {
+          throw new TypeError(`${this.Text.SCENE_ENTRY_ERROR}: ` +
+              paramField.property);
+        }
 
-    // Equal to tempRotateCoords === undefined || tempRotateCoords === null
-    if (tempRotateCoords != null && tempRotateCoords.length === 3) {
-      newMesh.rotation.set(...tempRotateCoords);
+        return values;
+      case 'number':
+        return (inputs[0].value === '') ? null : Number(inputs[0].value);
+      case 'json':
+        return JSON.parse(inputs[0].value);
+      default:
+        return inputs[0].value;
     }
-
-    // Add mesh and object node as object properties to be added together later
-    paramObject.mesh = newMesh;
-    paramObject.object = newObject;
   };
 
   /**
-   * @description This function is responsible for assembling each of the
-   * interface checkbox elements used to toggle the animation of various scene
-   * components visible in the <code>canvas</code>. Each light source and scene
-   * object has its own checkbox (and own label) in the sidebar, styled like a
-   * <code>JToggleButton</code> depending on its clicked/changed state. Each
-   * element has its own unique id consisting of its name with an appended
-   * randomly generated integer to permit the addition of multiple instances of
-   * a single shape type to the interface without the risk of multiple ids
-   * existing in the sidebar.
+   * @description This function casts a ray from the camera through the
+   * inputted client coordinates of the <code>canvas</code>, returning the entry
+   * of the nearest scene element mesh it passes through, or <code>null</code>
+   * if it passes through none.
    *
-   * @param {object} paramObject
-   * @param {string} paramListener Representation of handler signature
-   * @returns {void}
+   * @param {number} paramClientX
+   * @param {number} paramClientY
+   * @returns {?object}
    */
-  inaccessible.assembleCheckBoxElement = function (paramObject, paramListener) {
+  inaccessible.getEntryAtPoint = function (paramClientX, paramClientY) {
 
     // Declarations
-    let that, checkBoxListElement, checkBoxConfig, labelConfig, elementId,
-      tempName, numberId, aliasIds;
-
-    // Preserve scope context
-    that = this;
+    let rect, point, raycaster, meshes, hits;
 
-    // Splits at capital letters for better wording (i.e. RedLight -> Red Light)
-    tempName = paramObject.itemType.split(/(?=[A-Z])/).join(' ');
+    // Definitions
+    rect = this.canvas.getBoundingClientRect();
+    point = new THREE.Vector2(
+      (paramClientX - rect.left) / rect.width * 2 - 1,
+      -(paramClientY - rect.top) / rect.height * 2 + 1
+    );
+    raycaster = new THREE.Raycaster();
+    meshes = this.sceneElementData.map(function (entry) {
+      return entry.mesh;
+    });
 
-    // Unique id in case of multiples of same object type
-    numberId = this.getRandomNumberForId(0, 50);
+    // Matrices may be stale if nothing has been rendered since the last change
+    this.scene.updateMatrixWorld();
+    this.camera.updateMatrixWorld();
+    raycaster.setFromCamera(point, this.camera);
+    hits = raycaster.intersectObjects(meshes);
 
-    // Template literal for element id, i.e. #toggleTorus15
-    elementId = `toggle${tempName}${numberId}`;
+    return (hits.length)
+        ? this.sceneElementData[meshes.indexOf(hits[0].object)]
+        : null;
+  };
 
-    // Styleguide permits aliasing enums, see styleguide #2 linked above
-    aliasIds = this.Identifiers;
+  /**
+   * @description This function returns the position, in pixels from the top
+   * left of the <code>canvas</code>, at which the origin of the inputted object
+   * was drawn in the last render, along with whether that point lies within the
+   * camera's view.
+   *
+   * @param {THREE.Object3D} paramObject
+   * @returns {{x: number, y: number, isVisible: boolean}}
+   */
+  inaccessible.getScreenPosition = function (paramObject) {
 
-    // Checkbox properties
-    checkBoxConfig = {
-      type: 'checkbox',
-      id: elementId,
-      class: this.Identifiers.CHECKBOX_CLASS,
-      name: elementId,
-      checked: paramObject.isAnimated,
-    };
+    // Declarations
+    let point, width, height;
 
-    // Label properties
-    labelConfig = {
-      for: elementId,
-      id: `${elementId}-label`,
-      class: `${aliasIds.LABEL_CLASS} ${aliasIds.SIDEBAR_ELEMENT_CLASS}`,
+    // Definitions
+    point = paramObject.getWorldPosition(new THREE.Vector3())
+        .project(this.camera);
+
+    // Without layout (i.e. in tests), fall back on the drawing buffer size
+    width = this.canvas.clientWidth || this.canvas.width;
+    height = this.canvas.clientHeight || this.canvas.height;
+
+    return {
+      x: (point.x + 1) / 2 * width,
+      y: (1 - point.y) / 2 * height,
+      isVisible: Math.abs(point.x) <= 1 && Math.abs(point.y) <= 1 &&
+          Math.abs(point.z) <= 1,
     };
+  };
 
-    // Creates <input> and <label> elements inside a <div> container
-    checkBoxListElement = this.assembleElement(['div', {},
-        ['input', checkBoxConfig, ''],
-        ['label', labelConfig, `${this.Text.LABEL} ${tempName}`]]);
+  /**
+   * @description This function returns the size at which the
+   * <code>canvas</code> should be displayed, namely that of its wrapper in the
+   * responsive layout or in fullscreen mode, and the fixed 640x480 otherwise.
+   *
+   * @returns {{width: number, height: number, isResponsive: boolean}}
+   */
+  inaccessible.getCanvasSize = function () {
 
-    // Add <div> container to <form> container/holder/wrapper/thingie
-    this.append(aliasIds.FORM_ID, checkBoxListElement);
+    // Declarations
+    let holder, isResponsive;
 
-    // Add toggle listener, passing object reference as argument
-    document.getElementById(elementId).addEventListener('change', function () {
-      that[paramListener](paramObject);
-    }, false);
+    // Definitions
+    holder = this.root.getElementById(this.Identifiers.CANVAS_HOLDER_ID);
+    isResponsive = this.viewerOptions.responsive ||
+        (this.root.fullscreenElement != null &&
+            this.root.fullscreenElement === holder);
+
+    return (isResponsive)
+        ? {
+          width: holder.clientWidth,
+          height: holder.clientHeight,
+          isResponsive: true,
+        }
+        : {
+          width: this.Utility.CANVAS_WIDTH,
+          height: this.Utility.CANVAS_HEIGHT,
+          isResponsive: false,
+        };
   };
 
   /**
-   * @description This function, like
-   * <code>inaccessible.assembleCheckBoxElement</code> above it, is used to
-   * build button elements to be used to trigger certain events in the interface
-   * on click. However, it is simplified in some respects; as it unlikely that
-   * multiple instances of the same button will be added to the interface, no
-   * unique id containing a randomly generated number has been created. Instead,
-   * only the button name with a prepended "button" is used to create the id.
+   * @description This function offers the inputted <code>Blob</code> to the
+   * user as a downloadable file by way of a temporary link element. Exports
+   * still under way when the viewer is destroyed are dropped instead.
    *
-   * @param {object} paramObject
+   * @param {Blob} paramBlob
+   * @param {string} paramFileName
    * @returns {void}
    */
-  inaccessible.assembleButtonElement = function (paramObject) {
+  inaccessible.downloadBlob = function (paramBlob, paramFileName) {
 
     // Declarations
-    let that, elementId, tempName, buttonConfig, buttonElement, aliasIds;
+    let url, link;
+
+    if (this.isDestroyed) {
+      return;
+    }
 
     // Definitions
-    that = this;
-    tempName = paramObject.buttonType;
-    elementId = `button${tempName}`;
+    url = window.URL.createObjectURL(paramBlob);
+    link = this.assembleElement(['a', {
+      href: url,
+      download: paramFileName,
+    }, '']);
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+  };
 
-    // Styleguide permits aliasing enums, see styleguide #2 linked above
-    aliasIds = this.Identifiers;
+  /**
+   * @description This function encodes the contents of the
+   * <code>canvas</code> as a PNG image. It must be called in the same task as
+   * the render it is to capture, as the WebGL drawing buffer is cleared once
+   * the browser has composited it.
+   *
+   * @returns {Promise<Blob>}
+   */
+  inaccessible.getCanvasBlob = function () {
 
-    // Button properties
-    buttonConfig = {
-      id: elementId,
-      class: `${aliasIds.BUTTON_CLASS} ${aliasIds.SIDEBAR_ELEMENT_CLASS}`,
-    };
-
-    // <button> inside <div> wrapper
-    buttonElement = this.assembleElement(['div', {},
-        ['button', buttonConfig, tempName]]);
+    // Declaration
+    let that;
 
-    // Add to button module
-    this.append(aliasIds.BUTTON_HOLDER_ID, buttonElement);
+    // Definition
+    that = this;
 
-    document.getElementById(elementId).addEventListener('click', function () {
-      that[paramObject.functionName](...paramObject.functionArguments);
-    }, false);
+    return new Promise(function (resolve) {
+      that.canvas.toBlob(resolve, 'image/png');
+    });
   };
 
   /**
-   * @description This function makes significant use of the DOM element builder
-   * <code>inaccessible.assembleElement</code>'s recursive functionality to
-   * construct many levels of nested elements. This function mainly just fills
-   * the otherwise empty <code>body</code> tag with a container wrapper
-   * <code>div</code>, a set of sidebar containers for checkboxes and buttons,
-   * and a <code>div</code> wrapper for the <code>canvas</code> itself. It is
-   * to these DOM nodes that the rest of the elements are assembled dynamically
-   * and added to the wrapper.
+   * @description This function reads the resolution multiple, frame count, and
+   * frame rate chosen in the export panel, falling back on the defaults in
+   * <code>inaccessible.Utility</code> for empty or invalid inputs.
    *
-   * @returns {void}
+   * @returns {{scale: number, frameCount: number, frameRate: number}}
    */
-  inaccessible.assembleBodyFramework = function () {
+  inaccessible.getExportSettings = function () {
 
-    let container, canvasHolder, sidebarInterface, aliasIds;
+    // Declarations
+    let aliasIds, scale, frameCount, frameRate;
 
-    // Styleguide permits aliasing enums, see styleguide #2 linked above
+    // Definitions
     aliasIds = this.Identifiers;
+    scale = Number(this.root.getElementById(aliasIds.EXPORT_SCALE_ID).value);
+    frameCount = parseInt(
+        this.root.getElementById(aliasIds.EXPORT_FRAME_COUNT_ID).value, 10);
+    frameRate = Number(
+        this.root.getElementById(aliasIds.EXPORT_FRAME_RATE_ID).value);
+
+    return {
+      scale: (scale > 0) ? scale : 1,
+      frameCount: (frameCount > 0) ? frameCount :
+          this.Utility.EXPORT_FRAME_COUNT,
+      frameRate: (frameRate > 0) ? frameRate : this.Utility.EXPORT_FRAME_RATE,
+    };
+  };
 
-    // Container wrapper and config
-    container = this.assembleElement(['div', {id: aliasIds.CONTAINER_ID}, '']);
-    container.style.opacity = 0;
+  /**
+   * @description This function returns the world space point at which the
+   * camera ought to be looking, namely the center of the followed scene
+   * element if there is one, or the origin otherwise. The model's matrices are
+   * brought up to date first, as the element may have moved since the last
+   * render.
+   *
+   * @returns {THREE.Vector3}
+   */
+  inaccessible.getCameraTarget = function () {
+    if (this.followedEntry == null) {
+      return new THREE.Vector3();
+    }
 
-    // Left-hand sidebar
-    sidebarInterface = this.assembleElement(
+    this.model.updateMatrixWorld(true);
+    return this.followedEntry.mesh.getWorldPosition(new THREE.Vector3());
+  };
 
-      // Sidebar container
-      ['div', {id: aliasIds.SIDEBAR_ID, class: aliasIds.CONTAINER_MODULE},
+  /**
+   * @description This function returns the orientation of the camera for the
+   * camera preset of the inputted name in <code>cameraPresetData</code>, i.e.
+   * the rotation that points the camera from the preset's direction back at
+   * the point it looks at, with the preset's up direction at the top.
+   *
+   * @param {string} paramPresetName
+   * @returns {THREE.Quaternion}
+   */
+  inaccessible.getCameraPresetQuaternion = function (paramPresetName) {
 
-      // Checkbox module container
-      ['form', {id: aliasIds.FORM_ID, class: aliasIds.SIDEBAR_MODULE_CLASS},
+    // Declaration
+    let preset;
 
-      // Checkbox module header
-      ['div', {class: aliasIds.HEADER_CLASS}, this.Text.CHECKBOXES_HEADER]],
+    // Definition
+    preset = this.cameraPresetData.find(function (entry) {
+      return entry.presetName === paramPresetName;
+    });
 
-      // Button module container
-      ['div', {id: aliasIds.BUTTON_HOLDER_ID,
-          class: aliasIds.SIDEBAR_MODULE_CLASS},
+    return new THREE.Quaternion().setFromRotationMatrix(
+        new THREE.Matrix4().lookAt(new THREE.Vector3(...preset.direction),
+            new THREE.Vector3(), new THREE.Vector3(...preset.up)));
+  };
 
-      // Button module header
-      ['div', {class: aliasIds.HEADER_CLASS}, this.Text.BUTTON_HOLDER_HEADER]]]
-    );
+  /**
+   * @description This function summarizes the key properties of a scene
+   * element entry for display in its hover tooltip, namely its geometry (or
+   * the file name of its model), material, and color, i.e. "Torus, Lambert,
+   * #1E90FF."
+   *
+   * @param {object} paramEntry
+   * @returns {string}
+   */
+  inaccessible.getEntryDescription = function (paramEntry) {
+    return [
+      (paramEntry.model != null)
+          ? paramEntry.model.split(/[\\/]/).pop()
+          : paramEntry.geometry.replace(/Geometry$/, ''),
+      paramEntry.meshMaterial.replace(/^Mesh|Material$/g, ''),
+      `#${new THREE.Color(paramEntry.colorType).getHexString().toUpperCase()}`,
+    ].join(', ');
+  };
 
-    // Wrapper for the canvas scene
-    canvasHolder = this.assembleElement(['div',
-        {id: aliasIds.CANVAS_HOLDER_ID, class: aliasIds.CONTAINER_MODULE}, '']);
+  /**
+   * @description This function returns the entry among the inputted ones (by
+   * default those of <code>inaccessible.sceneElementData</code>) that the
+   * inputted scene element entry names as its <code>parent</code>, by id or
+   * by hierarchy key, or <code>null</code> for elements at the top of the
+   * hierarchy.
+   *
+   * @param {object} paramEntry
+   * @param {!Array<object>=} paramEntries
+   * @returns {?object}
+   */
+  inaccessible.getParentEntry = function (paramEntry, paramEntries) {
 
-    // Add container to empty body tag
-    document.body.appendChild(container);
+    // Equal to paramEntry.parent === undefined || paramEntry.parent === null
+    if (paramEntry.parent == null) {
+      return null;
+    }
 
-    // Add sidebar to left hand side
-    this.append(aliasIds.CONTAINER_ID, sidebarInterface);
+    return (paramEntries || this.sceneElementData).find(function (item) {
+      return item.id === paramEntry.parent ||
+          (item.hierarchyKey != null &&
+          item.hierarchyKey === paramEntry.parent);
+    }) || null;
+  };
 
-    // Add canvas to center-right
-    this.append(aliasIds.CONTAINER_ID, canvasHolder);
+  /**
+   * @description This function returns the entries of
+   * <code>inaccessible.sceneElementData</code> nested directly inside the
+   * inputted scene element entry.
+   *
+   * @param {object} paramEntry
+   * @returns {!Array<object>}
+   */
+  inaccessible.getChildEntries = function (paramEntry) {
+    return this.sceneElementData.filter(function (item) {
+      return paramEntry.id != null && item.parent === paramEntry.id;
+    });
   };
 
   /**
-   * @description This builder utility function simply takes one of the
-   * <code>inaccessible</code> arrays of objects and iterates over its contents,
-   * passing each object entry to the assembly method responsible for creating
-   * the in-scene element (either light or shape) and its associated sidebar
-   * checkbox DOM element used to toggle its animation or display.
+   * @description This function determines whether a scene element is to be
+   * animated, which it is only while both it and every element it is nested
+   * inside are toggled on. Toggling a parent off thus pauses its whole
+   * subtree, while each element keeps its own <code>isAnimated</code> state
+   * for when the parent is toggled on again.
    *
-   * @param {!Array<object>} paramDataSource
-   * @param {string} paramAssemblyFunction Representation of assembly function
-   *    signature
-   * @param {string} listenerName Representation of listener function signature
-   * @returns {void}
+   * @param {object} paramEntry
+   * @param {!Array<object>=} paramEntries
+   * @returns {boolean}
    */
-  inaccessible.assembleElementsAndCheckboxes = function (paramDataSource,
-      paramAssemblyFunction, listenerName) {
+  inaccessible.isEntryAnimated = function (paramEntry, paramEntries) {
 
     // Declaration
-    let that;
+    let parent;
 
     // Definition
-    that = this;
+    parent = this.getParentEntry(paramEntry, paramEntries);
 
-    // Builds both a checkbox element and a scene element/light source
-    this[paramDataSource].forEach(function (entry) {
-      that[paramAssemblyFunction](entry);
-      that.assembleCheckBoxElement(entry, listenerName);
-    });
+    return paramEntry.isAnimated &&
+        (parent == null || this.isEntryAnimated(parent, paramEntries));
   };
 
   /**
-   * @description This assembly function was built to consolidate all the major
-   * elements of the program previously contained in the body of
-   * <code>inaccessible.main</code> and assemble them in a logical fashion,
-   * making it easier to see at a glance what is being built and configured. The
-   * config objects themselves are placed in temporary variables to make it
-   * easier to view and adjust their individual properties.
+   * @description This function returns the node to which a scene element's
+   * object node is added, namely its parent's mesh, inside which it inherits
+   * the parent's position, rotation, and animation, or the model itself for
+   * elements at the top of the hierarchy.
    *
-   * @returns {void}
+   * @param {object} paramEntry
+   * @returns {THREE.Object3D}
    */
-  inaccessible.assembleMajorComponents = function () {
+  inaccessible.getSceneElementContainer = function (paramEntry) {
+
+    // Declaration
+    let parent;
+
+    // Definition
+    parent = this.getParentEntry(paramEntry);
+
+    return (parent != null) ? parent.mesh : this.model;
+  };
+
+  /**
+   * @description This function returns the time in seconds after which a
+   * single transformation repeats itself, or <code>null</code> if it never
+   * does (i.e. keyframe tracks played only <code>once</code>, or rotations of
+   * zero). Per-frame rotations repeat after a full turn, while the periods of
+   * orbits and oscillations are given outright.
+   *
+   * @param {object} paramTransformation
+   * @returns {?number}
+   */
+  inaccessible.getTransformationPeriod = function (paramTransformation) {
 
     // Declarations
-    let canvasConfig, rendererConfig, cameraConfig;
+    let keyframes, duration;
 
-    // Canvas (canvas wrapper should have already been built)
-    canvasConfig = {
-      id: this.Identifiers.CANVAS_ID,
-      width: this.Utility.CANVAS_WIDTH,
-      height: this.Utility.CANVAS_HEIGHT,
-    };
-    this.canvas = this.assembleElement(['canvas', canvasConfig, '']);
-    this.append(this.Identifiers.CANVAS_HOLDER_ID, this.canvas);
+    if (paramTransformation.type == null) {
+      return (paramTransformation.rotationAmount !== 0)
+          ? 2 * Math.PI / Math.abs(paramTransformation.rotationAmount) /
+              this.Utility.FRAMES_PER_SECOND
+          : null;
+    }
 
-    // Renderer
-    rendererConfig = {
-      canvas: this.canvas,
-      antialias: true,
-    };
-    this.renderer = new THREE.WebGLRenderer(rendererConfig);
-    this.renderer.setClearColor(this.Colors.GRAY);
+    if (paramTransformation.type !== 'keyframes') {
+      return Math.abs(paramTransformation.period);
+    }
 
-    // Camera
-    cameraConfig = [
-      this.Utility.CAMERA_FOV,
-      4/3, // Aspect ratio for 640:480 as per rubric
-      this.Utility.FRUSTRUM_NEAR_PLANE,
-      this.Utility.FRUSTRUM_FAR_PLANE,
-    ];
-    this.camera = new THREE.PerspectiveCamera(...cameraConfig);
-    this.camera.position.z = this.Utility.Z_AXIS_CAMERA_POSITION;
+    // Definitions
+    keyframes = paramTransformation.keyframes;
+    duration = keyframes[keyframes.length - 1].time - keyframes[0].time;
 
-    // Other element initializations
-    this.scene = new THREE.Scene();
-    this.model = new THREE.Object3D();
+    if (duration <= 0 || paramTransformation.loop === 'once') {
+      return null;
+    }
+
+    return (paramTransformation.loop === 'pingPong') ? 2 * duration : duration;
   };
 
   /**
-   * @description This function, originally a member of the Project 3 template
-   * file named <code>createWorld</code>, is used to assemble all the elements
-   * related to the <code>canvas</code>-mediated scene, building each light
-   * source and scene object and their associated sidebar checkboxes, setting
-   * the keystroke event listener, assembling the assorted buttons, and finally
-   * adding the meshes to their associated <code>Object3D</code> node thingies.
-   * The completed model is then added to the scene.
+   * @description This function returns the length in seconds of a full period
+   * of the inputted scene elements' animation, after which every animated
+   * element is back where it started. This is the least common multiple of the
+   * periods of their transformations, found by trying successive multiples of
+   * the periods gathered so far until one is also a whole multiple of the next.
+   * As periods need not share any such multiple, the search gives up after
+   * <code>Utility.CLIPPING_MAX_PERIOD_MULTIPLE</code> tries and settles for the
+   * longer of the two periods, so that each transformation at least plays out
+   * in full. Keyframe tracks that play only once are covered by
+   * stretching the period until they've finished, if need be.
    *
-   * @see modeling-starter.createWorld
-   * @returns {void}
+   * @param {!Array<object>} paramEntries
+   * @returns {number}
    */
-  inaccessible.assembleScene = function () {
+  inaccessible.getAnimationPeriod = function (paramEntries) {
 
-    // Declaration
-    let that;
+    // Declarations
+    let that, aliasUtility, period, finish;
 
-    // Definition
+    // Definitions
     that = this;
+    aliasUtility = this.Utility;
+    period = 0;
+    finish = 0;
 
-    // Build all six shapes and their checkboxes
-    this.assembleElementsAndCheckboxes('sceneElementData',
-        'assembleSceneElement', 'handleSceneElementCheckboxChanges');
+    paramEntries.forEach(function (entry) {
+      if (!entry.isAnimated) {
+        return;
+      }
 
-    // Build light sources and their checkboxes
-    this.assembleElementsAndCheckboxes('sceneLightData', 'assembleLightSource',
-        'handleLightSourceCheckboxChanges');
+      entry.transformations.forEach(function (transformation) {
 
-    // Set keystroke handler
-    document.addEventListener('keydown', this.handleKeyPress.bind(this), false);
+        // Declarations
+        let next, multiple, ratio;
 
-    // Build all sidebar buttons used to manipulate program
-    this.sidebarButtonData.forEach(function (button) {
-      that.assembleButtonElement(button);
-    });
+        // Definition
+        next = that.getTransformationPeriod(transformation);
 
-    // Add meshes to object nodes for each shape entry, then add node to model
-    this.sceneElementData.forEach(function (entry) {
-      entry.object.add(entry.mesh);
-      that.model.add(entry.object);
-    });
+        if (next == null) {
+          if (transformation.type === 'keyframes') {
+            finish = Math.max(finish, (transformation.offset || 0) +
+                transformation.keyframes[transformation.keyframes.length - 1]
+                    .time);
+          }
 
-    // Set default transforms to scene
-    this.handleSettingOfDefaultTransforms();
+          return;
+        }
 
-    // Add model to scene
-    this.scene.add(this.model);
+        if (period === 0) {
+          period = next;
+          return;
+        }
+
+        for (multiple = 1;
+            multiple <= aliasUtility.CLIPPING_MAX_PERIOD_MULTIPLE; multiple++) {
+          ratio = period * multiple / next;
+
+          if (Math.abs(ratio - Math.round(ratio)) <=
+              aliasUtility.CLIPPING_PERIOD_TOLERANCE * ratio) {
+            period *= multiple;
+            return;
+          }
+        }
+
+        period = Math.max(period, next);
+      });
+    });
+
+    return Math.max(period, finish);
   };
 
   /**
-   * @description This function was based on the Project 3 template file's main
-   * <code>init</code> function, used to define important objects and begin the
-   * rendering and display process. As the name "init" was reserved for the sole
-   * external-facing function <code>accessible.init</code> called by the body
-   * on completion of DOM load, the refactored function was thus renamed to
-   * "main."
+   * @description This function returns the faces of a geometry as an array of
+   * <code>THREE.Triangle</code>s in the geometry's local space. Both the
+   * original <code>THREE.Geometry</code> classes used by the scene elements and
+   * the indexed or unindexed <code>THREE.BufferGeometry</code> classes are
+   * handled. Degenerate faces, like those at the poles of a sphere, are left
+   * out, as they have no inside to clip into.
    *
-   * @see modeling-starter.init
-   * @returns {void}
+   * @param {THREE.Geometry|THREE.BufferGeometry} paramGeometry
+   * @returns {!Array<THREE.Triangle>}
    */
-  inaccessible.main = function () {
+  inaccessible.getGeometryTriangles = function (paramGeometry) {
 
-    try {
+    // Declarations
+    let triangles, vertices, positions, index, count, corners, i;
 
-      // Dynamically assemble HTML skeleton framework in body
-      this.assembleBodyFramework();
+    // Definition
+    triangles = [];
 
-      // Define Camera, Scene, Renderer, etc.
-      this.assembleMajorComponents();
+    if (paramGeometry.isGeometry) {
+      vertices = paramGeometry.vertices;
 
-      // Set object-global boolean property related to animation running
-      this.isSceneAnimated = false;
+      paramGeometry.faces.forEach(function (face) {
+        triangles.push(new THREE.Triangle(vertices[face.a].clone(),
+            vertices[face.b].clone(), vertices[face.c].clone()));
+      });
+    } else {
+      positions = paramGeometry.attributes.position;
+      index = paramGeometry.index;
+      count = (index != null) ? index.count : positions.count;
+
+      for (i = 0; i + 2 < count; i += 3) {
+        corners = [i, i + 1, i + 2].map(function (vertex) {
+          return new THREE.Vector3().fromBufferAttribute(positions,
+              (index != null) ? index.getX(vertex) : vertex);
+        });
 
-      // Build lights/objects, checkboxes, buttons; add meshes to nodes, etc.
-      this.assembleScene();
+        triangles.push(new THREE.Triangle(...corners));
+      }
+    }
 
-      // Repaint and render scene
-      this.render();
+    return triangles.filter(function (triangle) {
+      return triangle.getArea() > 0;
+    });
+  };
+
+  /**
+   * @description This function checks whether WebGL can actually be used
+   * before any renderer is built, distinguishing between browsers that lack
+   * WebGL entirely and those in which it exists but could not be started, i.e.
+   * due to a blocklisted graphics card or driver. A scratch canvas is used so
+   * that the real one may still be given a 2D context should the check fail.
+   * The browser's own explanation, if it offers one via the
+   * <code>webglcontextcreationerror</code> event, is included in the reason.
+   *
+   * @returns {object} support
+   */
+  inaccessible.getWebGLSupport = function () {
+
+    // Declarations
+    let canvas, context, statusMessage, extension;
+
+    if (typeof window.WebGLRenderingContext !== 'function') {
+      return {isSupported: false, reason: this.Text.WEBGL_UNSUPPORTED};
+    }
+
+    // Definitions
+    canvas = document.createElement('canvas');
+    statusMessage = null;
+
+    canvas.addEventListener('webglcontextcreationerror', function (event) {
+      statusMessage = event.statusMessage || null;
+    }, false);
 
+    try {
+      context = canvas.getContext('webgl') ||
+          canvas.getContext('experimental-webgl');
     } catch (e) {
-      if (DEBUG) {
-        console.warn(e);
-      }
+      context = null;
+      statusMessage = e.message;
+    }
+
+    if (context == null) {
+      return {
+        isSupported: false,
+        reason: (statusMessage != null)
+            ? `${this.Text.WEBGL_DISABLED} (${statusMessage})`
+            : this.Text.WEBGL_DISABLED,
+      };
+    }
 
-      // Remove any half-assembled content from container wrapper
-      this.emptyElementOfContent(this.Identifiers.CONTAINER_ID);
+    // Free the scratch context rather than wait for garbage collection
+    extension = context.getExtension('WEBGL_lose_context');
 
-      // Add an error message to container (from template file)
-      this.append(this.Identifiers.CONTAINER_ID, this.assembleElement(['h3',
-          ['b', this.Text.WEBGL_ERROR]]));
+    if (extension != null) {
+      extension.loseContext();
     }
 
-    // Regardless of the success/error status, we fade in on assembled GUI
-    this.fadeIn(this.Identifiers.CONTAINER_ID);
+    return {isSupported: true, reason: null};
   };
 
-  // init
+  /**
+   * @description This function returns the world space triangles of one of
+   * the clipping checker's element copies at its current pose, each paired with
+   * its bounding box. As these are only needed for the frames in which the
+   * copy's bounding box meets another's, they are computed on demand and kept
+   * until the next frame.
+   *
+   * @param {object} paramProxy
+   * @returns {!Array<object>}
+   */
+  inaccessible.getWorldTriangles = function (paramProxy) {
+
+    // Declaration
+    let matrix;
+
+    if (paramProxy.worldTriangles == null) {
+      matrix = paramProxy.mesh.matrixWorld;
+
+      paramProxy.worldTriangles = paramProxy.triangles.map(function (local) {
+
+        // Declaration
+        let triangle;
+
+        // Definition
+        triangle = new THREE.Triangle(local.a.clone().applyMatrix4(matrix),
+            local.b.clone().applyMatrix4(matrix),
+            local.c.clone().applyMatrix4(matrix));
+
+        return {
+          triangle: triangle,
+          box: new THREE.Box3().setFromPoints([triangle.a, triangle.b,
+              triangle.c]),
+        };
+      });
+    }
+
+    return paramProxy.worldTriangles;
+  };
 
   /**
-   * The sole function of the <code>accessible</code> access scope object
-   * namespace, <code>init</code> is called on the completion of the loading
-   * of the HTML <code>body</code> element. This method is the only externally
-   * accessible function or variable of the <code>ProjectThreeModule</code>
-   * module, and simply calls <code>inaccessible.main</code> to get the program
-   * started.
+   * @description This function checks whether the line segment between the
+   * two inputted points passes through the inputted triangle.
    *
-   * @returns {void}
+   * @param {THREE.Vector3} paramStart
+   * @param {THREE.Vector3} paramEnd
+   * @param {THREE.Triangle} paramTriangle
+   * @returns {boolean}
    */
-  accessible.init = function () {
-    inaccessible.main();
+  inaccessible.isSegmentCrossingTriangle = function (paramStart, paramEnd,
+      paramTriangle) {
+
+    // Declarations
+    let length, ray, hit;
+
+    // Definitions
+    length = paramStart.distanceTo(paramEnd);
+
+    if (length === 0) {
+      return false;
+    }
+
+    ray = new THREE.Ray(paramStart,
+        paramEnd.clone().sub(paramStart).divideScalar(length));
+    hit = ray.intersectTriangle(paramTriangle.a, paramTriangle.b,
+        paramTriangle.c, false, new THREE.Vector3());
+
+    return hit != null && hit.distanceTo(paramStart) <= length;
+  };
+
+  /**
+   * @description This function checks whether two triangles intersect. Barring
+   * the edge case of coplanar triangles, which merely touch, two triangles
+   * intersect if and only if an edge of one passes through the other.
+   *
+   * @param {THREE.Triangle} paramFirst
+   * @param {THREE.Triangle} paramSecond
+   * @returns {boolean}
+   */
+  inaccessible.isTrianglePairIntersecting = function (paramFirst,
+      paramSecond) {
+
+    // Declaration
+    let that;
+
+    // Definition
+    that = this;
+
+    return [[paramFirst, paramSecond], [paramSecond, paramFirst]].some(
+        function (pair) {
+      return [['a', 'b'], ['b', 'c'], ['c', 'a']].some(function (edge) {
+        return that.isSegmentCrossingTriangle(pair[0][edge[0]],
+            pair[0][edge[1]], pair[1]);
+      });
+    });
+  };
+
+  /**
+   * @description This function checks whether a point lies inside the closed
+   * surface of one of the clipping checker's element copies, by counting the
+   * number of its triangles crossed by a ray cast from the point. An odd count
+   * means the ray started inside. The ray's direction is deliberately lopsided
+   * so as to rarely graze the edges shared by neighboring triangles.
+   *
+   * @param {THREE.Vector3} paramPoint
+   * @param {object} paramProxy
+   * @returns {boolean}
+   */
+  inaccessible.isPointInsideProxy = function (paramPoint, paramProxy) {
+
+    // Declarations
+    let ray, target, crossings;
+
+    // Definitions
+    ray = new THREE.Ray(paramPoint, new THREE.Vector3(
+        ...this.Utility.CLIPPING_RAY_DIRECTION).normalize());
+    target = new THREE.Vector3();
+    crossings = this.getWorldTriangles(paramProxy).filter(function (item) {
+      return ray.intersectTriangle(item.triangle.a, item.triangle.b,
+          item.triangle.c, false, target) != null;
+    }).length;
+
+    return crossings % 2 === 1;
+  };
+
+  /**
+   * @description This function checks whether two of the clipping checker's
+   * element copies interpenetrate at their current poses, assuming that their
+   * bounding boxes have already been found to overlap. Only the triangles of
+   * each that lie in the overlap of the two boxes can possibly intersect, so
+   * only those are tested against one another, first by their own bounding
+   * boxes and then in earnest. Failing that, one copy may still lie wholly
+   * inside the other, which is checked for if its bounding box does.
+   *
+   * @param {object} paramFirst
+   * @param {object} paramSecond
+   * @returns {boolean}
+   */
+  inaccessible.isProxyPairClipping = function (paramFirst, paramSecond) {
+
+    // Declarations
+    let that, overlap, firstTriangles, secondTriangles;
+
+    // Definitions
+    that = this;
+    overlap = paramFirst.box.clone().intersect(paramSecond.box);
+    firstTriangles = this.getWorldTriangles(paramFirst).filter(function (item) {
+      return item.box.intersectsBox(overlap);
+    });
+    secondTriangles = this.getWorldTriangles(paramSecond).filter(
+        function (item) {
+      return item.box.intersectsBox(overlap);
+    });
+
+    if (firstTriangles.some(function (first) {
+      return secondTriangles.some(function (second) {
+        return first.box.intersectsBox(second.box) &&
+            that.isTrianglePairIntersecting(first.triangle, second.triangle);
+      });
+    })) {
+      return true;
+    }
+
+    return [[paramFirst, paramSecond], [paramSecond, paramFirst]].some(
+        function (pair) {
+      return pair[1].box.containsBox(pair[0].box) &&
+          pair[0].triangles.length > 0 &&
+          that.isPointInsideProxy(that.getWorldTriangles(pair[0])[0].triangle.a,
+              pair[1]);
+    });
+  };
+
+  /**
+   * @description This function simulates a full period of the scene elements'
+   * animation, as given by <code>inaccessible.getAnimationPeriod</code>,
+   * without rendering anything, and reports every frame in which any two
+   * elements interpenetrate. Copies of the elements are stepped through the
+   * period one 60 Hz frame (or <code>frameStep</code> frames) at a time, so
+   * the live scene is left untouched. Pairs whose bounding boxes overlap in a
+   * frame are then tested triangle by triangle.
+   * <br />
+   * <br />
+   * If a scene description is passed, its <code>elements</code> are checked
+   * from their starting poses. Otherwise, the current scene is checked from
+   * its current poses, or the built-in scene if it hasn't been assembled yet.
+   * As no DOM is needed, the function works just as well in Node as in the
+   * browser. Each collision listed in the report names the two elements, by
+   * index, id (once assembled), and type, and lists the frames, counted from
+   * the start of the check, in which they clip, both as an array and as the
+   * readable ranges of <code>inaccessible.getFrameRanges</code>.
+   *
+   * @param {?object=} paramScene
+   * @param {?object=} paramOptions <code>frameStep</code> and/or
+   *    <code>frameCount</code>, overriding the full period
+   * @returns {object} report
+   */
+  inaccessible.getClippingReport = function (paramScene, paramOptions) {
+
+    // Declarations
+    let that, options, entries, proxies, period, frameCount, collisions,
+      frame, point;
+
+    // Definitions
+    that = this;
+    options = Object.assign({
+      frameStep: this.Utility.CLIPPING_FRAME_STEP,
+      frameCount: null,
+    }, paramOptions);
+    entries = (paramScene != null && paramScene.elements != null)
+        ? this.normalizeSceneElementEntries(paramScene.elements)
+        : this.sceneElementData;
+    proxies = entries.map(function (entry, index) {
+      return that.assembleClippingProxy(entry, index);
+    });
+
+    // Nest copies as their elements are, pausing those of paused subtrees
+    proxies.forEach(function (proxy, index) {
+
+      // Declaration
+      let parent;
+
+      // Definition
+      parent = that.getParentEntry(proxy, proxies);
+
+      if (parent != null) {
+        parent.mesh.add(proxy.object);
+      }
+
+      proxy.isAnimated = that.isEntryAnimated(entries[index], entries);
+    });
+
+    period = this.getAnimationPeriod(proxies);
+    frameCount = (options.frameCount != null)
+        ? options.frameCount
+        : Math.max(1, Math.ceil(period * this.Utility.FRAMES_PER_SECOND /
+            options.frameStep));
+    collisions = {};
+    point = new THREE.Vector3();
+
+    for (frame = 0; frame < frameCount; frame++) {
+      proxies.forEach(function (proxy) {
+        if (frame > 0 && proxy.isAnimated) {
+          that.advanceSceneElement(proxy, options.frameStep);
+        }
+      });
+
+      // Nested copies are posed by their parents, so only the top are updated
+      proxies.forEach(function (proxy) {
+        if (proxy.object.parent == null) {
+          proxy.object.updateMatrixWorld(true);
+        }
+      });
+
+      // Boxes are those of each copy's own mesh, less any nested inside it
+      proxies.forEach(function (proxy) {
+        proxy.box.makeEmpty();
+        proxy.mesh.geometry.vertices.forEach(function (vertex) {
+          proxy.box.expandByPoint(point.copy(vertex).applyMatrix4(
+              proxy.mesh.matrixWorld));
+        });
+        proxy.worldTriangles = null;
+      });
+
+      proxies.forEach(function (first, index) {
+        proxies.slice(index + 1).forEach(function (second) {
+
+          // Declaration
+          let key;
+
+          if (!first.box.intersectsBox(second.box) ||
+              !that.isProxyPairClipping(first, second)) {
+            return;
+          }
+
+          // Definition
+          key = `${first.index}-${second.index}`;
+
+          if (!collisions.hasOwnProperty(key)) {
+            collisions[key] = {
+              elements: [first, second].map(function (proxy) {
+                return {
+                  index: proxy.index,
+                  id: proxy.id || null,
+                  itemType: proxy.itemType,
+                };
+              }),
+              frames: [],
+            };
+          }
+
+          collisions[key].frames.push(frame);
+        });
+      });
+    }
+
+    return {
+      period: period,
+      frameStep: options.frameStep,
+      frameCount: frameCount,
+      hasClipping: Object.keys(collisions).length > 0,
+      collisions: Object.keys(collisions).map(function (key) {
+        collisions[key].frameRanges =
+            that.getFrameRanges(collisions[key].frames);
+        return collisions[key];
+      }),
+    };
+  };
+
+  /**
+   * @description This function collapses a sorted array of frame numbers into
+   * a readable list of ranges, i.e. <code>[1, 2, 3, 7]</code> becomes
+   * <code>"1-3, 7"</code>.
+   *
+   * @param {!Array<number>} paramFrames
+   * @returns {string}
+   */
+  inaccessible.getFrameRanges = function (paramFrames) {
+    return paramFrames.reduce(function (ranges, frame) {
+
+      // Declaration
+      let last;
+
+      // Definition
+      last = ranges[ranges.length - 1];
+
+      if (last != null && last[1] === frame - 1) {
+        last[1] = frame;
+      } else {
+        ranges.push([frame, frame]);
+      }
+
+      return ranges;
+    }, []).map(function (range) {
+      return (range[0] === range[1]) ? `${range[0]}` : range.join('-');
+    }).join(', ');
+  };
+
+  /**
+   * @description This function is used to retrieve the user's scene
+   * description, if any, passed to <code>accessible.init</code>. As the
+   * description may be either an inline object or the relative path of a JSON
+   * file, the function always returns a <code>Promise</code> so that the caller
+   * need not care which of the two it was handed. If no description was passed,
+   * the <code>Promise</code> resolves to <code>null</code> and the built-in
+   * default scene is used instead.
+   *
+   * @param {?object|string=} paramScene
+   * @returns {Promise<?object>}
+   */
+  inaccessible.loadSceneDescription = function (paramScene) {
+
+    // Declaration
+    let that;
+
+    // Definition
+    that = this;
+
+    // Equal to paramScene === undefined || paramScene === null
+    if (paramScene == null) {
+      return Promise.resolve(null);
+    }
+
+    if (typeof paramScene === 'object') {
+      return Promise.resolve(paramScene);
+    }
+
+    if (typeof paramScene !== 'string') {
+      return Promise.reject(new TypeError(this.Text.SCENE_FORMAT_ERROR));
+    }
+
+    return window.fetch(paramScene).then(function (response) {
+      if (!response.ok) {
+        throw new Error(`${that.Text.SCENE_LOAD_ERROR} (${response.status})`);
+      }
+
+      return response.json();
+    });
+  };
+
+  /**
+   * @description This function takes a single scene object entry from a scene
+   * description and returns a new object in the format expected by
+   * <code>inaccessible.assembleSceneElement</code>, filling in any omitted
+   * properties with the same defaults used by the entries of the built-in
+   * <code>inaccessible.sceneElementData</code> array. Malformed entries result
+   * in a thrown <code>TypeError</code> rather than a half-built scene.
+   *
+   * @param {object} paramEntry
+   * @returns {object}
+   */
+  inaccessible.normalizeSceneElementEntry = function (paramEntry) {
+
+    // Declarations
+    let that, entry;
+
+    if (paramEntry == null || typeof paramEntry.itemType !== 'string' ||
+        ((paramEntry.model != null)
+            ? typeof paramEntry.model !== 'string'
+            : typeof THREE[paramEntry.geometry] !== 'function') ||
+        typeof THREE[paramEntry.meshMaterial || 'MeshLambertMaterial'] !==
+            'function') {
+      throw new TypeError(`${this.Text.SCENE_ENTRY_ERROR}: ` +
+          JSON.stringify(paramEntry));
+    }
+
+    // Definitions
+    that = this;
+    entry = Object.assign({
+      isAnimated: true,
+      meshMaterial: 'MeshLambertMaterial',
+      colorType: this.Colors.WHITE,
+      shininess: null,
+      specular: null,
+      roughness: null,
+      metalness: null,
+      emissive: null,
+      opacity: null,
+      textures: null,
+      model: null,
+      modelFormat: null,
+      modelSize: this.Utility.MODEL_SIZE,
+      parent: null,
+      restitution: 0.3,
+      friction: 0.5,
+      mass: 1,
+      isStatic: false,
+      geometryConfig: [],
+      positionCoords: [0, 0, 0],
+      rotateCoords: null,
+      transformations: [],
+    }, paramEntry);
+
+    entry.colorType = this.resolveColor(entry.colorType);
+
+    // Nested children should have been flattened into entries of their own,
+    // naming their parent by id or, if it has none yet, by hierarchy key
+    if ((entry.parent != null && typeof entry.parent !== 'string' &&
+        typeof entry.parent !== 'symbol') || entry.children != null) {
+      throw new TypeError(`${this.Text.SCENE_ENTRY_ERROR}: ` +
+          JSON.stringify(paramEntry));
+    }
+
+    // Models are parsed per their format, so an unknown one is caught early
+    if (entry.model != null) {
+      this.getModelFormat(entry.model, entry.modelFormat);
+
+      if (!(typeof entry.modelSize === 'number' && entry.modelSize > 0)) {
+        throw new TypeError(`${this.Text.SCENE_ENTRY_ERROR}: ` +
+            JSON.stringify(paramEntry));
+      }
+    }
+
+    ['specular', 'emissive'].forEach(function (property) {
+      if (entry[property] != null) {
+        entry[property] = that.resolveColor(entry[property]);
+      }
+    });
+
+    ['roughness', 'metalness', 'opacity'].forEach(function (property) {
+      if (entry[property] != null && !(typeof entry[property] === 'number' &&
+          entry[property] >= 0 && entry[property] <= 1)) {
+        throw new TypeError(`${that.Text.MATERIAL_ERROR}: ${property}`);
+      }
+    });
+
+    // Restitution is a fraction of speed kept, friction merely nonnegative
+    ['restitution', 'friction', 'mass'].forEach(function (property) {
+      if (!(typeof entry[property] === 'number' && entry[property] >= 0 &&
+          (property !== 'restitution' || entry[property] <= 1) &&
+          (property !== 'mass' || entry[property] > 0))) {
+        throw new TypeError(`${that.Text.PHYSICS_PROPERTY_ERROR}: ${property}`);
+      }
+    });
+
+    if (typeof entry.isStatic !== 'boolean') {
+      throw new TypeError(`${this.Text.PHYSICS_PROPERTY_ERROR}: isStatic`);
+    }
+
+    if (entry.textures != null) {
+      if (typeof entry.textures !== 'object' || this.isArray(entry.textures) ||
+          Object.keys(entry.textures).some(function (map) {
+            return that.Utility.TEXTURE_MAPS.indexOf(map) === -1;
+          })) {
+        throw new TypeError(`${this.Text.TEXTURE_ERROR}: ` +
+            JSON.stringify(entry.textures));
+      }
+
+      entry.textures = Object.keys(entry.textures).reduce(function (textures,
+          map) {
+        textures[map] = that.normalizeTexture(entry.textures[map]);
+        return textures;
+      }, {});
+    }
+
+    if (!this.isArray(entry.transformations)) {
+      throw new TypeError(`${this.Text.TRANSFORMATION_ERROR}: ` +
+          JSON.stringify(entry.transformations));
+    }
+
+    entry.transformations = entry.transformations.map(function (item) {
+      return that.normalizeTransformation(item);
+    });
+
+    return entry;
+  };
+
+  /**
+   * @description This function turns an array of scene element entries, any
+   * of which may list <code>children</code> of their own, into a flat array
+   * in which each child follows its parent and names it as its
+   * <code>parent</code>. Parents without an id are given a unique
+   * <code>hierarchyKey</code> for their children to name instead, until
+   * <code>inaccessible.assembleCheckBoxElement</code> gives them an id. The
+   * inputted entries are left untouched.
+   *
+   * @param {!Array<object>} paramEntries
+   * @param {?(string|symbol)=} paramParentId
+   * @returns {!Array<object>}
+   */
+  inaccessible.flattenSceneElementEntries = function (paramEntries,
+      paramParentId) {
+
+    // Declaration
+    let that;
+
+    // Definition
+    that = this;
+
+    return paramEntries.reduce(function (entries, item) {
+
+      // Declaration
+      let entry;
+
+      // Definition
+      entry = Object.assign({}, item);
+
+      // Malformed entries are left for normalizeSceneElementEntry to reject
+      if (item == null || item.children == null) {
+        entries.push((item != null && paramParentId != null)
+            ? Object.assign(entry, {parent: paramParentId})
+            : item);
+        return entries;
+      }
+
+      if (!that.isArray(item.children)) {
+        throw new TypeError(`${that.Text.SCENE_ENTRY_ERROR}: ` +
+            JSON.stringify(item.children));
+      }
+
+      delete entry.children;
+
+      if (paramParentId != null) {
+        entry.parent = paramParentId;
+      }
+
+      // Equal to entry.id === undefined || entry.id === null
+      if (entry.id == null) {
+        entry.hierarchyKey = Symbol(entry.itemType);
+      }
+
+      entries.push(entry);
+
+      return entries.concat(that.flattenSceneElementEntries(item.children,
+          (entry.id != null) ? entry.id : entry.hierarchyKey));
+    }, []);
+  };
+
+  /**
+   * @description This function ensures that the <code>parent</code> of each
+   * of the inputted scene element entries is the id (or hierarchy key) of an
+   * entry listed before it, or one of the inputted ids of entries already in
+   * the scene. As
+   * elements are built in order, each parent then exists by the time its
+   * children are added to it, and no element can end up nested inside itself.
+   *
+   * @param {!Array<object>} paramEntries
+   * @param {!Array<string>=} paramKnownIds
+   * @returns {void}
+   */
+  inaccessible.validateSceneHierarchy = function (paramEntries,
+      paramKnownIds) {
+
+    // Declarations
+    let that, ids;
+
+    // Definitions
+    that = this;
+    ids = (paramKnownIds || []).slice();
+
+    paramEntries.forEach(function (entry) {
+      if (entry.parent != null && ids.indexOf(entry.parent) === -1) {
+        throw new TypeError(`${that.Text.PARENT_ERROR}: ${entry.parent}`);
+      }
+
+      if (entry.id != null) {
+        ids.push(entry.id);
+      }
+
+      if (entry.hierarchyKey != null) {
+        ids.push(entry.hierarchyKey);
+      }
+    });
+  };
+
+  /**
+   * @description This function normalizes the scene element entries of a scene
+   * description or of a config passed to
+   * <code>inaccessible.addSceneElement</code>, flattening any nested
+   * <code>children</code> before each entry is normalized and the resulting
+   * hierarchy checked.
+   *
+   * @param {!Array<object>} paramEntries
+   * @param {!Array<string>=} paramKnownIds
+   * @returns {!Array<object>}
+   */
+  inaccessible.normalizeSceneElementEntries = function (paramEntries,
+      paramKnownIds) {
+
+    // Declarations
+    let that, entries;
+
+    // Definitions
+    that = this;
+    entries = this.flattenSceneElementEntries(paramEntries).map(
+        function (entry) {
+      return that.normalizeSceneElementEntry(entry);
+    });
+
+    this.validateSceneHierarchy(entries, paramKnownIds);
+
+    return entries;
+  };
+
+  /**
+   * @description This function validates a single entry of a scene element's
+   * <code>transformations</code> array and returns a copy with any omitted
+   * optional properties filled in. The original per-frame rotation entries are
+   * returned as is. Time-based entries are of one of the following types:
+   * <br />
+   * <br />
+   * <ul>
+   * <li><code>keyframes</code>: interpolates the object's
+   * <code>property</code> (<code>position</code>, <code>rotation</code>, or
+   * <code>scale</code>) between <code>keyframes</code>, each a
+   * <code>time</code> in seconds and a <code>value</code> triple, using the
+   * track's or the destination keyframe's <code>easing</code>. The track plays
+   * <code>once</code>, on <code>repeat</code>, or back and forth in
+   * <code>pingPong</code> fashion per its <code>loop</code> property.</li>
+   * <li><code>orbit</code>: circles the object's position around a
+   * <code>center</code> point at a <code>radius</code> in the plane normal to
+   * its <code>axis</code>, taking <code>period</code> seconds per lap.</li>
+   * <li><code>oscillate</code>: swings the <code>property</code> along each
+   * of the one or more axes in <code>axis</code> (i.e. <code>"xyz"</code>) by
+   * <code>amplitude</code> around <code>center</code> along a sine wave of the
+   * inputted <code>period</code>.</li>
+   * </ul>
+   * All time-based types accept an <code>offset</code> in seconds by which
+   * their start is delayed (or, for looping types, their phase shifted).
+   *
+   * @param {object} paramTransformation
+   * @returns {object}
+   */
+  inaccessible.normalizeTransformation = function (paramTransformation) {
+
+    // Declarations
+    let that, item, isTriple, isValid, properties;
+
+    // Definitions
+    that = this;
+    item = paramTransformation;
+    properties = ['position', 'rotation', 'scale'];
+    isTriple = function (paramArray) {
+      return that.isArray(paramArray) && paramArray.length === 3 &&
+          paramArray.every(function (value) {
+            return typeof value === 'number';
+          });
+    };
+
+    if (item == null || typeof item !== 'object') {
+      isValid = false;
+    } else if (item.type == null) {
+      isValid = /^[xyz]$/.test(item.rotationAxis) &&
+          typeof item.rotationAmount === 'number';
+    } else if (item.type === 'keyframes') {
+      item = Object.assign({easing: 'linear', loop: 'once', offset: 0}, item);
+      isValid = properties.indexOf(item.property) !== -1 &&
+          this.isArray(item.keyframes) && item.keyframes.length > 0 &&
+          item.keyframes.every(function (keyframe) {
+            return keyframe != null && typeof keyframe.time === 'number' &&
+                isTriple(keyframe.value) &&
+                (keyframe.easing == null ||
+                    that.Easing.hasOwnProperty(keyframe.easing));
+          }) &&
+          this.Easing.hasOwnProperty(item.easing) &&
+          ['once', 'repeat', 'pingPong'].indexOf(item.loop) !== -1;
+
+      // Keyframes may be listed in any order, but are played in time order
+      if (isValid) {
+        item.keyframes = item.keyframes.slice().sort(function (a, b) {
+          return a.time - b.time;
+        });
+      }
+    } else if (item.type === 'orbit') {
+      item = Object.assign({center: [0, 0, 0], axis: 'y', offset: 0}, item);
+      isValid = isTriple(item.center) && /^[xyz]$/.test(item.axis) &&
+          typeof item.radius === 'number' &&
+          typeof item.period === 'number' && item.period !== 0;
+    } else if (item.type === 'oscillate') {
+      item = Object.assign({
+        center: (item.property === 'scale') ? 1 : 0,
+        offset: 0,
+      }, item);
+      isValid = properties.indexOf(item.property) !== -1 &&
+          /^[xyz]+$/.test(item.axis) && typeof item.center === 'number' &&
+          typeof item.amplitude === 'number' &&
+          typeof item.period === 'number' && item.period !== 0;
+    } else {
+      isValid = false;
+    }
+
+    if (!isValid || typeof (item.offset || 0) !== 'number') {
+      throw new TypeError(`${this.Text.TRANSFORMATION_ERROR}: ` +
+          JSON.stringify(paramTransformation));
+    }
+
+    return item;
+  };
+
+  /**
+   * @description This function validates a single texture map of a scene
+   * element's <code>textures</code> and returns a copy with any omitted
+   * optional properties filled in. A texture is either an image file, given
+   * as its path or as an object with a <code>url</code>, or a procedural
+   * texture with a <code>type</code> of
+   * <code>inaccessible.TextureTypes</code>. All are tiled <code>repeat</code>
+   * times across and down. Procedural textures are drawn
+   * <code>size</code> pixels square using their <code>colors</code> (two or
+   * more) and number of <code>cells</code>, being the squares of a
+   * checkerboard, the features of noise, or the planks of wood. Noise and wood
+   * are drawn from their <code>seed</code>, gradients run in their
+   * <code>direction</code>, and <code>courtLines</code> may be set to the
+   * color of basketball court markings to paint over them. Used as normal
+   * maps, procedural textures are taken as height maps of the inputted
+   * <code>strength</code>.
+   *
+   * @param {object|string} paramTexture
+   * @returns {object}
+   */
+  inaccessible.normalizeTexture = function (paramTexture) {
+
+    // Declarations
+    let that, aliasUtility, texture;
+
+    // Definitions
+    that = this;
+    aliasUtility = this.Utility;
+    texture = Object.assign({
+      url: null,
+      type: null,
+      repeat: [1, 1],
+      size: aliasUtility.TEXTURE_SIZE,
+      colors: [this.Colors.WHITE, this.Colors.BLACK],
+      cells: aliasUtility.TEXTURE_CELLS,
+      seed: 1,
+      direction: 'vertical',
+      courtLines: null,
+      strength: aliasUtility.NORMAL_MAP_STRENGTH,
+    }, (typeof paramTexture === 'string') ? {url: paramTexture} : paramTexture);
+
+    // Image files need a path, and procedural textures a known type, not both
+    if (paramTexture == null ||
+        (typeof texture.url === 'string') === (texture.type != null) ||
+        (texture.type != null &&
+            !this.TextureTypes.hasOwnProperty(texture.type)) ||
+        !this.isArray(texture.repeat) || texture.repeat.length !== 2 ||
+        !this.isArray(texture.colors) || texture.colors.length < 2 ||
+        !Number.isInteger(texture.size) || texture.size < 1 ||
+        !Number.isInteger(texture.cells) || texture.cells < 1 ||
+        aliasUtility.GRADIENT_DIRECTIONS.indexOf(texture.direction) === -1) {
+      throw new TypeError(`${this.Text.TEXTURE_ERROR}: ` +
+          JSON.stringify(paramTexture));
+    }
+
+    texture.colors = texture.colors.map(function (color) {
+      return that.resolveColor(color);
+    });
+
+    if (texture.courtLines != null) {
+      texture.courtLines = this.resolveColor(texture.courtLines);
+    }
+
+    return texture;
+  };
+
+  /**
+   * @description Like <code>inaccessible.normalizeSceneElementEntry</code>,
+   * this function validates and fills in the defaults of a single light source
+   * entry from a scene description, returning a new object in the format used
+   * by the built-in <code>inaccessible.sceneLightData</code> array.
+   *
+   * @param {object} paramEntry
+   * @returns {object}
+   */
+  inaccessible.normalizeSceneLightEntry = function (paramEntry) {
+
+    // Declaration
+    let entry;
+
+    if (paramEntry == null || typeof paramEntry.itemType !== 'string') {
+      throw new TypeError(`${this.Text.SCENE_ENTRY_ERROR}: ` +
+          JSON.stringify(paramEntry));
+    }
+
+    // Definition
+    entry = Object.assign({
+      lightType: 'DirectionalLight',
+      isAnimated: true,
+      hasHelper: true,
+      positionArray: [0, 0, 1],
+      lightColor: this.Colors.WHITE,
+      intensity: 1,
+    }, paramEntry);
+
+    if (!this.LightTypes.hasOwnProperty(entry.lightType)) {
+      throw new TypeError(`${this.Text.LIGHT_TYPE_ERROR}: ${entry.lightType}`);
+    }
+
+    entry.lightColor = this.resolveColor(entry.lightColor);
+
+    if (entry.groundColor != null) {
+      entry.groundColor = this.resolveColor(entry.groundColor);
+    }
+
+    return entry;
+  };
+
+  /**
+   * @description This function replaces the default contents of the
+   * <code>inaccessible.sceneElementData</code> and
+   * <code>inaccessible.sceneLightData</code> arrays with the normalized entries
+   * of a loaded scene description. A description may include either or both of
+   * its <code>elements</code> and <code>lights</code> arrays; any omitted array
+   * leaves the corresponding built-in default in place. The arrays are replaced
+   * before any assembly takes place so that the usual
+   * <code>inaccessible.assembleElementsAndCheckboxes</code> pipeline builds the
+   * described scene, checkboxes and all.
+   *
+   * @param {?object} paramDescription
+   * @returns {void}
+   */
+  inaccessible.applySceneDescription = function (paramDescription) {
+
+    // Declarations
+    let that, elements, lights;
+
+    // Equal to paramDescription === undefined || paramDescription === null
+    if (paramDescription == null) {
+      return;
+    }
+
+    if (typeof paramDescription !== 'object' ||
+        this.isArray(paramDescription)) {
+      throw new TypeError(this.Text.SCENE_FORMAT_ERROR);
+    }
+
+    // Definitions
+    that = this;
+    elements = paramDescription.elements;
+    lights = paramDescription.lights;
+
+    if (elements != null) {
+      if (!this.isArray(elements)) {
+        throw new TypeError(`${this.Text.SCENE_ENTRY_ERROR}: elements`);
+      }
+
+      this.sceneElementData = this.normalizeSceneElementEntries(elements);
+    }
+
+    if (lights != null) {
+      if (!this.isArray(lights)) {
+        throw new TypeError(`${this.Text.SCENE_ENTRY_ERROR}: lights`);
+      }
+
+      this.sceneLightData = lights.map(function (entry) {
+        return that.normalizeSceneLightEntry(entry);
+      });
+    }
+  };
+
+  /**
+   * @description This function runs the entries of the
+   * <code>inaccessible.sceneElementData</code> and
+   * <code>inaccessible.sceneLightData</code> arrays through the same checks
+   * applied to loaded scene descriptions before anything is assembled. Entries
+   * from a description will have passed already, but the built-in entries are
+   * edited by hand, and a typo in one (i.e. a misspelled geometry or material
+   * name) is better reported as such than as a failure of whatever assembly
+   * function first trips over it.
+   *
+   * @returns {void}
+   */
+  inaccessible.validateSceneData = function () {
+
+    // Declaration
+    let that;
+
+    // Definition
+    that = this;
+
+    this.sceneElementData.forEach(function (entry) {
+      that.normalizeSceneElementEntry(entry);
+    });
+
+    this.validateSceneHierarchy(this.sceneElementData);
+
+    this.sceneLightData.forEach(function (entry) {
+      that.normalizeSceneLightEntry(entry);
+    });
+  };
+
+  /**
+   * @description This function returns the entry of
+   * <code>inaccessible.keyboardActions</code> with the inputted name, or
+   * <code>null</code> if no such action exists.
+   *
+   * @param {?string} paramActionName
+   * @returns {?object}
+   */
+  inaccessible.getKeyboardAction = function (paramActionName) {
+    return this.keyboardActions.find(function (action) {
+      return action.actionName === paramActionName;
+    }) || null;
+  };
+
+  /**
+   * @description This function converts a key binding's
+   * <code>KeyboardEvent.code</code> or <code>KeyboardEvent.key</code> value
+   * into a friendlier name for display in the key binding panel and help
+   * overlay, i.e. <code>KeyW</code> becomes "W" and <code>PageUp</code> becomes
+   * "PgUp."
+   *
+   * @param {string} paramKey
+   * @returns {string}
+   */
+  inaccessible.getKeyDisplayName = function (paramKey) {
+
+    // Declaration
+    let names;
+
+    // Definition
+    names = {
+      ArrowLeft: 'Left arrow',
+      ArrowRight: 'Right arrow',
+      ArrowUp: 'Up arrow',
+      ArrowDown: 'Down arrow',
+      PageUp: 'PgUp',
+      PageDown: 'PgDn',
+      Space: 'Space',
+      ' ': 'Space',
+    };
+
+    if (names.hasOwnProperty(paramKey)) {
+      return names[paramKey];
+    }
+
+    return paramKey.replace(/^(Key|Digit)(?=.$)/, '').replace(/^Numpad/,
+        'Numpad ');
+  };
+
+  /**
+   * @description This function lists the rows of the help overlay's table of
+   * controls from the active key bindings, so that the listed keys always
+   * reflect any changes made in the key binding panel. Each bound action is
+   * listed with its keys, followed by a row per line of the pointer controls'
+   * summary.
+   *
+   * @returns {!Array<!Array<string>>} Rows of keys and descriptions, or of a
+   *    single line of pointer controls
+   */
+  inaccessible.getKeystrokeInfo = function () {
+
+    // Declarations
+    let that, rows;
+
+    // Definitions
+    that = this;
+    rows = [];
+
+    this.keyboardActions.forEach(function (action) {
+
+      // Declaration
+      let keys;
+
+      // Definition
+      keys = that.getKeysBoundToAction(action.actionName);
+
+      if (keys.length) {
+        rows.push([keys.join(', '), action.description]);
+      }
+    });
+
+    this.Text.POINTER_INFO.split('\n').forEach(function (line) {
+      rows.push([line]);
+    });
+
+    return rows;
+  };
+
+  /**
+   * @description This function returns the display names of all keys bound to
+   * the action with the inputted name.
+   *
+   * @param {string} paramActionName
+   * @returns {!Array<string>}
+   */
+  inaccessible.getKeysBoundToAction = function (paramActionName) {
+
+    // Declaration
+    let that;
+
+    // Definition
+    that = this;
+
+    return Object.keys(this.keyBindings).filter(function (key) {
+      return that.keyBindings[key] === paramActionName;
+    }).map(function (key) {
+      return that.getKeyDisplayName(key);
+    });
+  };
+
+  /**
+   * @description This function replaces the default key bindings with those
+   * saved to <code>localStorage</code> by a previous rebinding, if any. Saved
+   * bindings naming actions that no longer exist are discarded.
+   *
+   * @returns {void}
+   */
+  inaccessible.loadKeyBindings = function () {
+
+    // Declarations
+    let that, savedBindings;
+
+    // Definition
+    that = this;
+
+    try {
+      savedBindings = JSON.parse(window.localStorage.getItem(
+          this.Identifiers.KEY_BINDINGS_STORAGE_KEY));
+    } catch (e) {
+      if (DEBUG) {
+        console.warn(e);
+      }
+    }
+
+    if (savedBindings == null || typeof savedBindings !== 'object') {
+      return;
+    }
+
+    this.keyBindings = {};
+
+    Object.keys(savedBindings).forEach(function (key) {
+      if (that.getKeyboardAction(savedBindings[key]) != null) {
+        that.keyBindings[key] = savedBindings[key];
+      }
+    });
+  };
+
+  /**
+   * @description This function saves the active key bindings to
+   * <code>localStorage</code> so that they persist across visits. Storage may
+   * be unavailable (i.e. in private browsing), in which case the bindings
+   * simply last until the page is closed.
+   *
+   * @returns {void}
+   */
+  inaccessible.saveKeyBindings = function () {
+    try {
+      window.localStorage.setItem(this.Identifiers.KEY_BINDINGS_STORAGE_KEY,
+          JSON.stringify(this.keyBindings));
+    } catch (e) {
+      if (DEBUG) {
+        console.warn(e);
+      }
+    }
+  };
+
+  // Handlers
+
+  /**
+   * @description One of two checkbox listener handlers, this function simply
+   * sets the negated value of the <code>isAnimated</code> <code>boolean</code>
+   * object property as the property itself, like a toggle function of sorts.
+   *
+   * @param {object} paramObject
+   * @returns {void}
+   */
+  inaccessible.handleSceneElementCheckboxChanges = function (paramObject) {
+    paramObject.isAnimated = !paramObject.isAnimated;
+
+    // Dim the checkboxes of any elements nested inside, now paused or not
+    this.refreshTreeBranch(paramObject);
+
+    this.emitEvent(this.Events.ELEMENT_TOGGLED, {
+      id: paramObject.id,
+      isAnimated: paramObject.isAnimated,
+    });
+  };
+
+  /**
+   * @description This function expands or collapses the branch of the sidebar
+   * tree holding the checkboxes of the elements nested inside the inputted
+   * scene element. Collapsing a branch only hides the checkboxes, leaving the
+   * elements themselves as they are.
+   *
+   * @param {object} paramObject
+   * @returns {void}
+   */
+  inaccessible.handleTreeBranchToggle = function (paramObject) {
+
+    // Declarations
+    let button, isCollapsed;
+
+    // Definitions
+    button = this.root.getElementById(`${paramObject.checkBoxId}-branch`);
+    isCollapsed = this.root.getElementById(`${paramObject.checkBoxId}-children`)
+        .classList.toggle(this.Identifiers.TREE_COLLAPSED_CLASS);
+
+    button.textContent = (isCollapsed) ? '\u25B8' : '\u25BE';
+    button.title = (isCollapsed)
+        ? this.Text.TREE_EXPAND
+        : this.Text.TREE_COLLAPSE;
+    button.setAttribute('aria-label', button.title);
+    button.setAttribute('aria-expanded', String(!isCollapsed));
+  };
+
+  /**
+   * @description The second of the two checkbox event listener handlers, this
+   * function negates the <code>isAnimated</code> <code>boolean</code> property
+   * and switches on or off the light accordingly.
+   * <br />
+   * <br />
+   * Originally, this toggling functionality was undertaken by setting the
+   * <code>boolean</code> value of <code>isAnimated</code> as the value of
+   * <code>THREE.DirectionalLight.visible</code> as per the appropriate
+   * <code>Object3D</code> property. However, clicks of the approriate toggle
+   * button in the GUI resulted in seconds-spanning wait times in which the
+   * entire window was frozen for reasons not fully understood to the author. As
+   * a hacky workaround, the author just decided to change the light color to
+   * black on toggle, which resulted in faster render times which didn't block
+   * the entire program for long durations.
+   *
+   * @param {object} paramObject
+   * @returns {void}
+   */
+  inaccessible.handleLightSourceCheckboxChanges = function (paramObject) {
+    paramObject.isAnimated = !paramObject.isAnimated;
+
+    // This approach is just too slow for some reason
+    //paramObject.assembledLight.visible = paramObject.isAnimated;
+
+    // Alternate approach simply adjusts off light color to black
+    this.handleSettingOfLightColor(paramObject);
+
+    // Keep the light mixer's mute button in step with the checkbox
+    this.refreshLightMixerRow(paramObject);
+
+    // Save render for an unanimated scene
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+
+    this.emitEvent(this.Events.LIGHT_TOGGLED, {
+      id: paramObject.id,
+      isAnimated: paramObject.isAnimated,
+    });
+  };
+
+  /**
+   * @description This function applies the on/off state of a light source
+   * entry to its assembled light, painting it black while off as explained in
+   * <code>inaccessible.handleLightSourceCheckboxChanges</code>. Hemisphere
+   * lights have their ground color painted too, and any helper is updated so
+   * that its color follows that of the light.
+   *
+   * @param {object} paramObject
+   * @returns {void}
+   */
+  inaccessible.handleSettingOfLightColor = function (paramObject) {
+
+    // Declaration
+    let light;
+
+    // Definition
+    light = paramObject.assembledLight;
+
+    if (!paramObject.isAnimated) {
+      light.color.set(this.Colors.BLACK);
+    } else {
+      light.color.set(paramObject.lightColor);
+    }
+
+    if (light.isHemisphereLight) {
+      light.groundColor.set((paramObject.isAnimated)
+          ? paramObject.groundColor
+          : this.Colors.BLACK);
+    }
+
+    if (paramObject.assembledHelper != null) {
+      paramObject.assembledHelper.update();
+    }
+  };
+
+  /**
+   * @description This handler is called on changes of the light helper
+   * checkbox, showing or hiding the helpers of every light source at once.
+   *
+   * @returns {void}
+   */
+  inaccessible.handleLightHelperCheckboxChanges = function () {
+
+    // Declaration
+    let that;
+
+    // Definition
+    that = this;
+
+    this.areLightHelpersVisible = !this.areLightHelpersVisible;
+
+    this.sceneLightData.forEach(function (entry) {
+      if (entry.assembledHelper != null) {
+        entry.assembledHelper.visible = that.areLightHelpersVisible;
+      }
+    });
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+  };
+
+  /**
+   * @description This handler is called as a light's light mixer intensity
+   * slider is dragged, applying the new intensity to the light immediately.
+   *
+   * @param {object} paramObject
+   * @param {number|string} paramIntensity
+   * @returns {void}
+   */
+  inaccessible.handleLightIntensityChange = function (paramObject,
+      paramIntensity) {
+    paramObject.intensity = Number(paramIntensity);
+    paramObject.assembledLight.intensity = paramObject.intensity;
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+  };
+
+  /**
+   * @description This handler is called as a color is picked in a light's light
+   * mixer color input. The new color is kept as the light's
+   * <code>lightColor</code>, so a muted light remains black until it is
+   * switched back on.
+   *
+   * @param {object} paramObject
+   * @param {string} paramColor Hexadecimal color, i.e. "#FF0000"
+   * @returns {void}
+   */
+  inaccessible.handleLightColorChange = function (paramObject, paramColor) {
+    paramObject.lightColor = this.resolveColor(paramColor);
+    this.handleSettingOfLightColor(paramObject);
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+  };
+
+  /**
+   * @description This handler is called on changes to one of a light's light
+   * mixer position inputs, moving the light (and its helper) along the inputted
+   * axis. Empty or otherwise non-numeric input is ignored.
+   *
+   * @param {object} paramObject
+   * @param {number} paramAxis Index of the axis, i.e. 0 for x
+   * @param {number|string} paramValue
+   * @returns {void}
+   */
+  inaccessible.handleLightPositionChange = function (paramObject, paramAxis,
+      paramValue) {
+
+    // Declarations
+    let light, value;
+
+    // Definitions
+    light = paramObject.assembledLight;
+    value = parseFloat(paramValue);
+
+    if (isNaN(value)) {
+      return;
+    }
+
+    paramObject.positionArray[paramAxis] = value;
+    light.position.set(...paramObject.positionArray);
+    light.updateMatrixWorld();
+
+    if (paramObject.assembledHelper != null) {
+      paramObject.assembledHelper.update();
+    }
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+  };
+
+  /**
+   * @description This handler is called on presses of a light's light mixer
+   * "Solo" button, switching that light on and every other light off. Soloing
+   * a light that is already the only one on switches all the lights back on.
+   * As with snapshots, the lights' checkboxes are clicked to do the switching.
+   *
+   * @param {object} paramObject
+   * @returns {void}
+   */
+  inaccessible.handleLightSolo = function (paramObject) {
+
+    // Declarations
+    let that, isSoloed;
+
+    // Definitions
+    that = this;
+    isSoloed = this.sceneLightData.every(function (entry) {
+      return entry.isAnimated === (entry === paramObject);
+    });
+
+    this.sceneLightData.forEach(function (entry) {
+      that.handleSettingOfToggleState(entry,
+          isSoloed || entry === paramObject);
+    });
+  };
+
+  /**
+   * @description This handler is called on presses of a light's light mixer
+   * "Mute" button, which does the same as a click of its sidebar checkbox.
+   *
+   * @param {object} paramObject
+   * @returns {void}
+   */
+  inaccessible.handleLightMute = function (paramObject) {
+    this.handleSettingOfToggleState(paramObject, !paramObject.isAnimated);
+  };
+
+  /**
+   * @description In lieu of a status log (which the author debated adding but
+   * decided against due to a lack of space and logical placement), the program
+   * displays an overlay informing the user of what keys perform what actions.
+   * Originally, the author wanted to add a personalized modal like the ones in
+   * Bootstrap.js or those available in jQuery, but ultimately was unable to
+   * find the time or energy to do so, and settled for a
+   * <code>window.alert</code> popup. The modal has since been built, and lives
+   * in <code>inaccessible.handleSettingOfHelpOverlay</code>.
+   *
+   * @returns {void}
+   */
+  inaccessible.handleInfoDisplay = function () {
+    this.handleSettingOfHelpOverlay(true);
+  };
+
+  /**
+   * @description This function shows or hides the help overlay listing the
+   * keyboard and pointer controls. The list is rebuilt on each showing to
+   * reflect the current key bindings. The overlay is closed by its "Close"
+   * button, a click outside its panel, or the Esc key.
+   *
+   * @param {boolean} paramIsVisible
+   * @returns {void}
+   */
+  inaccessible.handleSettingOfHelpOverlay = function (paramIsVisible) {
+    if (paramIsVisible) {
+      this.refreshHelpOverlay();
+    }
+
+    this.root.getElementById(this.Identifiers.HELP_OVERLAY_ID).hidden =
+        !paramIsVisible;
+  };
+
+  /**
+   * @description This function reports errors and other messages to the user
+   * by way of non-blocking notifications shown in the corner of the container
+   * wrapper. The inputted message is added to the back of the queue of
+   * notifications awaiting display, to be shown as soon as there is room for
+   * it.
+   *
+   * @param {string} paramText
+   * @param {boolean=} paramIsError
+   * @returns {void}
+   */
+  inaccessible.handleNotification = function (paramText, paramIsError) {
+    this.notificationQueue.push({
+      text: paramText,
+      isError: !!paramIsError,
+    });
+
+    this.handleNotificationQueue();
+  };
+
+  /**
+   * @description This function shows queued notifications, oldest first,
+   * until <code>Utility.MAX_VISIBLE_NOTIFICATIONS</code> are on display. The
+   * rest wait their turn until one of those on display is dismissed.
+   *
+   * @returns {void}
+   */
+  inaccessible.handleNotificationQueue = function () {
+
+    // Declaration
+    let holder;
+
+    // Definition
+    holder = this.root.getElementById(this.Identifiers.NOTIFICATION_HOLDER_ID);
+
+    while (this.notificationQueue.length && holder.children.length <
+        this.Utility.MAX_VISIBLE_NOTIFICATIONS) {
+      holder.appendChild(
+          this.assembleNotification(this.notificationQueue.shift()));
+    }
+  };
+
+  /**
+   * @description This function dismisses a notification on display, either
+   * once its time is up or on a press of its close button, making room for
+   * the next queued notification.
+   *
+   * @param {HTMLElement} paramElement
+   * @returns {void}
+   */
+  inaccessible.handleNotificationDismissal = function (paramElement) {
+    window.clearTimeout(paramElement.timeoutId);
+
+    if (paramElement.parentNode != null) {
+      paramElement.parentNode.removeChild(paramElement);
+      this.handleNotificationQueue();
+    }
+  };
+
+  /**
+   * @description This function handles presses of the "Start animation" button,
+   * setting the object-global <code>inaccessible.isSceneAnimated</code> value
+   * to <code>true</code> and calling <code>inaccessible.handleFrame</code> as
+   * per the Project 3 template file example. If the animation is running and
+   * the button is pressed again, a notification is displayed to inform the
+   * user of the animation's current status.
+   *
+   * @returns {void}
+   */
+  inaccessible.handleAnimationStart = function () {
+    if (!this.isSceneAnimated) {
+      this.isSceneAnimated = true;
+
+      // Like P3 template's doFrame, unless a restart beat the last frame to it
+      if (this.frameRequestId == null) {
+        this.handleFrame();
+      }
+    } else {
+      this.handleNotification(this.Text.START_BUTTON_ERROR, true);
+    }
+  };
+
+  /**
+   * @description This function is like that above it,
+   * <code>inaccessible.handleAnimationStart</code>, in that it simply sets the
+   * object-global <code>inaccessible.isSceneAnimated</code> and displays a
+   * notification if the button is pressed and the animation is not running.
+   *
+   * @returns {void}
+   */
+  inaccessible.handleAnimationStop = function () {
+    if (this.isSceneAnimated) {
+      this.isSceneAnimated = false;
+    } else {
+      this.handleNotification(this.Text.STOP_BUTTON_ERROR, true);
+    }
+  };
+
+  /**
+   * @description This function suspends the animation without the user having
+   * stopped it, as when the page is hidden, remembering whether it was running
+   * so that <code>inaccessible.handleResume</code> can pick up where it left
+   * off. Unlike <code>inaccessible.handleAnimationStop</code>, the pending
+   * frame is cancelled outright, as is any inertial coasting. Pausing an
+   * already paused viewer keeps the first pause's record of the animation,
+   * though a pause by the caller overrides one due to the page being hidden.
+   *
+   * @param {boolean=} paramIsHidden Whether due to the page being hidden
+   * @returns {void}
+   */
+  inaccessible.handlePause = function (paramIsHidden) {
+    if (this.pauseState != null) {
+      this.pauseState.isHidden = this.pauseState.isHidden && !!paramIsHidden;
+      return;
+    }
+
+    this.pauseState = {
+      wasAnimated: this.isSceneAnimated,
+      isHidden: !!paramIsHidden,
+    };
+
+    this.isSceneAnimated = false;
+    this.pointerState.isCoasting = false;
+
+    if (this.frameRequestId != null) {
+      window.cancelAnimationFrame(this.frameRequestId);
+      this.frameRequestId = null;
+      this.lastFrameTimestamp = null;
+    }
+  };
+
+  /**
+   * @description This function undoes <code>inaccessible.handlePause</code>,
+   * restarting the animation if it was running when paused. The timestamp of
+   * the last frame was forgotten on pausing, so the animation resumes from
+   * where it was rather than leaping ahead by the time spent paused.
+   *
+   * @returns {void}
+   */
+  inaccessible.handleResume = function () {
+
+    // Declaration
+    let wasAnimated;
+
+    if (this.pauseState == null) {
+      return;
+    }
+
+    // Definition
+    wasAnimated = this.pauseState.wasAnimated;
+
+    this.pauseState = null;
+
+    if (wasAnimated && !this.isSceneAnimated) {
+      this.handleAnimationStart();
+    }
+  };
+
+  /**
+   * @description This function pauses the viewer when the page is hidden, i.e.
+   * on switching tabs or minimizing the window, and resumes it when the page is
+   * shown again. A viewer paused by the caller via <code>pause</code> is left
+   * paused on return, as the page's visibility had nothing to do with it.
+   *
+   * @returns {void}
+   */
+  inaccessible.handleVisibilityChange = function () {
+    if (document.hidden) {
+      this.handlePause(true);
+    } else if (this.pauseState != null && this.pauseState.isHidden) {
+      this.handleResume();
+    }
+  };
+
+  /**
+   * @description This function handles presses of the "Step frame" button,
+   * advancing the paused animation by a single 60 Hz frame in the direction of
+   * the current animation speed, then rendering the result. As the running
+   * animation would immediately overtake the step, the button displays a
+   * notification instead if the animation is running.
+   *
+   * @returns {void}
+   */
+  inaccessible.handleFrameStep = function () {
+    if (this.isSceneAnimated) {
+      this.handleNotification(this.Text.STEP_BUTTON_ERROR, true);
+      return;
+    }
+
+    this.handleFrameUpdate(Math.sign(this.animationSpeed) || 1);
+    this.render();
+  };
+
+  /**
+   * @description This function handles presses of the "Reverse animation"
+   * button, simply negating the current animation speed.
+   *
+   * @returns {void}
+   */
+  inaccessible.handleAnimationReversal = function () {
+    this.handleAnimationSpeedChange(-this.animationSpeed);
+  };
+
+  /**
+   * @description This function sets the animation speed multiplier applied in
+   * <code>inaccessible.handleFrame</code>, clamping it to the range of the
+   * sidebar slider and updating the slider and its readout to match. Negative
+   * values run the animation in reverse.
+   *
+   * @param {number} paramSpeed
+   * @returns {void}
+   */
+  inaccessible.handleAnimationSpeedChange = function (paramSpeed) {
+
+    // Declarations
+    let speed, input, output;
+
+    // Definitions
+    speed = Math.min(this.Utility.MAX_ANIMATION_SPEED,
+        Math.max(this.Utility.MIN_ANIMATION_SPEED, Number(paramSpeed) || 0));
+    input = this.root.getElementById(this.Identifiers.SPEED_INPUT_ID);
+    output = this.root.getElementById(this.Identifiers.SPEED_OUTPUT_ID);
+
+    this.animationSpeed = speed;
+
+    if (input != null) {
+      input.value = speed;
+      output.textContent = `${speed}x`;
+    }
+  };
+
+  /**
+   * @description Making heavy usage of the author's beloved spread operator,
+   * this function is used by several others to reset or set the scene to the
+   * default transformation values denoted in the appropriate
+   * <code>inaccessible.Utility</code> enum. It is based on a similar method
+   * found in the author's previous Project 2 submission entry.
+   * <br />
+   * <br />
+   * The function is called from within the body of the function
+   * <code>inaccessible.assembleScene</code>, as well as on clicks of the "Reset
+   * model" button.
+   *
+   * @returns {void}
+   */
+  inaccessible.handleSettingOfDefaultTransforms = function () {
+    this.handleSettingOfTransforms(this.Utility.DEFAULT_ROTATION_COORDINATES,
+        this.Utility.DEFAULT_SCALE_COORDINATES,
+        this.Utility.DEFAULT_TRANSLATION_COORDINATES, 'reset');
+  };
+
+  /**
+   * @description This function contains the body of what was originally
+   * <code>inaccessible.handleSettingOfDefaultTransforms</code>, generalized to
+   * accept arbitrary coordinate arrays so that restored snapshots may set the
+   * model's transforms via the same code path as the "Reset model" button.
+   *
+   * @param {!Array<number>} paramRotation
+   * @param {!Array<number>} paramScale
+   * @param {!Array<number>} paramPosition
+   * @param {string} paramSource Reported with the modelTransformed event
+   * @returns {void}
+   */
+  inaccessible.handleSettingOfTransforms = function (paramRotation, paramScale,
+      paramPosition, paramSource) {
+    this.model.rotation.set(...paramRotation);
+    this.model.scale.set(...paramScale);
+    this.model.position.set(...paramPosition);
+
+    // Don't let a coasting drag carry on past a reset or restore
+    this.pointerState.isCoasting = false;
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+
+    this.emitModelTransformed(paramSource);
+  };
+
+  /**
+   * @description This function emits the <code>modelTransformed</code> event
+   * following a change to the model's transforms from the inputted source, as
+   * listed in <code>inaccessible.Events</code>.
+   *
+   * @param {string} paramSource
+   * @returns {void}
+   */
+  inaccessible.emitModelTransformed = function (paramSource) {
+
+    // Spare building the state for pointer moves that no one is listening to
+    if (this.isReady &&
+        (this.eventHandlers[this.Events.MODEL_TRANSFORMED] || []).length) {
+      this.emitEvent(this.Events.MODEL_TRANSFORMED, {
+        source: paramSource,
+        model: this.getViewerState().model,
+      });
+    }
+  };
+
+  /**
+   * @description This function handles presses of the "Save snapshot" button,
+   * serializing the current viewer state via
+   * <code>inaccessible.getViewerState</code> and offering it to the user as a
+   * downloadable JSON file by way of a temporary link element.
+   *
+   * @returns {void}
+   */
+  inaccessible.handleSnapshotExport = function () {
+    this.downloadBlob(new Blob([JSON.stringify(this.getViewerState(), null,
+        2)], {type: 'application/json'}), this.Identifiers.SNAPSHOT_FILE_NAME);
+  };
+
+  /**
+   * @description This function handles presses of the "Save screenshot"
+   * button, saving the current frame as a PNG image at the resolution chosen in
+   * the export panel (a multiple of the <code>canvas</code> size).
+   *
+   * @returns {Promise<void>}
+   */
+  inaccessible.handleScreenshotExport = function () {
+
+    // Declaration
+    let that;
+
+    // Definition
+    that = this;
+
+    return this.renderFrameSequence(1, 1, this.getExportSettings().scale,
+        function () {
+      return that.getCanvasBlob().then(function (blob) {
+        that.downloadBlob(blob, that.Identifiers.SCREENSHOT_FILE_NAME);
+      });
+    });
+  };
+
+  /**
+   * @description This function handles presses of the "Export frames" button,
+   * rendering the number of frames chosen in the export panel offline and
+   * saving each as a numbered PNG image, i.e.
+   * <code>project-three-frame-0001.png</code>.
+   *
+   * @returns {Promise<void>}
+   */
+  inaccessible.handleFrameSequenceExport = function () {
+
+    // Declarations
+    let that, settings;
+
+    // Definitions
+    that = this;
+    settings = this.getExportSettings();
+
+    return this.renderFrameSequence(settings.frameCount, settings.frameRate,
+        settings.scale, function (paramIndex) {
+      return that.getCanvasBlob().then(function (blob) {
+        that.downloadBlob(blob, that.Identifiers.FRAME_FILE_PREFIX +
+            String(paramIndex + 1).padStart(that.Utility.EXPORT_FRAME_DIGITS,
+                '0') + '.png');
+      });
+    });
+  };
+
+  /**
+   * @description This function handles presses of the "Export WebM" button,
+   * rendering the frames chosen in the export panel offline as with
+   * <code>inaccessible.handleFrameSequenceExport</code>, but recording them
+   * into a single WebM video via a <code>MediaRecorder</code>. Each frame is
+   * pushed to the recorder by hand, then held for its duration in real time,
+   * as the recorder timestamps frames by the clock rather than by their
+   * content. The frames themselves remain identical from run to run.
+   *
+   * @returns {Promise<void>}
+   */
+  inaccessible.handleVideoExport = function () {
+
+    // Declarations
+    let that, settings, stream, track, recorder, chunks;
+
+    // Definitions
+    that = this;
+    settings = this.getExportSettings();
+    chunks = [];
+
+    if (typeof window.MediaRecorder !== 'function' ||
+        typeof this.canvas.captureStream !== 'function' ||
+        !window.MediaRecorder.isTypeSupported('video/webm')) {
+      this.handleNotification(this.Text.VIDEO_ERROR, true);
+      return Promise.resolve();
+    }
+
+    // Frame rate of 0 means frames are only captured on requestFrame
+    stream = this.canvas.captureStream(0);
+    track = stream.getVideoTracks()[0];
+    recorder = new window.MediaRecorder(stream, {mimeType: 'video/webm'});
+    recorder.addEventListener('dataavailable', function (event) {
+      chunks.push(event.data);
+    }, false);
+    recorder.start();
+
+    return this.renderFrameSequence(settings.frameCount, settings.frameRate,
+        settings.scale, function () {
+      track.requestFrame();
+
+      return new Promise(function (resolve) {
+        setTimeout(resolve, 1000 / settings.frameRate);
+      });
+    }).then(function () {
+      return new Promise(function (resolve) {
+        recorder.addEventListener('stop', resolve, false);
+        recorder.stop();
+      });
+    }).then(function () {
+      that.downloadBlob(new Blob(chunks, {type: 'video/webm'}),
+          that.Identifiers.VIDEO_FILE_NAME);
+    });
+  };
+
+  /**
+   * @description This function renders a sequence of frames offline, stepping
+   * the animation by a fixed time delta of one frame at the inputted frame rate
+   * (scaled by the animation speed) rather than by the irregular intervals
+   * between <code>window.requestAnimationFrame</code> callbacks. The first
+   * frame is the scene as it stands, so the same start state always produces
+   * the same frames. After each frame is rendered, the inputted capture
+   * function is called with the frame's index, and the next frame waits on the
+   * <code>Promise</code> it returns.
+   * <br />
+   * <br />
+   * The live animation, if running, is suspended for the duration, and the
+   * <code>canvas</code> is drawn at the inputted multiple of its size before
+   * being restored to its usual resolution. Should the viewer be destroyed
+   * midway, the remaining frames are skipped and nothing is restored.
+   *
+   * @param {number} paramFrameCount
+   * @param {number} paramFrameRate Frames per second
+   * @param {number} paramScale Multiple of the canvas size
+   * @param {function(number): Promise} paramCapture
+   * @returns {Promise<void>}
+   */
+  inaccessible.renderFrameSequence = function (paramFrameCount,
+      paramFrameRate, paramScale, paramCapture) {
+
+    // Declarations
+    let that, wasAnimated, size, frames, sequence;
+
+    // Definitions
+    that = this;
+    wasAnimated = this.isSceneAnimated;
+    size = this.getCanvasSize();
+    frames = this.Utility.FRAMES_PER_SECOND / paramFrameRate;
+    sequence = Promise.resolve();
+
+    if (this.isExporting) {
+      this.handleNotification(this.Text.EXPORT_BUSY_ERROR, true);
+      return sequence;
+    }
+
+    this.isExporting = true;
+    this.isSceneAnimated = false;
+
+    // Drawing buffer at the export resolution, at which pixels are pixels
+    this.renderer.setPixelRatio(1);
+    this.renderer.setSize((size.width || this.Utility.CANVAS_WIDTH) *
+        paramScale, (size.height || this.Utility.CANVAS_HEIGHT) * paramScale,
+        false);
+
+    for (let i = 0; i < paramFrameCount; i++) {
+      sequence = sequence.then(function () {
+        if (that.isDestroyed) {
+          return;
+        }
+
+        if (i > 0) {
+          that.handleFrameUpdate(frames * that.animationSpeed);
+        }
+
+        that.render();
+        return paramCapture(i);
+      });
+    }
+
+    return sequence.then(function () {
+      that.handleSettingOfExportEnd(wasAnimated);
+    }, function (error) {
+      that.handleSettingOfExportEnd(wasAnimated);
+      throw error;
+    });
+  };
+
+  /**
+   * @description This function cleans up after
+   * <code>inaccessible.renderFrameSequence</code>, restoring the usual
+   * <code>canvas</code> resolution and resuming the live animation if it was
+   * running beforehand.
+   *
+   * @param {boolean} paramWasAnimated
+   * @returns {void}
+   */
+  inaccessible.handleSettingOfExportEnd = function (paramWasAnimated) {
+    this.isExporting = false;
+
+    if (this.isDestroyed) {
+      return;
+    }
+
+    this.handleCanvasResize();
+
+    if (paramWasAnimated) {
+
+      // Don't count the time spent exporting as elapsed animation time
+      this.lastFrameTimestamp = null;
+      this.handleAnimationStart();
+    } else {
+      this.render();
+    }
+  };
+
+  /**
+   * @description This function handles presses of the "Check clipping" button,
+   * running <code>inaccessible.getClippingReport</code> over a full animation
+   * period from the scene's current poses and listing the results in the
+   * clipping check panel. The starting pose of each element is kept alongside
+   * the report so that any clipping frame can be revisited later on.
+   *
+   * @returns {object} report
+   */
+  inaccessible.handleClippingCheck = function () {
+
+    // Declaration
+    let report;
+
+    // Definition
+    report = this.getClippingReport();
+
+    report.startPoses = this.sceneElementData.map(function (entry) {
+      return {
+        entry: entry,
+        isAnimated: entry.isAnimated,
+        animationTime: entry.animationTime,
+        position: entry.object.position.clone(),
+        rotation: entry.object.rotation.clone(),
+        scale: entry.object.scale.clone(),
+      };
+    });
+
+    this.clippingReport = report;
+    this.handleSettingOfClippingHighlight(null);
+    this.refreshClippingPanel();
+
+    return report;
+  };
+
+  /**
+   * @description This function handles presses of the clipping check panel's
+   * result buttons, stopping the animation and posing the scene as it was in
+   * the first frame in which the inputted collision's pair of elements clip,
+   * with the pair outlined so that the offending overlap is easy to spot.
+   *
+   * @param {number} paramIndex Index of the collision in the last report
+   * @returns {void}
+   */
+  inaccessible.handleClippingFrameDisplay = function (paramIndex) {
+
+    // Declarations
+    let that, report, collision;
+
+    // Definitions
+    that = this;
+    report = this.clippingReport;
+    collision = report.collisions[paramIndex];
+
+    this.isSceneAnimated = false;
+
+    report.startPoses.forEach(function (pose) {
+      pose.entry.object.position.copy(pose.position);
+      pose.entry.object.rotation.copy(pose.rotation);
+      pose.entry.object.scale.copy(pose.scale);
+      pose.entry.animationTime = pose.animationTime;
+
+      if (pose.isAnimated) {
+        that.advanceSceneElement(pose.entry,
+            collision.frames[0] * report.frameStep);
+      }
+    });
+
+    this.handleSettingOfClippingHighlight(collision);
+    this.render();
+  };
+
+  /**
+   * @description This function replaces the outlines drawn around clipping
+   * elements with red bounding boxes around the pair of elements of the
+   * inputted collision, or simply removes them if passed <code>null</code>.
+   * The outlines are refit to their elements on each render, so they follow
+   * the pair if the animation is restarted.
+   *
+   * @param {?object} paramCollision
+   * @returns {void}
+   */
+  inaccessible.handleSettingOfClippingHighlight = function (paramCollision) {
+
+    // Declaration
+    let that;
+
+    // Definition
+    that = this;
+
+    this.clippingHelpers.forEach(function (helper) {
+      that.scene.remove(helper);
+      helper.geometry.dispose();
+      helper.material.dispose();
+    });
+
+    this.clippingHelpers = (paramCollision == null)
+        ? []
+        : paramCollision.elements.map(function (element) {
+
+          // Declaration
+          let helper;
+
+          // Definition
+          helper = new THREE.BoxHelper(
+              that.clippingReport.startPoses[element.index].entry.mesh,
+              that.Colors.RED);
+
+          that.scene.add(helper);
+          return helper;
+        });
+  };
+
+  /**
+   * @description This function handles presses of the physics panel's "Start
+   * physics" button, handing the elements at the top of the hierarchy over to
+   * a physics world built from their current poses, in which they fall under
+   * gravity onto the floor and knock into one another. The animation is
+   * started if it isn't running already, as the world is stepped along with
+   * it. If physics is already running, a notification says as much.
+   *
+   * @returns {void}
+   */
+  inaccessible.handlePhysicsStart = function () {
+    if (this.physicsWorld != null) {
+      this.handleNotification(this.Text.PHYSICS_START_ERROR, true);
+      return;
+    }
+
+    this.physicsWorld = this.assemblePhysicsWorld(this.sceneElementData,
+        this.viewerOptions.seed);
+
+    if (!this.isSceneAnimated) {
+      this.handleAnimationStart();
+    }
+  };
+
+  /**
+   * @description This function handles presses of the "Reset physics" button,
+   * returning each element to the pose it had when physics was started and
+   * handing it back to its usual animation. If physics isn't running, a
+   * notification says as much.
+   *
+   * @returns {void}
+   */
+  inaccessible.handlePhysicsReset = function () {
+    if (this.physicsWorld == null) {
+      this.handleNotification(this.Text.PHYSICS_RESET_ERROR, true);
+      return;
+    }
+
+    this.physicsWorld.startPoses.forEach(function (pose) {
+      pose.entry.object.position.copy(pose.position);
+      pose.entry.object.quaternion.copy(pose.quaternion);
+      pose.entry.object.scale.copy(pose.scale);
+    });
+
+    this.physicsWorld = null;
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+  };
+
+  /**
+   * @description This function handles presses of the "Drop objects" button,
+   * starting physics if need be and then dropping every element free to move
+   * onto the floor from above via <code>inaccessible.dropPhysicsBodies</code>.
+   *
+   * @returns {void}
+   */
+  inaccessible.handlePhysicsDrop = function () {
+    if (this.physicsWorld == null) {
+      this.handlePhysicsStart();
+    }
+
+    this.dropPhysicsBodies(this.physicsWorld);
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+  };
+
+  /**
+   * @description This function handles presses of the "Load snapshot" button.
+   * A temporary file input is used to prompt the user for a previously saved
+   * snapshot file, the contents of which are read and passed to
+   * <code>inaccessible.applyViewerState</code>. Unreadable or malformed files
+   * result in an error notification rather than a partial restore.
+   *
+   * @returns {void}
+   */
+  inaccessible.handleSnapshotImport = function () {
+
+    // Declarations
+    let that, fileInput;
+
+    // Definitions
+    that = this;
+    fileInput = this.assembleElement(['input', {
+      type: 'file',
+      accept: '.json,application/json',
+    }, '']);
+
+    fileInput.addEventListener('change', function () {
+
+      // Declaration
+      let reader;
+
+      if (!fileInput.files.length) {
+        return;
+      }
+
+      // Definition
+      reader = new FileReader();
+
+      reader.addEventListener('load', function () {
+        try {
+          that.applyViewerState(JSON.parse(reader.result));
+        } catch (e) {
+          if (DEBUG) {
+            console.warn(e);
+          }
+
+          that.handleNotification(that.Text.SNAPSHOT_ERROR, true);
+        }
+      }, false);
+
+      reader.readAsText(fileInput.files[0]);
+    }, false);
+
+    fileInput.click();
+  };
+
+  /**
+   * @description This function handles presses of the "Import model" button,
+   * offering the user a file picker in which to choose one or more models,
+   * along with any files they refer to, to be imported as scene elements via
+   * <code>inaccessible.importModelFiles</code>.
+   *
+   * @returns {void}
+   */
+  inaccessible.handleModelImport = function () {
+
+    // Declarations
+    let that, fileInput;
+
+    // Definitions
+    that = this;
+    fileInput = this.assembleElement(['input', {
+      type: 'file',
+      multiple: '',
+      accept: Object.keys(this.ModelFormats).map(function (format) {
+        return `.${format}`;
+      }).concat(['.bin']).join(','),
+    }, '']);
+
+    fileInput.addEventListener('change', function () {
+      if (fileInput.files.length) {
+        that.importModelFiles(fileInput.files);
+      }
+    }, false);
+
+    fileInput.click();
+  };
+
+  /**
+   * @description This handler is called as files are dragged over, off of, and
+   * dropped on the <code>canvas</code> wrapper. The wrapper is highlighted
+   * while files are held over it, and dropped files are imported as models via
+   * <code>inaccessible.importModelFiles</code>. Drags of anything but files
+   * (i.e. selected text) are left to the browser.
+   *
+   * @param {DragEvent} paramEvent
+   * @returns {void}
+   */
+  inaccessible.handleModelDrop = function (paramEvent) {
+
+    // Declarations
+    let holder, transfer;
+
+    // Definitions
+    holder = this.root.getElementById(this.Identifiers.CANVAS_HOLDER_ID);
+    transfer = paramEvent.dataTransfer;
+
+    if (transfer == null ||
+        Array.prototype.indexOf.call(transfer.types, 'Files') === -1) {
+      return;
+    }
+
+    // Browsers refuse drops unless dragover is cancelled
+    paramEvent.preventDefault();
+    holder.classList.toggle(this.Identifiers.DROP_TARGET_CLASS,
+        paramEvent.type === 'dragover');
+
+    if (paramEvent.type === 'drop') {
+      this.importModelFiles(transfer.files);
+    }
+  };
+
+  /**
+   * @description This function handles presses of the "Copy permalink" button,
+   * encoding the current viewer state into the URL hash so that the address
+   * may be shared and reopened to the same view. The address is also copied to
+   * the clipboard where the browser permits it.
+   *
+   * @returns {void}
+   */
+  inaccessible.handlePermalinkCreation = function () {
+
+    // Declaration
+    let hash;
+
+    // Definition
+    hash = this.Identifiers.PERMALINK_PREFIX +
+        encodeURIComponent(JSON.stringify(this.getViewerState()));
+
+    // Replace rather than push to avoid cluttering the history
+    window.history.replaceState(null, '', hash);
+
+    // Failure to copy is harmless, as the address bar holds the permalink
+    if (window.navigator.clipboard != null) {
+      window.navigator.clipboard.writeText(window.location.href)
+          .catch(function () {});
+    }
+
+    this.handleNotification(
+        `${this.Text.PERMALINK_INFO}\n${window.location.href}`);
+  };
+
+  /**
+   * @description This function was originally taken from the default function
+   * made available in the Project 3 template HTML file, therein called
+   * <code>doFrame</code>. It checks if the animation is running, and calls the
+   * frame handler and render functions if so before calling itself recursively
+   * until the scene is no longer animated.
+   * <br />
+   * <br />
+   * Whereas the template advanced the animation by a fixed amount each frame,
+   * causing it to run twice as fast on a 120 Hz monitor as on a 60 Hz one, this
+   * version measures the time elapsed since the previous frame via the
+   * timestamp passed by <code>window.requestAnimationFrame</code> and advances
+   * the animation by the equivalent number of 60 Hz frames, scaled by the
+   * current animation speed. Long gaps (i.e. from a backgrounded tab) are
+   * capped so that the scene doesn't lurch forward on return.
+   *
+   * @see modeling-starter.doFrame
+   * @param {number=} paramTimestamp
+   * @returns {void}
+   */
+  inaccessible.handleFrame = function (paramTimestamp) {
+
+    // Declarations
+    let elapsed, frames;
+
+    if (!this.isSceneAnimated) {
+      this.frameRequestId = null;
+      this.lastFrameTimestamp = null;
+      return;
+    }
+
+    // Definition
+    frames = 0;
+
+    // The first frame after starting only records its timestamp
+    if (paramTimestamp != null && this.lastFrameTimestamp != null) {
+      elapsed = Math.min(paramTimestamp - this.lastFrameTimestamp,
+          this.Utility.MAX_FRAME_INTERVAL);
+      frames = elapsed / this.Utility.FRAME_INTERVAL * this.animationSpeed;
+      this.handleFrameUpdate(frames);
+    }
+
+    this.lastFrameTimestamp = (paramTimestamp != null) ? paramTimestamp : null;
+    this.render();
+    this.emitEvent(this.Events.FRAME, {
+      timestamp: this.lastFrameTimestamp,
+      frames: frames,
+    });
+    this.frameRequestId =
+        window.requestAnimationFrame(this.handleFrame.bind(this));
+  };
+
+  /**
+   * @description Like the function above, this function was also lifted from
+   * the Project 3 template HTML file, though it was subsequently expanded to
+   * allow for easier manipulation. Whereas before all animated elements were
+   * rotated along the y-axis exclusively, this implementation allows for scene
+   * element objects to notate in an array a list of axis-based rotations to be
+   * undertaken per frame, allowing for more variety in animated movement. The
+   * only thing that bugs the author is the nested loops. He hates nested loops
+   * as a matter of principle. So ugly.
+   * <br />
+   * <br />
+   * As each <code>rotationAmount</code> denotes the rotation per frame at 60
+   * frames per second, the inputted number of such frames (which may be
+   * fractional, or negative when running in reverse) is used to scale it. The
+   * same number of frames is added to each element's own animation clock,
+   * which drives its time-based (keyframed, orbiting, or oscillating)
+   * transformations via <code>inaccessible.applyTimedTransformations</code>.
+   * The stepping of each element is left to
+   * <code>inaccessible.advanceSceneElement</code>, which the clipping checker
+   * also uses to step its own copies of the elements. While physics is
+   * running, the elements at the top of the hierarchy are posed by the physics
+   * world instead, which only ever runs forwards.
+   *
+   * @see modeling-starter.updateForFrame
+   * @param {number=} paramFrames Number of 60 Hz frames to advance, default 1
+   * @returns {void}
+   */
+  inaccessible.handleFrameUpdate = function (paramFrames) {
+
+    // Declarations
+    let that, frames;
+
+    // Definitions
+    that = this;
+    frames = (paramFrames != null) ? paramFrames : 1;
+
+    // Physics moves the elements at the top of the hierarchy in their stead
+    if (this.physicsWorld != null) {
+      this.advancePhysicsWorld(this.physicsWorld,
+          frames / this.Utility.FRAMES_PER_SECOND);
+    }
+
+    // For every scene element...
+    this.sceneElementData.forEach(function (entry) {
+
+      // If the user hasn't toggled the element or any it's nested in off...
+      if ((that.physicsWorld == null || entry.parent != null) &&
+          that.isEntryAnimated(entry)) {
+        that.advanceSceneElement(entry, frames);
+      }
+    });
+  };
+
+  /**
+   * @description This function advances a single scene element's animation by
+   * the inputted number of 60 Hz frames, applying its per-frame rotations and
+   * moving its animation clock forward before reposing it according to its
+   * time-based transformations.
+   *
+   * @param {object} paramEntry
+   * @param {number} paramFrames
+   * @returns {void}
+   */
+  inaccessible.advanceSceneElement = function (paramEntry, paramFrames) {
+    paramEntry.animationTime += paramFrames / this.Utility.FRAMES_PER_SECOND;
+
+    // We take each of its preset rotations from its transformation array
+    paramEntry.transformations.forEach(function (transformation) {
+
+      // And apply it to the object along the selected axis
+      if (transformation.type == null) {
+        paramEntry.object.rotation[transformation.rotationAxis] +=
+            transformation.rotationAmount * paramFrames;
+      }
+    });
+
+    this.applyTimedTransformations(paramEntry);
+  };
+
+  /**
+   * @description This function poses a scene element's object node according
+   * to each of its time-based transformations at the element's current
+   * animation time, dispatching each to the function named for its type in
+   * <code>inaccessible.TransformationTypes</code>. As these transformations
+   * are functions of time rather than per-frame increments, the function may
+   * be called at any point (i.e. after assembly or a snapshot restore) to bring
+   * the object's pose up to date.
+   *
+   * @param {object} paramEntry
+   * @returns {void}
+   */
+  inaccessible.applyTimedTransformations = function (paramEntry) {
+
+    // Declaration
+    let that;
+
+    // Definition
+    that = this;
+
+    paramEntry.transformations.forEach(function (transformation) {
+      if (transformation.type != null) {
+        that[that.TransformationTypes[transformation.type]](paramEntry.object,
+            transformation,
+            paramEntry.animationTime - (transformation.offset || 0));
+      }
+    });
+  };
+
+  /**
+   * @description This function maps a track's local time onto its timeline of
+   * the inputted duration according to its looping mode. Tracks played
+   * <code>once</code> hold their first and last values outside the timeline,
+   * <code>repeat</code> tracks wrap around, and <code>pingPong</code> tracks
+   * alternate between playing forwards and backwards.
+   *
+   * @param {number} paramTime
+   * @param {number} paramDuration
+   * @param {string} paramLoop
+   * @returns {number}
+   */
+  inaccessible.getLoopedTime = function (paramTime, paramDuration, paramLoop) {
+
+    // Declaration
+    let cycleTime;
+
+    if (paramDuration <= 0) {
+      return 0;
+    }
+
+    switch (paramLoop) {
+      case 'repeat':
+        return ((paramTime % paramDuration) + paramDuration) % paramDuration;
+      case 'pingPong':
+        cycleTime = ((paramTime % (2 * paramDuration)) + 2 * paramDuration) %
+            (2 * paramDuration);
+        return (cycleTime > paramDuration)
+            ? 2 * paramDuration - cycleTime
+            : cycleTime;
+      default:
+        return Math.min(paramDuration, Math.max(0, paramTime));
+    }
+  };
+
+  /**
+   * @description This function applies a <code>keyframes</code> track to an
+   * object node, finding the pair of keyframes surrounding the inputted time
+   * and interpolating between their values using the easing function of the
+   * later keyframe (or failing that, of the track).
+   *
+   * @param {THREE.Object3D} paramObject
+   * @param {object} paramTrack
+   * @param {number} paramTime Seconds since the track's start
+   * @returns {void}
+   */
+  inaccessible.applyKeyframeTrack = function (paramObject, paramTrack,
+      paramTime) {
+
+    // Declarations
+    let keyframes, first, last, time, index, from, to, progress, easing;
+
+    // Definitions
+    keyframes = paramTrack.keyframes;
+    first = keyframes[0];
+    last = keyframes[keyframes.length - 1];
+    time = first.time + this.getLoopedTime(paramTime, last.time - first.time,
+        paramTrack.loop);
+    index = 0;
+
+    while (index < keyframes.length - 2 && keyframes[index + 1].time < time) {
+      index++;
+    }
+
+    from = keyframes[index];
+    to = keyframes[Math.min(index + 1, keyframes.length - 1)];
+    progress = (to.time > from.time)
+        ? (time - from.time) / (to.time - from.time)
+        : 1;
+    easing = this.Easing[to.easing || paramTrack.easing];
+
+    paramObject[paramTrack.property].set(...from.value.map(function (value, i) {
+      return value + (to.value[i] - value) * easing(progress);
+    }));
+  };
+
+  /**
+   * @description This function applies an <code>orbit</code> transformation to
+   * an object node, placing it on a circle around the orbit's center in the
+   * plane normal to the orbit's axis. A negative period orbits in the opposite
+   * direction.
+   *
+   * @param {THREE.Object3D} paramObject
+   * @param {object} paramOrbit
+   * @param {number} paramTime Seconds since the orbit's start
+   * @returns {void}
+   */
+  inaccessible.applyOrbit = function (paramObject, paramOrbit, paramTime) {
+
+    // Declarations
+    let angle, planeAxes, position;
+
+    // Definitions
+    angle = 2 * Math.PI * paramTime / paramOrbit.period;
+    planeAxes = {x: [1, 2], y: [2, 0], z: [0, 1]}[paramOrbit.axis];
+    position = paramOrbit.center.slice();
+
+    position[planeAxes[0]] += paramOrbit.radius * Math.cos(angle);
+    position[planeAxes[1]] += paramOrbit.radius * Math.sin(angle);
+
+    paramObject.position.set(...position);
+  };
+
+  /**
+   * @description This function applies an <code>oscillate</code>
+   * transformation to an object node, setting the oscillated property along
+   * each of the inputted axes to a point on a sine wave around its center.
+   *
+   * @param {THREE.Object3D} paramObject
+   * @param {object} paramOscillation
+   * @param {number} paramTime Seconds since the oscillation's start
+   * @returns {void}
+   */
+  inaccessible.applyOscillation = function (paramObject, paramOscillation,
+      paramTime) {
+
+    // Declaration
+    let value;
+
+    // Definition
+    value = paramOscillation.center + paramOscillation.amplitude *
+        Math.sin(2 * Math.PI * paramTime / paramOscillation.period);
+
+    paramOscillation.axis.split('').forEach(function (axis) {
+      paramObject[paramOscillation.property][axis] = value;
+    });
+  };
+
+  /**
+   * @description Much of this function's contents were originally derived from
+   * the similar <code>switch</code>-mediated method in his Project 2
+   * submission, namely, <code>ScenePanel.SceneKeyListener.keyPressed</code>.
+   * As with that method, this function permits the user to interact with the
+   * scene via either rotation, scale, or translation transformation
+   * operations. Rather than a <code>switch</code> over hardcoded (and
+   * deprecated) <code>keyCode</code> numbers, the pressed key's
+   * <code>KeyboardEvent.code</code> (or failing that, its
+   * <code>KeyboardEvent.key</code>) is looked up in the active
+   * <code>inaccessible.keyBindings</code> table to find the named action to
+   * perform. Assuming the key pressed was bound to an action, the scene is
+   * re-rendered to display the modifications undertaken.
+   * <br />
+   * <br />
+   * In addition to sharing some similarities with the author's Project 2
+   * submission method mentioned above, this function also shares some basic
+   * functionality with the related <code>doKey</code> function contained in the
+   * Project 3 template file, <code>modeling-starter.html</code>.
+   *
+   * @see modeling-starter.doKey
+   * @param {event} paramEvent
+   * @returns {void}
+   */
+  inaccessible.handleKeyPress = function (paramEvent) {
+
+    // Declarations
+    let actionName, action;
+
+    // Keystrokes made in mounted viewers are theirs alone
+    if (this.mountedElements.indexOf(paramEvent.target) !== -1) {
+      return;
+    }
+
+    // The next keystroke belongs to the key binding panel if it's listening
+    if (this.rebindingActionName != null) {
+      this.handleKeyRebinding(paramEvent);
+      return;
+    }
+
+    // Esc closes the help overlay, if open
+    if (paramEvent.key === 'Escape' && !this.root.getElementById(
+        this.Identifiers.HELP_OVERLAY_ID).hidden) {
+      paramEvent.preventDefault();
+      this.handleSettingOfHelpOverlay(false);
+      return;
+    }
+
+    // Don't hijack keystrokes meant for text fields and the like
+    if (/^(INPUT|SELECT|TEXTAREA)$/.test(paramEvent.target.tagName)) {
+      return;
+    }
+
+    // Nor browser shortcuts, i.e. Ctrl+F for find rather than F for fullscreen
+    if (paramEvent.ctrlKey || paramEvent.metaKey || paramEvent.altKey) {
+      return;
+    }
+
+    // Definitions
+    actionName = this.keyBindings[paramEvent.code] ||
+        this.keyBindings[paramEvent.key];
+    action = this.getKeyboardAction(actionName);
+
+    // Equal to action === undefined || action === null
+    if (action == null) {
+      return;
+    }
+
+    paramEvent.preventDefault();
+    this.handleKeyboardAction(action);
+  };
+
+  /**
+   * @description This function performs a single entry of the
+   * <code>inaccessible.keyboardActions</code> array. Transformation actions add
+   * their amount to the relevant axis (or all three axes, in the case of
+   * scaling) of the model, while the remaining actions call the handler named
+   * in their <code>functionName</code> property, as with the sidebar buttons.
+   *
+   * @param {object} paramAction
+   * @returns {void}
+   */
+  inaccessible.handleKeyboardAction = function (paramAction) {
+
+    // Declaration
+    let that;
+
+    // Definition
+    that = this;
+
+    if (paramAction.functionName != null) {
+      this[paramAction.functionName](...paramAction.functionArguments);
+      return;
+    }
+
+    paramAction.axes.forEach(function (axis) {
+      that.model[paramAction.property][axis] += paramAction.amount;
+    });
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+
+    this.emitModelTransformed('keyboard');
+  };
+
+  /**
+   * @description This function handles the keystroke following a press of one
+   * of the key binding panel's buttons, binding the pressed key to the action
+   * awaiting a key. A key may only be bound to a single action, so any previous
+   * bindings of the key (and of the action) are removed first. Esc cancels the
+   * rebinding, while Backspace or Delete leave the action unbound.
+   *
+   * @param {event} paramEvent
+   * @returns {void}
+   */
+  inaccessible.handleKeyRebinding = function (paramEvent) {
+
+    // Declarations
+    let that, actionName, bindings;
+
+    // Definitions
+    that = this;
+    actionName = this.rebindingActionName;
+    bindings = this.keyBindings;
+
+    paramEvent.preventDefault();
+
+    // Modifier keys alone are not worth binding, so wait for the next one
+    if (/^(Shift|Control|Alt|Meta)/.test(paramEvent.code)) {
+      return;
+    }
+
+    if (paramEvent.code !== 'Escape') {
+      Object.keys(bindings).forEach(function (key) {
+        if (bindings[key] === actionName || key === paramEvent.code) {
+          delete bindings[key];
+        }
+      });
+
+      if (paramEvent.code !== 'Backspace' && paramEvent.code !== 'Delete') {
+        bindings[paramEvent.code] = actionName;
+      }
+
+      this.saveKeyBindings();
+    }
+
+    this.rebindingActionName = null;
+    this.refreshKeyBindingPanel();
+
+    // Prevent the panel button from being clicked again by Enter or Space,
+    // though a mounted viewer keeps focus, as its keystrokes depend on it
+    if (this.isEmbedded) {
+      this.root.getElementById(this.Identifiers.CONTAINER_ID).focus();
+    } else if (this.root.activeElement != null) {
+      this.root.activeElement.blur();
+    }
+
+    if (DEBUG) {
+      console.log(Object.keys(bindings).map(function (key) {
+        return `${key} -> ${that.keyBindings[key]}`;
+      }));
+    }
+  };
+
+  /**
+   * @description This function handles presses of the buttons in the key
+   * binding panel, placing the panel into a listening state in which the next
+   * keystroke is bound to the button's action by
+   * <code>inaccessible.handleKeyRebinding</code>.
+   *
+   * @param {string} paramActionName
+   * @returns {void}
+   */
+  inaccessible.handleKeyBindingButton = function (paramActionName) {
+    this.rebindingActionName = paramActionName;
+    this.refreshKeyBindingPanel();
+  };
+
+  /**
+   * @description This function handles presses of the key binding panel's
+   * restore button, discarding the user's custom bindings in favor of those
+   * found in <code>inaccessible.defaultKeyBindings</code>.
+   *
+   * @returns {void}
+   */
+  inaccessible.handleKeyBindingReset = function () {
+    this.keyBindings = Object.assign({}, this.defaultKeyBindings);
+    this.rebindingActionName = null;
+    this.saveKeyBindings();
+    this.refreshKeyBindingPanel();
+  };
+
+  /**
+   * @description The first of the pointer event handlers attached to the
+   * <code>canvas</code> by <code>inaccessible.assemblePointerControls</code>,
+   * this function records the position and button of a newly pressed pointer.
+   * Pointer capture is requested so that drags continue to be tracked if the
+   * pointer strays outside the <code>canvas</code>. Any inertial coasting is
+   * halted, its pending frame cancelled, as the user has grabbed the model
+   * again.
+   *
+   * @param {PointerEvent} paramEvent
+   * @returns {void}
+   */
+  inaccessible.handlePointerDown = function (paramEvent) {
+    this.handleTooltipDisplay(null);
+    this.pointerState.pointers[paramEvent.pointerId] = {
+      x: paramEvent.clientX,
+      y: paramEvent.clientY,
+      startX: paramEvent.clientX,
+      startY: paramEvent.clientY,
+      button: paramEvent.button,
+      time: paramEvent.timeStamp,
+    };
+    this.pointerState.isCoasting = false;
+    this.pointerState.velocityX = 0;
+    this.pointerState.velocityY = 0;
+
+    // Otherwise a quick release would start a second loop beside this one
+    if (this.inertiaFrameRequestId != null) {
+      window.cancelAnimationFrame(this.inertiaFrameRequestId);
+      this.inertiaFrameRequestId = null;
+    }
+
+    if (paramEvent.target.setPointerCapture) {
+      paramEvent.target.setPointerCapture(paramEvent.pointerId);
+    }
+
+    // Prevented pointer presses don't move focus, which mounted viewers need
+    if (this.isEmbedded) {
+      this.root.getElementById(this.Identifiers.CONTAINER_ID).focus();
+    }
+
+    paramEvent.preventDefault();
+  };
+
+  /**
+   * @description This function handles pointer movement over the
+   * <code>canvas</code>. A single pointer rotates the model, unless it is a
+   * right mouse button drag, which pans the model instead. With two pointers
+   * (i.e. two fingers on a touchscreen), the change in distance between the
+   * pointers zooms the model while the movement of their midpoint pans it.
+   *
+   * @param {PointerEvent} paramEvent
+   * @returns {void}
+   */
+  inaccessible.handlePointerMove = function (paramEvent) {
+
+    // Declarations
+    let pointers, pointer, ids, other, deltaX, deltaY, oldDistance,
+      newDistance;
+
+    // Definitions
+    pointers = this.pointerState.pointers;
+    pointer = pointers[paramEvent.pointerId];
+
+    // Hovering pointers that aren't pressed only show tooltips
+    if (pointer == null) {
+      this.handleTooltipDisplay(paramEvent);
+      return;
+    }
+
+    ids = Object.keys(pointers);
+    deltaX = paramEvent.clientX - pointer.x;
+    deltaY = paramEvent.clientY - pointer.y;
+
+    if (ids.length === 1) {
+      if (pointer.button === this.Utility.RIGHT_MOUSE_BUTTON) {
+        this.handleModelPan(deltaX, deltaY);
+      } else {
+        this.handleModelRotation(deltaX, deltaY,
+            paramEvent.timeStamp - pointer.time);
+        this.pointerState.lastRotationTime = paramEvent.timeStamp;
+      }
+    } else if (ids.length === 2) {
+      other = pointers[ids[0] === String(paramEvent.pointerId) ? ids[1] :
+          ids[0]];
+      oldDistance = Math.hypot(pointer.x - other.x, pointer.y - other.y);
+      newDistance = Math.hypot(paramEvent.clientX - other.x,
+          paramEvent.clientY - other.y);
+
+      // Midpoint moves by half of this pointer's movement
+      this.handleModelPan(deltaX / 2, deltaY / 2);
+
+      if (oldDistance > 0) {
+        this.handleModelZoom(newDistance / oldDistance);
+      }
+    }
+
+    pointer.x = paramEvent.clientX;
+    pointer.y = paramEvent.clientY;
+    pointer.time = paramEvent.timeStamp;
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+
+    this.emitModelTransformed('pointer');
+  };
+
+  /**
+   * @description This function handles the release or cancellation of a
+   * pointer, forgetting its recorded position. A lone left button or touch
+   * released about where it was pressed is treated as a click, picking the
+   * scene element under it via <code>inaccessible.handleScenePick</code>. If
+   * inertia is enabled and the last pointer was released mid-rotation, the
+   * model is left to coast to a stop via
+   * <code>inaccessible.handleInertiaFrame</code>. A drag held still for longer
+   * than <code>INERTIA_RELEASE_DELAY</code> milliseconds before its release
+   * has no velocity left to coast with.
+   *
+   * @param {PointerEvent} paramEvent
+   * @returns {void}
+   */
+  inaccessible.handlePointerUp = function (paramEvent) {
+
+    // Declarations
+    let state, pointer;
+
+    // Definitions
+    state = this.pointerState;
+    pointer = state.pointers[paramEvent.pointerId];
+
+    delete state.pointers[paramEvent.pointerId];
+
+    // Pointer moves only come with movement, so holding still isn't recorded
+    if (paramEvent.timeStamp - state.lastRotationTime >
+        this.Utility.INERTIA_RELEASE_DELAY) {
+      state.velocityX = 0;
+      state.velocityY = 0;
+    }
+
+    if (paramEvent.type === 'pointerup' && pointer != null &&
+        pointer.button === this.Utility.LEFT_MOUSE_BUTTON &&
+        !Object.keys(state.pointers).length &&
+        Math.hypot(paramEvent.clientX - pointer.startX,
+            paramEvent.clientY - pointer.startY) <
+                this.Utility.CLICK_DISTANCE_THRESHOLD) {
+      this.handleScenePick(paramEvent);
+    }
+
+    if (this.viewerOptions.enableInertia &&
+        !Object.keys(state.pointers).length &&
+        Math.hypot(state.velocityX, state.velocityY) >
+            this.Utility.INERTIA_THRESHOLD) {
+      state.isCoasting = true;
+      state.lastInertiaTimestamp = null;
+      this.handleInertiaFrame();
+    }
+  };
+
+  /**
+   * @description This function handles mouse wheel and trackpad scrolling over
+   * the <code>canvas</code>, zooming the model in or out. Trackpad pinch
+   * gestures are reported by browsers as wheel events with the
+   * <code>ctrlKey</code> flag set, so they are handled here as well.
+   *
+   * @param {WheelEvent} paramEvent
+   * @returns {void}
+   */
+  inaccessible.handleWheel = function (paramEvent) {
+    paramEvent.preventDefault();
+
+    this.handleModelZoom(
+        Math.exp(-paramEvent.deltaY * this.viewerOptions.zoomSensitivity));
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+
+    this.emitModelTransformed('pointer');
+  };
+
+  /**
+   * @description This function casts a ray from the camera through the point
+   * of the <code>canvas</code> that was clicked, selecting the nearest scene
+   * element mesh it passes through. Clicking empty space clears the selection.
+   *
+   * @param {PointerEvent} paramEvent
+   * @returns {void}
+   */
+  inaccessible.handleScenePick = function (paramEvent) {
+    this.handleSceneElementSelection(
+        this.getEntryAtPoint(paramEvent.clientX, paramEvent.clientY));
+  };
+
+  /**
+   * @description This function handles pointers hovering over the
+   * <code>canvas</code> without being pressed, showing a tooltip beside the
+   * cursor with the name and key properties of the scene element beneath it.
+   * The tooltip is hidden if there is no such element, or if the inputted
+   * event is <code>null</code> (i.e. as the pointer leaves the canvas).
+   *
+   * @param {?PointerEvent} paramEvent
+   * @returns {void}
+   */
+  inaccessible.handleTooltipDisplay = function (paramEvent) {
+
+    // Declarations
+    let tooltip, entry, rect, offset;
+
+    // Definitions
+    tooltip = this.root.getElementById(this.Identifiers.TOOLTIP_ID);
+    entry = (paramEvent != null)
+        ? this.getEntryAtPoint(paramEvent.clientX, paramEvent.clientY)
+        : null;
+
+    tooltip.hidden = entry == null;
+
+    if (entry == null) {
+      return;
+    }
+
+    rect = this.canvas.getBoundingClientRect();
+    offset = this.Utility.TOOLTIP_OFFSET;
+
+    tooltip.textContent = '';
+    tooltip.appendChild(this.assembleElement(['div', {},
+        ['strong', {}, entry.itemType.split(/(?=[A-Z])/).join(' ')],
+        ['div', {}, this.getEntryDescription(entry)]]));
+    tooltip.style.left = `${paramEvent.clientX - rect.left + offset}px`;
+    tooltip.style.top = `${paramEvent.clientY - rect.top + offset}px`;
+  };
+
+  /**
+   * @description This handler is called on changes of the label checkbox,
+   * showing or hiding the labels that follow each scene element and light.
+   *
+   * @returns {void}
+   */
+  inaccessible.handleLabelCheckboxChanges = function () {
+    this.areLabelsVisible = !this.areLabelsVisible;
+    this.root.getElementById(this.Identifiers.LABEL_LAYER_ID).hidden =
+        !this.areLabelsVisible;
+
+    // Labels are only placed by render while visible
+    this.render();
+  };
+
+  /**
+   * @description This function resizes the drawing buffer of the
+   * <code>canvas</code> to match the size at which it is displayed, scaled by
+   * the device pixel ratio (capped at the <code>maxPixelRatio</code> option),
+   * and updates the camera's aspect ratio to suit. It is called whenever the
+   * <code>canvas</code> wrapper changes size, as well as on entering and
+   * leaving fullscreen.
+   *
+   * @returns {void}
+   */
+  inaccessible.handleCanvasResize = function () {
+
+    // Declarations
+    let size, pixelRatio;
+
+    // Definitions
+    size = this.getCanvasSize();
+    pixelRatio = Math.min(window.devicePixelRatio || 1,
+        this.viewerOptions.maxPixelRatio);
+
+    // Wrappers not laid out (i.e. still hidden) have no size to speak of
+    if (!size.width || !size.height) {
+      return;
+    }
+
+    this.renderer.setPixelRatio(pixelRatio);
+    this.renderer.setSize(size.width, size.height, false);
+
+    // Fixed layout sets the display size too, responsive leaves it to the CSS
+    this.canvas.style.width = (size.isResponsive) ? '' : `${size.width}px`;
+    this.canvas.style.height = (size.isResponsive) ? '' : `${size.height}px`;
+    this.perspectiveCamera.aspect = size.width / size.height;
+    this.handleSettingOfCameraProjection();
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+  };
+
+  /**
+   * @description This function enters or leaves fullscreen mode, in which the
+   * <code>canvas</code> (along with its labels) fills the entire screen. The
+   * Escape key leaves fullscreen mode as well, courtesy of the browser.
+   *
+   * @returns {void}
+   */
+  inaccessible.handleFullscreenToggle = function () {
+
+    // Declaration
+    let holder;
+
+    // Definition
+    holder = this.root.getElementById(this.Identifiers.CANVAS_HOLDER_ID);
+
+    if (this.root.fullscreenElement != null) {
+      document.exitFullscreen();
+    } else if (holder.requestFullscreen != null) {
+      holder.requestFullscreen();
+    } else {
+      this.handleNotification(this.Text.FULLSCREEN_ERROR, true);
+    }
+  };
+
+  /**
+   * @description This function orients both the perspective and orthographic
+   * cameras by the inputted rotation and places them at the usual distance
+   * from the point they look at, <code>inaccessible.cameraTarget</code>, so
+   * that switching between the two never moves the view.
+   *
+   * @param {THREE.Quaternion} paramQuaternion
+   * @returns {void}
+   */
+  inaccessible.handleSettingOfCameraPose = function (paramQuaternion) {
+
+    // Declarations
+    let that, offset;
+
+    // Definitions
+    that = this;
+    offset = new THREE.Vector3(0, 0, this.Utility.Z_AXIS_CAMERA_POSITION)
+        .applyQuaternion(paramQuaternion);
+
+    [this.perspectiveCamera, this.orthographicCamera].forEach(
+        function (camera) {
+      camera.quaternion.copy(paramQuaternion);
+      camera.position.copy(that.cameraTarget).add(offset);
+    });
+  };
+
+  /**
+   * @description This function refreshes the projections of both cameras
+   * after a change of aspect ratio, field of view, or near or far plane. The
+   * perspective camera holds these settings, while the orthographic camera's
+   * frustum is sized to show what the perspective camera shows at the distance
+   * of the point it looks at, so that the view keeps its scale when switching.
+   *
+   * @returns {void}
+   */
+  inaccessible.handleSettingOfCameraProjection = function () {
+
+    // Declarations
+    let perspective, orthographic, halfHeight;
+
+    // Definitions
+    perspective = this.perspectiveCamera;
+    orthographic = this.orthographicCamera;
+    halfHeight = this.Utility.Z_AXIS_CAMERA_POSITION *
+        Math.tan(THREE.Math.degToRad(perspective.fov) / 2);
+
+    orthographic.left = -halfHeight * perspective.aspect;
+    orthographic.right = halfHeight * perspective.aspect;
+    orthographic.top = halfHeight;
+    orthographic.bottom = -halfHeight;
+    orthographic.near = perspective.near;
+    orthographic.far = perspective.far;
+
+    perspective.updateProjectionMatrix();
+    orthographic.updateProjectionMatrix();
+  };
+
+  /**
+   * @description This function begins a smooth transition of the camera from
+   * its current orientation to the inputted one, and from the point it looks
+   * at to that given by <code>inaccessible.getCameraTarget</code>. Starting a
+   * transition while another is underway simply redirects the camera from
+   * wherever it has got to.
+   *
+   * @param {THREE.Quaternion} paramQuaternion
+   * @returns {void}
+   */
+  inaccessible.handleCameraTransition = function (paramQuaternion) {
+
+    // Declaration
+    let isIdle;
+
+    // Definition
+    isIdle = this.cameraTransition == null;
+
+    this.cameraTransition = {
+      fromQuaternion: this.camera.quaternion.clone(),
+      toQuaternion: paramQuaternion.clone(),
+      fromTarget: this.cameraTarget.clone(),
+      startTime: null,
+    };
+
+    if (isIdle) {
+      this.cameraFrameRequestId = window.requestAnimationFrame(
+          this.handleCameraTransitionFrame.bind(this));
+    }
+  };
+
+  /**
+   * @description Like <code>inaccessible.handleInertiaFrame</code>, this
+   * function calls itself via <code>window.requestAnimationFrame</code>, in
+   * this case to ease the camera through its current transition over
+   * <code>Utility.CAMERA_TRANSITION_DURATION</code> milliseconds. The camera's
+   * orientation is interpolated spherically, so it swings around the point it
+   * looks at rather than cutting through it.
+   *
+   * @param {number} paramTimestamp
+   * @returns {void}
+   */
+  inaccessible.handleCameraTransitionFrame = function (paramTimestamp) {
+
+    // Declarations
+    let transition, progress, quaternion;
+
+    // Definitions
+    transition = this.cameraTransition;
+
+    if (transition == null) {
+      return;
+    }
+
+    if (transition.startTime == null) {
+      transition.startTime = paramTimestamp;
+    }
+
+    progress = Math.min(1, (paramTimestamp - transition.startTime) /
+        this.Utility.CAMERA_TRANSITION_DURATION);
+    quaternion = THREE.Quaternion.slerp(transition.fromQuaternion,
+        transition.toQuaternion, new THREE.Quaternion(),
+        this.Easing.easeInOut(progress));
+
+    this.cameraTarget.lerpVectors(transition.fromTarget, this.getCameraTarget(),
+        this.Easing.easeInOut(progress));
+    this.handleSettingOfCameraPose(quaternion);
+
+    if (progress === 1) {
+      this.cameraTransition = null;
+      this.cameraFrameRequestId = null;
+    } else {
+      this.cameraFrameRequestId = window.requestAnimationFrame(
+          this.handleCameraTransitionFrame.bind(this));
+    }
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+  };
+
+  /**
+   * @description This function handles presses of the camera panel's preset
+   * buttons, swinging the camera round to the preset of the inputted name.
+   *
+   * @param {string} paramPresetName
+   * @returns {void}
+   */
+  inaccessible.handleCameraPreset = function (paramPresetName) {
+    this.handleCameraTransition(
+        this.getCameraPresetQuaternion(paramPresetName));
+  };
+
+  /**
+   * @description This function handles changes of the camera panel's
+   * "Orthographic" checkbox, switching the rendering camera between the
+   * perspective and orthographic cameras. As the two are kept in the same
+   * pose, only the projection changes.
+   *
+   * @returns {void}
+   */
+  inaccessible.handleCameraProjectionToggle = function () {
+    this.camera = (this.camera === this.perspectiveCamera)
+        ? this.orthographicCamera
+        : this.perspectiveCamera;
+
+    this.root.getElementById(this.Identifiers.CAMERA_ORTHOGRAPHIC_ID).checked =
+        this.camera.isOrthographicCamera;
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+  };
+
+  /**
+   * @description This function handles changes of the camera panel's "Follow"
+   * dropdown, setting the scene element of the inputted id as the one the
+   * camera tracks, or returning the camera to the center of the scene if the
+   * id is empty. Either way, the camera glides over to its new target.
+   *
+   * @param {string} paramId
+   * @returns {void}
+   */
+  inaccessible.handleCameraFollowChange = function (paramId) {
+    this.followedEntry = (paramId)
+        ? this.getEntryById('sceneElementData', paramId)
+        : null;
+
+    this.root.getElementById(this.Identifiers.CAMERA_FOLLOW_ID).value = paramId;
+    this.handleCameraTransition(this.camera.quaternion);
+  };
+
+  /**
+   * @description This function handles edits of the camera panel's field of
+   * view and near and far plane inputs, applying the edited setting to both
+   * cameras. Values out of range, including near planes beyond the far plane
+   * and vice versa, mark the input as invalid and are otherwise ignored.
+   *
+   * @param {string} paramProperty <code>fov</code>, <code>near</code>, or
+   *    <code>far</code>
+   * @param {HTMLInputElement} paramElement
+   * @returns {void}
+   */
+  inaccessible.handleCameraSettingChange = function (paramProperty,
+      paramElement) {
+
+    // Declarations
+    let camera, value, isValid;
+
+    // Definitions
+    camera = this.perspectiveCamera;
+    value = Number(paramElement.value);
+
+    switch (paramProperty) {
+      case 'fov':
+        isValid = value >= this.Utility.MIN_CAMERA_FOV &&
+            value <= this.Utility.MAX_CAMERA_FOV;
+        break;
+      case 'near':
+        isValid = value > 0 && value < camera.far;
+        break;
+      default:
+        isValid = value > camera.near;
+        break;
+    }
+
+    if (paramElement.value === '' || !isValid) {
+      paramElement.classList.add(this.Identifiers.INVALID_INPUT_CLASS);
+      return;
+    }
+
+    paramElement.classList.remove(this.Identifiers.INVALID_INPUT_CLASS);
+    camera[paramProperty] = value;
+    this.handleSettingOfCameraProjection();
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+  };
+
+  /**
+   * @description This function moves each scene element's and light's label to
+   * the point of the <code>canvas</code> at which its object was last drawn,
+   * building labels for new entries and discarding those of removed ones.
+   * Labels of objects behind the camera or outside its view are hidden.
+   * Ambient lights, being everywhere at once, have no label.
+   *
+   * @returns {void}
+   */
+  inaccessible.handleSceneLabelPlacement = function () {
+
+    // Declarations
+    let that, layer, entries, labelIds;
+
+    // Definitions
+    that = this;
+    layer = this.root.getElementById(this.Identifiers.LABEL_LAYER_ID);
+    labelIds = [];
+    entries = this.sceneElementData.map(function (entry) {
+      return {entry: entry, object: entry.mesh};
+    }).concat(this.sceneLightData.filter(function (entry) {
+      return !entry.assembledLight.isAmbientLight;
+    }).map(function (entry) {
+      return {entry: entry, object: entry.assembledLight};
+    }));
+
+    entries.forEach(function (item) {
+
+      // Declarations
+      let labelId, label, position;
+
+      // Definitions
+      labelId = `${item.entry.checkBoxId}-tag`;
+      label = that.root.getElementById(labelId);
+      position = that.getScreenPosition(item.object);
+
+      if (label == null) {
+        label = that.assembleElement(['div', {id: labelId,
+            class: that.Identifiers.SCENE_LABEL_CLASS},
+            item.entry.itemType.split(/(?=[A-Z])/).join(' ')]);
+        layer.appendChild(label);
+      }
+
+      labelIds.push(labelId);
+      label.hidden = !position.isVisible;
+      label.style.left = `${position.x}px`;
+      label.style.top = `${position.y}px`;
+    });
+
+    // Discard labels of since-removed entries
+    Array.prototype.slice.call(layer.children).forEach(function (label) {
+      if (labelIds.indexOf(label.id) === -1) {
+        layer.removeChild(label);
+      }
+    });
+  };
+
+  /**
+   * @description This function selects the inputted scene element entry (or
+   * clears the selection if <code>null</code>), moving the highlight over to
+   * its mesh and opening the inspector panel with its properties.
+   *
+   * @param {?object} paramEntry
+   * @returns {void}
+   */
+  inaccessible.handleSceneElementSelection = function (paramEntry) {
+
+    // Declaration
+    let holder;
+
+    // Definition
+    holder = this.root.getElementById(this.Identifiers.INSPECTOR_HOLDER_ID);
+
+    if (this.selectedEntry != null) {
+      this.handleSettingOfSelectionHighlight(this.selectedEntry, false);
+    }
+
+    this.selectedEntry = paramEntry;
+    holder.hidden = paramEntry == null;
+
+    if (paramEntry != null) {
+      this.handleSettingOfSelectionHighlight(paramEntry, true);
+      this.assembleInspector(paramEntry);
+    }
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+  };
+
+  /**
+   * @description This function tints the mesh of the inputted entry with an
+   * emissive glow while selected, or restores the entry's own emissive color
+   * (black, if none is set) to remove the tint. Materials without an
+   * emissive color (i.e. <code>MeshBasicMaterial</code>) are left as they are.
+   *
+   * @param {object} paramEntry
+   * @param {boolean} paramIsSelected
+   * @returns {void}
+   */
+  inaccessible.handleSettingOfSelectionHighlight = function (paramEntry,
+      paramIsSelected) {
+
+    // Declaration
+    let material;
+
+    // Definition
+    material = paramEntry.mesh.material;
+
+    if (material.emissive != null) {
+      material.emissive.set((paramIsSelected)
+          ? this.Colors.DARKYELLOW
+          : paramEntry.emissive || this.Colors.BLACK);
+    }
+  };
+
+  /**
+   * @description This handler is called on edits of one of the inspector
+   * panel's fields, applying the edited value to the selected entry via
+   * <code>inaccessible.updateSceneElement</code> so that the mesh is rebuilt
+   * live and the entry's data object updated to match. Values that can't be
+   * parsed or applied (i.e. malformed JSON) mark the field as invalid instead.
+   *
+   * @param {object} paramField Entry of inaccessible.inspectorFieldData
+   * @param {HTMLElement} paramElement Field wrapper element
+   * @returns {void}
+   */
+  inaccessible.handleInspectorFieldChange = function (paramField,
+      paramElement) {
+
+    // Declaration
+    let patch;
+
+    // Definition
+    patch = {};
+
+    try {
+      patch[paramField.property] =
+          this.getInspectorFieldInput(paramField, paramElement);
+      this.updateSceneElement(this.selectedEntry.id, patch);
+      paramElement.classList.remove(this.Identifiers.INVALID_INPUT_CLASS);
+    } catch (error) {
+      paramElement.classList.add(this.Identifiers.INVALID_INPUT_CLASS);
+    }
+  };
+
+  /**
+   * @description This function rotates the model about its y and x-axes in
+   * response to a horizontal and vertical drag, respectively, recording the
+   * rotation over the inputted time taken by the drag as the current velocity
+   * for use in inertial coasting.
+   *
+   * @param {number} paramDeltaX Horizontal drag distance in pixels
+   * @param {number} paramDeltaY Vertical drag distance in pixels
+   * @param {number} paramElapsed Duration of the drag in milliseconds
+   * @returns {void}
+   */
+  inaccessible.handleModelRotation = function (paramDeltaX, paramDeltaY,
+      paramElapsed) {
+
+    // Declarations
+    let rotationX, rotationY, elapsed;
+
+    // Definitions
+    rotationX = paramDeltaY * this.viewerOptions.rotateSensitivity;
+    rotationY = paramDeltaX * this.viewerOptions.rotateSensitivity;
+    elapsed = Math.max(paramElapsed, this.Utility.MIN_DRAG_INTERVAL);
+
+    this.pointerState.velocityX = rotationX / elapsed;
+    this.pointerState.velocityY = rotationY / elapsed;
+
+    this.model.rotation.x += rotationX;
+    this.model.rotation.y += rotationY;
+  };
+
+  /**
+   * @description This function translates the model along the x and y-axes in
+   * response to a drag. As screen space y increases downwards while scene space
+   * y increases upwards, the vertical distance is negated.
+   *
+   * @param {number} paramDeltaX Horizontal drag distance in pixels
+   * @param {number} paramDeltaY Vertical drag distance in pixels
+   * @returns {void}
+   */
+  inaccessible.handleModelPan = function (paramDeltaX, paramDeltaY) {
+    this.model.position.x += paramDeltaX * this.viewerOptions.panSensitivity;
+    this.model.position.y -= paramDeltaY * this.viewerOptions.panSensitivity;
+  };
+
+  /**
+   * @description This function multiplies the model's scale by the inputted
+   * factor, as with the E and R keys, keeping it within the bounds set in the
+   * <code>inaccessible.Utility</code> enum so that the model can neither vanish
+   * nor swallow the camera.
+   *
+   * @param {number} paramFactor
+   * @returns {void}
+   */
+  inaccessible.handleModelZoom = function (paramFactor) {
+
+    // Declaration
+    let newScale;
+
+    // Definition
+    newScale = Math.min(this.Utility.MAX_MODEL_SCALE,
+        Math.max(this.Utility.MIN_MODEL_SCALE,
+        this.model.scale.x * paramFactor));
+
+    this.model.scale.set(newScale, newScale, newScale);
+  };
+
+  /**
+   * @description Like <code>inaccessible.handleFrame</code>, this function
+   * calls itself via <code>window.requestAnimationFrame</code>, in this case
+   * to continue the rotation of a released drag while bleeding off a fraction
+   * of its velocity until it falls below a negligible threshold. Both the
+   * rotation and the damping are scaled by the time elapsed since the last
+   * frame, so that the model coasts alike at any display refresh rate. No
+   * further frame is requested once the model has come to a stop.
+   *
+   * @param {number=} paramTimestamp Supplied by requestAnimationFrame
+   * @returns {void}
+   */
+  inaccessible.handleInertiaFrame = function (paramTimestamp) {
+
+    // Declarations
+    let state, elapsed, damping;
+
+    // Definition
+    state = this.pointerState;
+
+    if (!state.isCoasting) {
+      this.inertiaFrameRequestId = null;
+      return;
+    }
+
+    // The first frame of a coast only records its timestamp
+    if (paramTimestamp != null && state.lastInertiaTimestamp != null) {
+      elapsed = Math.min(paramTimestamp - state.lastInertiaTimestamp,
+          this.Utility.MAX_FRAME_INTERVAL);
+      damping = Math.pow(1 - this.viewerOptions.dampingFactor,
+          elapsed / this.Utility.FRAME_INTERVAL);
+
+      this.model.rotation.x += state.velocityX * elapsed;
+      this.model.rotation.y += state.velocityY * elapsed;
+      state.velocityX *= damping;
+      state.velocityY *= damping;
+
+      if (Math.hypot(state.velocityX, state.velocityY) <
+          this.Utility.INERTIA_THRESHOLD) {
+        state.isCoasting = false;
+      }
+
+      if (!this.isSceneAnimated) {
+        this.render();
+      }
+
+      this.emitModelTransformed('pointer');
+    }
+
+    state.lastInertiaTimestamp =
+        (paramTimestamp != null) ? paramTimestamp : null;
+    this.inertiaFrameRequestId = (state.isCoasting)
+        ? window.requestAnimationFrame(this.handleInertiaFrame.bind(this))
+        : null;
+  };
+
+  // Assembly functions
+
+  /**
+   * @description As with all the assembly functions, this function is used to
+   * construct an individual instance of an element or object; in this case,it
+   * builds a single HTML element that will be returned from the function and
+   * appended to the DOM dynamically. It accepts an array of strings denoting
+   * the type of element to create and also handles potentially nested element
+   * arrays for elements that are to exist inside the outer element tags as
+   * inner HTML.
+   * <br />
+   * <br />
+   * This method was borrowed and slightly modified from a StackOverflow thread
+   * response found <a href="https://stackoverflow.com/a/2947012">here</a>. Link
+   * is provided in jsdoc style below but doesn't work as expected in NetBeans
+   * despite being of the proper form.
+   *
+   * @see {@link https://stackoverflow.com/a/2947012|SO Thread}
+   * @param {!Array<string>} paramArray
+   * @returns {HTMLElement} element
+   */
+  inaccessible.assembleElement = function (paramArray) {
+
+    // Declarations
+    let element, name, attributes, counter, content;
+
+    if (!this.isArray(paramArray)) {
+      return this.assembleElement.call(this,
+          Array.prototype.slice.call(arguments));
+    }
+
+    // Definitions
+    name = paramArray[0];
+    attributes = paramArray[1];
+    element = document.createElement(name);
+    counter = 1;
+
+    // attributes != null -> attributes === undefined || attributes === null
+    if (typeof attributes === 'object' && attributes != null &&
+        !this.isArray(attributes)) {
+      for (let attribute in attributes) {
+        element.setAttribute(attribute, attributes[attribute]);
+      }
+      counter = 2;
+    }
+
+    for (let i = counter; i < paramArray.length; i++) {
+      if (this.isArray(paramArray[i])) {
+        content = this.assembleElement(paramArray[i]);
+      } else {
+         content = document.createTextNode(paramArray[i]);
+      }
+
+      element.appendChild(content);
+    }
+
+    return element;
+  };
+
+  /**
+   * @description This assembly function is used to create and add a new light
+   * source element to the scene. It is called from within the scene creation
+   * function, <code>inaccessible.assembleScene</code>, via its use in
+   * <code>inaccessible.assembleElementsAndCheckboxes</code>. It assembles a
+   * new light of the type named by the <code>lightType</code> of the inputted
+   * <code>paramObject</code>, making use of the other parameters provided.
+   * <br />
+   * <br />
+   * Originally, the <code>paramObject</codE> also contained a
+   * <code>String</code> representation of the individual light source's light
+   * type, with options ranging from <code>DirectionalLight</code> to
+   * <code>AmbientLight</code>. This was simplified for a time to reduce the
+   * total number of moving parts in the scene before being brought back (see
+   * <code>inaccessible.LightTypes</code>), this time alongside the optional
+   * helpers that show where each light sits and points.
+   *
+   * @param {object} paramObject
+   * @returns {void}
+   */
+  inaccessible.assembleLightSource = function (paramObject) {
+
+    // Declarations
+    let newLightSource, newHelper, tempColor, tempIntensity, tempDistance,
+      tempDecay, tempAngle, tempPenumbra, helperType;
+
+    // Definitions
+    tempColor = paramObject.lightColor;
+    tempIntensity = paramObject.intensity;
+    helperType = this.LightTypes[paramObject.lightType];
+
+    // Zero is meaningful for all of these (i.e. no falloff), so only fill in
+    // values that are missing outright
+    tempDistance = (paramObject.distance != null) ? paramObject.distance : 0;
+    tempDecay = (paramObject.decay != null) ? paramObject.decay : 1;
+    tempAngle = (paramObject.angle != null)
+        ? paramObject.angle
+        : this.Utility.SPOT_LIGHT_ANGLE;
+    tempPenumbra = (paramObject.penumbra != null) ? paramObject.penumbra : 0;
+
+    // Create new light of the entry's type
+    switch (paramObject.lightType) {
+      case 'PointLight':
+        newLightSource = new THREE.PointLight(tempColor, tempIntensity,
+            tempDistance, tempDecay);
+        break;
+      case 'SpotLight':
+        newLightSource = new THREE.SpotLight(tempColor, tempIntensity,
+            tempDistance, tempAngle, tempPenumbra, tempDecay);
+        newLightSource.target.position.set(...(paramObject.targetArray ||
+            [0, 0, 0]));
+
+        // Target must be in the scene for its position to take effect
+        this.scene.add(newLightSource.target);
+        newLightSource.target.updateMatrixWorld();
+        break;
+      case 'AmbientLight':
+        newLightSource = new THREE.AmbientLight(tempColor, tempIntensity);
+        break;
+      case 'HemisphereLight':
+        if (paramObject.groundColor == null) {
+          paramObject.groundColor = this.Colors.BLACK;
+        }
+
+        newLightSource = new THREE.HemisphereLight(tempColor,
+            paramObject.groundColor, tempIntensity);
+        break;
+      default:
+        newLightSource = new THREE.DirectionalLight(tempColor, tempIntensity);
+        break;
+    }
+
+    // Place at specified position
+    newLightSource.position.set(...paramObject.positionArray);
+    newLightSource.updateMatrixWorld();
+
+    // Add to object for future toggling-mediated recoloring purposes
+    paramObject.assembledLight = newLightSource;
+
+    // Helpers are built for every light that can have one, but hidden by toggle
+    if (helperType != null && paramObject.hasHelper !== false) {
+      newHelper = (paramObject.lightType === 'SpotLight')
+          ? new THREE.SpotLightHelper(newLightSource)
+          : new THREE[helperType](newLightSource,
+              this.Utility.LIGHT_HELPER_SIZE);
+      newHelper.visible = this.areLightHelpersVisible;
+      paramObject.assembledHelper = newHelper;
+      this.scene.add(newHelper);
+    }
+
+    // Lights toggled off from the start are painted black as in the handler
+    this.handleSettingOfLightColor(paramObject);
+
+    // Add to scene
+    this.scene.add(newLightSource);
+  };
+
+  /**
+   * @description This function builds a light's row in the light mixer panel,
+   * consisting of its name, an intensity slider, a color picker, x/y/z position
+   * inputs (left out for ambient lights, which have no position), and solo and
+   * mute buttons. The row's id is retained in the entry for its later removal.
+   *
+   * @param {object} paramObject
+   * @returns {void}
+   */
+  inaccessible.assembleLightMixerRow = function (paramObject) {
+
+    // Declarations
+    let that, aliasIds, rowArray, rowElement, positionArray, buttonClass;
+
+    // Definitions
+    that = this;
+    aliasIds = this.Identifiers;
+    buttonClass = `${aliasIds.LIGHT_MIXER_BUTTON_CLASS} ` +
+        aliasIds.SIDEBAR_ELEMENT_CLASS;
+    paramObject.mixerRowId = `${paramObject.checkBoxId}-mixer`;
+
+    rowArray = ['div', {id: paramObject.mixerRowId,
+        class: aliasIds.LIGHT_MIXER_CLASS},
+      ['span', {class: aliasIds.LIGHT_MIXER_NAME_CLASS},
+          paramObject.itemType.split(/(?=[A-Z])/).join(' ')],
+      ['input', {
+        type: 'range',
+        name: 'intensity',
+        min: 0,
+        max: this.Utility.MAX_LIGHT_INTENSITY,
+        step: this.Utility.LIGHT_INTENSITY_STEP,
+      }, ''],
+      ['input', {type: 'color', name: 'color'}, '']];
+
+    // Ambient light has no position to speak of
+    if (!paramObject.assembledLight.isAmbientLight) {
+      positionArray = ['div', {}];
+
+      ['x', 'y', 'z'].forEach(function (axis) {
+        positionArray.push(['input', {
+          type: 'number',
+          name: axis,
+          step: that.Utility.LIGHT_POSITION_STEP,
+        }, '']);
+      });
+
+      rowArray.push(positionArray);
+    }
+
+    rowArray.push(['div', {},
+        ['button', {type: 'button', name: 'solo', class: buttonClass},
+            this.Text.LIGHT_MIXER_SOLO],
+        ['button', {type: 'button', name: 'mute', class: buttonClass}, '']]);
+
+    rowElement = this.assembleElement(rowArray);
+    this.append(aliasIds.LIGHT_MIXER_HOLDER_ID, rowElement);
+
+    // Values are set as properties, like the checkboxes' checked states
+    rowElement.querySelector('[name="intensity"]').value =
+        paramObject.intensity;
+    rowElement.querySelector('[name="color"]').value =
+        `#${new THREE.Color(paramObject.lightColor).getHexString()}`;
+
+    rowElement.querySelector('[name="intensity"]').addEventListener('input',
+        function (event) {
+      that.handleLightIntensityChange(paramObject, event.target.value);
+    }, false);
+
+    rowElement.querySelector('[name="color"]').addEventListener('input',
+        function (event) {
+      that.handleLightColorChange(paramObject, event.target.value);
+    }, false);
+
+    ['x', 'y', 'z'].forEach(function (axis, index) {
+
+      // Declaration
+      let input;
+
+      // Definition
+      input = rowElement.querySelector(`[name="${axis}"]`);
+
+      if (input == null) {
+        return;
+      }
+
+      input.value = paramObject.positionArray[index];
+      input.addEventListener('input', function (event) {
+        that.handleLightPositionChange(paramObject, index, event.target.value);
+      }, false);
+    });
+
+    rowElement.querySelector('[name="solo"]').addEventListener('click',
+        function () {
+      that.handleLightSolo(paramObject);
+    }, false);
+
+    rowElement.querySelector('[name="mute"]').addEventListener('click',
+        function () {
+      that.handleLightMute(paramObject);
+    }, false);
+
+    this.refreshLightMixerRow(paramObject);
+  };
+
+  /**
+   * @description This function updates the text of a light's light mixer mute
+   * button to reflect whether the light is currently on or off.
+   *
+   * @param {object} paramObject
+   * @returns {void}
+   */
+  inaccessible.refreshLightMixerRow = function (paramObject) {
+
+    // Declaration
+    let rowElement;
+
+    // Definition
+    rowElement = this.root.getElementById(paramObject.mixerRowId);
+
+    if (rowElement == null) {
+      return;
+    }
+
+    rowElement.querySelector('[name="mute"]').textContent =
+        (paramObject.isAnimated)
+            ? this.Text.LIGHT_MIXER_MUTE
+            : this.Text.LIGHT_MIXER_UNMUTE;
+  };
+
+  /**
+   * @description This function fills the inspector panel with the fields of
+   * <code>inaccessible.inspectorFieldData</code> for the inputted scene element
+   * entry, replacing those of any previously selected entry. Color pickers,
+   * number inputs, and coordinates apply their edits as they are made, while
+   * the material dropdown and transformation JSON apply theirs on change.
+   *
+   * @param {object} paramEntry
+   * @returns {void}
+   */
+  inaccessible.assembleInspector = function (paramEntry) {
+
+    // Declarations
+    let that, aliasIds, holder;
+
+    // Definitions
+    that = this;
+    aliasIds = this.Identifiers;
+    holder = this.root.getElementById(aliasIds.INSPECTOR_HOLDER_ID);
+
+    // Clear all but the module header
+    while (holder.children.length > 1) {
+      holder.removeChild(holder.lastChild);
+    }
+
+    this.append(aliasIds.INSPECTOR_HOLDER_ID, this.assembleElement(['div',
+        {class: aliasIds.INSPECTOR_FIELD_CLASS},
+        paramEntry.itemType.split(/(?=[A-Z])/).join(' ')]));
+
+    this.inspectorFieldData.forEach(function (field) {
+
+      // Declarations
+      let fieldArray, fieldElement, eventName;
+
+      // Definitions
+      fieldArray = ['label', {class: aliasIds.INSPECTOR_FIELD_CLASS},
+          ['span', {}, field.label]];
+      eventName = (field.inputType === 'select' || field.inputType === 'json')
+          ? 'change'
+          : 'input';
+
+      switch (field.inputType) {
+        case 'select':
+          fieldArray.push(['select', {}].concat(field.options.map(
+              function (option) {
+            return ['option', {value: option},
+                option.replace(/^Mesh|Material$/g, '')];
+          })));
+          break;
+        case 'vector':
+          ['x', 'y', 'z'].forEach(function (axis) {
+            fieldArray.push(['input', {type: 'number', name: axis,
+                step: that.Utility.LIGHT_POSITION_STEP}, '']);
+          });
+          break;
+        case 'json':
+          fieldArray.push(['textarea', {rows: 4, spellcheck: 'false'}, '']);
+          break;
+        default:
+          fieldArray.push(['input', Object.assign({type: field.inputType},
+              field.attributes), '']);
+          break;
+      }
+
+      fieldElement = that.assembleElement(fieldArray);
+      fieldElement.dataset.property = field.property;
+      that.append(aliasIds.INSPECTOR_HOLDER_ID, fieldElement);
+
+      fieldElement.addEventListener(eventName, function () {
+        that.handleInspectorFieldChange(field, fieldElement);
+      }, false);
+    });
+
+    this.assembleButtonElement({
+      buttonType: this.Text.INSPECTOR_DESELECT,
+      functionName: 'handleSceneElementSelection',
+      functionArguments: [null],
+    }, aliasIds.INSPECTOR_HOLDER_ID);
+
+    this.refreshInspector();
+  };
+
+  /**
+   * @description This function updates the inspector panel's fields with the
+   * current values of the selected entry, as these may also be changed through
+   * the public API. The field being edited is left alone so as not to disrupt
+   * the user's typing.
+   *
+   * @returns {void}
+   */
+  inaccessible.refreshInspector = function () {
+
+    // Declarations
+    let that, holder;
+
+    // Definitions
+    that = this;
+    holder = this.root.getElementById(this.Identifiers.INSPECTOR_HOLDER_ID);
+
+    if (this.selectedEntry == null) {
+      return;
+    }
+
+    this.inspectorFieldData.forEach(function (field) {
+
+      // Declarations
+      let fieldElement, inputs, value;
+
+      // Definitions
+      fieldElement = holder.querySelector(
+          `[data-property="${field.property}"]`);
+      inputs = fieldElement.querySelectorAll('input, select, textarea');
+      value = that.getInspectorFieldValue(field, that.selectedEntry);
+
+      if (fieldElement.contains(that.root.activeElement)) {
+        return;
+      }
+
+      Array.prototype.forEach.call(inputs, function (input, index) {
+        input.value = (that.isArray(value)) ? value[index] : value;
+      });
+
+      fieldElement.classList.remove(that.Identifiers.INVALID_INPUT_CLASS);
+    });
+  };
+
+  /**
+   * @description This function builds a checkbox used to toggle a display
+   * option of the scene as a whole (i.e. the light helpers), appending it to
+   * the checkbox module below the scene entry checkboxes. Unlike those built by
+   * <code>inaccessible.assembleCheckBoxElement</code>, it is not tied to any
+   * single scene entry and so has a fixed id.
+   *
+   * @param {string} paramId
+   * @param {string} paramText Text following "Toggle" in the label
+   * @param {string} paramListener Representation of handler signature
+   * @param {boolean} paramIsChecked
+   * @returns {void}
+   */
+  inaccessible.assembleOptionToggle = function (paramId, paramText,
+      paramListener, paramIsChecked) {
+
+    // Declarations
+    let that, elementId, aliasIds;
+
+    // Definitions
+    that = this;
+    aliasIds = this.Identifiers;
+    elementId = paramId;
+
+    this.append(aliasIds.FORM_ID, this.assembleElement(['div', {},
+        ['input', {
+          type: 'checkbox',
+          id: elementId,
+          class: aliasIds.CHECKBOX_CLASS,
+          name: elementId,
+        }, ''],
+        ['label', {
+          for: elementId,
+          id: `${elementId}-label`,
+          class: `${aliasIds.LABEL_CLASS} ${aliasIds.SIDEBAR_ELEMENT_CLASS}`,
+        }, `${this.Text.LABEL} ${paramText}`]]));
+
+    this.root.getElementById(elementId).checked = paramIsChecked;
+
+    this.root.getElementById(elementId).addEventListener('change', function () {
+      that[paramListener]();
+    }, false);
+  };
+
+  /**
+   * @description This assembly method is responsible for creating new objects
+   * in the scene. Taking the properties of the associated object contained in
+   * <code>inaccessible.sceneElementData</code>, this function assembles a new
+   * mesh and object node from a constructed mesh material and associated
+   * geoemtry, adding those two new items as properties of the scene element
+   * object. The mesh is <em>not</em> added to the object node in this method
+   * however; that is done in the body of
+   * <code>inaccessible.assembleScene</code> instead for added readability,
+   * though it could be easily done in this function as well.
+   * <br />
+   * <br />
+   * It is also worth noting that this function makes intentional use of the
+   * so-called "weak comparison operator," that is <code>==</code> and its
+   * negation <code>!=</code>. Unlike Java and other languages, JavaScript has
+   * both a strong and weak comparison operator set, with the weak operators to
+   * be avoided in most cases. In this case though, the negated operator
+   * <code>!=</code> is used to allow the function to check for both undefined
+   * and null behavior simultaneously while still permitting the possibility of
+   * a ReferenceError being thrown. This is conventional practice among JS
+   * developers as it is more succinct than the longer equivalent expression
+   * <code>variable === undefined || variable === null</code>.
+   *
+   * @see {@link https://dorey.github.io/JavaScript-Equality-Table/|JET}
+   * @param {object} paramObject
+   * @returns {void}
+   */
+  inaccessible.assembleSceneElement = function (paramObject) {
+
+    // Declarations
+    let that, newGeometry, newMesh, newMeshMaterial, newObject, config,
+      tempTextures, tempTextureKeys, tempGeometry, tempGeometryConfig,
+      tempMeshMaterial, tempPositionCoords, tempRotateCoords;
+
+    // Temp definitions
+    that = this;
+    tempTextures = paramObject.textures || {};
+    tempTextureKeys = {};
+    tempGeometry = paramObject.geometry;
+    tempGeometryConfig = paramObject.geometryConfig;
+    tempMeshMaterial = paramObject.meshMaterial;
+    tempPositionCoords = paramObject.positionCoords;
+    tempRotateCoords = paramObject.rotateCoords;
+
+    // Definition of mesh material
+    config = {
+      color: paramObject.colorType
+    };
+
+    // Create new mesh material
+    newMeshMaterial = new THREE[tempMeshMaterial]();
+
+    // Only Phong-like materials have shininess and specular, and only the
+    // standard and physical ones roughness and metalness, so skip the others
+    ['shininess', 'specular', 'roughness', 'metalness', 'emissive',
+        'opacity'].forEach(function (property) {
+      if (paramObject[property] != null &&
+          newMeshMaterial[property] !== undefined) {
+        config[property] = paramObject[property];
+      }
+    });
+
+    // Equal to config.opacity !== undefined && config.opacity !== null && ...
+    config.transparent = config.opacity != null && config.opacity < 1;
+
+    // Likewise for texture maps, also left out if they can't be drawn
+    Object.keys(tempTextures).forEach(function (map) {
+
+      // Declarations
+      let texture, textureKey;
+
+      if (newMeshMaterial[map] !== undefined) {
+
+        // A rebuilt mesh keeps the old mesh's maps whose configs are unchanged
+        textureKey = JSON.stringify(tempTextures[map]);
+        texture = (paramObject.mesh != null &&
+            paramObject.assembledTextureKeys[map] === textureKey)
+            ? paramObject.mesh.material[map]
+            : that.assembleTexture(tempTextures[map], map === 'normalMap');
+
+        if (texture != null) {
+          config[map] = texture;
+          tempTextureKeys[map] = textureKey;
+        }
+      }
+    });
+
+    newMeshMaterial.setValues(config);
+    paramObject.assembledTextureKeys = tempTextureKeys;
+
+    // Create geometry type, passing config array as arguments, or fit a copy
+    // of an imported model's geometry to the scene
+    newGeometry = (paramObject.model != null)
+        ? this.getModelGeometry(paramObject)
+        : new THREE[tempGeometry](...tempGeometryConfig);
+
+    // Create new object node
+    newObject = new THREE.Object3D();
+
+    // Define mesh given geometry and material assembled above
+    newMesh = new THREE.Mesh(newGeometry, newMeshMaterial);
+
+    // Equal to tempPositionCoords === undefined || tempPositionCoords === null
+    if (tempPositionCoords != null && tempPositionCoords.length === 3) {
+      newMesh.position.set(...tempPositionCoords);
+    }
+
+    // Equal to tempRotateCoords === undefined || tempRotateCoords === null
+    if (tempRotateCoords != null && tempRotateCoords.length === 3) {
+      newMesh.rotation.set(...tempRotateCoords);
+    }
+
+    // Add mesh and object node as object properties to be added together later
+    paramObject.mesh = newMesh;
+    paramObject.object = newObject;
+
+    // Elements start their clock at zero, but keep it through mesh rebuilds
+    if (paramObject.animationTime == null) {
+      paramObject.animationTime = 0;
+    }
+  };
+
+  /**
+   * @description This function builds a texture map from an entry of a scene
+   * element's <code>textures</code>, as normalized by
+   * <code>inaccessible.normalizeTexture</code>. Image files are loaded in the
+   * background, the scene being rendered again once one arrives, while
+   * procedural textures are drawn on a canvas of their own by the function
+   * named in <code>inaccessible.TextureTypes</code>. Without a DOM or a 2D
+   * canvas (i.e. in the clipping checker run in Node), there is nothing to
+   * build textures with, and <code>null</code> is returned.
+   *
+   * @param {object} paramTexture
+   * @param {boolean} paramIsNormalMap
+   * @returns {?THREE.Texture} texture
+   */
+  inaccessible.assembleTexture = function (paramTexture, paramIsNormalMap) {
+
+    // Declarations
+    let that, texture, canvas, context;
+
+    // Definition
+    that = this;
+
+    if (typeof document === 'undefined') {
+      return null;
+    }
+
+    if (paramTexture.url != null) {
+      texture = new THREE.TextureLoader().load(paramTexture.url, function () {
+        if (!that.isSceneAnimated && that.renderer != null) {
+          that.render();
+        }
+      }, undefined, function () {
+
+        // Images failing after destroy have nowhere left to be reported
+        if (!that.isDestroyed) {
+          that.handleNotification(
+              `${that.Text.TEXTURE_LOAD_ERROR} ${paramTexture.url}`, true);
+        }
+      });
+    } else {
+      canvas = document.createElement('canvas');
+      canvas.width = canvas.height = paramTexture.size;
+      context = canvas.getContext('2d');
+
+      if (context == null) {
+        return null;
+      }
+
+      this[this.TextureTypes[paramTexture.type]](context, paramTexture);
+
+      // Court lines are painted on, rather than raised, so have no height
+      if (paramIsNormalMap) {
+        this.convertToNormalMap(context, paramTexture);
+      } else if (paramTexture.courtLines != null) {
+        this.drawCourtLines(context, paramTexture);
+      }
+
+      texture = new THREE.CanvasTexture(canvas);
+    }
+
+    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+    texture.repeat.set(...paramTexture.repeat);
+
+    return texture;
+  };
+
+  /**
+   * @description This function builds the copy of a scene element stepped
+   * through the clipping checker's simulation in its stead. Elements already
+   * in the scene are copied at their current poses, sharing their geometry,
+   * while those not yet assembled (i.e. when checking a scene description in
+   * Node) are built from scratch and posed at the start of their animation.
+   * The copy's local space triangles and a reusable bounding box are attached
+   * for the checker's use.
+   *
+   * @param {object} paramEntry
+   * @param {number} paramIndex
+   * @returns {object} proxy
+   */
+  inaccessible.assembleClippingProxy = function (paramEntry, paramIndex) {
+
+    // Declaration
+    let proxy;
+
+    // Definition
+    proxy = Object.assign({}, paramEntry, {index: paramIndex});
+
+    // Copies leave out nested elements, which have copies of their own
+    if (paramEntry.mesh != null) {
+      proxy.object = paramEntry.object.clone(false);
+      proxy.mesh = new THREE.Mesh(paramEntry.mesh.geometry,
+          paramEntry.mesh.material).copy(paramEntry.mesh, false);
+    } else {
+      proxy.animationTime = null;
+      this.assembleSceneElement(proxy);
+      this.applyTimedTransformations(proxy);
+    }
+
+    proxy.object.add(proxy.mesh);
+    proxy.triangles = this.getGeometryTriangles(proxy.mesh.geometry);
+    proxy.box = new THREE.Box3();
+    proxy.worldTriangles = null;
+
+    return proxy;
+  };
+
+  /**
+   * @description This function is responsible for assembling each of the
+   * interface checkbox elements used to toggle the animation of various scene
+   * components visible in the <code>canvas</code>. Each light source and scene
+   * object has its own checkbox (and own label) in the sidebar, styled like a
+   * <code>JToggleButton</code> depending on its clicked/changed state. Each
+   * element has its own unique id consisting of its name with an appended
+   * randomly generated integer to permit the addition of multiple instances of
+   * a single shape type to the interface without the risk of multiple ids
+   * existing in the sidebar.
+   *
+   * @param {object} paramObject
+   * @param {string} paramListener Representation of handler signature
+   * @returns {void}
+   */
+  inaccessible.assembleCheckBoxElement = function (paramObject, paramListener) {
+
+    // Declarations
+    let that, checkBoxListElement, checkBoxConfig, labelConfig, elementId,
+      tempName, numberId, skippedIds, aliasIds, parent;
+
+    // Preserve scope context
+    that = this;
+
+    // Splits at capital letters for better wording (i.e. RedLight -> Red Light)
+    tempName = paramObject.itemType.split(/(?=[A-Z])/).join(' ');
+
+    // Unique id in case of multiples of same object type
+    numberId = this.getRandomNumberForId(0, this.Utility.MAX_ID_NUMBER);
+    skippedIds = [];
+
+    // Skip numbers whose generated entry id a user-supplied id already claims
+    while (paramObject.id == null &&
+        this.isEntryIdInUse(`${paramObject.itemType}${numberId}`)) {
+      skippedIds.push(numberId);
+      numberId = this.getRandomNumberForId(0, this.Utility.MAX_ID_NUMBER);
+    }
+
+    // Release the skipped numbers only once a usable one has been drawn
+    skippedIds.forEach(function (skippedId) {
+      that.elementIdNumbersInUse.splice(
+          that.elementIdNumbersInUse.indexOf(skippedId), 1);
+    });
+
+    // Template literal for element id, i.e. #toggleTorus15
+    elementId = `toggle${tempName}${numberId}`;
+
+    // Entry id used by the public API unless user-provided, i.e. Torus15
+    if (paramObject.id == null) {
+      paramObject.id = `${paramObject.itemType}${numberId}`;
+    }
+
+    // Retained for later removal of the checkbox (and release of its number)
+    paramObject.checkBoxId = elementId;
+    paramObject.checkBoxNumber = numberId;
+
+    // Styleguide permits aliasing enums, see styleguide #2 linked above
+    aliasIds = this.Identifiers;
+
+    // Checkbox properties
+    checkBoxConfig = {
+      type: 'checkbox',
+      id: elementId,
+      class: this.Identifiers.CHECKBOX_CLASS,
+      name: elementId,
+    };
+
+    // Label properties
+    labelConfig = {
+      for: elementId,
+      id: `${elementId}-label`,
+      class: `${aliasIds.LABEL_CLASS} ${aliasIds.SIDEBAR_ELEMENT_CLASS}`,
+    };
+
+    // Creates <input> and <label> elements inside a <div> container
+    checkBoxListElement = this.assembleElement(['div', {},
+        ['input', checkBoxConfig, ''],
+        ['label', labelConfig, `${this.Text.LABEL} ${tempName}`]]);
+
+    // Add <div> container to <form> container/holder/wrapper/thingie, or for
+    // nested elements to the tree branch beneath the parent's checkbox
+    parent = this.getParentEntry(paramObject);
+
+    // Parents are built first, so any named by hierarchy key now have an id
+    if (parent != null) {
+      paramObject.parent = parent.id;
+    }
+
+    this.append((parent != null)
+        ? this.assembleTreeBranch(parent)
+        : aliasIds.FORM_ID, checkBoxListElement);
+
+    // Set as property, as any value of the checked attribute checks the box
+    this.root.getElementById(elementId).checked = paramObject.isAnimated;
+
+    // Add toggle listener, passing object reference as argument
+    this.root.getElementById(elementId).addEventListener('change', function () {
+      that[paramListener](paramObject);
+    }, false);
+  };
+
+  /**
+   * @description This function builds the collapsible branch of the sidebar
+   * tree beneath the checkbox of the inputted scene element, to which the
+   * checkboxes of the elements nested inside it are added, and returns its id.
+   * The branch is built along with its expand/collapse button when its first
+   * child is added, and reused after that.
+   *
+   * @param {object} paramObject
+   * @returns {string} The id of the branch
+   */
+  inaccessible.assembleTreeBranch = function (paramObject) {
+
+    // Declarations
+    let that, branchId, buttonId, wrapper, aliasIds;
+
+    // Definitions
+    that = this;
+    aliasIds = this.Identifiers;
+    branchId = `${paramObject.checkBoxId}-children`;
+    buttonId = `${paramObject.checkBoxId}-branch`;
+
+    if (this.root.getElementById(branchId) != null) {
+      return branchId;
+    }
+
+    wrapper = this.root.getElementById(paramObject.checkBoxId).parentNode;
+    wrapper.classList.add(aliasIds.TREE_NODE_CLASS);
+
+    wrapper.appendChild(this.assembleElement(['button', {
+      type: 'button',
+      id: buttonId,
+      class: aliasIds.TREE_TOGGLE_CLASS,
+      title: this.Text.TREE_COLLAPSE,
+      'aria-label': this.Text.TREE_COLLAPSE,
+      'aria-controls': branchId,
+      'aria-expanded': 'true',
+    }, '\u25BE']));
+    wrapper.appendChild(this.assembleElement(['div', {
+      id: branchId,
+      class: aliasIds.TREE_CHILDREN_CLASS,
+    }]));
+
+    this.root.getElementById(buttonId).addEventListener('click', function () {
+      that.handleTreeBranchToggle(paramObject);
+    }, false);
+
+    // Dimmed from the start if the parent begins toggled off
+    this.root.getElementById(branchId).classList.toggle(
+        aliasIds.TREE_PAUSED_CLASS, !paramObject.isAnimated);
+
+    return branchId;
+  };
+
+  /**
+   * @description This function brings the sidebar tree branch of the inputted
+   * scene element up to date, dimming the checkboxes within while the element
+   * is toggled off (and the elements nested inside it thus paused), or
+   * removing the branch altogether once nothing is nested inside it anymore.
+   *
+   * @param {object} paramObject
+   * @returns {void}
+   */
+  inaccessible.refreshTreeBranch = function (paramObject) {
+
+    // Declarations
+    let branch, aliasIds;
+
+    // Definitions
+    branch = this.root.getElementById(`${paramObject.checkBoxId}-children`);
+    aliasIds = this.Identifiers;
+
+    // Equal to branch === undefined || branch === null
+    if (branch == null) {
+      return;
+    }
+
+    if (branch.firstChild == null) {
+      branch.parentNode.classList.remove(aliasIds.TREE_NODE_CLASS);
+      this.remove(`${paramObject.checkBoxId}-branch`);
+      this.remove(branch.id);
+      return;
+    }
+
+    branch.classList.toggle(aliasIds.TREE_PAUSED_CLASS,
+        !paramObject.isAnimated);
+  };
+
+  /**
+   * @description This function, like
+   * <code>inaccessible.assembleCheckBoxElement</code> above it, is used to
+   * build button elements to be used to trigger certain events in the interface
+   * on click. However, it is simplified in some respects; as it unlikely that
+   * multiple instances of the same button will be added to the interface, no
+   * unique id containing a randomly generated number has been created. Instead,
+   * only the button name with a prepended "button" is used to create the id.
+   * Buttons are added to the main button module unless another holder is
+   * specified.
+   *
+   * @param {object} paramObject
+   * @param {string=} paramHolderId
+   * @returns {void}
+   */
+  inaccessible.assembleButtonElement = function (paramObject, paramHolderId) {
+
+    // Declarations
+    let that, elementId, tempName, buttonConfig, buttonElement, aliasIds;
+
+    // Definitions
+    that = this;
+    tempName = paramObject.buttonType;
+    elementId = `button${tempName}`;
+
+    // Styleguide permits aliasing enums, see styleguide #2 linked above
+    aliasIds = this.Identifiers;
+
+    // Button properties
+    buttonConfig = {
+      id: elementId,
+      class: `${aliasIds.BUTTON_CLASS} ${aliasIds.SIDEBAR_ELEMENT_CLASS}`,
+    };
+
+    // <button> inside <div> wrapper
+    buttonElement = this.assembleElement(['div', {},
+        ['button', buttonConfig, tempName]]);
+
+    // Add to button module
+    this.append(paramHolderId || aliasIds.BUTTON_HOLDER_ID, buttonElement);
+
+    this.root.getElementById(elementId).addEventListener('click', function () {
+      that[paramObject.functionName](...paramObject.functionArguments);
+    }, false);
+  };
+
+  /**
+   * @description This function builds the animation speed slider and its
+   * readout in their sidebar module container. The slider's range extends into
+   * negative speeds, which run the animation in reverse.
+   *
+   * @returns {void}
+   */
+  inaccessible.assembleSpeedControls = function () {
+
+    // Declarations
+    let that, aliasIds, speedElement;
+
+    // Definitions
+    that = this;
+    aliasIds = this.Identifiers;
+    speedElement = this.assembleElement(['div', {},
+        ['input', {
+          type: 'range',
+          id: aliasIds.SPEED_INPUT_ID,
+          min: this.Utility.MIN_ANIMATION_SPEED,
+          max: this.Utility.MAX_ANIMATION_SPEED,
+          step: this.Utility.ANIMATION_SPEED_STEP,
+        }, ''],
+        ['output', {id: aliasIds.SPEED_OUTPUT_ID,
+            for: aliasIds.SPEED_INPUT_ID}, '']]);
+
+    this.append(aliasIds.SPEED_HOLDER_ID, speedElement);
+
+    this.root.getElementById(aliasIds.SPEED_INPUT_ID).addEventListener('input',
+        function (event) {
+      that.handleAnimationSpeedChange(event.target.value);
+    }, false);
+
+    // Sync slider and readout with the current speed
+    this.handleAnimationSpeedChange(this.animationSpeed);
+  };
+
+  /**
+   * @description This function builds the export panel in its sidebar module
+   * container, consisting of a resolution dropdown (in multiples of the
+   * <code>canvas</code> size), frame count and frame rate inputs for exported
+   * frame sequences, and the buttons used to export screenshots, numbered PNG
+   * frames, and WebM videos.
+   *
+   * @returns {void}
+   */
+  inaccessible.assembleExportPanel = function () {
+
+    // Declarations
+    let that, aliasIds, fieldClass;
+
+    // Definitions
+    that = this;
+    aliasIds = this.Identifiers;
+    fieldClass = aliasIds.EXPORT_FIELD_CLASS;
+
+    this.append(aliasIds.EXPORT_HOLDER_ID, this.assembleElement(['div', {},
+        ['label', {class: fieldClass}, ['span', {}, this.Text.EXPORT_SCALE],
+          ['select', {id: aliasIds.EXPORT_SCALE_ID}].concat(
+              this.Utility.EXPORT_SCALES.map(function (scale) {
+            return ['option', {value: scale}, `${scale}x`];
+          }))],
+        ['label', {class: fieldClass},
+            ['span', {}, this.Text.EXPORT_FRAME_COUNT],
+            ['input', {type: 'number', id: aliasIds.EXPORT_FRAME_COUNT_ID,
+                min: 1, value: this.Utility.EXPORT_FRAME_COUNT}, '']],
+        ['label', {class: fieldClass},
+            ['span', {}, this.Text.EXPORT_FRAME_RATE],
+            ['input', {type: 'number', id: aliasIds.EXPORT_FRAME_RATE_ID,
+                min: 1, value: this.Utility.EXPORT_FRAME_RATE}, '']]]));
+
+    [
+      ['Save screenshot', 'handleScreenshotExport'],
+      ['Export frames', 'handleFrameSequenceExport'],
+      ['Export WebM', 'handleVideoExport'],
+    ].forEach(function (button) {
+      that.assembleButtonElement({
+        buttonType: button[0],
+        functionName: button[1],
+        functionArguments: [],
+      }, aliasIds.EXPORT_HOLDER_ID);
+    });
+  };
+
+  /**
+   * @description This function builds the camera panel in its sidebar module
+   * container, consisting of a button per camera preset, the orthographic
+   * projection checkbox, the dropdown of scene elements the camera may follow,
+   * and inputs for the field of view and the near and far planes.
+   *
+   * @returns {void}
+   */
+  inaccessible.assembleCameraPanel = function () {
+
+    // Declarations
+    let that, aliasIds, fieldClass, settings;
+
+    // Definitions
+    that = this;
+    aliasIds = this.Identifiers;
+    fieldClass = aliasIds.CAMERA_FIELD_CLASS;
+    settings = [
+      ['fov', aliasIds.CAMERA_FOV_ID, this.Text.CAMERA_FOV, 1],
+      ['near', aliasIds.CAMERA_NEAR_ID, this.Text.CAMERA_NEAR, 0.1],
+      ['far', aliasIds.CAMERA_FAR_ID, this.Text.CAMERA_FAR, 10],
+    ];
+
+    this.cameraPresetData.forEach(function (preset) {
+      that.assembleButtonElement({
+        buttonType: preset.presetName,
+        functionName: 'handleCameraPreset',
+        functionArguments: [preset.presetName],
+      }, aliasIds.CAMERA_HOLDER_ID);
+    });
+
+    this.append(aliasIds.CAMERA_HOLDER_ID, this.assembleElement(['div', {},
+        ['label', {class: fieldClass},
+            ['span', {}, this.Text.CAMERA_ORTHOGRAPHIC],
+            ['input', {type: 'checkbox', id: aliasIds.CAMERA_ORTHOGRAPHIC_ID},
+                '']],
+        ['label', {class: fieldClass}, ['span', {}, this.Text.CAMERA_FOLLOW],
+            ['select', {id: aliasIds.CAMERA_FOLLOW_ID}, '']]].concat(
+        settings.map(function (setting) {
+          return ['label', {class: fieldClass}, ['span', {}, setting[2]],
+              ['input', {type: 'number', id: setting[1], step: setting[3],
+                  value: that.perspectiveCamera[setting[0]]}, '']];
+        }))));
+
+    this.root.getElementById(aliasIds.CAMERA_ORTHOGRAPHIC_ID).addEventListener(
+        'change', this.handleCameraProjectionToggle.bind(this), false);
+    this.root.getElementById(aliasIds.CAMERA_FOLLOW_ID).addEventListener(
+        'change', function (event) {
+      that.handleCameraFollowChange(event.target.value);
+    }, false);
+
+    settings.forEach(function (setting) {
+      that.root.getElementById(setting[1]).addEventListener('change',
+          function (event) {
+        that.handleCameraSettingChange(setting[0], event.target);
+      }, false);
+    });
+
+    this.refreshCameraFollowOptions();
+  };
+
+  /**
+   * @description This function rebuilds the options of the camera panel's
+   * "Follow" dropdown to match the current scene elements, keeping the
+   * followed element selected. It is called whenever an element is added to
+   * or removed from the scene.
+   *
+   * @returns {void}
+   */
+  inaccessible.refreshCameraFollowOptions = function () {
+
+    // Declarations
+    let that, aliasIds, select;
+
+    // Definitions
+    that = this;
+    aliasIds = this.Identifiers;
+    select = this.root.getElementById(aliasIds.CAMERA_FOLLOW_ID);
+
+    this.emptyElementOfContent(aliasIds.CAMERA_FOLLOW_ID);
+    this.append(aliasIds.CAMERA_FOLLOW_ID, this.assembleElement(
+        ['option', {value: ''}, this.Text.CAMERA_FOLLOW_NONE]));
+
+    this.sceneElementData.forEach(function (entry) {
+      that.append(aliasIds.CAMERA_FOLLOW_ID, that.assembleElement(
+          ['option', {value: entry.id}, entry.itemType]));
+    });
+
+    select.value = (this.followedEntry != null) ? this.followedEntry.id : '';
+  };
+
+  /**
+   * @description This function builds the clipping check panel in its sidebar
+   * module container, consisting of the "Check clipping" button and a holder
+   * for the results of the last check.
+   *
+   * @returns {void}
+   */
+  inaccessible.assembleClippingPanel = function () {
+    this.assembleButtonElement({
+      buttonType: 'Check clipping',
+      functionName: 'handleClippingCheck',
+      functionArguments: [],
+    }, this.Identifiers.CLIPPING_HOLDER_ID);
+
+    this.append(this.Identifiers.CLIPPING_HOLDER_ID, this.assembleElement(
+        ['div', {id: this.Identifiers.CLIPPING_RESULTS_ID}, '']));
+  };
+
+  /**
+   * @description This function lists the results of the last clipping check in
+   * the clipping check panel, namely the number of frames checked and a button
+   * per pair of clipping elements giving the frames in which they clip. Each
+   * button shows the first of these frames in the scene.
+   *
+   * @returns {void}
+   */
+  inaccessible.refreshClippingPanel = function () {
+
+    // Declarations
+    let that, report, aliasIds;
+
+    // Definitions
+    that = this;
+    report = this.clippingReport;
+    aliasIds = this.Identifiers;
+
+    this.emptyElementOfContent(aliasIds.CLIPPING_RESULTS_ID);
+
+    this.append(aliasIds.CLIPPING_RESULTS_ID, this.assembleElement(['div', {},
+        (report.hasClipping)
+            ? `${report.frameCount} ${this.Text.CLIPPING_FRAMES}`
+            : `${this.Text.CLIPPING_CLEAN} (${report.frameCount} ` +
+                `${this.Text.CLIPPING_FRAMES})`]));
+
+    report.collisions.forEach(function (collision, index) {
+      that.assembleButtonElement({
+        buttonType: collision.elements.map(function (element) {
+          return element.itemType;
+        }).join(' / ') + `: ${collision.frameRanges}`,
+        functionName: 'handleClippingFrameDisplay',
+        functionArguments: [index],
+      }, aliasIds.CLIPPING_RESULTS_ID);
+    });
+  };
+
+  /**
+   * @description This function builds the physics panel in its sidebar module
+   * container, consisting of the buttons that start, reset, and drop objects
+   * in the physics mode.
+   *
+   * @returns {void}
+   */
+  inaccessible.assemblePhysicsPanel = function () {
+
+    // Declaration
+    let that;
+
+    // Definition
+    that = this;
+
+    [
+      {
+        buttonType: 'Start physics',
+        functionName: 'handlePhysicsStart',
+        functionArguments: [],
+      },
+      {
+        buttonType: 'Reset physics',
+        functionName: 'handlePhysicsReset',
+        functionArguments: [],
+      },
+      {
+        buttonType: 'Drop objects',
+        functionName: 'handlePhysicsDrop',
+        functionArguments: [],
+      },
+    ].forEach(function (button) {
+      that.assembleButtonElement(button, that.Identifiers.PHYSICS_HOLDER_ID);
+    });
+  };
+
+  /**
+   * @description This function builds a single notification from an entry of
+   * the notification queue, consisting of its message and a button to dismiss
+   * it. Errors are styled like the sidebar's unchecked toggles. Unless
+   * dismissed sooner, each notification dismisses itself after
+   * <code>Utility.NOTIFICATION_DURATION</code> milliseconds.
+   *
+   * @param {object} paramItem
+   * @returns {HTMLElement} notification
+   */
+  inaccessible.assembleNotification = function (paramItem) {
+
+    // Declarations
+    let that, aliasIds, notification;
+
+    // Definitions
+    that = this;
+    aliasIds = this.Identifiers;
+    notification = this.assembleElement(['div', {
+      class: aliasIds.NOTIFICATION_CLASS +
+          ((paramItem.isError) ? ` ${aliasIds.NOTIFICATION_ERROR_CLASS}` : ''),
+      role: (paramItem.isError) ? 'alert' : 'status',
+    },
+        ['span', {class: aliasIds.NOTIFICATION_TEXT_CLASS}, paramItem.text],
+        ['button', {
+          class: aliasIds.NOTIFICATION_CLOSE_CLASS,
+          title: this.Text.NOTIFICATION_DISMISS,
+          'aria-label': this.Text.NOTIFICATION_DISMISS,
+        }, '\u00D7']]);
+
+    notification.lastChild.addEventListener('click', function () {
+      that.handleNotificationDismissal(notification);
+    }, false);
+
+    notification.timeoutId = window.setTimeout(function () {
+      that.handleNotificationDismissal(notification);
+    }, this.Utility.NOTIFICATION_DURATION);
+
+    return notification;
+  };
+
+  /**
+   * @description This function builds the help overlay, hidden until opened by
+   * the "About" button or its key. The overlay covers the container wrapper
+   * with a panel styled like the sidebar, holding a table of the controls that
+   * is filled in by <code>inaccessible.refreshHelpOverlay</code> and a button
+   * to close it. A click on the backdrop around the panel closes it as well.
+   *
+   * @returns {void}
+   */
+  inaccessible.assembleHelpOverlay = function () {
+
+    // Declarations
+    let that, aliasIds, overlay;
+
+    // Definitions
+    that = this;
+    aliasIds = this.Identifiers;
+    overlay = this.assembleElement(['div', {
+      id: aliasIds.HELP_OVERLAY_ID,
+      role: 'dialog',
+      'aria-label': this.Text.HELP_HEADER,
+      hidden: '',
+    },
+        ['div', {id: aliasIds.HELP_PANEL_ID},
+            ['div', {class: aliasIds.HEADER_CLASS}, this.Text.HELP_HEADER],
+            ['table', {id: aliasIds.HELP_TABLE_ID}, '']]]);
+
+    this.append(aliasIds.CONTAINER_ID, overlay);
+
+    this.assembleButtonElement({
+      buttonType: this.Text.HELP_CLOSE,
+      functionName: 'handleSettingOfHelpOverlay',
+      functionArguments: [false],
+    }, aliasIds.HELP_PANEL_ID);
+
+    overlay.addEventListener('click', function (event) {
+      if (event.target === overlay) {
+        that.handleSettingOfHelpOverlay(false);
+      }
+    }, false);
+  };
+
+  /**
+   * @description This function fills the help overlay's table with a row per
+   * entry of <code>inaccessible.getKeystrokeInfo</code>, keys on the left and
+   * actions on the right, with the pointer controls spanning both columns.
+   *
+   * @returns {void}
+   */
+  inaccessible.refreshHelpOverlay = function () {
+
+    // Declarations
+    let that, aliasIds;
+
+    // Definitions
+    that = this;
+    aliasIds = this.Identifiers;
+
+    this.emptyElementOfContent(aliasIds.HELP_TABLE_ID);
+
+    this.getKeystrokeInfo().forEach(function (row) {
+      that.append(aliasIds.HELP_TABLE_ID, that.assembleElement(
+          (row.length === 2)
+              ? ['tr', {}, ['td', {}, ['kbd', {}, row[0]]], ['td', {}, row[1]]]
+              : ['tr', {}, ['td', {colspan: 2}, row[0]]]));
+    });
+  };
+
+  /**
+   * @description This function builds the key binding panel in its sidebar
+   * module container, listing each entry of
+   * <code>inaccessible.keyboardActions</code> alongside a button displaying the
+   * keys bound to it. Pressing a button readies the panel to bind the next
+   * keystroke to that action. A final button restores the default bindings.
+   *
+   * @returns {void}
+   */
+  inaccessible.assembleKeyBindingPanel = function () {
+
+    // Declarations
+    let that, aliasIds;
+
+    // Definitions
+    that = this;
+    aliasIds = this.Identifiers;
+
+    this.keyboardActions.forEach(function (action) {
+
+      // Declarations
+      let elementId, rowElement;
+
+      // Definitions
+      elementId = `keyBinding${action.actionName}`;
+      rowElement = that.assembleElement(['div',
+          {class: aliasIds.KEY_BINDING_CLASS},
+          ['span', {}, action.description],
+          ['button', {
+            id: elementId,
+            type: 'button',
+            class: `${aliasIds.KEY_BINDING_BUTTON_CLASS} ` +
+                aliasIds.SIDEBAR_ELEMENT_CLASS,
+          }, '']]);
+
+      that.append(aliasIds.KEY_BINDING_HOLDER_ID, rowElement);
+
+      that.root.getElementById(elementId).addEventListener('click',
+          function () {
+        that.handleKeyBindingButton(action.actionName);
+      }, false);
+    });
+
+    this.assembleButtonElement({
+      buttonType: this.Text.KEY_BINDING_RESET,
+      functionName: 'handleKeyBindingReset',
+      functionArguments: [],
+    }, aliasIds.KEY_BINDING_HOLDER_ID);
+
+    this.refreshKeyBindingPanel();
+  };
+
+  /**
+   * @description This function updates the text of each of the key binding
+   * panel's buttons to show the keys currently bound to its action, or a prompt
+   * if the panel is waiting on a keystroke for that action.
+   *
+   * @returns {void}
+   */
+  inaccessible.refreshKeyBindingPanel = function () {
+
+    // Declaration
+    let that;
+
+    // Definition
+    that = this;
+
+    this.keyboardActions.forEach(function (action) {
+
+      // Declarations
+      let button, keys;
+
+      // Definitions
+      button = that.root.getElementById(`keyBinding${action.actionName}`);
+      keys = that.getKeysBoundToAction(action.actionName);
+
+      if (button == null) {
+        return;
+      }
+
+      if (that.rebindingActionName === action.actionName) {
+        button.textContent = that.Text.KEY_BINDING_PROMPT;
+      } else {
+        button.textContent = (keys.length)
+            ? keys.join(', ')
+            : that.Text.KEY_BINDING_UNBOUND;
+      }
+    });
+  };
+
+  /**
+   * @description This function makes significant use of the DOM element builder
+   * <code>inaccessible.assembleElement</code>'s recursive functionality to
+   * construct many levels of nested elements. This function mainly just fills
+   * the otherwise empty <code>body</code> tag with a container wrapper
+   * <code>div</code>, a set of sidebar containers for checkboxes and buttons,
+   * and a <code>div</code> wrapper for the <code>canvas</code> itself. It is
+   * to these DOM nodes that the rest of the elements are assembled dynamically
+   * and added to the wrapper.
+   *
+   * @returns {void}
+   */
+  inaccessible.assembleBodyFramework = function () {
+
+    let container, canvasHolder, sidebarInterface, aliasIds;
+
+    // Styleguide permits aliasing enums, see styleguide #2 linked above
+    aliasIds = this.Identifiers;
+
+    // Container wrapper and config
+    container = this.assembleElement(['div', {id: aliasIds.CONTAINER_ID}, '']);
+    container.style.opacity = 0;
+
+    // Responsive layout fills the window rather than keeping its fixed size
+    if (this.viewerOptions.responsive) {
+      container.classList.add(aliasIds.RESPONSIVE_CLASS);
+    }
+
+    // Mounted viewers fill their host instead, and take keystrokes only while
+    // focused, so must be focusable
+    if (this.isEmbedded) {
+      container.classList.add(aliasIds.MOUNTED_CLASS);
+      container.tabIndex = 0;
+    }
+
+    // Left-hand sidebar
+    sidebarInterface = this.assembleElement(
+
+      // Sidebar container
+      ['div', {id: aliasIds.SIDEBAR_ID, class: aliasIds.CONTAINER_MODULE},
+
+      // Checkbox module container
+      ['form', {id: aliasIds.FORM_ID, class: aliasIds.SIDEBAR_MODULE_CLASS},
+
+      // Checkbox module header
+      ['div', {class: aliasIds.HEADER_CLASS}, this.Text.CHECKBOXES_HEADER]],
+
+      // Inspector module container, hidden until an element is selected
+      ['div', {id: aliasIds.INSPECTOR_HOLDER_ID,
+          class: aliasIds.SIDEBAR_MODULE_CLASS, hidden: ''},
+
+      // Inspector module header
+      ['div', {class: aliasIds.HEADER_CLASS}, this.Text.INSPECTOR_HEADER]],
+
+      // Button module container
+      ['div', {id: aliasIds.BUTTON_HOLDER_ID,
+          class: aliasIds.SIDEBAR_MODULE_CLASS},
+
+      // Button module header
+      ['div', {class: aliasIds.HEADER_CLASS}, this.Text.BUTTON_HOLDER_HEADER]],
+
+      // Animation speed module container
+      ['div', {id: aliasIds.SPEED_HOLDER_ID,
+          class: aliasIds.SIDEBAR_MODULE_CLASS},
+
+      // Animation speed module header
+      ['div', {class: aliasIds.HEADER_CLASS}, this.Text.SPEED_HOLDER_HEADER]],
+
+      // Light mixer module container, collapsed by default like key bindings
+      ['details', {id: aliasIds.LIGHT_MIXER_HOLDER_ID,
+          class: aliasIds.SIDEBAR_MODULE_CLASS},
+
+      // Light mixer module header
+      ['summary', {class: aliasIds.HEADER_CLASS},
+          this.Text.LIGHT_MIXER_HEADER]],
+
+      // Export module container, collapsed by default like key bindings
+      ['details', {id: aliasIds.EXPORT_HOLDER_ID,
+          class: aliasIds.SIDEBAR_MODULE_CLASS},
+
+      // Export module header
+      ['summary', {class: aliasIds.HEADER_CLASS}, this.Text.EXPORT_HEADER]],
+
+      // Camera module container, collapsed by default like key bindings
+      ['details', {id: aliasIds.CAMERA_HOLDER_ID,
+          class: aliasIds.SIDEBAR_MODULE_CLASS},
+
+      // Camera module header
+      ['summary', {class: aliasIds.HEADER_CLASS}, this.Text.CAMERA_HEADER]],
+
+      // Clipping check module container, collapsed by default like exports
+      ['details', {id: aliasIds.CLIPPING_HOLDER_ID,
+          class: aliasIds.SIDEBAR_MODULE_CLASS},
+
+      // Clipping check module header
+      ['summary', {class: aliasIds.HEADER_CLASS}, this.Text.CLIPPING_HEADER]],
+
+      // Physics module container, collapsed by default like clipping checks
+      ['details', {id: aliasIds.PHYSICS_HOLDER_ID,
+          class: aliasIds.SIDEBAR_MODULE_CLASS},
+
+      // Physics module header
+      ['summary', {class: aliasIds.HEADER_CLASS}, this.Text.PHYSICS_HEADER]],
+
+      // Key binding module container, collapsed by default as it's rather long
+      ['details', {id: aliasIds.KEY_BINDING_HOLDER_ID,
+          class: aliasIds.SIDEBAR_MODULE_CLASS},
+
+      // Key binding module header
+      ['summary', {class: aliasIds.HEADER_CLASS},
+          this.Text.KEY_BINDING_HEADER]]]
+    );
+
+    // Wrapper for the canvas scene
+    canvasHolder = this.assembleElement(['div',
+        {id: aliasIds.CANVAS_HOLDER_ID, class: aliasIds.CONTAINER_MODULE}, '']);
+
+    // Add container to empty body tag, or to the shadow root of a mounted one
+    ((this.isEmbedded) ? this.root : document.body).appendChild(container);
+
+    // Add sidebar to left hand side
+    this.append(aliasIds.CONTAINER_ID, sidebarInterface);
+
+    // Add canvas to center-right
+    this.append(aliasIds.CONTAINER_ID, canvasHolder);
+
+    // Add corner holder for notifications, announced by screen readers
+    this.append(aliasIds.CONTAINER_ID, this.assembleElement(['div',
+        {id: aliasIds.NOTIFICATION_HOLDER_ID, 'aria-live': 'polite'}, '']));
+  };
+
+  /**
+   * @description This builder utility function simply takes one of the
+   * <code>inaccessible</code> arrays of objects and iterates over its contents,
+   * passing each object entry to the assembly method responsible for creating
+   * the in-scene element (either light or shape) and its associated sidebar
+   * checkbox DOM element used to toggle its animation or display.
+   *
+   * @param {!Array<object>} paramDataSource
+   * @param {string} paramAssemblyFunction Representation of assembly function
+   *    signature
+   * @param {string} listenerName Representation of listener function signature
+   * @returns {void}
+   */
+  inaccessible.assembleElementsAndCheckboxes = function (paramDataSource,
+      paramAssemblyFunction, listenerName) {
+
+    // Declaration
+    let that;
+
+    // Definition
+    that = this;
+
+    // Builds both a checkbox element and a scene element/light source
+    this[paramDataSource].forEach(function (entry) {
+      that[paramAssemblyFunction](entry);
+      that.assembleCheckBoxElement(entry, listenerName);
+    });
+  };
+
+  /**
+   * @description This assembly function was built to consolidate all the major
+   * elements of the program previously contained in the body of
+   * <code>inaccessible.main</code> and assemble them in a logical fashion,
+   * making it easier to see at a glance what is being built and configured. The
+   * config objects themselves are placed in temporary variables to make it
+   * easier to view and adjust their individual properties.
+   *
+   * @returns {void}
+   */
+  inaccessible.assembleMajorComponents = function () {
+
+    // Declarations
+    let canvasConfig, cameraConfig;
+
+    // Canvas (canvas wrapper should have already been built)
+    canvasConfig = {
+      id: this.Identifiers.CANVAS_ID,
+      width: this.Utility.CANVAS_WIDTH,
+      height: this.Utility.CANVAS_HEIGHT,
+    };
+    this.canvas = this.assembleElement(['canvas', canvasConfig, '']);
+    this.append(this.Identifiers.CANVAS_HOLDER_ID, this.canvas);
+
+    // Overlays for the object labels and hover tooltip, hidden by default
+    this.append(this.Identifiers.CANVAS_HOLDER_ID, this.assembleElement(['div',
+        {id: this.Identifiers.LABEL_LAYER_ID, hidden: ''}, '']));
+    this.append(this.Identifiers.CANVAS_HOLDER_ID, this.assembleElement(['div',
+        {id: this.Identifiers.TOOLTIP_ID, hidden: ''}, '']));
+
+    // Camera
+    cameraConfig = [
+      this.Utility.CAMERA_FOV,
+      // Aspect ratio for 640:480 as per rubric, until a resize says otherwise
+      this.Utility.CANVAS_WIDTH / this.Utility.CANVAS_HEIGHT,
+      this.Utility.FRUSTRUM_NEAR_PLANE,
+      this.Utility.FRUSTRUM_FAR_PLANE,
+    ];
+    this.perspectiveCamera = new THREE.PerspectiveCamera(...cameraConfig);
+
+    // Orthographic twin, its frustum fit to the perspective camera's view
+    this.orthographicCamera = new THREE.OrthographicCamera();
+    this.camera = this.perspectiveCamera;
+    this.cameraTarget = new THREE.Vector3();
+    this.handleSettingOfCameraProjection();
+    this.handleSettingOfCameraPose(new THREE.Quaternion());
+
+    // Other element initializations
+    this.scene = new THREE.Scene();
+    this.model = new THREE.Object3D();
+  };
+
+  /**
+   * @description This assembly function builds the renderer, kept apart from
+   * <code>inaccessible.assembleMajorComponents</code> so that its failures may
+   * be reported as such. A <code>THREE.WebGLRenderer</code> is used if
+   * <code>inaccessible.getWebGLSupport</code> finds WebGL to be working, and
+   * the wireframe renderer of
+   * <code>inaccessible.assembleFallbackRenderer</code> otherwise, or if the
+   * former throws regardless. Should neither be possible, an error explaining
+   * why is thrown. A renderer supplied via the <code>createRenderer</code>
+   * option is used as is.
+   *
+   * @returns {void}
+   */
+  inaccessible.assembleRenderer = function () {
+
+    // Declaration
+    let rendererConfig;
+
+    // Definition
+    rendererConfig = {
+      canvas: this.canvas,
+      antialias: true,
+    };
+
+    if (this.viewerOptions.createRenderer != null) {
+      this.webGLSupport = {isSupported: true, reason: null};
+      this.renderer = this.viewerOptions.createRenderer(rendererConfig);
+    } else {
+      this.webGLSupport = this.getWebGLSupport();
+
+      if (this.webGLSupport.isSupported) {
+        try {
+          this.renderer = new THREE.WebGLRenderer(rendererConfig);
+        } catch (e) {
+          this.webGLSupport = {isSupported: false, reason: e.message};
+        }
+      }
+
+      if (!this.webGLSupport.isSupported) {
+        this.renderer = this.assembleFallbackRenderer(rendererConfig);
+      }
+    }
+
+    this.renderer.setClearColor(this.Colors.GRAY);
+  };
+
+  /**
+   * @description This assembly function builds a stand-in for
+   * <code>THREE.WebGLRenderer</code> for browsers without WebGL, offering the
+   * subset of its interface used elsewhere and drawing wireframes on a 2D
+   * canvas via <code>inaccessible.renderWireframe</code>. As the canvas can
+   * only ever have one kind of context, WebGL must be ruled out before this is
+   * called.
+   *
+   * @param {object} paramConfig
+   * @returns {object} renderer
+   */
+  inaccessible.assembleFallbackRenderer = function (paramConfig) {
+
+    // Declarations
+    let that, context;
+
+    // Definitions
+    that = this;
+    context = paramConfig.canvas.getContext('2d');
+
+    if (context == null) {
+      throw new Error(`${this.webGLSupport.reason} ` +
+          this.Text.FALLBACK_UNAVAILABLE);
+    }
+
+    return {
+      isFallbackRenderer: true,
+      domElement: paramConfig.canvas,
+      context: context,
+      clearColor: new THREE.Color(),
+      pixelRatio: 1,
+      triangleCache: {},
+      render: function (paramScene, paramCamera) {
+        that.renderWireframe(this, paramScene, paramCamera);
+      },
+      setClearColor: function (paramColor) {
+        this.clearColor.set(paramColor);
+      },
+      setPixelRatio: function (paramPixelRatio) {
+        this.pixelRatio = paramPixelRatio;
+      },
+      setSize: function (paramWidth, paramHeight, paramUpdateStyle) {
+        this.domElement.width = Math.floor(paramWidth * this.pixelRatio);
+        this.domElement.height = Math.floor(paramHeight * this.pixelRatio);
+
+        if (paramUpdateStyle !== false) {
+          this.domElement.style.width = `${paramWidth}px`;
+          this.domElement.style.height = `${paramHeight}px`;
+        }
+      },
+      dispose: function () {
+        this.triangleCache = {};
+      },
+    };
+  };
+
+  /**
+   * @description This function attaches the pointer and wheel event handlers
+   * used to rotate, pan, and zoom the model with a mouse, trackpad, or touch
+   * screen. The browser's context menu is suppressed over the
+   * <code>canvas</code> so that right-button drags may be used for panning.
+   *
+   * @returns {void}
+   */
+  inaccessible.assemblePointerControls = function () {
+
+    // Declarations
+    let that, canvas, pointerUpHandler;
+
+    // Definitions
+    that = this;
+    canvas = this.canvas;
+    pointerUpHandler = this.handlePointerUp.bind(this);
+
+    canvas.addEventListener('pointerdown', this.handlePointerDown.bind(this),
+        false);
+    canvas.addEventListener('pointermove', this.handlePointerMove.bind(this),
+        false);
+    canvas.addEventListener('pointerup', pointerUpHandler, false);
+    canvas.addEventListener('pointercancel', pointerUpHandler, false);
+
+    // Passive listeners can't prevent the page from scrolling
+    canvas.addEventListener('wheel', this.handleWheel.bind(this),
+        {passive: false});
+
+    // Tooltips are hidden once the pointer leaves the canvas
+    canvas.addEventListener('pointerleave', function () {
+      that.handleTooltipDisplay(null);
+    }, false);
+
+    canvas.addEventListener('contextmenu', function (event) {
+      event.preventDefault();
+    }, false);
+  };
+
+  /**
+   * @description This function attaches the handlers that keep the
+   * <code>canvas</code> drawing buffer and camera in step with the displayed
+   * size of the <code>canvas</code>. A <code>ResizeObserver</code> watches the
+   * <code>canvas</code> wrapper where available, with browsers lacking one
+   * falling back on the window's <code>resize</code> event. The size is then
+   * set once to begin with.
+   *
+   * @returns {void}
+   */
+  inaccessible.assembleResizeHandling = function () {
+
+    // Declarations
+    let holder, resizeHandler;
+
+    // Definitions
+    holder = this.root.getElementById(this.Identifiers.CANVAS_HOLDER_ID);
+    resizeHandler = this.handleCanvasResize.bind(this);
+
+    if (typeof window.ResizeObserver === 'function') {
+      this.resizeObserver = new window.ResizeObserver(resizeHandler);
+      this.resizeObserver.observe(holder);
+    } else {
+      this.addGlobalListener(window, 'resize', resizeHandler);
+    }
+
+    // The wrapper needn't change size on entering fullscreen in fixed layout
+    this.addGlobalListener(document, 'fullscreenchange', resizeHandler);
+
+    this.handleCanvasResize();
+  };
+
+  /**
+   * @description This function, originally a member of the Project 3 template
+   * file named <code>createWorld</code>, is used to assemble all the elements
+   * related to the <code>canvas</code>-mediated scene, building each light
+   * source and scene object and their associated sidebar checkboxes, setting
+   * the keystroke event listener, assembling the assorted buttons, and finally
+   * adding the meshes to their associated <code>Object3D</code> node thingies.
+   * The completed model is then added to the scene.
+   *
+   * @see modeling-starter.createWorld
+   * @returns {void}
+   */
+  inaccessible.assembleScene = function () {
+
+    // Declarations
+    let that, keyTarget;
+
+    // Definition
+    that = this;
+
+    // Build all six shapes and their checkboxes
+    this.assembleElementsAndCheckboxes('sceneElementData',
+        'assembleSceneElement', 'handleSceneElementCheckboxChanges');
+
+    // Build light sources and their checkboxes
+    this.assembleElementsAndCheckboxes('sceneLightData', 'assembleLightSource',
+        'handleLightSourceCheckboxChanges');
+
+    // Build the checkboxes that show or hide light helpers and labels
+    this.assembleOptionToggle(this.Identifiers.LIGHT_HELPER_TOGGLE_ID,
+        this.Text.LIGHT_HELPER_LABEL, 'handleLightHelperCheckboxChanges',
+        this.areLightHelpersVisible);
+    this.assembleOptionToggle(this.Identifiers.LABEL_TOGGLE_ID,
+        this.Text.SCENE_LABEL_LABEL, 'handleLabelCheckboxChanges',
+        this.areLabelsVisible);
+
+    // Load saved key bindings and set keystroke handler, which for mounted
+    // viewers only hears keystrokes made while they have focus
+    this.loadKeyBindings();
+    keyTarget = (this.isEmbedded)
+        ? this.root.getElementById(this.Identifiers.CONTAINER_ID)
+        : document;
+    this.addGlobalListener(keyTarget, 'keydown',
+        this.handleKeyPress.bind(this));
+
+    // Suspend the animation while the page is hidden
+    this.addGlobalListener(document, 'visibilitychange',
+        this.handleVisibilityChange.bind(this));
+
+    // Set mouse, trackpad, and touch handlers
+    this.assemblePointerControls();
+
+    // Import models dropped on the canvas
+    ['dragover', 'dragleave', 'drop'].forEach(function (type) {
+      that.root.getElementById(that.Identifiers.CANVAS_HOLDER_ID)
+          .addEventListener(type, that.handleModelDrop.bind(that), false);
+    });
+
+    // Fit the canvas to its wrapper, now and on any later resize
+    this.assembleResizeHandling();
+
+    // Build all sidebar buttons used to manipulate program, less permalinks
+    // for mounted viewers, as the page's URL belongs to the main viewer
+    this.sidebarButtonData.forEach(function (button) {
+      if (!that.isEmbedded ||
+          button.functionName !== 'handlePermalinkCreation') {
+        that.assembleButtonElement(button);
+      }
+    });
+
+    // Build the animation speed slider
+    this.assembleSpeedControls();
+
+    // Build the screenshot and frame sequence export panel
+    this.assembleExportPanel();
+
+    // Build the clipping check panel
+    this.assembleClippingPanel();
+
+    // Build the physics panel
+    this.assemblePhysicsPanel();
+
+    // Build the camera preset, projection, and follow panel
+    this.assembleCameraPanel();
+
+    // Build each light's row of the light mixer panel
+    this.sceneLightData.forEach(function (entry) {
+      that.assembleLightMixerRow(entry);
+    });
+
+    // Build the key binding panel's rows and buttons
+    this.assembleKeyBindingPanel();
+
+    // Build the help overlay listing the controls
+    this.assembleHelpOverlay();
+
+    // Add meshes to object nodes for each shape entry, then add node to model
+    // or, for nested entries, to the mesh of the parent built before them
+    this.sceneElementData.forEach(function (entry) {
+      entry.object.add(entry.mesh);
+      that.getSceneElementContainer(entry).add(entry.object);
+      that.applyTimedTransformations(entry);
+    });
+
+    // Set default transforms to scene
+    this.handleSettingOfDefaultTransforms();
+
+    // Add model to scene
+    this.scene.add(this.model);
+  };
+
+  /**
+   * @description This function is used to replace the contents of the main
+   * container wrapper with an error message in the event of a failure during
+   * either scene description loading or assembly. If the failure occurred
+   * before the wrapper itself was built, the body framework is assembled first
+   * so that the message has somewhere to live. Any details, i.e. the text of
+   * the error that caused the failure, are shown beneath the message.
+   *
+   * @param {string} paramText
+   * @param {?string=} paramDetails
+   * @returns {void}
+   */
+  inaccessible.assembleErrorMessage = function (paramText, paramDetails) {
+    if (this.root.getElementById(this.Identifiers.CONTAINER_ID) == null) {
+      this.assembleBodyFramework();
+    }
+
+    // Remove any half-assembled content from container wrapper
+    this.emptyElementOfContent(this.Identifiers.CONTAINER_ID);
+
+    // Add an error message to container (from template file)
+    this.append(this.Identifiers.CONTAINER_ID, this.assembleElement(['h3',
+        ['b', paramText]]));
+
+    if (paramDetails != null) {
+      this.append(this.Identifiers.CONTAINER_ID, this.assembleElement(['p',
+          {class: this.Identifiers.ERROR_DETAILS_CLASS}, paramDetails]));
+    }
+  };
+
+  /**
+   * @description This function was based on the Project 3 template file's main
+   * <code>init</code> function, used to define important objects and begin the
+   * rendering and display process. As the name "init" was reserved for the sole
+   * external-facing function <code>accessible.init</code> called by the body
+   * on completion of DOM load, the refactored function was thus renamed to
+   * "main."
+   * <br />
+   * <br />
+   * If startup fails, the message shown depends on the stage that failed,
+   * namely the checking of the scene configuration, the creation of the
+   * renderer, or the assembly of the rest, and the error itself is shown
+   * beneath it. A lack of WebGL only counts as a failure if the 2D canvas
+   * fallback is unavailable too.
+   *
+   * @see modeling-starter.init
+   * @returns {void}
+   */
+  inaccessible.main = function () {
+
+    // Declarations
+    let that, failureText;
+
+    // Definition
+    that = this;
+
+    // Set object-global readiness, before which events are held back
+    this.isReady = false;
+
+    // Teardown functions returned by installed plugins, called on destroy
+    this.pluginTeardowns = [];
+
+    try {
+
+      // Catch typos in the scene data before they surface mid-assembly
+      failureText = this.Text.CONFIGURATION_ERROR;
+      this.validateSceneData();
+
+      // Dynamically assemble HTML skeleton framework in body
+      failureText = this.Text.ASSEMBLY_ERROR;
+      this.assembleBodyFramework();
+
+      // Define Camera, Scene, etc.
+      this.assembleMajorComponents();
+
+      // Define Renderer, custom ones aside failing only if WebGL and 2D both do
+      failureText = (this.viewerOptions.createRenderer != null)
+          ? this.Text.RENDERER_ERROR
+          : this.Text.WEBGL_ERROR;
+      this.assembleRenderer();
+      failureText = this.Text.ASSEMBLY_ERROR;
+
+      // Set object-global boolean property related to animation running
+      this.isSceneAnimated = false;
+
+      // Set object-global animation speed multiplier (negative for reverse)
+      this.animationSpeed = this.viewerOptions.animationSpeed;
+      this.frameRequestId = null;
+      this.lastFrameTimestamp = null;
+
+      // Set object-global records of what inaccessible.destroy must undo
+      this.globalListeners = [];
+      this.resizeObserver = null;
+      this.cameraFrameRequestId = null;
+      this.inertiaFrameRequestId = null;
+      this.isDestroyed = false;
+
+      // Set object-global record of a pause, if any
+      this.pauseState = null;
+
+      // Seed the pseudorandom numbers used for ids, if so requested
+      this.randomState = this.viewerOptions.seed;
+      this.isExporting = false;
+
+      // Set object-global queue of notifications awaiting display
+      this.notificationQueue = [];
+
+      // Set object-global camera transition and followed element
+      this.cameraTransition = null;
+      this.followedEntry = null;
+
+      // Set object-global results and outlines of the last clipping check
+      this.clippingReport = null;
+      this.clippingHelpers = [];
+
+      // Set object-global physics world, present while physics is running
+      this.physicsWorld = null;
+
+      // Set object-global light helper and label display states
+      this.areLightHelpersVisible = this.viewerOptions.showLightHelpers;
+      this.areLabelsVisible = this.viewerOptions.showLabels;
+      this.root.getElementById(this.Identifiers.LABEL_LAYER_ID).hidden =
+          !this.areLabelsVisible;
+
+      // Build lights/objects, checkboxes, buttons; add meshes to nodes, etc.
+      this.assembleScene();
+
+      // Repaint and render scene
+      this.render();
+
+      // Apply any permalink or remembered session state
+      this.restoreInitialViewerState();
+
+      // Explain the wireframe view if WebGL could not be used
+      if (this.renderer.isFallbackRenderer) {
+        this.handleNotification(
+            `${this.Text.FALLBACK_INFO}\n${this.webGLSupport.reason}`, false);
+      }
+
+      this.isReady = true;
+
+    } catch (e) {
+      if (DEBUG) {
+        console.warn(e);
+      }
+
+      this.assembleErrorMessage(failureText, String(e));
+      this.emitEvent(this.Events.ERROR, {message: failureText, error: e});
+    }
+
+    // Regardless of the success/error status, we fade in on assembled GUI
+    this.fadeIn(this.Identifiers.CONTAINER_ID);
+
+    if (!this.isReady) {
+      return;
+    }
+
+    this.emitEvent(this.Events.READY, {
+      isFallbackRenderer: !!this.renderer.isFallbackRenderer,
+    });
+
+    // Install plugins registered before now, one's failure not stopping others
+    this.plugins.forEach(function (plugin) {
+      that.installPlugin(plugin);
+    });
+  };
+
+  /**
+   * @description This function is the counterpart of
+   * <code>inaccessible.main</code>, tearing the viewer down so that a page
+   * that no longer needs it (i.e. a single-page app navigating elsewhere) is
+   * left as it was. Pending animation frames, intervals, and notification
+   * timeouts are cancelled, listeners added to the window and document are
+   * removed, the GPU resources of the scene and the renderer's context itself
+   * are released, and the DOM built by the viewer is removed. The scene
+   * modification functions of the public API throw thereafter, as they do
+   * before <code>init</code>.
+   *
+   * @returns {void}
+   */
+  inaccessible.destroy = function () {
+
+    // Declaration
+    let container;
+
+    if (this.root == null || this.isDestroyed) {
+      return;
+    }
+
+    // Definition
+    container = this.root.getElementById(this.Identifiers.CONTAINER_ID);
+
+    this.isDestroyed = true;
+    this.isReady = false;
+    this.isSceneAnimated = false;
+    this.cameraTransition = null;
+    this.pointerState.isCoasting = false;
+
+    // Animation loops, fade-in, and notification timeouts
+    [this.frameRequestId, this.cameraFrameRequestId,
+        this.inertiaFrameRequestId].forEach(function (requestId) {
+      if (requestId != null) {
+        window.cancelAnimationFrame(requestId);
+      }
+    });
+
+    clearInterval(this.fadeInIntervalId);
+
+    // Plugins, given the chance to undo their work while the scene still exists
+    (this.pluginTeardowns || []).forEach(function (teardown) {
+      try {
+        teardown();
+      } catch (e) {
+        window.setTimeout(function () {
+          throw e;
+        }, 0);
+      }
+    });
+
+    if (container != null) {
+      Array.prototype.forEach.call(container.querySelectorAll(
+          `.${this.Identifiers.NOTIFICATION_CLASS}`), function (notification) {
+        window.clearTimeout(notification.timeoutId);
+      });
+    }
+
+    // Listeners outliving the viewer's DOM (absent if startup failed early)
+    (this.globalListeners || []).forEach(function (listener) {
+      listener[0].removeEventListener(listener[1], listener[2], false);
+    });
+
+    if (this.resizeObserver != null) {
+      this.resizeObserver.disconnect();
+    }
+
+    // GPU resources
+    if (this.scene != null) {
+      this.disposeSceneResources();
+    }
+
+    if (this.renderer != null) {
+      this.renderer.dispose();
+
+      if (typeof this.renderer.forceContextLoss === 'function') {
+        this.renderer.forceContextLoss();
+      }
+    }
+
+    // DOM, including the stylesheet copies of a mounted viewer
+    if (this.isEmbedded) {
+      while (this.root.firstChild) {
+        this.root.removeChild(this.root.firstChild);
+      }
+    } else if (container != null) {
+      container.parentNode.removeChild(container);
+    }
+
+    this.globalListeners = [];
+    this.notificationQueue = [];
+    this.pluginTeardowns = [];
+    this.frameRequestId = null;
+    this.scene = null;
+    this.renderer = null;
+  };
+
+  /**
+   * @description This function frees the GPU-side copies of every geometry,
+   * material, and texture in the scene, which WebGL would otherwise keep until
+   * the page is closed. Helpers like the light helpers and clipping outlines
+   * are included, as they are scene members like any other.
+   *
+   * @returns {void}
+   */
+  inaccessible.disposeSceneResources = function () {
+
+    // Declaration
+    let that;
+
+    // Definition
+    that = this;
+
+    this.scene.traverse(function (object) {
+      if (object.geometry != null) {
+        object.geometry.dispose();
+      }
+
+      [].concat(object.material || []).forEach(function (material) {
+        that.disposeMaterial(material);
+      });
+    });
+  };
+
+  // Plugin functions
+
+  /**
+   * @description This function adds the inputted plugin to
+   * <code>inaccessible.plugins</code>, installing it at once if the viewer is
+   * ready and otherwise leaving it to <code>inaccessible.main</code>. Plugins
+   * are objects with a unique <code>name</code> and an <code>install</code>
+   * function, which is passed the context built by
+   * <code>inaccessible.assemblePluginContext</code>.
+   *
+   * @param {object} paramPlugin
+   * @returns {void}
+   */
+  inaccessible.registerPlugin = function (paramPlugin) {
+    if (paramPlugin == null || typeof paramPlugin.name !== 'string' ||
+        paramPlugin.name === '' ||
+        typeof paramPlugin.install !== 'function' ||
+        this.plugins.some(function (plugin) {
+          return plugin.name === paramPlugin.name;
+        })) {
+      throw new TypeError(this.Text.PLUGIN_ERROR);
+    }
+
+    this.plugins.push(paramPlugin);
+
+    if (this.isReady) {
+      this.installPlugin(paramPlugin);
+    }
+  };
+
+  /**
+   * @description This function calls the inputted plugin's
+   * <code>install</code> function, keeping the teardown function it may return
+   * for <code>inaccessible.destroy</code>. A plugin that throws is reported
+   * via notification and <code>error</code> event rather than being allowed
+   * to interrupt startup.
+   *
+   * @param {object} paramPlugin
+   * @returns {void}
+   */
+  inaccessible.installPlugin = function (paramPlugin) {
+
+    // Declarations
+    let teardown, message;
+
+    try {
+      teardown = paramPlugin.install(this.assemblePluginContext(paramPlugin));
+
+      if (typeof teardown === 'function') {
+        this.pluginTeardowns.push(teardown);
+      }
+    } catch (e) {
+      if (DEBUG) {
+        console.warn(e);
+      }
+
+      message = `${this.Text.PLUGIN_INSTALL_ERROR} ${paramPlugin.name}`;
+      this.handleNotification(message, true);
+      this.emitEvent(this.Events.ERROR, {message: message, error: e});
+    }
+  };
+
+  /**
+   * @description This function builds the object handed to a plugin's
+   * <code>install</code> function. Rather than the whole private namespace,
+   * plugins are given the scene, the model group, the active camera (a getter,
+   * as the projection may be toggled), the public API, and a few functions to
+   * render, notify, and add sidebar modules with.
+   *
+   * @param {object} paramPlugin
+   * @returns {object} context
+   */
+  inaccessible.assemblePluginContext = function (paramPlugin) {
+
+    // Declaration
+    let that;
+
+    // Definition
+    that = this;
+
+    return {
+      THREE: THREE,
+      viewer: accessible,
+      scene: this.scene,
+      model: this.model,
+      get camera() {
+        return that.camera;
+      },
+      render: function () {
+        that.render();
+      },
+      notify: function (paramText, paramIsError) {
+        that.handleNotification(String(paramText), !!paramIsError);
+      },
+      addSidebarModule: function (paramTitle) {
+        return that.assemblePluginModule(paramPlugin, paramTitle);
+      },
+    };
+  };
+
+  /**
+   * @description This function builds a collapsible sidebar module for the
+   * inputted plugin, placed after the button module like the built-in panels,
+   * and returns the element plugins are to fill with their own controls. The
+   * title defaults to the plugin's name.
+   *
+   * @param {object} paramPlugin
+   * @param {string=} paramTitle
+   * @returns {!Element} content
+   */
+  inaccessible.assemblePluginModule = function (paramPlugin, paramTitle) {
+
+    // Declarations
+    let aliasIds, moduleElement, sidebar;
+
+    // Definitions
+    aliasIds = this.Identifiers;
+    sidebar = this.root.getElementById(aliasIds.SIDEBAR_ID);
+    moduleElement = this.assembleElement(['details', {class:
+        `${aliasIds.SIDEBAR_MODULE_CLASS} ${aliasIds.PLUGIN_MODULE_CLASS}`,
+        open: ''},
+        ['summary', {class: aliasIds.HEADER_CLASS},
+            String(paramTitle || paramPlugin.name)],
+        ['div', {class: aliasIds.PLUGIN_CONTENT_CLASS}, '']]);
+
+    sidebar.insertBefore(moduleElement,
+        this.root.getElementById(aliasIds.SPEED_HOLDER_ID));
+
+    return moduleElement.lastElementChild;
+  };
+
+  // Model import functions
+
+  /**
+   * @description This function returns the format of the model of the inputted
+   * source, being a URL or file name, as named by its file extension unless
+   * one is inputted. Formats not listed in
+   * <code>inaccessible.ModelFormats</code> result in a thrown
+   * <code>TypeError</code>.
+   *
+   * @param {string} paramSource
+   * @param {?string=} paramFormat
+   * @returns {string} format
+   */
+  inaccessible.getModelFormat = function (paramSource, paramFormat) {
+
+    // Declaration
+    let format;
+
+    // Definition
+    format = String(paramFormat ||
+        paramSource.split(/[?#]/)[0].split('.').pop()).toLowerCase();
+
+    if (!this.ModelFormats.hasOwnProperty(format)) {
+      throw new TypeError(`${this.Text.MODEL_FORMAT_ERROR}: ${paramSource}`);
+    }
+
+    return format;
+  };
+
+  /**
+   * @description This function derives the <code>itemType</code> of a model
+   * imported without one from the name of its file, i.e. "office-chair.glb"
+   * becomes "OfficeChair," and so is labeled "Office Chair" in the sidebar.
+   *
+   * @param {string} paramSource
+   * @returns {string} itemType
+   */
+  inaccessible.getModelItemType = function (paramSource) {
+    return paramSource.split(/[?#]/)[0].split(/[\\/]/).pop()
+        .replace(/\.[^.]*$/, '').split(/[^A-Za-z0-9]+/)
+        .filter(Boolean).map(function (word) {
+      return word.charAt(0).toUpperCase() + word.slice(1);
+    }).join('') || 'Model';
+  };
+
+  /**
+   * @description This function fetches the file at the inputted URL, resolving
+   * with its contents. Unlike <code>window.fetch</code>, it rejects on error
+   * statuses (i.e. a 404) as well as on network errors.
+   *
+   * @param {string} paramUrl
+   * @returns {Promise<ArrayBuffer>}
+   */
+  inaccessible.fetchArrayBuffer = function (paramUrl) {
+
+    // Declaration
+    let that;
+
+    // Definition
+    that = this;
+
+    return window.fetch(paramUrl).then(function (response) {
+      if (!response.ok) {
+        throw new Error(`${that.Text.MODEL_RESOURCE_ERROR}: ${paramUrl} ` +
+            `(${response.status})`);
+      }
+
+      return response.arrayBuffer();
+    });
+  };
+
+  /**
+   * @description This function reads the inputted file, i.e. one dropped on
+   * the <code>canvas</code> or chosen in a file picker, resolving with its
+   * contents.
+   *
+   * @param {!Blob} paramFile
+   * @returns {Promise<ArrayBuffer>}
+   */
+  inaccessible.readFileAsArrayBuffer = function (paramFile) {
+    return new Promise(function (resolve, reject) {
+
+      // Declaration
+      let reader;
+
+      // Definition
+      reader = new FileReader();
+
+      reader.addEventListener('load', function () {
+        resolve(reader.result);
+      }, false);
+      reader.addEventListener('error', function () {
+        reject(reader.error);
+      }, false);
+
+      reader.readAsArrayBuffer(paramFile);
+    });
+  };
+
+  /**
+   * @description This function returns a resource loader, as inputted to
+   * <code>inaccessible.loadModel</code>, that fetches the files a model refers
+   * to relative to the inputted model URL, itself relative to the page.
+   *
+   * @param {string} paramUrl
+   * @returns {function(string): !Promise<ArrayBuffer>} loadResource
+   */
+  inaccessible.getUrlResourceLoader = function (paramUrl) {
+
+    // Declaration
+    let that;
+
+    // Definition
+    that = this;
+
+    return function (paramUri) {
+      return that.fetchArrayBuffer(new URL(paramUri,
+          new URL(paramUrl, document.baseURI)).href);
+    };
+  };
+
+  /**
+   * @description This function returns a resource loader, as inputted to
+   * <code>inaccessible.loadModel</code>, that reads the files a model refers
+   * to from among the inputted files. As those have no paths, a URI is
+   * matched by its file name alone, less any query or fragment, whether its
+   * path uses forward slashes or Windows-style backslashes.
+   *
+   * @param {!Array<File>} paramFiles
+   * @returns {function(string): !Promise<ArrayBuffer>} loadResource
+   */
+  inaccessible.getFileResourceLoader = function (paramFiles) {
+
+    // Declaration
+    let that;
+
+    // Definition
+    that = this;
+
+    return function (paramUri) {
+
+      // Declarations
+      let name, resource;
+
+      // Definitions
+      name = decodeURIComponent(paramUri.split(/[?#]/)[0]).split(/[\\/]/)
+          .pop();
+      resource = paramFiles.find(function (file) {
+        return file.name === name;
+      });
+
+      return (resource != null)
+          ? that.readFileAsArrayBuffer(resource)
+          : Promise.reject(new Error(
+              `${that.Text.MODEL_RESOURCE_ERROR}: ${paramUri}`));
+    };
+  };
+
+  /**
+   * @description This function loads the model of the inputted source into
+   * <code>inaccessible.modelGeometries</code>, parsing the inputted contents
+   * with the function named in <code>inaccessible.ModelFormats</code>. The
+   * function inputted last is used to load any further files the model refers
+   * to by URI, i.e. the binary buffers of a glTF file, and is to resolve with
+   * their contents.
+   *
+   * @param {string} paramSource
+   * @param {?string} paramFormat
+   * @param {!Promise<ArrayBuffer>} paramContents
+   * @param {function(string): !Promise<ArrayBuffer>} paramLoadResource
+   * @returns {Promise<THREE.Geometry>}
+   */
+  inaccessible.loadModel = function (paramSource, paramFormat, paramContents,
+      paramLoadResource) {
+
+    // Declaration
+    let that;
+
+    // Definition
+    that = this;
+
+    return paramContents.then(function (buffer) {
+      return that[that.ModelFormats[that.getModelFormat(paramSource,
+          paramFormat)]](buffer, paramLoadResource);
+    }).then(function (geometry) {
+      that.modelGeometries[paramSource] = geometry;
+      return geometry;
+    });
+  };
+
+  /**
+   * @description This function loads the models used by the entries of
+   * <code>inaccessible.sceneElementData</code> that haven't been loaded yet,
+   * each once however many entries use it. Model URLs are relative to the
+   * page, like that of a scene description, while the files a model refers to
+   * are relative to the model.
+   *
+   * @returns {Promise<void>}
+   */
+  inaccessible.loadSceneModels = function () {
+
+    // Declarations
+    let that, entries;
+
+    // Definitions
+    that = this;
+    entries = this.sceneElementData.filter(function (entry, index, array) {
+      return entry.model != null &&
+          !that.modelGeometries.hasOwnProperty(entry.model) &&
+          array.findIndex(function (item) {
+            return item.model === entry.model;
+          }) === index;
+    });
+
+    return Promise.all(entries.map(function (entry) {
+      return that.loadModel(entry.model, entry.modelFormat,
+          that.fetchArrayBuffer(entry.model),
+          that.getUrlResourceLoader(entry.model));
+    })).then(function () {});
+  };
+
+  /**
+   * @description This function imports the models among the inputted files,
+   * i.e. those dropped on the <code>canvas</code>, as new scene elements. The
+   * other files serve as the resources the models refer to by name, such as
+   * the <code>.bin</code> buffers of a glTF file. Models that can't be loaded
+   * are reported via notification without holding up the rest.
+   *
+   * @param {!FileList|!Array<File>} paramFiles
+   * @returns {Promise<!Array<string>>} The ids of the new entries
+   */
+  inaccessible.importModelFiles = function (paramFiles) {
+
+    // Declarations
+    let that, files, models, loadResource;
+
+    // Definitions
+    that = this;
+    files = Array.from(paramFiles);
+    models = files.filter(function (file) {
+      return that.ModelFormats.hasOwnProperty(
+          file.name.split('.').pop().toLowerCase());
+    });
+    loadResource = this.getFileResourceLoader(files);
+
+    if (!models.length) {
+      this.handleNotification(`${this.Text.MODEL_FORMAT_ERROR}: ` +
+          files.map(function (file) {
+        return file.name;
+      }).join(', '), true);
+
+      return Promise.resolve([]);
+    }
+
+    return Promise.all(models.map(function (file) {
+      return that.loadModel(file.name, null, that.readFileAsArrayBuffer(file),
+          loadResource).then(function () {
+        return that.addModelElement({model: file.name});
+      }, function (error) {
+        if (DEBUG) {
+          console.warn(error);
+        }
+
+        that.handleNotification(`${that.Text.MODEL_LOAD_ERROR} ${file.name}`,
+            true);
+
+        return null;
+      });
+    })).then(function (ids) {
+      return ids.filter(function (id) {
+        return id != null;
+      });
+    });
+  };
+
+  /**
+   * @description This function adds a scene element built from a loaded model
+   * via <code>inaccessible.addSceneElement</code>. Unless set in the inputted
+   * config, the element's <code>itemType</code> is derived from the name of the
+   * model's file, and it is placed at the center of the existing scene, or of
+   * its parent if it has one.
+   *
+   * @param {object} paramConfig
+   * @returns {string} The id of the new entry
+   */
+  inaccessible.addModelElement = function (paramConfig) {
+
+    // Declaration
+    let center;
+
+    // Definition
+    center = new THREE.Box3().setFromObject(this.model).getCenter(
+        new THREE.Vector3());
+
+    return this.addSceneElement(Object.assign({
+      itemType: this.getModelItemType(paramConfig.model),
+      positionCoords: (paramConfig.parent != null)
+          ? [0, 0, 0]
+          : this.model.worldToLocal(center).toArray(),
+    }, paramConfig));
+  };
+
+  /**
+   * @description This function returns a copy of the geometry of the inputted
+   * entry's model for use in a new mesh, centered on the origin and uniformly
+   * scaled so that its largest dimension is the entry's
+   * <code>modelSize</code>. Models come in all sizes and units, so without
+   * this, one might be too small to see or dwarf the rest of the scene.
+   *
+   * @param {object} paramEntry
+   * @returns {THREE.Geometry} geometry
+   */
+  inaccessible.getModelGeometry = function (paramEntry) {
+
+    // Declarations
+    let geometry, box, size, center, scale;
+
+    if (!this.modelGeometries.hasOwnProperty(paramEntry.model)) {
+      throw new Error(`${this.Text.MODEL_NOT_LOADED_ERROR}: ` +
+          paramEntry.model);
+    }
+
+    // Definitions
+    geometry = this.modelGeometries[paramEntry.model].clone();
+    box = new THREE.Box3().setFromPoints(geometry.vertices);
+    size = box.getSize(new THREE.Vector3());
+    center = box.getCenter(new THREE.Vector3());
+    scale = paramEntry.modelSize / Math.max(size.x, size.y, size.z);
+
+    geometry.translate(-center.x, -center.y, -center.z);
+
+    // Flat models (i.e. a single triangle) may still be scaled, points can't
+    if (isFinite(scale)) {
+      geometry.scale(scale, scale, scale);
+    }
+
+    return geometry;
+  };
+
+  /**
+   * @description This function builds the geometry of an imported model from
+   * the inputted flat array of vertex coordinates and, for indexed models, the
+   * array of vertex indices, three per triangle. The geometry is converted to
+   * a <code>THREE.Geometry</code> like those of the built-in shapes, which the
+   * wireframe renderer and clipping checker work with. Vertex normals are
+   * computed, being smooth across shared vertices and flat otherwise.
+   *
+   * @param {!Array<number>|!Float32Array} paramPositions
+   * @param {?Array<number>=} paramIndices
+   * @returns {THREE.Geometry} geometry
+   */
+  inaccessible.assembleModelGeometry = function (paramPositions,
+      paramIndices) {
+
+    // Declarations
+    let buffer, geometry, vertexCount;
+
+    // Definition
+    vertexCount = paramPositions.length / 3;
+
+    // Catches unparsable numbers and out of range indices alike
+    if (!vertexCount || !Array.prototype.every.call(paramPositions,
+        isFinite) || (paramIndices != null && paramIndices.some(
+        function (index) {
+          return !(index >= 0 && index < vertexCount);
+        }))) {
+      throw new TypeError(this.Text.MODEL_PARSE_ERROR);
+    }
+
+    buffer = new THREE.BufferGeometry();
+    buffer.addAttribute('position',
+        new THREE.Float32BufferAttribute(paramPositions, 3));
+
+    if (paramIndices != null) {
+      buffer.setIndex(paramIndices);
+    }
+
+    buffer.computeVertexNormals();
+    geometry = new THREE.Geometry().fromBufferGeometry(buffer);
+    buffer.dispose();
+
+    return geometry;
+  };
+
+  /**
+   * @description This function parses an STL model, in either its binary or
+   * its ASCII form. Binary files are recognized by their length, which is
+   * fixed by the triangle count in their header, as some begin with the word
+   * "solid" like ASCII files do. Facet normals are ignored in favor of the
+   * computed ones.
+   *
+   * @param {!ArrayBuffer} paramBuffer
+   * @returns {THREE.Geometry} geometry
+   */
+  inaccessible.parseSTLModel = function (paramBuffer) {
+
+    // Declarations
+    let view, count, positions, pattern, text, match, i, j;
+
+    // Definitions
+    view = new DataView(paramBuffer);
+    count = (paramBuffer.byteLength >= 84) ? view.getUint32(80, true) : -1;
+    positions = [];
+
+    if (paramBuffer.byteLength === 84 + count * 50) {
+      for (i = 0; i < count; i++) {
+        for (j = 0; j < 9; j++) {
+          positions.push(view.getFloat32(84 + i * 50 + 12 + j * 4, true));
+        }
+      }
+    } else {
+      pattern = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+      text = THREE.LoaderUtils.decodeText(new Uint8Array(paramBuffer));
+
+      while ((match = pattern.exec(text)) != null) {
+        positions.push(...match.slice(1).map(Number));
+      }
+    }
+
+    return this.assembleModelGeometry(positions, null);
+  };
+
+  /**
+   * @description This function parses a Wavefront OBJ model. Only vertices and
+   * faces are read, with faces of more than three vertices being split into
+   * triangles fanning out from their first vertex, and negative (relative)
+   * indices resolved. All objects and groups in the file are merged into one
+   * geometry, and materials are left to the scene element.
+   *
+   * @param {!ArrayBuffer} paramBuffer
+   * @returns {THREE.Geometry} geometry
+   */
+  inaccessible.parseOBJModel = function (paramBuffer) {
+
+    // Declarations
+    let positions, indices;
+
+    // Definitions
+    positions = [];
+    indices = [];
+
+    THREE.LoaderUtils.decodeText(new Uint8Array(paramBuffer)).split(/\r?\n/)
+        .forEach(function (line) {
+
+      // Declarations
+      let parts, corners, k;
+
+      // Definition
+      parts = line.trim().split(/\s+/);
+
+      if (parts[0] === 'v') {
+        positions.push(...parts.slice(1, 4).map(Number));
+      } else if (parts[0] === 'f') {
+        corners = parts.slice(1).map(function (part) {
+
+          // Declaration
+          let index;
+
+          // Definition
+          index = parseInt(part.split('/')[0], 10);
+
+          return (index < 0) ? positions.length / 3 + index : index - 1;
+        });
+
+        for (k = 1; k < corners.length - 1; k++) {
+          indices.push(corners[0], corners[k], corners[k + 1]);
+        }
+      }
+    });
+
+    return this.assembleModelGeometry(positions, indices);
+  };
+
+  /**
+   * @description This function parses a glTF 2.0 model, either a JSON
+   * <code>.gltf</code> file or a binary <code>.glb</code> one. The triangle
+   * meshes of the default scene's nodes are merged into one geometry, each
+   * transformed by its node's place in the node hierarchy. Buffers are read
+   * from a GLB file's binary chunk, from base64 data URIs, or from the files
+   * loaded via the inputted function. Materials, textures, and animations are
+   * left out, the scene element's own being used instead.
+   *
+   * @param {!ArrayBuffer} paramBuffer
+   * @param {function(string): !Promise<ArrayBuffer>} paramLoadResource
+   * @returns {Promise<THREE.Geometry>}
+   */
+  inaccessible.parseGLTFModel = function (paramBuffer, paramLoadResource) {
+
+    // Declarations
+    let that, aliasUtility, view, json, binary, offset, chunkLength, chunk;
+
+    // Definitions
+    that = this;
+    aliasUtility = this.Utility;
+    view = new DataView(paramBuffer);
+
+    if (paramBuffer.byteLength >= 12 &&
+        view.getUint32(0, true) === aliasUtility.GLB_MAGIC) {
+      for (offset = 12; offset + 8 <= paramBuffer.byteLength;
+          offset += 8 + chunkLength) {
+        chunkLength = view.getUint32(offset, true);
+        chunk = paramBuffer.slice(offset + 8, offset + 8 + chunkLength);
+
+        if (view.getUint32(offset + 4, true) === aliasUtility.GLB_JSON_CHUNK) {
+          json = JSON.parse(THREE.LoaderUtils.decodeText(
+              new Uint8Array(chunk)));
+        } else if (view.getUint32(offset + 4, true) ===
+            aliasUtility.GLB_BINARY_CHUNK) {
+          binary = chunk;
+        }
+      }
+    } else {
+      json = JSON.parse(THREE.LoaderUtils.decodeText(
+          new Uint8Array(paramBuffer)));
+    }
+
+    if (json == null || json.asset == null ||
+        !/^2\./.test(json.asset.version)) {
+      return Promise.reject(new TypeError(this.Text.MODEL_PARSE_ERROR));
+    }
+
+    return Promise.all((json.buffers || []).map(function (buffer) {
+      if (buffer.uri == null) {
+        return binary;
+      }
+
+      if (/^data:/.test(buffer.uri)) {
+        return Uint8Array.from(window.atob(buffer.uri.split(',')[1]),
+            function (character) {
+          return character.charCodeAt(0);
+        }).buffer;
+      }
+
+      return paramLoadResource(buffer.uri);
+    })).then(function (buffers) {
+
+      // Declarations
+      let positions, indices, scene, addNode;
+
+      // Definitions
+      positions = [];
+      indices = [];
+      scene = (json.scenes || [])[json.scene || 0];
+      addNode = function (paramIndex, paramParentMatrix) {
+
+        // Declarations
+        let node, matrix;
+
+        // Definitions
+        node = json.nodes[paramIndex];
+        matrix = (node.matrix != null)
+            ? new THREE.Matrix4().fromArray(node.matrix)
+            : new THREE.Matrix4().compose(
+                new THREE.Vector3(...(node.translation || [0, 0, 0])),
+                new THREE.Quaternion(...(node.rotation || [0, 0, 0, 1])),
+                new THREE.Vector3(...(node.scale || [1, 1, 1])));
+        matrix.premultiply(paramParentMatrix);
+
+        if (node.mesh != null) {
+          json.meshes[node.mesh].primitives.forEach(function (primitive) {
+
+            // Declarations
+            let vertices, first, vertex, i;
+
+            // Triangles only, points and lines having no surface to show
+            if (primitive.mode != null && primitive.mode !== 4) {
+              return;
+            }
+
+            // Definitions
+            vertices = that.readGLTFAccessor(json, buffers,
+                primitive.attributes.POSITION);
+            first = positions.length / 3;
+            vertex = new THREE.Vector3();
+
+            for (i = 0; i < vertices.length; i += 3) {
+              vertex.fromArray(vertices, i).applyMatrix4(matrix);
+              positions.push(vertex.x, vertex.y, vertex.z);
+            }
+
+            ((primitive.indices != null)
+                ? that.readGLTFAccessor(json, buffers, primitive.indices)
+                : Array.from({length: vertices.length / 3}, function (item,
+                    index) {
+                  return index;
+                })).forEach(function (index) {
+              indices.push(first + index);
+            });
+          });
+        }
+
+        (node.children || []).forEach(function (child) {
+          addNode(child, matrix);
+        });
+      };
+
+      // Files without scenes are taken to show all of their root nodes
+      ((scene != null) ? scene.nodes : (json.nodes || []).map(function (node,
+          index) {
+        return index;
+      }).filter(function (index) {
+        return !json.nodes.some(function (node) {
+          return (node.children || []).indexOf(index) !== -1;
+        });
+      })).forEach(function (index) {
+        addNode(index, new THREE.Matrix4());
+      });
+
+      return that.assembleModelGeometry(positions, indices);
+    });
+  };
+
+  /**
+   * @description This function reads the values of the inputted accessor of a
+   * glTF model into a flat array, i.e. three numbers per vertex position.
+   * Interleaved buffer views are read per their stride, and accessors without
+   * a buffer view are all zeros, as per the specification.
+   *
+   * @param {object} paramJson
+   * @param {!Array<ArrayBuffer>} paramBuffers
+   * @param {number} paramIndex
+   * @returns {!Array<number>} values
+   */
+  inaccessible.readGLTFAccessor = function (paramJson, paramBuffers,
+      paramIndex) {
+
+    // Declarations
+    let accessor, bufferView, view, itemSize, getter, byteSize, stride, base,
+      values, i, j;
+
+    // Definitions
+    accessor = paramJson.accessors[paramIndex];
+    itemSize = {SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4}[accessor.type];
+    getter = {
+      5120: ['getInt8', 1],
+      5121: ['getUint8', 1],
+      5122: ['getInt16', 2],
+      5123: ['getUint16', 2],
+      5125: ['getUint32', 4],
+      5126: ['getFloat32', 4],
+    }[accessor.componentType];
+
+    if (itemSize == null || getter == null) {
+      throw new TypeError(this.Text.MODEL_PARSE_ERROR);
+    }
+
+    values = new Array(accessor.count * itemSize).fill(0);
+
+    if (accessor.bufferView == null) {
+      return values;
+    }
+
+    bufferView = paramJson.bufferViews[accessor.bufferView];
+    view = new DataView(paramBuffers[bufferView.buffer]);
+    byteSize = getter[1];
+    stride = bufferView.byteStride || itemSize * byteSize;
+    base = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+
+    for (i = 0; i < accessor.count; i++) {
+      for (j = 0; j < itemSize; j++) {
+        values[i * itemSize + j] = view[getter[0]](base + i * stride +
+            j * byteSize, true);
+      }
+    }
+
+    return values;
+  };
+
+  // Physics functions
+
+  /**
+   * @description This function builds the collider of a physics body from the
+   * geometry of its element's mesh, scaled by the inputted factor. Spheres and
+   * boxes collide as such, while any other geometry (i.e. a polyhedron, torus,
+   * or imported model) collides as the convex hull of its vertices, so that a
+   * torus's hole is filled in. Each collider also notes the half extents of the
+   * geometry's bounding box, from which its inertia is estimated, and the
+   * radius of its bounding sphere, used to skip pairs too far apart to touch.
+   *
+   * @param {THREE.Geometry} paramGeometry
+   * @param {number} paramScale
+   * @returns {object} collider
+   */
+  inaccessible.assemblePhysicsCollider = function (paramGeometry,
+      paramScale) {
+
+    // Declarations
+    let collider, extents;
+
+    paramGeometry.computeBoundingBox();
+    paramGeometry.computeBoundingSphere();
+
+    // Definition
+    extents = paramGeometry.boundingBox.getSize(new THREE.Vector3())
+        .multiplyScalar(paramScale / 2);
+
+    switch (paramGeometry.type) {
+      case 'SphereGeometry':
+        collider = {
+          type: 'sphere',
+          radius: paramGeometry.boundingSphere.radius * paramScale,
+        };
+        collider.boundingRadius = collider.radius;
+        break;
+      case 'BoxGeometry':
+        collider = {
+          type: 'box',
+          boundingRadius: extents.length(),
+        };
+        break;
+      default:
+        collider = {
+          type: 'hull',
+          vertices: paramGeometry.vertices.map(function (vertex) {
+            return vertex.clone().multiplyScalar(paramScale);
+          }),
+        };
+        collider.boundingRadius = collider.vertices.reduce(function (radius,
+            vertex) {
+          return Math.max(radius, vertex.length());
+        }, 0);
+    }
+
+    collider.extents = extents;
+
+    return collider;
+  };
+
+  /**
+   * @description This function builds the rigid body standing in for a scene
+   * element in a physics world. The body is posed as the element's mesh is
+   * within the model, the element's object node being moved to match by
+   * <code>inaccessible.applyPhysicsPose</code> as the body moves in turn. Its
+   * inertia is that of a solid sphere for spheres, or of the solid box
+   * bounding its geometry otherwise. Whether the body is held still is
+   * decided afresh each step by <code>inaccessible.stepPhysicsWorld</code>.
+   *
+   * @param {object} paramEntry
+   * @returns {object} body
+   */
+  inaccessible.assemblePhysicsBody = function (paramEntry) {
+
+    // Declarations
+    let matrix, position, quaternion, scale, collider, extents, inertia;
+
+    // Definitions
+    position = new THREE.Vector3();
+    quaternion = new THREE.Quaternion();
+    scale = new THREE.Vector3();
+
+    paramEntry.object.updateMatrix();
+    paramEntry.mesh.updateMatrix();
+    matrix = new THREE.Matrix4().multiplyMatrices(paramEntry.object.matrix,
+        paramEntry.mesh.matrix);
+    matrix.decompose(position, quaternion, scale);
+
+    scale = Math.max(scale.x, scale.y, scale.z);
+    collider = this.assemblePhysicsCollider(paramEntry.mesh.geometry, scale);
+    extents = collider.extents;
+
+    inertia = (collider.type === 'sphere')
+        ? new THREE.Vector3(1, 1, 1).multiplyScalar(
+            0.4 * paramEntry.mass * collider.radius * collider.radius)
+        : new THREE.Vector3(
+            extents.y * extents.y + extents.z * extents.z,
+            extents.x * extents.x + extents.z * extents.z,
+            extents.x * extents.x + extents.y * extents.y)
+            .multiplyScalar(paramEntry.mass / 3);
+
+    return {
+      entry: paramEntry,
+      collider: collider,
+      scale: scale,
+      position: position,
+      quaternion: quaternion,
+      velocity: new THREE.Vector3(),
+      angularVelocity: new THREE.Vector3(),
+      inverseMass: 1 / paramEntry.mass,
+      inverseInertia: new THREE.Vector3(1 / inertia.x, 1 / inertia.y,
+          1 / inertia.z),
+      isStatic: true,
+      isSleeping: false,
+      isTouching: false,
+      restingSteps: 0,
+    };
+  };
+
+  /**
+   * @description This function builds a physics world for the inputted scene
+   * element entries, with a body for each of those at the top of the
+   * hierarchy. Nested elements are carried along by their parents rather than
+   * simulated themselves. The starting pose of each element's object node is
+   * kept so that the scene may be reset later on, and the seed, if any, is
+   * used to scatter the bodies dropped by
+   * <code>inaccessible.dropPhysicsBodies</code>.
+   *
+   * @param {!Array<object>} paramEntries
+   * @param {?number=} paramSeed
+   * @returns {object} world
+   */
+  inaccessible.assemblePhysicsWorld = function (paramEntries, paramSeed) {
+
+    // Declaration
+    let world;
+
+    // Definition
+    world = {
+      entries: paramEntries,
+      bodies: [],
+      startPoses: [],
+      accumulator: 0,
+      stepCount: 0,
+      randomState: (paramSeed != null) ? paramSeed : null,
+    };
+
+    this.syncPhysicsBodies(world);
+
+    return world;
+  };
+
+  /**
+   * @description This function brings the bodies of a physics world up to date
+   * with its entries once elements have been added, removed, rebuilt, or moved
+   * within the hierarchy. Each body is rebuilt from its element's current pose
+   * and mesh, keeping the velocities of the old one, and every body is woken,
+   * as whatever any of them rested on may have gone.
+   *
+   * @param {object} paramWorld
+   * @returns {void}
+   */
+  inaccessible.syncPhysicsBodies = function (paramWorld) {
+
+    // Declaration
+    let that;
+
+    // Definition
+    that = this;
+
+    paramWorld.bodies = paramWorld.entries.filter(function (entry) {
+      return entry.parent == null;
+    }).map(function (entry) {
+
+      // Declarations
+      let oldBody, body;
+
+      // Definitions
+      oldBody = paramWorld.bodies.find(function (item) {
+        return item.entry === entry;
+      });
+      body = that.assemblePhysicsBody(entry);
+
+      if (oldBody != null) {
+        body.velocity.copy(oldBody.velocity);
+        body.angularVelocity.copy(oldBody.angularVelocity);
+      }
+
+      if (!paramWorld.startPoses.some(function (pose) {
+        return pose.entry === entry;
+      })) {
+        paramWorld.startPoses.push({
+          entry: entry,
+          position: entry.object.position.clone(),
+          quaternion: entry.object.quaternion.clone(),
+          scale: entry.object.scale.clone(),
+        });
+      }
+
+      return body;
+    });
+
+    paramWorld.startPoses = paramWorld.startPoses.filter(function (pose) {
+      return paramWorld.entries.indexOf(pose.entry) !== -1;
+    });
+  };
+
+  /**
+   * @description This function moves a body's element to match the body's
+   * pose, setting the rotation and position of the element's object node such
+   * that the mesh within it lands where the body is.
+   *
+   * @param {object} paramBody
+   * @returns {void}
+   */
+  inaccessible.applyPhysicsPose = function (paramBody) {
+
+    // Declarations
+    let object, mesh;
+
+    // Definitions
+    object = paramBody.entry.object;
+    mesh = paramBody.entry.mesh;
+
+    object.quaternion.copy(mesh.quaternion).inverse()
+        .premultiply(paramBody.quaternion);
+    object.position.copy(mesh.position).multiplyScalar(paramBody.scale)
+        .applyQuaternion(object.quaternion).negate().add(paramBody.position);
+  };
+
+  /**
+   * @description This function returns whether a body is free to move, i.e.
+   * neither held still nor asleep. Bodies that aren't are treated as having
+   * infinite mass by the solver.
+   *
+   * @param {object} paramBody
+   * @returns {boolean}
+   */
+  inaccessible.isPhysicsBodyMovable = function (paramBody) {
+    return !paramBody.isStatic && !paramBody.isSleeping;
+  };
+
+  /**
+   * @description This function returns a unit vector perpendicular to the
+   * inputted one, used to pick a search direction when the origin lies on a
+   * simplex edge, and to build the tangents along which friction acts.
+   *
+   * @param {THREE.Vector3} paramVector
+   * @returns {THREE.Vector3}
+   */
+  inaccessible.getPerpendicularVector = function (paramVector) {
+    return new THREE.Vector3().crossVectors(paramVector,
+        (Math.abs(paramVector.x) < 0.5)
+            ? new THREE.Vector3(1, 0, 0)
+            : new THREE.Vector3(0, 1, 0)).normalize();
+  };
+
+  /**
+   * @description This function returns the point of a body's collider farthest
+   * along the inputted direction, in model space. Points, which are used to
+   * test whether a point lies inside a hull, are their own farthest point.
+   *
+   * @param {object} paramBody
+   * @param {THREE.Vector3} paramDirection
+   * @returns {THREE.Vector3}
+   */
+  inaccessible.getPhysicsSupport = function (paramBody, paramDirection) {
+
+    // Declarations
+    let collider, direction, point;
+
+    // Definitions
+    collider = paramBody.collider;
+    direction = paramDirection.clone().applyQuaternion(
+        paramBody.quaternion.clone().inverse());
+
+    switch (collider.type) {
+      case 'point':
+        point = new THREE.Vector3();
+        break;
+      case 'sphere':
+        point = direction.normalize().multiplyScalar(collider.radius);
+        break;
+      case 'box':
+        point = new THREE.Vector3(
+            (direction.x < 0) ? -collider.extents.x : collider.extents.x,
+            (direction.y < 0) ? -collider.extents.y : collider.extents.y,
+            (direction.z < 0) ? -collider.extents.z : collider.extents.z);
+        break;
+      default:
+        point = collider.vertices.reduce(function (best, vertex) {
+          return (vertex.dot(direction) > best.dot(direction)) ? vertex : best;
+        }).clone();
+    }
+
+    return point.applyQuaternion(paramBody.quaternion).add(paramBody.position);
+  };
+
+  /**
+   * @description This function returns the point of the Minkowski difference
+   * of two bodies (every point of the first less every point of the second)
+   * farthest along the inputted direction, along with the pair of points it
+   * was formed from.
+   *
+   * @param {object} paramFirst
+   * @param {object} paramSecond
+   * @param {THREE.Vector3} paramDirection
+   * @returns {object}
+   */
+  inaccessible.getMinkowskiSupport = function (paramFirst, paramSecond,
+      paramDirection) {
+
+    // Declarations
+    let first, second;
+
+    // Definitions
+    first = this.getPhysicsSupport(paramFirst, paramDirection);
+    second = this.getPhysicsSupport(paramSecond,
+        paramDirection.clone().negate());
+
+    return {
+      point: first.clone().sub(second),
+      first: first,
+      second: second,
+    };
+  };
+
+  /**
+   * @description This function tests a pair of bodies for overlap via the
+   * Gilbert-Johnson-Keerthi algorithm, which searches the Minkowski difference
+   * of their colliders for a tetrahedron enclosing the origin. As the origin
+   * lies within the difference only if the bodies overlap, such a tetrahedron
+   * is returned, for use by <code>inaccessible.getPhysicsPenetration</code>,
+   * if they do, and <code>null</code> if they're apart or merely touching.
+   *
+   * @param {object} paramFirst
+   * @param {object} paramSecond
+   * @returns {?Array<object>} simplex
+   */
+  inaccessible.getPhysicsSimplex = function (paramFirst, paramSecond) {
+
+    // Declarations
+    let direction, simplex, support, iteration;
+
+    // Definitions
+    direction = paramFirst.position.clone().sub(paramSecond.position);
+
+    if (direction.lengthSq() === 0) {
+      direction.set(1, 0, 0);
+    }
+
+    simplex = [this.getMinkowskiSupport(paramFirst, paramSecond, direction)];
+    direction = simplex[0].point.clone().negate();
+
+    for (iteration = 0; iteration < this.Utility.PHYSICS_MAX_ITERATIONS;
+        iteration++) {
+
+      // The origin is on the simplex itself, so the bodies merely touch
+      if (direction.lengthSq() === 0) {
+        return null;
+      }
+
+      support = this.getMinkowskiSupport(paramFirst, paramSecond, direction);
+
+      // Nothing lies past the origin in its direction, so it's outside
+      if (support.point.dot(direction) < 0) {
+        return null;
+      }
+
+      simplex.unshift(support);
+
+      if (this.updatePhysicsSimplex(simplex, direction)) {
+        return simplex;
+      }
+    }
+
+    return null;
+  };
+
+  /**
+   * @description This function reduces a GJK simplex to its feature nearest the
+   * origin, pointing the inputted direction from that feature towards the
+   * origin, and returns whether the simplex is a tetrahedron enclosing the
+   * origin. The newest point comes first in the simplex, and as the origin lay
+   * beyond the feature it was found from, only the features including it need
+   * be considered. Lines and triangles are left to
+   * <code>inaccessible.updatePhysicsLine</code> and
+   * <code>inaccessible.updatePhysicsTriangle</code>.
+   *
+   * @param {!Array<object>} paramSimplex
+   * @param {THREE.Vector3} paramDirection
+   * @returns {boolean}
+   */
+  inaccessible.updatePhysicsSimplex = function (paramSimplex,
+      paramDirection) {
+
+    // Declarations
+    let a, ao, ab, ac, ad;
+
+    if (paramSimplex.length === 2) {
+      return this.updatePhysicsLine(paramSimplex, paramDirection);
+    } else if (paramSimplex.length === 3) {
+      return this.updatePhysicsTriangle(paramSimplex, paramDirection);
+    }
+
+    // Definitions
+    a = paramSimplex[0].point;
+    ao = a.clone().negate();
+    ab = paramSimplex[1].point.clone().sub(a);
+    ac = paramSimplex[2].point.clone().sub(a);
+    ad = paramSimplex[3].point.clone().sub(a);
+
+    // The origin lies beyond one of the faces meeting at the newest point...
+    if (new THREE.Vector3().crossVectors(ab, ac).dot(ao) > 0) {
+      paramSimplex.splice(3, 1);
+    } else if (new THREE.Vector3().crossVectors(ac, ad).dot(ao) > 0) {
+      paramSimplex.splice(1, 1);
+    } else if (new THREE.Vector3().crossVectors(ad, ab).dot(ao) > 0) {
+      paramSimplex.splice(1, 3, paramSimplex[3], paramSimplex[1]);
+    } else {
+
+      // ...or within the tetrahedron
+      return true;
+    }
+
+    return this.updatePhysicsTriangle(paramSimplex, paramDirection);
+  };
+
+  /**
+   * @description This function handles GJK simplices of two points for
+   * <code>inaccessible.updatePhysicsSimplex</code>, keeping the line if the
+   * origin lies alongside it and the newest point alone otherwise.
+   *
+   * @param {!Array<object>} paramSimplex
+   * @param {THREE.Vector3} paramDirection
+   * @returns {boolean}
+   */
+  inaccessible.updatePhysicsLine = function (paramSimplex, paramDirection) {
+
+    // Declarations
+    let ao, ab;
+
+    // Definitions
+    ao = paramSimplex[0].point.clone().negate();
+    ab = paramSimplex[1].point.clone().sub(paramSimplex[0].point);
+
+    if (ab.dot(ao) > 0) {
+      paramDirection.crossVectors(ab, ao).cross(ab);
+
+      // The origin is on the line itself, so any perpendicular will do
+      if (paramDirection.lengthSq() === 0) {
+        paramDirection.copy(this.getPerpendicularVector(ab));
+      }
+    } else {
+      paramSimplex.splice(1);
+      paramDirection.copy(ao);
+    }
+
+    return false;
+  };
+
+  /**
+   * @description This function handles GJK simplices of three points for
+   * <code>inaccessible.updatePhysicsSimplex</code>, keeping whichever of its
+   * edges or faces the origin lies beyond. Triangles are wound such that the
+   * origin lies on the side their normal points to.
+   *
+   * @param {!Array<object>} paramSimplex
+   * @param {THREE.Vector3} paramDirection
+   * @returns {boolean}
+   */
+  inaccessible.updatePhysicsTriangle = function (paramSimplex,
+      paramDirection) {
+
+    // Declarations
+    let ao, ab, ac, abc;
+
+    // Definitions
+    ao = paramSimplex[0].point.clone().negate();
+    ab = paramSimplex[1].point.clone().sub(paramSimplex[0].point);
+    ac = paramSimplex[2].point.clone().sub(paramSimplex[0].point);
+    abc = new THREE.Vector3().crossVectors(ab, ac);
+
+    if (new THREE.Vector3().crossVectors(abc, ac).dot(ao) > 0 &&
+        ac.dot(ao) > 0) {
+      paramSimplex.splice(1, 1);
+      return this.updatePhysicsLine(paramSimplex, paramDirection);
+    } else if (new THREE.Vector3().crossVectors(abc, ac).dot(ao) > 0 ||
+        new THREE.Vector3().crossVectors(ab, abc).dot(ao) > 0) {
+      paramSimplex.splice(2, 1);
+      return this.updatePhysicsLine(paramSimplex, paramDirection);
+    }
+
+    if (abc.dot(ao) >= 0) {
+      paramDirection.copy(abc);
+    } else {
+      paramSimplex.splice(1, 2, paramSimplex[2], paramSimplex[1]);
+      paramDirection.copy(abc).negate();
+    }
+
+    return false;
+  };
+
+  /**
+   * @description This function builds a face of the polytope expanded by
+   * <code>inaccessible.getPhysicsPenetration</code> from three of its points,
+   * winding it such that its normal points away from the origin, which lies
+   * within the polytope. Degenerate faces are given an infinite distance from
+   * the origin so that they're never chosen as the nearest.
+   *
+   * @param {!Array<object>} paramPoints
+   * @returns {object} face
+   */
+  inaccessible.assemblePhysicsFace = function (paramPoints) {
+
+    // Declarations
+    let points, normal, distance;
+
+    // Definitions
+    points = paramPoints.slice();
+    normal = points[1].point.clone().sub(points[0].point).cross(
+        points[2].point.clone().sub(points[0].point));
+
+    if (normal.lengthSq() === 0) {
+      return {points: points, normal: normal, distance: Infinity};
+    }
+
+    normal.normalize();
+    distance = normal.dot(points[0].point);
+
+    if (distance < 0) {
+      points.reverse();
+      normal.negate();
+      distance = -distance;
+    }
+
+    return {
+      points: points,
+      normal: normal,
+      distance: distance,
+    };
+  };
+
+  /**
+   * @description This function finds how far, and along which direction, two
+   * overlapping bodies interpenetrate via the expanding polytope algorithm.
+   * Starting from the tetrahedron found by
+   * <code>inaccessible.getPhysicsSimplex</code>, the polytope is grown towards
+   * the boundary of the Minkowski difference through its face nearest the
+   * origin until that face lies on the boundary. The normal of that face,
+   * pointing from the first body into the second, and its distance from the
+   * origin are the direction and depth of the penetration, and the point at
+   * which they meet is found from the points of both bodies that formed it.
+   *
+   * @param {object} paramFirst
+   * @param {object} paramSecond
+   * @param {!Array<object>} paramSimplex
+   * @returns {object} penetration
+   */
+  inaccessible.getPhysicsPenetration = function (paramFirst, paramSecond,
+      paramSimplex) {
+
+    // Declarations
+    let that, faces, closest, support, iteration, weights, point;
+
+    // Definitions
+    that = this;
+    faces = [[0, 1, 2], [0, 2, 3], [0, 3, 1], [1, 3, 2]].map(function (face) {
+      return that.assemblePhysicsFace(face.map(function (index) {
+        return paramSimplex[index];
+      }));
+    });
+
+    for (iteration = 0; iteration < this.Utility.PHYSICS_MAX_ITERATIONS;
+        iteration++) {
+      closest = faces.reduce(function (best, face) {
+        return (face.distance < best.distance) ? face : best;
+      });
+      support = this.getMinkowskiSupport(paramFirst, paramSecond,
+          closest.normal);
+
+      if (support.point.dot(closest.normal) - closest.distance <
+          this.Utility.PHYSICS_EPA_TOLERANCE) {
+        break;
+      }
+
+      // Replace the faces the new point can see with ones fanning out from it
+      faces = this.expandPhysicsPolytope(faces, support);
+    }
+
+    weights = this.getBarycentricWeights(
+        closest.normal.clone().multiplyScalar(closest.distance),
+        closest.points.map(function (item) {
+          return item.point;
+        }));
+
+    point = new THREE.Vector3();
+    closest.points.forEach(function (item, index) {
+      point.addScaledVector(item.first, weights[index] / 2);
+      point.addScaledVector(item.second, weights[index] / 2);
+    });
+
+    return {
+      normal: closest.normal,
+      depth: closest.distance,
+      point: point,
+    };
+  };
+
+  /**
+   * @description This function adds a point to the polytope expanded by
+   * <code>inaccessible.getPhysicsPenetration</code>, removing the faces that
+   * face it and closing the hole left behind with faces joining its edge to
+   * the new point. Edges shared by two removed faces are inside the hole, and
+   * are found as such by appearing once in each direction.
+   *
+   * @param {!Array<object>} paramFaces
+   * @param {object} paramSupport
+   * @returns {!Array<object>} faces
+   */
+  inaccessible.expandPhysicsPolytope = function (paramFaces, paramSupport) {
+
+    // Declarations
+    let that, edges, faces;
+
+    // Definitions
+    that = this;
+    edges = [];
+    faces = paramFaces.filter(function (face) {
+      if (face.normal.dot(paramSupport.point.clone().sub(
+          face.points[0].point)) <= 0) {
+        return true;
+      }
+
+      face.points.forEach(function (point, index) {
+
+        // Declarations
+        let next, reverse;
+
+        // Definitions
+        next = face.points[(index + 1) % 3];
+        reverse = edges.findIndex(function (edge) {
+          return edge[0] === next && edge[1] === point;
+        });
+
+        if (reverse !== -1) {
+          edges.splice(reverse, 1);
+        } else {
+          edges.push([point, next]);
+        }
+      });
+
+      return false;
+    });
+
+    edges.forEach(function (edge) {
+      faces.push(that.assemblePhysicsFace([edge[0], edge[1], paramSupport]));
+    });
+
+    return faces;
+  };
+
+  /**
+   * @description This function returns the barycentric weights of a point
+   * with respect to a triangle, i.e. the amounts of each corner that, summed,
+   * give the point's projection onto the triangle's plane. Degenerate
+   * triangles give all the weight to their first corner.
+   *
+   * @param {THREE.Vector3} paramPoint
+   * @param {!Array<THREE.Vector3>} paramCorners
+   * @returns {!Array<number>}
+   */
+  inaccessible.getBarycentricWeights = function (paramPoint, paramCorners) {
+
+    // Declarations
+    let ab, ac, ap, abab, abac, acac, apab, apac, denominator, second, third;
+
+    // Definitions
+    ab = paramCorners[1].clone().sub(paramCorners[0]);
+    ac = paramCorners[2].clone().sub(paramCorners[0]);
+    ap = paramPoint.clone().sub(paramCorners[0]);
+    abab = ab.dot(ab);
+    abac = ab.dot(ac);
+    acac = ac.dot(ac);
+    apab = ap.dot(ab);
+    apac = ap.dot(ac);
+    denominator = abab * acac - abac * abac;
+
+    if (denominator === 0) {
+      return [1, 0, 0];
+    }
+
+    second = (acac * apab - abac * apac) / denominator;
+    third = (abab * apac - abac * apab) / denominator;
+
+    return [1 - second - third, second, third];
+  };
+
+  /**
+   * @description This function returns whether a point in model space lies
+   * within a body's collider. Spheres and boxes are tested directly, with a
+   * little leeway so that the corners of boxes stacked flush with one another
+   * count, while hulls are tested via GJK against a body consisting of the
+   * point alone.
+   *
+   * @param {THREE.Vector3} paramPoint
+   * @param {object} paramBody
+   * @returns {boolean}
+   */
+  inaccessible.isPointInsidePhysicsBody = function (paramPoint, paramBody) {
+
+    // Declarations
+    let collider, slop, local;
+
+    // Definitions
+    collider = paramBody.collider;
+    slop = this.Utility.PHYSICS_SLOP;
+
+    switch (collider.type) {
+      case 'sphere':
+        return paramPoint.distanceTo(paramBody.position) <=
+            collider.radius + slop;
+      case 'box':
+        local = paramPoint.clone().sub(paramBody.position).applyQuaternion(
+            paramBody.quaternion.clone().inverse());
+
+        return Math.abs(local.x) <= collider.extents.x + slop &&
+            Math.abs(local.y) <= collider.extents.y + slop &&
+            Math.abs(local.z) <= collider.extents.z + slop;
+      default:
+        return this.getPhysicsSimplex({
+          collider: {type: 'point'},
+          position: paramPoint,
+          quaternion: new THREE.Quaternion(),
+        }, paramBody) != null;
+    }
+  };
+
+  /**
+   * @description This function returns the points of a body's collider lying
+   * within the inputted depth of its farthest point along the inputted
+   * direction, i.e. those which might have sunk into a body it overlaps by that
+   * much. Spheres offer just their farthest point, and boxes their corners.
+   *
+   * @param {object} paramBody
+   * @param {THREE.Vector3} paramDirection
+   * @param {number} paramDepth
+   * @returns {!Array<THREE.Vector3>}
+   */
+  inaccessible.getPhysicsFeaturePoints = function (paramBody, paramDirection,
+      paramDepth) {
+
+    // Declarations
+    let collider, points, limit;
+
+    // Definition
+    collider = paramBody.collider;
+
+    switch (collider.type) {
+      case 'sphere':
+        return [this.getPhysicsSupport(paramBody, paramDirection)];
+      case 'box':
+        points = [-1, 1].reduce(function (corners, x) {
+          [-1, 1].forEach(function (y) {
+            [-1, 1].forEach(function (z) {
+              corners.push(new THREE.Vector3(x, y, z)
+                  .multiply(collider.extents));
+            });
+          });
+
+          return corners;
+        }, []);
+        break;
+      default:
+        points = collider.vertices.map(function (vertex) {
+          return vertex.clone();
+        });
+    }
+
+    points.forEach(function (point) {
+      point.applyQuaternion(paramBody.quaternion).add(paramBody.position);
+    });
+
+    limit = this.getPhysicsSupport(paramBody, paramDirection)
+        .dot(paramDirection) - paramDepth - this.Utility.PHYSICS_SLOP;
+
+    return points.filter(function (point) {
+      return point.dot(paramDirection) >= limit;
+    });
+  };
+
+  /**
+   * @description This function builds the contacts between a pair of
+   * overlapping bodies, one at each point of either lying inside the other, so
+   * that a box resting on the floor is held up at its corners rather than
+   * balanced on a single point. Should no such points exist (i.e. two edges
+   * crossing), the point of penetration found by
+   * <code>inaccessible.getPhysicsPenetration</code> is used instead.
+   *
+   * @param {object} paramFirst
+   * @param {object} paramSecond
+   * @param {object} paramPenetration
+   * @returns {!Array<object>} contacts
+   */
+  inaccessible.getPhysicsContacts = function (paramFirst, paramSecond,
+      paramPenetration) {
+
+    // Declarations
+    let that, normal, reverse, firstFar, secondNear, contacts;
+
+    // Definitions
+    that = this;
+    normal = paramPenetration.normal;
+    reverse = normal.clone().negate();
+    firstFar = this.getPhysicsSupport(paramFirst, normal).dot(normal);
+    secondNear = this.getPhysicsSupport(paramSecond, reverse).dot(normal);
+    contacts = [];
+
+    this.getPhysicsFeaturePoints(paramFirst, normal, paramPenetration.depth)
+        .forEach(function (point) {
+          if (that.isPointInsidePhysicsBody(point, paramSecond)) {
+            contacts.push(that.assemblePhysicsContact(paramFirst, paramSecond,
+                normal, point, point.dot(normal) - secondNear));
+          }
+        });
+
+    this.getPhysicsFeaturePoints(paramSecond, reverse, paramPenetration.depth)
+        .forEach(function (point) {
+          if (that.isPointInsidePhysicsBody(point, paramFirst)) {
+            contacts.push(that.assemblePhysicsContact(paramFirst, paramSecond,
+                normal, point, firstFar - point.dot(normal)));
+          }
+        });
+
+    if (contacts.length === 0) {
+      contacts.push(this.assemblePhysicsContact(paramFirst, paramSecond,
+          normal, paramPenetration.point, paramPenetration.depth));
+    }
+
+    return contacts;
+  };
+
+  /**
+   * @description This function builds a single contact between two bodies,
+   * precomputing what the solver needs to resolve it: the arms from each
+   * body's center to the point of contact, a pair of tangents along which
+   * friction acts, the effective mass of the pair along the normal and each
+   * tangent, and the speed at which the bodies should part. The latter is
+   * their speed of approach scaled by the greater of their restitutions, if
+   * fast enough to bounce, or otherwise enough to push them apart over a few
+   * steps if they've sunk into each other.
+   *
+   * @param {object} paramFirst
+   * @param {object} paramSecond
+   * @param {THREE.Vector3} paramNormal Pointing from the first to the second
+   * @param {THREE.Vector3} paramPoint
+   * @param {number} paramDepth
+   * @returns {object} contact
+   */
+  inaccessible.assemblePhysicsContact = function (paramFirst, paramSecond,
+      paramNormal, paramPoint, paramDepth) {
+
+    // Declarations
+    let that, contact, tangent, approach, restitution;
+
+    // Definitions
+    that = this;
+    tangent = this.getPerpendicularVector(paramNormal);
+    contact = {
+      first: paramFirst,
+      second: paramSecond,
+      normal: paramNormal,
+      tangents: [tangent, new THREE.Vector3().crossVectors(paramNormal,
+          tangent)],
+      firstArm: paramPoint.clone().sub(paramFirst.position),
+      secondArm: paramPoint.clone().sub(paramSecond.position),
+      friction: Math.sqrt(paramFirst.entry.friction *
+          paramSecond.entry.friction),
+      normalImpulse: 0,
+      tangentImpulses: [0, 0],
+    };
+
+    contact.normalMass = this.getPhysicsEffectiveMass(contact, paramNormal);
+    contact.tangentMasses = contact.tangents.map(function (item) {
+      return that.getPhysicsEffectiveMass(contact, item);
+    });
+
+    approach = this.getPhysicsContactVelocity(contact).dot(paramNormal);
+    restitution = Math.max(paramFirst.entry.restitution,
+        paramSecond.entry.restitution);
+
+    contact.bias = Math.max(
+        (approach < -this.Utility.PHYSICS_BOUNCE_THRESHOLD)
+            ? -restitution * approach
+            : 0,
+        this.Utility.PHYSICS_BAUMGARTE / this.Utility.PHYSICS_TIMESTEP *
+            Math.max(paramDepth - this.Utility.PHYSICS_SLOP, 0));
+
+    return contact;
+  };
+
+  /**
+   * @description This function applies a body's inverse inertia, given along
+   * the body's own axes, to a vector in model space. Bodies that aren't free
+   * to move are treated as having infinite inertia.
+   *
+   * @param {object} paramBody
+   * @param {THREE.Vector3} paramVector
+   * @returns {THREE.Vector3}
+   */
+  inaccessible.applyPhysicsInverseInertia = function (paramBody,
+      paramVector) {
+    if (!this.isPhysicsBodyMovable(paramBody)) {
+      return new THREE.Vector3();
+    }
+
+    return paramVector.clone()
+        .applyQuaternion(paramBody.quaternion.clone().inverse())
+        .multiply(paramBody.inverseInertia)
+        .applyQuaternion(paramBody.quaternion);
+  };
+
+  /**
+   * @description This function returns the mass a contact's pair of bodies
+   * present, between them, to an impulse along the inputted direction at the
+   * point of contact, or zero if neither may move.
+   *
+   * @param {object} paramContact
+   * @param {THREE.Vector3} paramDirection
+   * @returns {number}
+   */
+  inaccessible.getPhysicsEffectiveMass = function (paramContact,
+      paramDirection) {
+
+    // Declarations
+    let that, inverseMass;
+
+    // Definitions
+    that = this;
+    inverseMass = [
+      [paramContact.first, paramContact.firstArm],
+      [paramContact.second, paramContact.secondArm],
+    ].reduce(function (total, pair) {
+      if (!that.isPhysicsBodyMovable(pair[0])) {
+        return total;
+      }
+
+      return total + pair[0].inverseMass + paramDirection.dot(
+          that.applyPhysicsInverseInertia(pair[0], pair[1].clone()
+              .cross(paramDirection)).cross(pair[1]));
+    }, 0);
+
+    return (inverseMass > 0) ? 1 / inverseMass : 0;
+  };
+
+  /**
+   * @description This function returns the velocity of the second body of a
+   * contact relative to the first at the point of contact.
+   *
+   * @param {object} paramContact
+   * @returns {THREE.Vector3}
+   */
+  inaccessible.getPhysicsContactVelocity = function (paramContact) {
+    return paramContact.second.angularVelocity.clone()
+        .cross(paramContact.secondArm)
+        .add(paramContact.second.velocity)
+        .sub(paramContact.first.velocity)
+        .sub(paramContact.first.angularVelocity.clone()
+            .cross(paramContact.firstArm));
+  };
+
+  /**
+   * @description This function applies an impulse at a contact's point, pushing
+   * the second body along it and the first the opposite way.
+   *
+   * @param {object} paramContact
+   * @param {THREE.Vector3} paramImpulse
+   * @returns {void}
+   */
+  inaccessible.applyPhysicsImpulse = function (paramContact, paramImpulse) {
+
+    // Declarations
+    let first, second;
+
+    // Definitions
+    first = paramContact.first;
+    second = paramContact.second;
+
+    if (this.isPhysicsBodyMovable(first)) {
+      first.velocity.addScaledVector(paramImpulse, -first.inverseMass);
+      first.angularVelocity.sub(this.applyPhysicsInverseInertia(first,
+          paramContact.firstArm.clone().cross(paramImpulse)));
+    }
+
+    if (this.isPhysicsBodyMovable(second)) {
+      second.velocity.addScaledVector(paramImpulse, second.inverseMass);
+      second.angularVelocity.add(this.applyPhysicsInverseInertia(second,
+          paramContact.secondArm.clone().cross(paramImpulse)));
+    }
+  };
+
+  /**
+   * @description This function applies one round of sequential impulses to a
+   * contact, first along its normal, so as to stop the bodies approaching (or
+   * to part them at the contact's bias), then along each tangent, so as to stop
+   * them sliding. The impulses applied over all rounds of a step are summed,
+   * and it is these sums that are clamped, such that the bodies are never
+   * pulled together and friction never exceeds its share of the push apart.
+   *
+   * @param {object} paramContact
+   * @returns {void}
+   */
+  inaccessible.solvePhysicsContact = function (paramContact) {
+
+    // Declarations
+    let that, total, limit;
+
+    // Definitions
+    that = this;
+    total = Math.max(paramContact.normalImpulse + paramContact.normalMass *
+        (paramContact.bias - this.getPhysicsContactVelocity(paramContact)
+            .dot(paramContact.normal)), 0);
+
+    this.applyPhysicsImpulse(paramContact, paramContact.normal.clone()
+        .multiplyScalar(total - paramContact.normalImpulse));
+    paramContact.normalImpulse = total;
+
+    limit = paramContact.friction * paramContact.normalImpulse;
+
+    paramContact.tangents.forEach(function (tangent, index) {
+      total = THREE.Math.clamp(paramContact.tangentImpulses[index] -
+          paramContact.tangentMasses[index] *
+          that.getPhysicsContactVelocity(paramContact).dot(tangent),
+          -limit, limit);
+
+      that.applyPhysicsImpulse(paramContact, tangent.clone()
+          .multiplyScalar(total - paramContact.tangentImpulses[index]));
+      paramContact.tangentImpulses[index] = total;
+    });
+  };
+
+  /**
+   * @description This function advances a physics world by a single fixed
+   * timestep. Gravity is applied to the bodies free to move, the contacts
+   * between overlapping bodies are found and resolved, and the bodies are
+   * moved by their resulting velocities. Bodies held still (static or
+   * unchecked elements) and sleeping bodies aren't moved, and pairs of such
+   * bodies aren't even tested. A body that has barely moved for a while as it
+   * rests on another falls asleep until something moving bumps into it, as
+   * does one that falls so far that it will never land on anything.
+   *
+   * @param {object} paramWorld
+   * @returns {void}
+   */
+  inaccessible.stepPhysicsWorld = function (paramWorld) {
+
+    // Declarations
+    let that, timestep, gravity, contacts, iteration;
+
+    // Definitions
+    that = this;
+    timestep = this.Utility.PHYSICS_TIMESTEP;
+    gravity = new THREE.Vector3(...this.Utility.PHYSICS_GRAVITY);
+    contacts = [];
+
+    paramWorld.bodies.forEach(function (body) {
+      body.isStatic = body.entry.isStatic || !body.entry.isAnimated;
+      body.isTouching = false;
+
+      if (that.isPhysicsBodyMovable(body)) {
+        body.velocity.addScaledVector(gravity, timestep);
+      } else if (body.isStatic) {
+        body.velocity.set(0, 0, 0);
+        body.angularVelocity.set(0, 0, 0);
+      }
+    });
+
+    // Pairs with a body free to move and overlapping bounding spheres
+    paramWorld.bodies.forEach(function (first, index) {
+      paramWorld.bodies.slice(index + 1).forEach(function (second) {
+
+        // Declaration
+        let simplex;
+
+        if ((!that.isPhysicsBodyMovable(first) &&
+            !that.isPhysicsBodyMovable(second)) ||
+            first.position.distanceTo(second.position) >
+                first.collider.boundingRadius +
+                second.collider.boundingRadius) {
+          return;
+        }
+
+        // Definition
+        simplex = that.getPhysicsSimplex(first, second);
+
+        if (simplex == null) {
+          return;
+        }
+
+        first.isTouching = true;
+        second.isTouching = true;
+        that.wakePhysicsBodies(first, second);
+        contacts.push(...that.getPhysicsContacts(first, second,
+            that.getPhysicsPenetration(first, second, simplex)));
+      });
+    });
+
+    for (iteration = 0; iteration < this.Utility.PHYSICS_ITERATIONS;
+        iteration++) {
+      contacts.forEach(function (contact) {
+        that.solvePhysicsContact(contact);
+      });
+    }
+
+    paramWorld.bodies.forEach(function (body) {
+      if (that.isPhysicsBodyMovable(body)) {
+        that.integratePhysicsBody(body);
+      }
+    });
+
+    paramWorld.stepCount++;
+  };
+
+  /**
+   * @description This function wakes whichever of a pair of touching bodies is
+   * asleep if the other is moving fast enough to disturb it. Bodies at rest on
+   * a sleeping body leave it be, so that a stack may fall asleep as a whole.
+   *
+   * @param {object} paramFirst
+   * @param {object} paramSecond
+   * @returns {void}
+   */
+  inaccessible.wakePhysicsBodies = function (paramFirst, paramSecond) {
+
+    // Declaration
+    let that;
+
+    // Definition
+    that = this;
+
+    [[paramFirst, paramSecond], [paramSecond, paramFirst]].forEach(
+        function (pair) {
+          if (pair[0].isSleeping && !pair[0].isStatic &&
+              that.isPhysicsBodyMovable(pair[1]) &&
+              pair[1].velocity.length() >
+                  that.Utility.PHYSICS_SLEEP_SPEED) {
+            pair[0].isSleeping = false;
+            pair[0].restingSteps = 0;
+          }
+        });
+  };
+
+  /**
+   * @description This function moves a body by its velocities over a single
+   * timestep, having first damped them slightly, and puts it to sleep if it
+   * has rested all but still for long enough or has fallen out of the scene.
+   *
+   * @param {object} paramBody
+   * @returns {void}
+   */
+  inaccessible.integratePhysicsBody = function (paramBody) {
+
+    // Declarations
+    let timestep, spin, quaternion;
+
+    // Definitions
+    timestep = this.Utility.PHYSICS_TIMESTEP;
+    quaternion = paramBody.quaternion;
+
+    paramBody.velocity.multiplyScalar(
+        1 / (1 + this.Utility.PHYSICS_DAMPING * timestep));
+    paramBody.angularVelocity.multiplyScalar(
+        1 / (1 + this.Utility.PHYSICS_ANGULAR_DAMPING * timestep));
+    paramBody.position.addScaledVector(paramBody.velocity, timestep);
+
+    // dq/dt = w * q / 2, w being the angular velocity as a pure quaternion
+    spin = new THREE.Quaternion(paramBody.angularVelocity.x,
+        paramBody.angularVelocity.y, paramBody.angularVelocity.z, 0)
+        .multiply(quaternion);
+    quaternion.set(quaternion.x + spin.x * timestep / 2,
+        quaternion.y + spin.y * timestep / 2,
+        quaternion.z + spin.z * timestep / 2,
+        quaternion.w + spin.w * timestep / 2).normalize();
+
+    // Bodies only come to rest on something, not at the top of a bounce
+    if (paramBody.isTouching &&
+        paramBody.velocity.length() < this.Utility.PHYSICS_SLEEP_SPEED &&
+        paramBody.angularVelocity.length() <
+            this.Utility.PHYSICS_SLEEP_SPEED) {
+      paramBody.restingSteps++;
+    } else {
+      paramBody.restingSteps = 0;
+    }
+
+    if (paramBody.restingSteps >= this.Utility.PHYSICS_SLEEP_STEPS ||
+        paramBody.position.y < this.Utility.PHYSICS_KILL_DEPTH) {
+      paramBody.isSleeping = true;
+      paramBody.velocity.set(0, 0, 0);
+      paramBody.angularVelocity.set(0, 0, 0);
+    }
+  };
+
+  /**
+   * @description This function advances a physics world by the inputted number
+   * of seconds in fixed timesteps, carrying over any remainder too short for a
+   * step to the next call, then poses the elements to match their bodies. As
+   * each step is the same length however the time is sliced up, the outcome
+   * depends only on the total time elapsed. Should the world fall too far
+   * behind to catch up (i.e. after a stall), the backlog is dropped.
+   *
+   * @param {object} paramWorld
+   * @param {number} paramSeconds
+   * @returns {void}
+   */
+  inaccessible.advancePhysicsWorld = function (paramWorld, paramSeconds) {
+
+    // Declarations
+    let that, steps;
+
+    // Definitions
+    that = this;
+    steps = 0;
+
+    paramWorld.accumulator += Math.max(paramSeconds, 0);
+
+    while (paramWorld.accumulator >= this.Utility.PHYSICS_TIMESTEP &&
+        steps < this.Utility.PHYSICS_MAX_STEPS) {
+      this.stepPhysicsWorld(paramWorld);
+      paramWorld.accumulator -= this.Utility.PHYSICS_TIMESTEP;
+      steps++;
+    }
+
+    paramWorld.accumulator = Math.min(paramWorld.accumulator,
+        this.Utility.PHYSICS_TIMESTEP);
+
+    paramWorld.bodies.forEach(function (body) {
+      if (!body.isStatic) {
+        that.applyPhysicsPose(body);
+      }
+    });
+  };
+
+  /**
+   * @description This function lifts every body free to move into a column
+   * above the center of the scene, from which they fall onto whatever lies
+   * below. Each is set at a random orientation and nudged a little off center,
+   * so that they tumble off one another rather than balance in a neat stack,
+   * with the random numbers drawn from the world's own seeded generator, if it
+   * has one.
+   *
+   * @param {object} paramWorld
+   * @returns {void}
+   */
+  inaccessible.dropPhysicsBodies = function (paramWorld) {
+
+    // Declarations
+    let that, height, spread, angle;
+
+    // Definitions
+    that = this;
+    height = this.Utility.PHYSICS_DROP_HEIGHT;
+    spread = this.Utility.PHYSICS_DROP_SPREAD;
+
+    paramWorld.bodies.forEach(function (body) {
+      if (body.entry.isStatic || !body.entry.isAnimated) {
+        return;
+      }
+
+      height += body.collider.boundingRadius;
+
+      angle = that.getRandomNumber(paramWorld) * Math.PI * 2;
+      body.position.set(spread * Math.cos(angle), height,
+          spread * Math.sin(angle));
+      body.quaternion.setFromEuler(new THREE.Euler(
+          that.getRandomNumber(paramWorld) * Math.PI * 2,
+          that.getRandomNumber(paramWorld) * Math.PI * 2,
+          that.getRandomNumber(paramWorld) * Math.PI * 2));
+      body.velocity.set(0, 0, 0);
+      body.angularVelocity.set(0, 0, 0);
+      body.isSleeping = false;
+      body.restingSteps = 0;
+
+      height += body.collider.boundingRadius +
+          that.Utility.PHYSICS_DROP_SPACING;
+
+      that.applyPhysicsPose(body);
+    });
+  };
+
+  /**
+   * @description This function runs the physics mode for a set length of
+   * simulated time without rendering anything, reporting where each element at
+   * the top of the hierarchy ends up. Like
+   * <code>inaccessible.getClippingReport</code>, it steps copies of the
+   * elements, leaving the live scene untouched, and checks either the
+   * <code>elements</code> of a scene description from their starting poses or
+   * the current scene from its current poses. As the world is stepped a whole
+   * number of fixed timesteps, and any drop is scattered by a seeded generator,
+   * the same scene and options always give the same report, in Node as in the
+   * browser.
+   *
+   * @param {?object=} paramScene
+   * @param {?object=} paramOptions <code>duration</code> in seconds,
+   *    <code>drop</code> to drop the elements first, and the <code>seed</code>
+   *    used to scatter them
+   * @returns {object} report
+   */
+  inaccessible.getPhysicsReport = function (paramScene, paramOptions) {
+
+    // Declarations
+    let that, options, entries, world, stepCount, step;
+
+    // Definitions
+    that = this;
+    options = Object.assign({
+      duration: this.Utility.PHYSICS_DURATION,
+      drop: false,
+      seed: 0,
+    }, paramOptions);
+    entries = (paramScene != null && paramScene.elements != null)
+        ? this.normalizeSceneElementEntries(paramScene.elements)
+        : this.sceneElementData;
+    world = this.assemblePhysicsWorld(entries.map(function (entry, index) {
+      return that.assembleClippingProxy(entry, index);
+    }), options.seed);
+    stepCount = Math.round(options.duration / this.Utility.PHYSICS_TIMESTEP);
+
+    if (options.drop) {
+      this.dropPhysicsBodies(world);
+    }
+
+    for (step = 0; step < stepCount; step++) {
+      this.stepPhysicsWorld(world);
+    }
+
+    return {
+      duration: stepCount * this.Utility.PHYSICS_TIMESTEP,
+      stepCount: stepCount,
+      isSettled: world.bodies.every(function (body) {
+        return !that.isPhysicsBodyMovable(body);
+      }),
+      elements: world.bodies.map(function (body) {
+        return {
+          index: body.entry.index,
+          id: body.entry.id || null,
+          itemType: body.entry.itemType,
+          position: body.position.toArray(),
+          quaternion: body.quaternion.toArray(),
+          isSleeping: body.isSleeping,
+        };
+      }),
+    };
+  };
+
+  // Scene modification functions
+
+  /**
+   * @description This function is used by the runtime scene modification
+   * functions below to look up an entry of either
+   * <code>inaccessible.sceneElementData</code> or
+   * <code>inaccessible.sceneLightData</code> by its id, i.e. "Torus15." As the
+   * public API functions are invoked by external code, a missing entry or an
+   * uninitialized scene is treated as an error rather than silently ignored.
+   *
+   * @param {string} paramDataSource
+   * @param {string} paramId
+   * @returns {object} entry
+   */
+  inaccessible.getEntryById = function (paramDataSource, paramId) {
+
+    // Declaration
+    let entry;
+
+    if (this.scene == null) {
+      throw new Error(this.Text.NOT_INITIALIZED_ERROR);
+    }
+
+    // Definition
+    entry = this[paramDataSource].find(function (item) {
+      return item.id === paramId;
+    });
+
+    if (entry == null) {
+      throw new ReferenceError(
+          `${this.Text.ENTRY_NOT_FOUND_ERROR}: ${paramId}`);
+    }
+
+    return entry;
+  };
+
+  /**
+   * @description This function returns whether or not an id is already used
+   * by a scene element or light source, whether supplied by the user or
+   * generated by <code>inaccessible.assembleCheckBoxElement</code>.
+   *
+   * @param {string} paramId
+   * @returns {boolean}
+   */
+  inaccessible.isEntryIdInUse = function (paramId) {
+    return this.sceneElementData.concat(this.sceneLightData).some(
+        function (item) {
+      return item.id === paramId;
+    });
+  };
+
+  /**
+   * @description This function ensures that a user-supplied id is not already
+   * used by another scene element or light source, as the public API functions
+   * would otherwise be unable to tell the two apart.
+   *
+   * @param {object} paramEntry
+   * @returns {void}
+   */
+  inaccessible.checkEntryIdAvailability = function (paramEntry) {
+
+    if (this.scene == null) {
+      throw new Error(this.Text.NOT_INITIALIZED_ERROR);
+    }
+
+    // Equal to paramEntry.id === undefined || paramEntry.id === null
+    if (paramEntry.id == null) {
+      return;
+    }
+
+    if (this.isEntryIdInUse(paramEntry.id)) {
+      throw new Error(`${this.Text.ENTRY_ID_IN_USE_ERROR}: ${paramEntry.id}`);
+    }
+  };
+
+  /**
+   * @description This function removes the sidebar checkbox (and its label and
+   * wrapper) built for an entry by
+   * <code>inaccessible.assembleCheckBoxElement</code>, releasing the randomly
+   * generated id number for use by future checkboxes.
+   *
+   * @param {object} paramEntry
+   * @returns {void}
+   */
+  inaccessible.removeCheckBoxElement = function (paramEntry) {
+
+    // Declarations
+    let checkBox, inUseArray;
+
+    // Definitions
+    checkBox = this.root.getElementById(paramEntry.checkBoxId);
+    inUseArray = this.elementIdNumbersInUse;
+
+    if (checkBox != null) {
+      checkBox.parentNode.parentNode.removeChild(checkBox.parentNode);
+    }
+
+    if (inUseArray.indexOf(paramEntry.checkBoxNumber) !== -1) {
+      inUseArray.splice(inUseArray.indexOf(paramEntry.checkBoxNumber), 1);
+    }
+  };
+
+  /**
+   * @description This function is used to free the geometry and material of a
+   * scene element's mesh once the mesh is no longer in use, as Three.js does
+   * not release the associated WebGL buffers and programs on its own. Texture
+   * maps carried over to the inputted replacement mesh, if any, are kept.
+   *
+   * @param {THREE.Mesh} paramMesh
+   * @param {THREE.Mesh=} paramNewMesh
+   * @returns {void}
+   */
+  inaccessible.disposeMesh = function (paramMesh, paramNewMesh) {
+    paramMesh.geometry.dispose();
+    this.disposeMaterial(paramMesh.material,
+        (paramNewMesh != null) ? paramNewMesh.material : null);
+  };
+
+  /**
+   * @description This function frees the inputted material along with any
+   * texture maps it uses, which Three.js does not dispose of together with
+   * the material, save those also used by the optional kept material.
+   *
+   * @param {THREE.Material} paramMaterial
+   * @param {?THREE.Material=} paramKeptMaterial
+   * @returns {void}
+   */
+  inaccessible.disposeMaterial = function (paramMaterial, paramKeptMaterial) {
+    Object.keys(paramMaterial).forEach(function (key) {
+      if (paramMaterial[key] != null && paramMaterial[key].isTexture &&
+          (paramKeptMaterial == null ||
+          paramKeptMaterial[key] !== paramMaterial[key])) {
+        paramMaterial[key].dispose();
+      }
+    });
+
+    paramMaterial.dispose();
+  };
+
+  /**
+   * @description This function brings the running physics world, if there is
+   * one, up to date once the scene elements have been modified, so that added
+   * elements fall along with the rest and removed ones stop colliding.
+   *
+   * @returns {void}
+   */
+  inaccessible.refreshPhysicsWorld = function () {
+    if (this.physicsWorld != null) {
+      this.syncPhysicsBodies(this.physicsWorld);
+    }
+  };
+
+  /**
+   * @description This function adds a new shape to the running scene. The
+   * inputted config is normalized like an entry of a scene description, then
+   * built via the same <code>inaccessible.assembleSceneElement</code> and
+   * <code>inaccessible.assembleCheckBoxElement</code> functions used for the
+   * initial scene before being added to the model, or to the mesh of the
+   * element named as its <code>parent</code>. Any <code>children</code> it
+   * lists are added along with it.
+   *
+   * @param {object} paramConfig
+   * @returns {string} The id of the new entry
+   */
+  inaccessible.addSceneElement = function (paramConfig) {
+
+    // Declarations
+    let that, entries;
+
+    // Definitions
+    that = this;
+    entries = this.normalizeSceneElementEntries([paramConfig],
+        this.sceneElementData.map(function (entry) {
+          return entry.id;
+        }));
+
+    entries.forEach(function (entry) {
+      that.checkEntryIdAvailability(entry);
+    });
+
+    entries.forEach(function (entry) {
+      that.assembleSceneElement(entry);
+      that.assembleCheckBoxElement(entry, 'handleSceneElementCheckboxChanges');
+      that.sceneElementData.push(entry);
+
+      // Add mesh to object node, then add node to model as in assembleScene
+      entry.object.add(entry.mesh);
+      that.getSceneElementContainer(entry).add(entry.object);
+      that.applyTimedTransformations(entry);
+    });
+
+    this.refreshCameraFollowOptions();
+    this.refreshPhysicsWorld();
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+
+    return entries[0].id;
+  };
+
+  /**
+   * @description This function removes a shape from the running scene along
+   * with its sidebar checkbox, disposing of its geometry and material in the
+   * process. Any elements nested inside it are removed first.
+   *
+   * @param {string} paramId
+   * @returns {void}
+   */
+  inaccessible.removeSceneElement = function (paramId) {
+
+    // Declarations
+    let that, entry, parent;
+
+    // Definitions
+    that = this;
+    entry = this.getEntryById('sceneElementData', paramId);
+    parent = this.getParentEntry(entry);
+
+    this.getChildEntries(entry).forEach(function (child) {
+      that.removeSceneElement(child.id);
+    });
+
+    if (this.selectedEntry === entry) {
+      this.handleSceneElementSelection(null);
+    }
+
+    entry.object.parent.remove(entry.object);
+    this.disposeMesh(entry.mesh);
+    this.removeCheckBoxElement(entry);
+    this.sceneElementData.splice(this.sceneElementData.indexOf(entry), 1);
+
+    // The parent's tree branch goes once it's been emptied
+    if (parent != null) {
+      this.refreshTreeBranch(parent);
+    }
+
+    // The camera returns to the center if its followed element is gone
+    if (this.followedEntry === entry) {
+      this.handleCameraFollowChange('');
+    }
+
+    this.refreshCameraFollowOptions();
+    this.refreshPhysicsWorld();
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+  };
+
+  /**
+   * @description This function applies a patch of changed properties to an
+   * existing shape. As most properties (geometry, material, color) are baked
+   * into the mesh at assembly time, the mesh is simply rebuilt via
+   * <code>inaccessible.assembleSceneElement</code> and swapped into the
+   * existing object node, which preserves any rotation accumulated so far by
+   * the animation. The checkbox label and state are updated to match. A new
+   * <code>parent</code> moves the element, along with its checkbox, inside
+   * that element, or to the top of the hierarchy if <code>null</code>.
+   *
+   * @param {string} paramId
+   * @param {object} paramPatch
+   * @returns {void}
+   */
+  inaccessible.updateSceneElement = function (paramId, paramPatch) {
+
+    // Declarations
+    let entry, patched, oldMesh, oldObject, oldParent, parent, label;
+
+    // Definitions
+    entry = this.getEntryById('sceneElementData', paramId);
+    oldMesh = entry.mesh;
+    oldObject = entry.object;
+    oldParent = this.getParentEntry(entry);
+
+    // Normalize a patched copy first so that a bad patch leaves entry untouched
+    patched = this.normalizeSceneElementEntry(
+        Object.assign({}, entry, paramPatch, {id: entry.id}));
+
+    // A new parent must exist, and mustn't be nested inside the entry itself
+    parent = (patched.parent != null)
+        ? this.getEntryById('sceneElementData', patched.parent)
+        : null;
+
+    while (parent != null) {
+      if (parent === entry) {
+        throw new Error(`${this.Text.PARENT_CYCLE_ERROR}: ${entry.id}`);
+      }
+
+      parent = this.getParentEntry(parent);
+    }
+
+    Object.assign(entry, patched);
+
+    // Rebuild mesh, but keep the old object node and its accumulated rotation
+    this.assembleSceneElement(entry);
+    entry.object = oldObject;
+    oldObject.remove(oldMesh);
+    oldObject.add(entry.mesh);
+    this.disposeMesh(oldMesh, entry.mesh);
+    this.applyTimedTransformations(entry);
+
+    // Nested elements move over to the new mesh
+    this.getChildEntries(entry).forEach(function (child) {
+      entry.mesh.add(child.object);
+    });
+
+    // Move the object node and checkbox to the new parent, if there is one
+    parent = this.getParentEntry(entry);
+
+    if (parent !== oldParent) {
+      this.getSceneElementContainer(entry).add(oldObject);
+      this.append((parent != null)
+          ? this.assembleTreeBranch(parent)
+          : this.Identifiers.FORM_ID,
+          this.root.getElementById(entry.checkBoxId).parentNode);
+
+      if (oldParent != null) {
+        this.refreshTreeBranch(oldParent);
+      }
+    }
+
+    // Sync sidebar checkbox with the patched entry
+    label = this.root.getElementById(`${entry.checkBoxId}-label`);
+    label.textContent =
+        `${this.Text.LABEL} ${entry.itemType.split(/(?=[A-Z])/).join(' ')}`;
+    this.root.getElementById(entry.checkBoxId).checked = entry.isAnimated;
+    this.refreshTreeBranch(entry);
+
+    // Carry the selection highlight over to the new mesh
+    if (this.selectedEntry === entry) {
+      this.handleSettingOfSelectionHighlight(entry, true);
+      this.refreshInspector();
+    }
+
+    this.refreshPhysicsWorld();
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+  };
+
+  /**
+   * @description This function adds a new light source to the running scene
+   * using <code>inaccessible.assembleLightSource</code>, along with a sidebar
+   * checkbox used to toggle it on and off.
+   *
+   * @param {object} paramConfig
+   * @returns {string} The id of the new entry
+   */
+  inaccessible.addLight = function (paramConfig) {
+
+    // Declaration
+    let entry;
+
+    // Definition
+    entry = this.normalizeSceneLightEntry(paramConfig);
+
+    this.checkEntryIdAvailability(entry);
+    this.assembleLightSource(entry);
+    this.assembleCheckBoxElement(entry, 'handleLightSourceCheckboxChanges');
+    this.assembleLightMixerRow(entry);
+    this.sceneLightData.push(entry);
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+
+    return entry.id;
+  };
+
+  /**
+   * @description This function removes a light source from the running scene
+   * along with its sidebar checkbox.
+   *
+   * @param {string} paramId
+   * @returns {void}
+   */
+  inaccessible.removeLight = function (paramId) {
+
+    // Declaration
+    let entry;
+
+    // Definition
+    entry = this.getEntryById('sceneLightData', paramId);
+
+    this.scene.remove(entry.assembledLight);
+
+    // Spot light targets were added to the scene alongside the light
+    if (entry.assembledLight.isSpotLight) {
+      this.scene.remove(entry.assembledLight.target);
+    }
+
+    if (entry.assembledHelper != null) {
+      this.scene.remove(entry.assembledHelper);
+      entry.assembledHelper.dispose();
+    }
+
+    this.removeCheckBoxElement(entry);
+    this.remove(entry.mixerRowId);
+    this.sceneLightData.splice(this.sceneLightData.indexOf(entry), 1);
+
+    if (!this.isSceneAnimated) {
+      this.render();
+    }
+  };
+
+  // Snapshot functions
+
+  /**
+   * @description This function collects everything needed to reproduce the
+   * current view into a plain object suitable for serialization: the model's
+   * transforms, the rotation accumulated by each scene element's object node in
+   * <code>inaccessible.handleFrameUpdate</code>, the toggle state of every
+   * sidebar checkbox, and whether the animation is running.
+   *
+   * @returns {object} state
+   */
+  inaccessible.getViewerState = function () {
+
+    // Declaration
+    let toArray;
+
+    // Definition
+    toArray = function (paramEuler) {
+      return [paramEuler.x, paramEuler.y, paramEuler.z];
+    };
+
+    return {
+      version: this.Utility.SNAPSHOT_VERSION,
+      isSceneAnimated: this.isSceneAnimated,
+      animationSpeed: this.animationSpeed,
+      model: {
+        rotation: toArray(this.model.rotation),
+        scale: this.model.scale.toArray(),
+        position: this.model.position.toArray(),
+      },
+      elements: this.sceneElementData.map(function (entry) {
+        return {
+          id: entry.id,
+          isAnimated: entry.isAnimated,
+          rotation: toArray(entry.object.rotation),
+          time: entry.animationTime,
+        };
+      }),
+      lights: this.sceneLightData.map(function (entry) {
+        return {
+          id: entry.id,
+          isAnimated: entry.isAnimated,
+        };
+      }),
+    };
+  };
+
+  /**
+   * @description This function checks that an inputted object has the form of
+   * a state object built by <code>inaccessible.getViewerState</code>, throwing
+   * a <code>TypeError</code> if not. Snapshot files and permalinks come from
+   * outside the program, so they are checked in full before any part of the
+   * state is applied.
+   *
+   * @param {object} paramState
+   * @returns {void}
+   */
+  inaccessible.validateViewerState = function (paramState) {
+
+    // Declarations
+    let that, isTriple, isValid;
+
+    // Definitions
+    that = this;
+    isTriple = function (paramArray) {
+      return that.isArray(paramArray) && paramArray.length === 3 &&
+          paramArray.every(function (value) {
+            return typeof value === 'number' && isFinite(value);
+          });
+    };
+
+    isValid = paramState != null &&
+        paramState.version === this.Utility.SNAPSHOT_VERSION &&
+        typeof paramState.isSceneAnimated === 'boolean' &&
+        (paramState.animationSpeed == null ||
+            typeof paramState.animationSpeed === 'number') &&
+        paramState.model != null &&
+        isTriple(paramState.model.rotation) &&
+        isTriple(paramState.model.scale) &&
+        isTriple(paramState.model.position) &&
+        this.isArray(paramState.elements) &&
+        paramState.elements.every(function (item) {
+          return item != null && typeof item.isAnimated === 'boolean' &&
+              isTriple(item.rotation) &&
+              (item.time == null || typeof item.time === 'number');
+        }) &&
+        this.isArray(paramState.lights) &&
+        paramState.lights.every(function (item) {
+          return item != null && typeof item.isAnimated === 'boolean';
+        });
+
+    if (!isValid) {
+      throw new TypeError(this.Text.SNAPSHOT_ERROR);
+    }
+  };
+
+  /**
+   * @description This function is used to match an entry of
+   * <code>inaccessible.sceneElementData</code> or
+   * <code>inaccessible.sceneLightData</code> to its counterpart in a saved
+   * state. As generated ids change with each run of the program, the entry at
+   * the same index is used if no saved entry shares the entry's id.
+   *
+   * @param {!Array<object>} paramSavedEntries
+   * @param {object} paramEntry
+   * @param {number} paramIndex
+   * @returns {?object}
+   */
+  inaccessible.findSavedEntry = function (paramSavedEntries, paramEntry,
+      paramIndex) {
+
+    // Declaration
+    let savedEntry;
+
+    // Definition
+    savedEntry = paramSavedEntries.find(function (item) {
+      return item.id === paramEntry.id;
+    });
+
+    return savedEntry || paramSavedEntries[paramIndex] || null;
+  };
+
+  /**
+   * @description This function restores a state object built by
+   * <code>inaccessible.getViewerState</code>. To keep the interface in sync,
+   * toggle states are restored by clicking the relevant sidebar checkboxes,
+   * the model's transforms are set via
+   * <code>inaccessible.handleSettingOfTransforms</code> as with the "Reset
+   * model" button, and the animation is started or stopped via the handlers of
+   * the associated buttons.
+   *
+   * @param {object} paramState
+   * @returns {void}
+   */
+  inaccessible.applyViewerState = function (paramState) {
+
+    // Declaration
+    let that;
+
+    this.validateViewerState(paramState);
+
+    // Definition
+    that = this;
+
+    this.sceneElementData.forEach(function (entry, index) {
+
+      // Declaration
+      let savedEntry;
+
+      // Definition
+      savedEntry = that.findSavedEntry(paramState.elements, entry, index);
+
+      if (savedEntry != null) {
+        that.handleSettingOfToggleState(entry, savedEntry.isAnimated);
+        entry.object.rotation.set(...savedEntry.rotation);
+
+        // Time-based transformations are posed from the restored clock
+        if (savedEntry.time != null) {
+          entry.animationTime = savedEntry.time;
+          that.applyTimedTransformations(entry);
+        }
+      }
+    });
+
+    // Physics carries on from the restored rotations
+    this.refreshPhysicsWorld();
+
+    this.sceneLightData.forEach(function (entry, index) {
+
+      // Declaration
+      let savedEntry;
+
+      // Definition
+      savedEntry = that.findSavedEntry(paramState.lights, entry, index);
+
+      if (savedEntry != null) {
+        that.handleSettingOfToggleState(entry, savedEntry.isAnimated);
+      }
+    });
+
+    // Snapshots predating speed control simply leave the speed as is
+    if (paramState.animationSpeed != null) {
+      this.handleAnimationSpeedChange(paramState.animationSpeed);
+    }
+
+    // Also renders the scene if the animation is stopped
+    this.handleSettingOfTransforms(paramState.model.rotation,
+        paramState.model.scale, paramState.model.position, 'state');
+
+    if (paramState.isSceneAnimated && !this.isSceneAnimated) {
+      this.handleAnimationStart();
+    } else if (!paramState.isSceneAnimated && this.isSceneAnimated) {
+      this.handleAnimationStop();
+    }
+  };
+
+  /**
+   * @description This function toggles an entry's sidebar checkbox if its
+   * state differs from the one inputted. The checkbox is clicked rather than
+   * the entry modified directly so that the usual change listener and its
+   * handler do the actual work.
+   *
+   * @param {object} paramEntry
+   * @param {boolean} paramIsAnimated
+   * @returns {void}
+   */
+  inaccessible.handleSettingOfToggleState = function (paramEntry,
+      paramIsAnimated) {
+    if (paramEntry.isAnimated !== paramIsAnimated) {
+      this.root.getElementById(paramEntry.checkBoxId).click();
+    }
+  };
+
+  /**
+   * @description This function returns the <code>localStorage</code> key under
+   * which the session is saved. Mounted viewers each save theirs under a key
+   * of their own, distinguished by the id of their host element, so that
+   * several viewers on a page may restore their sessions independently.
+   *
+   * @returns {string}
+   */
+  inaccessible.getSessionStorageKey = function () {
+    return (this.isEmbedded)
+        ? `${this.Identifiers.SESSION_STORAGE_KEY}:${this.root.host.id}`
+        : this.Identifiers.SESSION_STORAGE_KEY;
+  };
+
+  /**
+   * @description This function saves the current viewer state to
+   * <code>localStorage</code> for restoration on the next load. It is bound to
+   * the window's <code>beforeunload</code> event when the
+   * <code>restoreSession</code> option is enabled. Storage may be unavailable
+   * (i.e. in private browsing), in which case the session is simply not saved.
+   *
+   * @returns {void}
+   */
+  inaccessible.saveSession = function () {
+    try {
+      window.localStorage.setItem(this.getSessionStorageKey(),
+          JSON.stringify(this.getViewerState()));
+    } catch (e) {
+      if (DEBUG) {
+        console.warn(e);
+      }
+    }
+  };
+
+  /**
+   * @description Called once the scene has been assembled, this function
+   * restores the state encoded in a permalink URL hash if present, or failing
+   * that, the state saved by the previous session if the
+   * <code>restoreSession</code> option is enabled. A bad permalink or saved
+   * session merely leaves the default view in place. As the page's URL belongs
+   * to the main viewer, mounted viewers ignore permalinks.
+   *
+   * @returns {void}
+   */
+  inaccessible.restoreInitialViewerState = function () {
+
+    // Declarations
+    let hash, prefix, serializedState;
+
+    // Definitions
+    hash = window.location.hash;
+    prefix = this.Identifiers.PERMALINK_PREFIX;
+
+    try {
+      if (!this.isEmbedded && hash.indexOf(prefix) === 0) {
+        serializedState = decodeURIComponent(hash.slice(prefix.length));
+      } else if (this.viewerOptions.restoreSession) {
+        serializedState = window.localStorage.getItem(
+            this.getSessionStorageKey());
+      }
+
+      if (serializedState != null) {
+        this.applyViewerState(JSON.parse(serializedState));
+      }
+    } catch (e) {
+      if (DEBUG) {
+        console.warn(e);
+      }
+    }
+
+    if (this.viewerOptions.restoreSession) {
+      this.addGlobalListener(window, 'beforeunload',
+          this.saveSession.bind(this));
+    }
+  };
+
+  // init
+
+  /**
+   * The primary function of the <code>accessible</code> access scope object
+   * namespace, <code>init</code> is called on the completion of the loading
+   * of the HTML <code>body</code> element. This method must be called before
+   * any of the other externally accessible functions of the
+   * <code>ProjectThreeModule</code> module, and simply calls
+   * <code>inaccessible.main</code> to get the program started.
+   * <br />
+   * <br />
+   * An optional scene description may be passed, either as an inline object or
+   * as the relative path of a JSON file, containing <code>elements</code> and/or
+   * <code>lights</code> arrays of entries formatted like those of the default
+   * <code>inaccessible.sceneElementData</code> and
+   * <code>inaccessible.sceneLightData</code> arrays. If omitted, the default
+   * scene is built. An optional object of options may also be passed to
+   * override the defaults found in <code>inaccessible.viewerOptions</code>.
+   *
+   * @param {?object|string=} paramScene
+   * @param {?object=} paramOptions
+   * @returns {Promise<void>}
+   */
+  accessible.init = function (paramScene, paramOptions) {
+
+    // Declaration
+    let loading;
+
+    // Definition
+    loading = inaccessible.loadSceneDescription(paramScene);
+
+    // A viewer built by accessible.create lives in its host's shadow root
+    inaccessible.root = paramRoot || document;
+    inaccessible.isEmbedded = paramRoot != null;
+
+    Object.assign(inaccessible.viewerOptions, paramOptions);
+
+    return loading.then(function (description) {
+      inaccessible.applySceneDescription(description);
+
+      // Models are loaded before assembly, which needs their geometries
+      return inaccessible.loadSceneModels();
+    }).then(function () {
+      inaccessible.main();
+    }).catch(function (error) {
+      if (DEBUG) {
+        console.warn(error);
+      }
+
+      inaccessible.assembleErrorMessage(inaccessible.Text.SCENE_LOAD_ERROR,
+          String(error));
+      inaccessible.emitEvent(inaccessible.Events.ERROR, {
+        message: inaccessible.Text.SCENE_LOAD_ERROR,
+        error: error,
+      });
+      inaccessible.fadeIn(inaccessible.Identifiers.CONTAINER_ID);
+    });
+  };
+
+  /**
+   * @description Builds an additional viewer, independent of the one started
+   * by <code>init</code> and of any others, inside the inputted element rather
+   * than the page's <code>body</code>. The module function is invoked anew for
+   * the viewer, giving it its own scene data and state, and the viewer is
+   * assembled in a shadow root attached to the element so that its ids and
+   * styles cannot collide with those of other viewers. Copies of the page's
+   * stylesheets are added to the shadow root, as page styles do not reach into
+   * it. The viewer's keyboard controls apply only while it has focus, which
+   * clicking it or tabbing to it gives it.
+   * <br />
+   * <br />
+   * The options are those of <code>init</code>, plus an optional
+   * <code>scene</code> description. The viewer's public API is returned at
+   * once, its <code>ready</code> property holding the <code>Promise</code>
+   * returned by its <code>init</code>.
+   *
+   * @param {!Element} paramMountElement
+   * @param {?object=} paramOptions
+   * @returns {object} viewer
+   */
+  accessible.create = function (paramMountElement, paramOptions) {
+
+    // Declarations
+    let options, scene, root, viewer;
+
+    if (paramMountElement == null ||
+        typeof paramMountElement.attachShadow !== 'function' ||
+        (paramMountElement.shadowRoot != null &&
+            paramMountElement.shadowRoot.firstChild != null)) {
+      throw new TypeError(inaccessible.Text.MOUNT_ERROR);
+    }
+
+    // Definitions
+    options = Object.assign({}, paramOptions);
+    scene = options.scene;
+
+    // That of a destroyed viewer is reused, as shadow roots can't be detached
+    root = paramMountElement.shadowRoot ||
+        paramMountElement.attachShadow({mode: 'open'});
+    viewer = assembleModule(root);
+
+    delete options.scene;
+
+    Array.prototype.forEach.call(document.querySelectorAll(
+        'link[rel~="stylesheet"], style'), function (sheet) {
+      root.appendChild(sheet.cloneNode(true));
+    });
+
+    if (inaccessible.mountedElements.indexOf(paramMountElement) === -1) {
+      inaccessible.mountedElements.push(paramMountElement);
+    }
+
+    viewer.ready = viewer.init(scene, options);
+
+    return viewer;
+  };
+
+  // Public API
+
+  /**
+   * @description Adds a new shape to the scene once <code>init</code> has
+   * completed. The config uses the same properties as the entries of
+   * <code>inaccessible.sceneElementData</code>, plus an optional unique
+   * <code>id</code>. Setting <code>parent</code> to the id of an existing
+   * shape nests the new one inside it, while any <code>children</code> listed
+   * in the config are added nested inside the new shape.
+   *
+   * @param {object} paramConfig
+   * @returns {string} The id of the new scene element
+   */
+  accessible.addSceneElement = function (paramConfig) {
+    return inaccessible.addSceneElement(paramConfig);
+  };
+
+  /**
+   * @description Removes the shape with the inputted id from the scene, along
+   * with any shapes nested inside it, disposing of its geometry and material.
+   *
+   * @param {string} paramId
+   * @returns {void}
+   */
+  accessible.removeSceneElement = function (paramId) {
+    inaccessible.removeSceneElement(paramId);
+  };
+
+  /**
+   * @description Applies the properties of the inputted patch object to the
+   * shape with the inputted id, rebuilding its mesh as needed. Patching its
+   * <code>parent</code> moves it inside another shape or, if
+   * <code>null</code>, back to the top of the hierarchy.
+   *
+   * @param {string} paramId
+   * @param {object} paramPatch
+   * @returns {void}
+   */
+  accessible.updateSceneElement = function (paramId, paramPatch) {
+    inaccessible.updateSceneElement(paramId, paramPatch);
+  };
+
+  /**
+   * @description Adds a new light source to the scene once <code>init</code>
+   * has completed. The config uses the same properties as the entries of
+   * <code>inaccessible.sceneLightData</code>, plus an optional unique
+   * <code>id</code>.
+   *
+   * @param {object} paramConfig
+   * @returns {string} The id of the new light source
+   */
+  accessible.addLight = function (paramConfig) {
+    return inaccessible.addLight(paramConfig);
+  };
+
+  /**
+   * @description Removes the light source with the inputted id from the scene.
+   *
+   * @param {string} paramId
+   * @returns {void}
+   */
+  accessible.removeLight = function (paramId) {
+    inaccessible.removeLight(paramId);
+  };
+
+  /**
+   * @description Returns a serializable object describing the current view,
+   * suitable for passing to <code>setState</code> later on.
+   *
+   * @returns {object}
+   */
+  accessible.getState = function () {
+    return inaccessible.getViewerState();
+  };
+
+  /**
+   * @description Restores a view previously returned by <code>getState</code>
+   * or saved as a snapshot file.
+   *
+   * @param {object} paramState
+   * @returns {void}
+   */
+  accessible.setState = function (paramState) {
+    inaccessible.applyViewerState(paramState);
+  };
+
+  /**
+   * @description Simulates a full period of the scene's animation without
+   * rendering and reports each pair of shapes that interpenetrate, along with
+   * the frames in which they do. The current scene is checked unless a scene
+   * description object is passed, in which case its <code>elements</code> are
+   * checked instead. As neither <code>init</code> nor a DOM is required for
+   * the latter, it may also be run headlessly in Node.
+   *
+   * @param {?object=} paramScene
+   * @param {?object=} paramOptions
+   * @returns {object} report
+   */
+  accessible.checkClipping = function (paramScene, paramOptions) {
+    return inaccessible.getClippingReport(paramScene, paramOptions);
+  };
+
+  /**
+   * @description Runs the physics mode headlessly for <code>duration</code>
+   * seconds (5 by default), reporting where each element at the top of the
+   * hierarchy comes to rest. As with <code>checkClipping</code>, the current
+   * scene is used unless a scene description object is passed, and neither
+   * <code>init</code> nor a DOM is required for the latter. Passing
+   * <code>drop</code> drops the elements onto the floor first, scattered by
+   * the given <code>seed</code>. The same arguments always give the same
+   * report.
+   *
+   * @param {?object=} paramScene
+   * @param {?object=} paramOptions
+   * @returns {object} report
+   */
+  accessible.simulatePhysics = function (paramScene, paramOptions) {
+    return inaccessible.getPhysicsReport(paramScene, paramOptions);
+  };
+
+  /**
+   * @description Suspends the animation, i.e. while the viewer is scrolled out
+   * of view, until <code>resume</code> is called. The viewer pauses and resumes
+   * itself as the page is hidden and shown.
+   *
+   * @returns {void}
+   */
+  accessible.pause = function () {
+    inaccessible.handlePause(false);
+  };
+
+  /**
+   * @description Resumes a paused viewer, restarting the animation if it was
+   * running when paused.
+   *
+   * @returns {void}
+   */
+  accessible.resume = function () {
+    inaccessible.handleResume();
+  };
+
+  /**
+   * @description Tears the viewer down, cancelling its frames and timers,
+   * removing its listeners, releasing its WebGL resources, and removing the DOM
+   * it built. A mounted viewer's element may be reused by <code>create</code>
+   * afterwards.
+   *
+   * @returns {void}
+   */
+  accessible.destroy = function () {
+    inaccessible.destroy();
+  };
+
+  /**
+   * @description Adds a handler for the event of the inputted name, which is
+   * one of <code>frame</code>, <code>elementToggled</code>,
+   * <code>lightToggled</code>, <code>modelTransformed</code>,
+   * <code>ready</code>, and <code>error</code>. Handlers are passed an object
+   * of event details. Handlers added before <code>init</code> hear its
+   * <code>ready</code> or <code>error</code> event.
+   *
+   * @param {string} paramName
+   * @param {function(object)} paramHandler
+   * @returns {void}
+   */
+  accessible.on = function (paramName, paramHandler) {
+    inaccessible.addEventHandler(paramName, paramHandler);
+  };
+
+  /**
+   * @description Removes a handler added via <code>on</code>.
+   *
+   * @param {string} paramName
+   * @param {function(object)} paramHandler
+   * @returns {void}
+   */
+  accessible.off = function (paramName, paramHandler) {
+    inaccessible.removeEventHandler(paramName, paramHandler);
+  };
+
+  /**
+   * @description Registers a plugin, an object with a unique <code>name</code>
+   * and an <code>install</code> function. The latter is called once the viewer
+   * is ready, or at once if it already is, with a context holding
+   * <code>THREE</code>, the <code>scene</code>, the <code>model</code> group,
+   * the active <code>camera</code>, this API as <code>viewer</code>, and the
+   * functions <code>render()</code>, <code>notify(text, isError)</code>, and
+   * <code>addSidebarModule(title)</code>. The last returns an element to add
+   * the plugin's own controls to. A function returned by <code>install</code>
+   * is called when the viewer is destroyed.
+   *
+   * @param {object} paramPlugin
+   * @returns {void}
+   */
+  accessible.registerPlugin = function (paramPlugin) {
+    inaccessible.registerPlugin(paramPlugin);
+  };
+
+  /**
+   * @description Imports a glTF, GLB, OBJ, or STL model as a new scene element
+   * once <code>init</code> has completed. The model may be given as a URL or
+   * as a <code>File</code>, the latter optionally along with an array of the
+   * other files it refers to. The config uses the same properties as
+   * <code>addSceneElement</code>, the <code>itemType</code> being derived from
+   * the file name unless set, and the model being centered in the scene unless
+   * a <code>positionCoords</code> is set.
+   *
+   * @param {string|!File} paramSource
+   * @param {?object=} paramConfig
+   * @param {!Array<File>=} paramResources
+   * @returns {Promise<string>} The id of the new entry
+   */
+  accessible.importModel = function (paramSource, paramConfig,
+      paramResources) {
+
+    // Declarations
+    let config, name, contents, loadResource;
+
+    // Definitions
+    config = Object.assign({}, paramConfig);
+
+    if (typeof paramSource === 'string') {
+      name = paramSource;
+      contents = inaccessible.fetchArrayBuffer(paramSource);
+      loadResource = inaccessible.getUrlResourceLoader(paramSource);
+    } else {
+      name = paramSource.name;
+      contents = inaccessible.readFileAsArrayBuffer(paramSource);
+      loadResource = inaccessible.getFileResourceLoader(
+          Array.from(paramResources || []));
+    }
+
+    return inaccessible.loadModel(name, config.modelFormat, contents,
+        loadResource).then(function () {
+      return inaccessible.addModelElement(Object.assign(config,
+          {model: name}));
+    });
   };
 
   // Allow external access to accessible object namespace ("public")
@@ -0,0 +1,82 @@
+/**
+ * @file check-clipping.js
+ * @fileoverview Headless clipping checker. Loads <code>three.min.js</code> and
+ * <code>app.js</code> into a bare Node context, in which no DOM is available
+ * or needed, and checks either the built-in scene or the scene description
+ * file passed as the first argument for shapes that interpenetrate over a full
+ * period of their animation. The process exits with a nonzero status if any
+ * do, so the check may be run in continuous integration.
+ *
+ * Usage: node scripts/check-clipping.js [scene.json] [--frame-step=N]
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCES = ['three.min.js', 'app.js'].map(function (file) {
+  return fs.readFileSync(path.join(__dirname, '..', 'Files', 'js', file),
+      'utf8');
+});
+
+/**
+ * @description Evaluates the scripts in a fresh context, in the order the
+ * browser loads them, and returns the module they define.
+ *
+ * @returns {object} ProjectThreeModule
+ */
+function loadModule() {
+  const context = vm.createContext({console});
+
+  context.window = context;
+  SOURCES.forEach(function (source) {
+    vm.runInContext(source, context);
+  });
+
+  return vm.runInContext('ProjectThreeModule', context);
+}
+
+/**
+ * @description Checks the scene named by the inputted command line arguments
+ * and prints the frames in which each clipping pair of shapes interpenetrates.
+ * Any argument other than <code>--frame-step=N</code>, the number of 60 Hz
+ * frames to advance between checks, is read as the path of a scene
+ * description file. Without one, the built-in scene is checked.
+ *
+ * @param {!Array<string>} args Command line arguments, less node and script
+ * @returns {number} Exit code, 1 if any shapes clip and 0 otherwise
+ */
+function main(args) {
+  const options = {};
+  let scene = null;
+
+  args.forEach(function (arg) {
+    const match = /^--frame-step=(\d*\.?\d+)$/.exec(arg);
+
+    if (match != null) {
+      options.frameStep = Number(match[1]);
+    } else {
+      scene = JSON.parse(fs.readFileSync(arg, 'utf8'));
+    }
+  });
+
+  const report = loadModule().checkClipping(scene, options);
+
+  console.log(`Checked ${report.frameCount} frames ` +
+      `(${report.period.toFixed(2)} s period)`);
+
+  report.collisions.forEach(function (collision) {
+    console.log(`${collision.elements.map(function (element) {
+      return `${element.itemType} [${element.index}]`;
+    }).join(' / ')} clip in frames ${collision.frameRanges}`);
+  });
+
+  if (!report.hasClipping) {
+    console.log('No clipping found');
+  }
+
+  return report.hasClipping ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,2930 @@
+/**
+ * @file app.test.js
+ * @fileoverview Headless tests of <code>ProjectThreeModule</code>, covering
+ * interface assembly, sidebar wiring, keyboard transforms, and a scripted
+ * replay of the old <code>handleAnimationTesting</code> storyboard.
+ */
+'use strict';
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const {createViewer, StubRenderer} = require('./helpers.js');
+
+const DEFAULT_STATE = {
+  rotation: [0.4, -0.2, 0],
+  scale: [1, 1, 1],
+  position: [0, -1.5, 0],
+};
+
+const ELEMENT_LABELS = ['Box', 'Dodecahedron', 'Icosahedron', 'Octohedron',
+    'Sphere', 'Torus'];
+const LIGHT_LABELS = ['Red Light', 'Green Light', 'Blue Light',
+    'Viewpoint Light', 'Global Light'];
+
+// Default key, transformed property, affected axes, and amount per keystroke
+const KEY_TRANSFORMS = [
+  ['ArrowLeft', 'rotation', [1], -0.03],
+  ['ArrowRight', 'rotation', [1], 0.03],
+  ['ArrowUp', 'rotation', [0], -0.03],
+  ['ArrowDown', 'rotation', [0], 0.03],
+  ['PageUp', 'rotation', [2], -0.03],
+  ['PageDown', 'rotation', [2], 0.03],
+  ['KeyW', 'position', [1], 0.1],
+  ['KeyS', 'position', [1], -0.1],
+  ['KeyA', 'position', [0], -0.1],
+  ['KeyD', 'position', [0], 0.1],
+  ['KeyZ', 'position', [2], -0.1],
+  ['KeyX', 'position', [2], 0.1],
+  ['KeyR', 'scale', [0, 1, 2], 0.01],
+  ['KeyE', 'scale', [0, 1, 2], -0.01],
+];
+
+/**
+ * Builds and initializes a viewer, closing it once the test completes.
+ */
+async function initViewer(t, scene, options) {
+  const viewer = createViewer();
+  t.after(viewer.close);
+  await viewer.init(scene, options);
+  return viewer;
+}
+
+// Checkboxes toggling display options rather than scene entries
+const OPTION_TOGGLES = ':not(#toggleLightHelpers):not(#toggleLabels)';
+
+function checkBoxLabels(viewer) {
+  return Array.from(viewer.document.querySelectorAll(
+      `#toggle-button-holder input${OPTION_TOGGLES} + label`),
+      (label) => label.textContent);
+}
+
+function checkBoxByLabel(viewer, text) {
+  const label = Array.from(viewer.document.querySelectorAll('label')).find(
+      (item) => item.textContent === `Toggle ${text}`);
+  return viewer.byId(label.htmlFor);
+}
+
+test('assembleBodyFramework builds the container, sidebar and canvas',
+    async (t) => {
+  const viewer = await initViewer(t);
+  const container = viewer.byId('container');
+
+  assert.ok(container);
+  assert.strictEqual(container.parentNode, viewer.document.body);
+  assert.deepStrictEqual(Array.from(container.children, (child) => child.id),
+      ['interface-sidebar', 'canvas-holder', 'notification-holder',
+        'help-overlay']);
+  assert.ok(viewer.byId('toggle-button-holder'));
+  assert.ok(viewer.byId('button-holder'));
+
+  const canvas = viewer.byId('glcanvas');
+  assert.strictEqual(canvas.parentNode.id, 'canvas-holder');
+  assert.strictEqual(canvas.getAttribute('width'), '640');
+  assert.strictEqual(canvas.getAttribute('height'), '480');
+  assert.strictEqual(viewer.renderer.config.canvas, canvas);
+  assert.ok(viewer.renderer.renderCount > 0);
+});
+
+test('a checked checkbox is built for every element and light', async (t) => {
+  const viewer = await initViewer(t);
+  const checkBoxes = viewer.document.querySelectorAll(
+      `#toggle-button-holder input${OPTION_TOGGLES}`);
+
+  assert.deepStrictEqual(checkBoxLabels(viewer),
+      ELEMENT_LABELS.concat(LIGHT_LABELS).map((text) => `Toggle ${text}`));
+  assert.ok(Array.from(checkBoxes).every((checkBox) => checkBox.checked));
+});
+
+test('generated ids skip ids that the user supplied', async (t) => {
+  const ring = {itemType: 'Ring', geometry: 'TorusGeometry'};
+  const loadIds = async (elements) => (await initViewer(t, {elements},
+      {seed: 5})).getState().elements.map((element) => element.id);
+  const [generatedId] = await loadIds([ring]);
+  const ids = await loadIds([ring, Object.assign({id: generatedId}, ring)]);
+
+  assert.match(generatedId, /^Ring\d+$/);
+  assert.notStrictEqual(ids[0], generatedId);
+  assert.match(ids[0], /^Ring\d+$/);
+  assert.strictEqual(ids[1], generatedId);
+});
+
+test('a button is built for every sidebar action', async (t) => {
+  const viewer = await initViewer(t);
+  const buttons = Array.from(viewer.document.querySelectorAll(
+      '#button-holder button'), (button) => button.textContent);
+
+  ['About', 'Start animation', 'Stop animation', 'Reset model'].forEach(
+      (text) => assert.ok(buttons.includes(text), text));
+});
+
+test('element checkboxes toggle animation of their element', async (t) => {
+  const viewer = await initViewer(t);
+  const checkBox = checkBoxByLabel(viewer, 'Torus');
+
+  checkBox.click();
+  assert.strictEqual(checkBox.checked, false);
+  assert.strictEqual(viewer.getState().elements[5].isAnimated, false);
+
+  checkBox.click();
+  assert.strictEqual(viewer.getState().elements[5].isAnimated, true);
+});
+
+// One element per kind of timed transformation, each with its own geometry
+const TIMED_SCENE = {
+  elements: [
+    {itemType: 'Slider', geometry: 'BoxGeometry', transformations: [
+      {type: 'keyframes', property: 'position', offset: 1, keyframes: [
+        {time: 0, value: [0, 0, 0]}, {time: 2, value: [4, 0, 0]}]}]},
+    {itemType: 'Spinner', geometry: 'SphereGeometry', transformations: [
+      {type: 'keyframes', property: 'rotation', easing: 'easeIn',
+        loop: 'repeat', keyframes: [{time: 1, value: [0, 2, 0]},
+          {time: 0, value: [0, 0, 0]}]}]},
+    {itemType: 'Pulser', geometry: 'ConeGeometry', transformations: [
+      {type: 'keyframes', property: 'scale', loop: 'pingPong', keyframes: [
+        {time: 0, value: [1, 1, 1]},
+        {time: 2, value: [3, 3, 3], easing: 'easeOut'}]}]},
+    {itemType: 'Stepper', geometry: 'CylinderGeometry', transformations: [
+      {type: 'keyframes', property: 'position', keyframes: [
+        {time: 0, value: [0, 0, 0]},
+        {time: 1, value: [1, 0, 0], easing: 'easeInOut'},
+        {time: 2, value: [2, 0, 0], easing: 'sine'},
+        {time: 3, value: [3, 0, 0], easing: 'step'}]}]},
+    {itemType: 'Planet', geometry: 'TetrahedronGeometry', transformations: [
+      {type: 'orbit', center: [1, 0, 0], radius: 2, period: 4, offset: 1}]},
+    {itemType: 'Bobber', geometry: 'OctahedronGeometry', transformations: [
+      {type: 'oscillate', property: 'position', axis: 'y', center: 1,
+        amplitude: 0.5, period: 2},
+      {type: 'oscillate', property: 'scale', axis: 'xz', amplitude: 0.2,
+        period: 1}]},
+  ],
+};
+
+/**
+ * Restores every element's animation clock to the inputted time, returning
+ * the object nodes posed by their timed transformations, keyed by geometry.
+ */
+function poseAt(viewer, time) {
+  const state = viewer.getState();
+
+  state.elements.forEach((element) => {
+    element.time = time;
+  });
+  viewer.module.setState(state);
+
+  return (geometryType) => meshByGeometry(viewer, geometryType).parent;
+}
+
+test('keyframe tracks interpolate, ease, loop and start late', async (t) => {
+  const viewer = await initViewer(t, TIMED_SCENE);
+  const position = (node) => node.position.toArray();
+  const rotation = (node) => node.rotation.toArray().slice(0, 3);
+  let pose = poseAt(viewer, 0);
+
+  // Offset tracks hold their first value until they start
+  assertArrayClose(position(pose('BoxGeometry')), [0, 0, 0]);
+  assertArrayClose(rotation(pose('SphereGeometry')), [0, 0, 0]);
+  assertArrayClose(pose('ConeGeometry').scale.toArray(), [1, 1, 1]);
+
+  pose = poseAt(viewer, 0.25);
+  assertArrayClose(position(pose('CylinderGeometry')), [0.125, 0, 0]);
+
+  pose = poseAt(viewer, 0.5);
+  assertArrayClose(rotation(pose('SphereGeometry')), [0, 0.5, 0]);
+
+  pose = poseAt(viewer, 1);
+  assertArrayClose(pose('ConeGeometry').scale.toArray(), [2.5, 2.5, 2.5]);
+
+  pose = poseAt(viewer, 1.25);
+  assertArrayClose(position(pose('CylinderGeometry')),
+      [1 + (1 - Math.SQRT1_2) / 2, 0, 0]);
+
+  // Repeating tracks wrap around, ping-pong tracks play back
+  pose = poseAt(viewer, 2.25);
+  assertArrayClose(rotation(pose('SphereGeometry')), [0, 0.125, 0]);
+  assertArrayClose(position(pose('BoxGeometry')), [2.5, 0, 0]);
+  assertArrayClose(position(pose('CylinderGeometry')), [2, 0, 0]);
+
+  pose = poseAt(viewer, 3);
+  assertArrayClose(pose('ConeGeometry').scale.toArray(), [2.5, 2.5, 2.5]);
+  assertArrayClose(position(pose('CylinderGeometry')), [3, 0, 0]);
+
+  // Tracks played once hold their last value
+  pose = poseAt(viewer, 5);
+  assertArrayClose(position(pose('BoxGeometry')), [4, 0, 0]);
+  assertArrayClose(pose('ConeGeometry').scale.toArray(), [2.5, 2.5, 2.5]);
+});
+
+test('orbits and oscillations follow their period and offset',
+    async (t) => {
+  const viewer = await initViewer(t, TIMED_SCENE);
+  const planet = (time) => poseAt(viewer, time)('TetrahedronGeometry')
+      .position.toArray();
+  const bobber = (time) => poseAt(viewer, time)('OctahedronGeometry');
+
+  // Circling the center in the z/x plane, a quarter lap a second
+  assertArrayClose(planet(1), [1, 0, 2]);
+  assertArrayClose(planet(2), [3, 0, 0]);
+  assertArrayClose(planet(0), [-1, 0, 0]);
+  assertArrayClose(planet(5), [1, 0, 2]);
+
+  assertArrayClose(bobber(0).position.toArray(), [0, 1, 0]);
+  assertArrayClose(bobber(0.5).position.toArray(), [0, 1.5, 0]);
+  assertArrayClose(bobber(1.5).position.toArray(), [0, 0.5, 0]);
+  assertArrayClose(bobber(0.25).scale.toArray(), [1.2, 1, 1.2]);
+  assertArrayClose(bobber(0.75).scale.toArray(), [0.8, 1, 0.8]);
+});
+
+// A sun carrying a planet, listed as its child, which a moon names as parent
+const ORBIT_SCENE = {
+  elements: [
+    {itemType: 'Sun', geometry: 'SphereGeometry', geometryConfig: [2, 8, 8],
+        transformations: [{rotationAxis: 'y', rotationAmount: 0.01}],
+        children: [
+          {itemType: 'Planet', id: 'planet', geometry: 'SphereGeometry',
+              geometryConfig: [1, 8, 8], positionCoords: [8, 0, 0],
+              transformations: [{rotationAxis: 'y', rotationAmount: 0.02}]},
+        ]},
+    {itemType: 'Moon', parent: 'planet', geometry: 'SphereGeometry',
+        geometryConfig: [0.3, 8, 8], positionCoords: [2, 0, 0],
+        transformations: [{rotationAxis: 'y', rotationAmount: 0.05}]},
+  ],
+};
+
+/**
+ * Returns the position of each element's mesh within the model, rounded for
+ * comparison.
+ */
+function worldPositions(viewer) {
+  const positions = {};
+  let model = meshByGeometry(viewer, 'SphereGeometry');
+
+  while (model.parent !== viewer.renderer.lastScene) {
+    model = model.parent;
+  }
+
+  viewer.renderer.lastScene.updateMatrixWorld(true);
+  model.traverse((child) => {
+    if (child.isMesh && child.geometry.type === 'SphereGeometry') {
+      positions[child.geometry.parameters.radius] = Array.from(
+          model.worldToLocal(child.getWorldPosition(
+              new viewer.THREE.Vector3())).toArray(),
+          (value) => Math.round(value * 1000) / 1000 + 0);
+    }
+  });
+
+  return [positions[2], positions[1], positions[0.3]];
+}
+
+/**
+ * Runs the animation for the inputted number of frames, returning the y
+ * rotation each element has reached.
+ */
+function runFrames(viewer, count) {
+  for (let i = 0; i < count; i++) {
+    viewer.clock = (viewer.clock || 1000) + 1000 / 60;
+    viewer.runFrame(viewer.clock);
+  }
+
+  return viewer.getState().elements.map((entry) => entry.rotation[1]);
+}
+
+test('nested elements inherit the transforms of their parents',
+    async (t) => {
+  const viewer = await initViewer(t, ORBIT_SCENE);
+  const distance = (from, to) => Math.hypot(...from.map((value, i) =>
+    to[i] - value));
+
+  assert.deepStrictEqual(worldPositions(viewer),
+      [[0, 0, 0], [8, 0, 0], [10, 0, 0]]);
+
+  viewer.byId('buttonStart animation').click();
+  runFrames(viewer, 31);
+
+  // The planet circles the sun, and the moon the planet, both at a distance
+  const [sun, planet, moon] = worldPositions(viewer);
+
+  assert.notDeepStrictEqual(moon, [10, 0, 0]);
+  assert.ok(Math.abs(distance(sun, planet) - 8) < 0.01);
+  assert.ok(Math.abs(distance(planet, moon) - 2) < 0.01);
+  assert.ok(moon[2] < planet[2] && planet[2] < 0);
+});
+
+test('the sidebar lists nested elements in a collapsible tree',
+    async (t) => {
+  const viewer = await initViewer(t, ORBIT_SCENE);
+  const wrapper = (text) => checkBoxByLabel(viewer, text).parentNode;
+  const branch = (text) => wrapper(text).querySelector('.tree-children');
+  const button = wrapper('Sun').querySelector('.tree-toggle');
+
+  assert.deepStrictEqual(checkBoxLabels(viewer).slice(0, 3),
+      ['Toggle Sun', 'Toggle Planet', 'Toggle Moon']);
+  assert.strictEqual(wrapper('Planet').parentNode, branch('Sun'));
+  assert.strictEqual(wrapper('Moon').parentNode, branch('Planet'));
+  assert.strictEqual(branch('Moon'), null);
+
+  button.click();
+  assert.ok(branch('Sun').classList.contains('tree-collapsed'));
+  assert.strictEqual(button.getAttribute('aria-expanded'), 'false');
+  assert.strictEqual(button.title, 'Expand');
+  button.click();
+  assert.ok(!branch('Sun').classList.contains('tree-collapsed'));
+
+  // Toggling a parent off pauses its subtree, which keeps its own states
+  viewer.byId('buttonStart animation').click();
+  checkBoxByLabel(viewer, 'Moon').click();
+  checkBoxByLabel(viewer, 'Sun').click();
+  assert.ok(branch('Sun').classList.contains('tree-paused'));
+  assert.deepStrictEqual(runFrames(viewer, 10), [0, 0, 0]);
+  assert.deepStrictEqual(viewer.getState().elements.map(
+      (entry) => entry.isAnimated), [false, true, false]);
+
+  checkBoxByLabel(viewer, 'Sun').click();
+  assert.ok(!branch('Sun').classList.contains('tree-paused'));
+  assert.strictEqual(checkBoxByLabel(viewer, 'Moon').checked, false);
+  assert.deepStrictEqual(runFrames(viewer, 2).map((value) => value > 0),
+      [true, true, false]);
+});
+
+test('seeded scenes give parents listing children the same ids every time',
+    async (t) => {
+  const ids = [];
+
+  for (let run = 0; run < 2; run++) {
+    const viewer = await initViewer(t, ORBIT_SCENE, {seed: 5});
+
+    ids.push(viewer.getState().elements.map((entry) => entry.id));
+
+    // Edits keep the planet nested inside the sun under its generated id
+    viewer.module.updateSceneElement('planet', {positionCoords: [6, 0, 0]});
+    assert.strictEqual(checkBoxByLabel(viewer, 'Planet').parentNode.parentNode
+        .parentNode, checkBoxByLabel(viewer, 'Sun').parentNode);
+    assert.deepStrictEqual(worldPositions(viewer)[1], [6, 0, 0]);
+  }
+
+  assert.match(ids[0][0], /^Sun\d+$/);
+  assert.deepStrictEqual(ids[0], ids[1]);
+});
+
+test('nested elements are added, moved and removed with their subtree',
+    async (t) => {
+  const viewer = await initViewer(t, ORBIT_SCENE);
+  const api = viewer.module;
+  const moonId = viewer.getState().elements[2].id;
+  const wrapper = (text) => checkBoxByLabel(viewer, text).parentNode;
+  const box = {geometry: 'BoxGeometry', geometryConfig: [0.2, 0.2, 0.2]};
+
+  const ringId = api.addSceneElement(Object.assign({itemType: 'Ring',
+      parent: moonId, positionCoords: [1, 0, 0],
+      children: [Object.assign({itemType: 'Pebble'}, box)]}, box));
+
+  assert.strictEqual(wrapper('Ring').parentNode.parentNode, wrapper('Moon'));
+  assert.strictEqual(wrapper('Pebble').parentNode.parentNode,
+      wrapper('Ring'));
+  assert.deepStrictEqual(worldPositions(viewer),
+      [[0, 0, 0], [8, 0, 0], [10, 0, 0]]);
+
+  assert.throws(() => api.addSceneElement({itemType: 'Stray',
+      geometry: 'BoxGeometry', parent: 'nowhere'}),
+      /No preceding scene element exists with parent id: nowhere/);
+  assert.throws(() => api.updateSceneElement('planet', {parent: ringId}),
+      /Scene elements cannot be nested inside themselves: planet/);
+
+  // Moving the moon to the top keeps its checkbox and its own subtree
+  api.updateSceneElement(moonId, {parent: null, positionCoords: [0, 5, 0]});
+  assert.strictEqual(wrapper('Moon').parentNode,
+      viewer.byId('toggle-button-holder'));
+  assert.strictEqual(wrapper('Planet').querySelector('.tree-children'), null);
+  assert.deepStrictEqual(worldPositions(viewer)[2], [0, 5, 0]);
+  assert.strictEqual(wrapper('Pebble').parentNode.parentNode,
+      wrapper('Ring'));
+
+  api.removeSceneElement(moonId);
+  assert.deepStrictEqual(checkBoxLabels(viewer).slice(0, 3),
+      ['Toggle Sun', 'Toggle Planet', 'Toggle Red Light']);
+  assert.throws(() => api.removeSceneElement(ringId),
+      /No scene entry exists with id/);
+
+  api.removeSceneElement('planet');
+  assert.ok(!wrapper('Sun').classList.contains('tree-node'));
+  assert.strictEqual(wrapper('Sun').querySelector('.tree-toggle'), null);
+});
+
+test('unknown parents are refused', async (t) => {
+  const viewer = await initViewer(t, {elements: [
+    {itemType: 'Moon', geometry: 'BoxGeometry', parent: 'planet'},
+    {itemType: 'Planet', id: 'planet', geometry: 'BoxGeometry'},
+  ]});
+
+  assert.deepStrictEqual(startupError(viewer),
+      ['Sorry, the scene description could not be loaded.',
+        'TypeError: No preceding scene element exists with parent id: planet']);
+});
+
+test('the clipping check poses nested elements like the scene', (t) => {
+  const viewer = createViewer();
+  t.after(viewer.close);
+
+  const arm = {itemType: 'Arm', geometry: 'BoxGeometry',
+      geometryConfig: [0.2, 0.2, 0.2],
+      transformations: [{rotationAxis: 'y', rotationAmount: 0.05}]};
+  const tip = {itemType: 'Tip', geometry: 'BoxGeometry',
+      geometryConfig: [1, 1, 1], positionCoords: [3, 0, 0]};
+  const block = {itemType: 'Block', geometry: 'BoxGeometry',
+      geometryConfig: [1, 1, 1], positionCoords: [0, 0, 3]};
+
+  const nested = viewer.module.checkClipping({elements: [
+    Object.assign({children: [tip]}, arm), block,
+  ]});
+
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(nested.collisions)).map(
+      (collision) => collision.elements.map((element) => element.itemType)),
+      [['Tip', 'Block']]);
+  assert.ok(nested.collisions[0].frames[0] > 0);
+
+  // Left at the top, the tip stays where it is and never meets the block
+  assert.strictEqual(viewer.module.checkClipping({elements: [arm, tip, block]})
+      .hasClipping, false);
+});
+
+test('light checkboxes switch their light off and on', async (t) => {
+  const viewer = await initViewer(t);
+  const checkBox = checkBoxByLabel(viewer, 'Red Light');
+  const renderCount = viewer.renderer.renderCount;
+
+  checkBox.click();
+  assert.strictEqual(viewer.renderedLights()[0].color.getHex(), 0x000000);
+  assert.strictEqual(viewer.renderer.renderCount, renderCount + 1);
+
+  checkBox.click();
+  assert.strictEqual(viewer.renderedLights()[0].color.getHex(), 0xFF0000);
+});
+
+test('every light type is built and switched off and on', async (t) => {
+  const viewer = await initViewer(t, {
+    elements: [],
+    lights: [
+      {itemType: 'Lamp', lightType: 'PointLight', lightColor: 'RED',
+          distance: 10, decay: 2},
+      {itemType: 'Spot', lightType: 'SpotLight', lightColor: 'GREEN',
+          angle: 0.5, penumbra: 0.2, targetArray: [1, 2, 3]},
+      {itemType: 'Fill', lightType: 'AmbientLight', lightColor: 'BLUE'},
+      {itemType: 'Sky', lightType: 'HemisphereLight', lightColor: 'WHITE',
+          groundColor: 'BROWN'},
+    ],
+  });
+  const [point, spot, ambient, hemisphere] = viewer.renderedLights();
+
+  assert.ok(point.isPointLight);
+  assert.deepStrictEqual([point.distance, point.decay], [10, 2]);
+  assert.ok(spot.isSpotLight);
+  assert.deepStrictEqual([spot.angle, spot.penumbra], [0.5, 0.2]);
+  assert.deepStrictEqual({...spot.target.position}, {x: 1, y: 2, z: 3});
+  assert.ok(ambient.isAmbientLight);
+  assert.ok(hemisphere.isHemisphereLight);
+
+  ['Lamp', 'Spot', 'Fill', 'Sky'].forEach((text) => {
+    checkBoxByLabel(viewer, text).click();
+  });
+  viewer.renderedLights().forEach((light) => {
+    assert.strictEqual(light.color.getHex(), 0x000000);
+  });
+  assert.strictEqual(hemisphere.groundColor.getHex(), 0x000000);
+
+  checkBoxByLabel(viewer, 'Sky').click();
+  assert.strictEqual(hemisphere.color.getHex(), 0xFFFFFF);
+  assert.strictEqual(hemisphere.groundColor.getHex(), 0xD2691E);
+});
+
+test('zero light falloff and spread settings are kept', async (t) => {
+  const viewer = await initViewer(t, {
+    elements: [],
+    lights: [
+      {itemType: 'Lamp', lightType: 'PointLight', decay: 0},
+      {itemType: 'Spot', lightType: 'SpotLight', decay: 0, angle: 0,
+          penumbra: 0, distance: 0},
+      {itemType: 'Bulb', lightType: 'PointLight'},
+    ],
+  });
+  const [point, spot, bulb] = viewer.renderedLights();
+
+  assert.deepStrictEqual([point.distance, point.decay], [0, 0]);
+  assert.deepStrictEqual([spot.distance, spot.angle, spot.penumbra,
+    spot.decay], [0, 0, 0, 0]);
+
+  // Left out, the usual defaults apply
+  assert.deepStrictEqual([bulb.distance, bulb.decay], [0, 1]);
+});
+
+test('the light helper checkbox shows and hides light helpers', async (t) => {
+  const viewer = await initViewer(t, {
+    lights: [
+      {itemType: 'Sun'},
+      {itemType: 'Fill', lightType: 'AmbientLight'},
+      {itemType: 'Bulb', lightType: 'PointLight', hasHelper: false},
+    ],
+  });
+  const helpers = () => viewer.renderer.lastScene.children.filter(
+      (child) => child.light != null);
+
+  assert.strictEqual(helpers().length, 1);
+  assert.strictEqual(helpers()[0].visible, false);
+
+  viewer.byId('toggleLightHelpers').click();
+  assert.strictEqual(helpers()[0].visible, true);
+  assert.strictEqual(helpers()[0].light, viewer.renderedLights()[0]);
+
+  viewer.module.removeLight(viewer.getState().lights[0].id);
+  assert.strictEqual(helpers().length, 0);
+});
+
+/**
+ * Sets the value of an input in a light mixer row and fires its input event.
+ */
+function setMixerInput(viewer, row, name, value) {
+  const input = row.querySelector(`[name="${name}"]`);
+
+  input.value = value;
+  input.dispatchEvent(new viewer.window.Event('input'));
+}
+
+test('light mixer inputs update their light live', async (t) => {
+  const viewer = await initViewer(t);
+  const rows = viewer.document.querySelectorAll(
+      '#light-mixer-holder .light-mixer');
+  const light = viewer.renderedLights()[0];
+  const renderCount = viewer.renderer.renderCount;
+
+  assert.strictEqual(rows.length, 5);
+  assert.strictEqual(rows[0].querySelector('[name="intensity"]').value, '0.35');
+  assert.strictEqual(rows[0].querySelector('[name="color"]').value, '#ff0000');
+
+  setMixerInput(viewer, rows[0], 'intensity', '1.5');
+  setMixerInput(viewer, rows[0], 'color', '#00ffff');
+  setMixerInput(viewer, rows[0], 'y', '4');
+
+  assert.strictEqual(light.intensity, 1.5);
+  assert.strictEqual(light.color.getHex(), 0x00FFFF);
+  assert.deepStrictEqual({...light.position}, {x: 1, y: 4, z: 0});
+  assert.strictEqual(viewer.renderer.renderCount, renderCount + 3);
+
+  // A new color is kept for when a muted light is switched back on
+  checkBoxByLabel(viewer, 'Red Light').click();
+  setMixerInput(viewer, rows[0], 'color', '#ffff00');
+  assert.strictEqual(light.color.getHex(), 0x000000);
+  checkBoxByLabel(viewer, 'Red Light').click();
+  assert.strictEqual(light.color.getHex(), 0xFFFF00);
+});
+
+test('light mixer mute and solo buttons switch lights', async (t) => {
+  const viewer = await initViewer(t);
+  const rows = viewer.document.querySelectorAll(
+      '#light-mixer-holder .light-mixer');
+  const states = () => viewer.getState().lights.map(
+      (light) => light.isAnimated);
+  const mute = rows[1].querySelector('[name="mute"]');
+
+  mute.click();
+  assert.deepStrictEqual(states(), [true, false, true, true, true]);
+  assert.strictEqual(mute.textContent, 'Unmute');
+  assert.strictEqual(checkBoxByLabel(viewer, 'Green Light').checked, false);
+
+  checkBoxByLabel(viewer, 'Green Light').click();
+  assert.strictEqual(mute.textContent, 'Mute');
+
+  rows[2].querySelector('[name="solo"]').click();
+  assert.deepStrictEqual(states(), [false, false, true, false, false]);
+
+  rows[2].querySelector('[name="solo"]').click();
+  assert.deepStrictEqual(states(), [true, true, true, true, true]);
+});
+
+test('light mixer rows follow added and removed lights', async (t) => {
+  const viewer = await initViewer(t);
+  const rows = () => viewer.document.querySelectorAll(
+      '#light-mixer-holder .light-mixer');
+  const id = viewer.module.addLight({itemType: 'Fill',
+      lightType: 'AmbientLight'});
+
+  assert.strictEqual(rows().length, 6);
+  assert.strictEqual(rows()[5].querySelector('[name="x"]'), null);
+
+  viewer.module.removeLight(id);
+  assert.strictEqual(rows().length, 5);
+});
+
+/**
+ * Returns the rendered mesh built with the inputted geometry type.
+ */
+function meshByGeometry(viewer, geometryType) {
+  let found = null;
+
+  viewer.renderer.lastScene.traverse((child) => {
+    if (child.isMesh && child.geometry.type === geometryType) {
+      found = child;
+    }
+  });
+
+  return found;
+}
+
+/**
+ * Returns the wrapper of an inspector field by the property it edits.
+ */
+function inspectorField(viewer, property) {
+  return viewer.document.querySelector(
+      `#inspector-holder [data-property="${property}"]`);
+}
+
+test('clicking a mesh selects and highlights it in the inspector',
+    async (t) => {
+  const viewer = await initViewer(t);
+  const inspector = viewer.byId('inspector-holder');
+  const mesh = meshByGeometry(viewer, 'IcosahedronGeometry');
+
+  assert.strictEqual(inspector.hidden, true);
+
+  viewer.clickCanvas(...viewer.screenPosition(mesh));
+
+  assert.strictEqual(inspector.hidden, false);
+  assert.strictEqual(inspector.children[1].textContent, 'Icosahedron');
+  assert.strictEqual(mesh.material.emissive.getHex(), 0x404000);
+  assert.strictEqual(inspectorField(viewer, 'colorType')
+      .querySelector('input').value, '#7fff00');
+  assert.strictEqual(inspectorField(viewer, 'meshMaterial')
+      .querySelector('select').value, 'MeshPhongMaterial');
+
+  // Clicking empty space clears the selection
+  viewer.clickCanvas(5, 5);
+  assert.strictEqual(inspector.hidden, true);
+  assert.strictEqual(mesh.material.emissive.getHex(), 0x000000);
+});
+
+test('drags do not change the selection', async (t) => {
+  const viewer = await initViewer(t);
+  const [x, y] = viewer.screenPosition(meshByGeometry(viewer, 'BoxGeometry'));
+
+  viewer.byId('glcanvas').getBoundingClientRect = () => ({left: 0, top: 0,
+      width: 640, height: 480});
+  viewer.pointer('pointerdown', {clientX: x, clientY: y});
+  viewer.pointer('pointermove', {clientX: x + 40, clientY: y});
+  viewer.pointer('pointerup', {clientX: x + 40, clientY: y});
+
+  assert.strictEqual(viewer.byId('inspector-holder').hidden, true);
+});
+
+function assertArrayClose(actual, expected) {
+  actual.forEach((value, i) => {
+    assert.ok(Math.abs(value - expected[i]) < 1e-9, `${actual} != ${expected}`);
+  });
+}
+
+/**
+ * Drags a pointer across the canvas through the inputted points, each of which
+ * is an [x, y, timeStamp] triple, pressing it at the first and releasing it at
+ * the last.
+ */
+function drag(viewer, points, properties = {}) {
+  points.forEach(([clientX, clientY, timeStamp], i) => {
+    const type = (i === 0) ? 'pointerdown' : (i === points.length - 1)
+        ? 'pointerup' : 'pointermove';
+
+    viewer.pointer(type, Object.assign({clientX, clientY, timeStamp},
+        properties));
+  });
+}
+
+test('pointer drags rotate and pan the model, and wheels zoom it',
+    async (t) => {
+  const viewer = await initViewer(t);
+  const model = () => viewer.getState().model;
+
+  // Radians per pixel by default, 40 right and 20 down
+  drag(viewer, [[100, 100, 0], [140, 120, 10], [140, 120, 20]]);
+  assertArrayClose(model().rotation, [0.5, 0, 0]);
+
+  // Right-drags pan instead, with screen y pointing down
+  drag(viewer, [[100, 100, 0], [150, 75, 10], [150, 75, 20]],
+      {button: 2});
+  assertArrayClose(model().position, [1, -1, 0]);
+
+  // Scrolling up zooms in, as does a trackpad pinch reported as a wheel
+  viewer.byId('glcanvas').dispatchEvent(Object.assign(
+      new viewer.window.Event('wheel', {cancelable: true}), {deltaY: -100}));
+  assertArrayClose(model().scale, Array(3).fill(Math.exp(0.1)));
+  assertArrayClose(model().rotation, [0.5, 0, 0]);
+});
+
+test('two-finger drags pinch-zoom and pan the model', async (t) => {
+  const viewer = await initViewer(t);
+  const model = () => viewer.getState().model;
+
+  viewer.pointer('pointerdown', {pointerId: 1, clientX: 100, clientY: 100});
+  viewer.pointer('pointerdown', {pointerId: 2, clientX: 200, clientY: 100});
+
+  // Spreading the fingers to twice the distance, the midpoint moving 50 right
+  viewer.pointer('pointermove', {pointerId: 2, clientX: 300, clientY: 100});
+  viewer.pointer('pointerup', {pointerId: 1, clientX: 100, clientY: 100});
+  viewer.pointer('pointerup', {pointerId: 2, clientX: 300, clientY: 100});
+
+  assertArrayClose(model().scale, [2, 2, 2]);
+  assertArrayClose(model().position, [1, -1.5, 0]);
+  assertArrayClose(model().rotation, DEFAULT_STATE.rotation);
+});
+
+test('pointer sensitivity options scale drags and wheels', async (t) => {
+  const viewer = await initViewer(t, undefined, {rotateSensitivity: 0.01,
+    panSensitivity: 0.1, zoomSensitivity: 0.002});
+  const model = () => viewer.getState().model;
+
+  drag(viewer, [[100, 100, 0], [120, 90, 10], [120, 90, 20]]);
+  assertArrayClose(model().rotation, [0.3, 0, 0]);
+
+  drag(viewer, [[100, 100, 0], [110, 110, 10], [110, 110, 20]],
+      {button: 2});
+  assertArrayClose(model().position, [1, -2.5, 0]);
+
+  viewer.byId('glcanvas').dispatchEvent(Object.assign(
+      new viewer.window.Event('wheel', {cancelable: true}), {deltaY: 50}));
+  assertArrayClose(model().scale, Array(3).fill(Math.exp(-0.1)));
+});
+
+test('released drags coast to a stop only with inertia enabled',
+    async (t) => {
+  const coast = async (options, points) => {
+    const viewer = await initViewer(t, undefined, options);
+    const turns = [];
+
+    drag(viewer, points);
+    turns.push(viewer.getState().model.rotation[1]);
+
+    for (let i = 0; i < 3; i++) {
+      viewer.runFrame(i * 1000 / 60);
+      turns.push(viewer.getState().model.rotation[1]);
+    }
+
+    return turns;
+  };
+  const flick = [[100, 100, 0], [110, 100, 10], [110, 100, 20]];
+
+  // 0.05 by the drag over 10 ms, then a 60th of a second's worth of that
+  // speed after the first frame, and 8% less after the next
+  assertArrayClose(await coast({enableInertia: true}, flick),
+      [-0.15, -0.15, -0.15 + 0.25 / 3, -0.15 + 0.25 / 3 * 1.92]);
+  assertArrayClose(await coast({}, flick), [-0.15, -0.15, -0.15, -0.15]);
+
+  // Holding still before releasing leaves nothing to coast with
+  assertArrayClose(await coast({enableInertia: true},
+      [[100, 100, 0], [110, 100, 10], [110, 100, 500]]),
+      [-0.15, -0.15, -0.15, -0.15]);
+});
+
+test('coasting is alike at any refresh rate and stops its frames',
+    async (t) => {
+  const coast = async (frameRate) => {
+    const viewer = await initViewer(t, undefined, {enableInertia: true});
+    const turns = {};
+    let time = 0;
+
+    drag(viewer, [[100, 100, 0], [110, 100, 10], [110, 100, 20]]);
+
+    while (viewer.frameCallbacks.length) {
+      viewer.runFrame(time);
+      time += 1000 / frameRate;
+
+      if (Math.round(time) % 250 === 0) {
+        turns[Math.round(time)] = viewer.getState().model.rotation[1];
+      }
+    }
+
+    return {turns, stoppedAt: time};
+  };
+  const [slow, fast] = [await coast(60), await coast(120)];
+
+  // The model turns about as far by each quarter second, give or take how
+  // finely the decay is stepped, and stops with no frame left requested
+  [250, 500, 750].forEach((time) => {
+    assert.ok(Math.abs(fast.turns[time] - slow.turns[time]) <
+        0.03 * (slow.turns[time] + 0.15), `${time}`);
+  });
+  assert.ok(Math.abs(fast.stoppedAt - slow.stoppedAt) <= 1000 / 60);
+});
+
+test('grabbing a coasting model again restarts its coast', async (t) => {
+  const viewer = await initViewer(t, undefined, {enableInertia: true});
+
+  drag(viewer, [[100, 100, 0], [110, 100, 10], [110, 100, 20]]);
+  viewer.runFrame(1000);
+
+  // Flicked again before the next frame, with the same speed as before
+  drag(viewer, [[110, 100, 30], [120, 100, 40], [120, 100, 50]]);
+  assertArrayClose([viewer.getState().model.rotation[1]], [-0.1]);
+  assert.strictEqual(viewer.frameCallbacks.length, 1);
+
+  viewer.runFrame(2000);
+  viewer.runFrame(2000 + 1000 / 60);
+  assertArrayClose([viewer.getState().model.rotation[1]], [-0.1 + 0.25 / 3]);
+});
+
+test('inspector edits apply live to the mesh and entry', async (t) => {
+  const viewer = await initViewer(t);
+  const edit = (property, values, eventName = 'input') => {
+    const field = inspectorField(viewer, property);
+
+    field.querySelectorAll('input, select, textarea').forEach(
+        (input, index) => {
+      input.value = values[index];
+    });
+    field.dispatchEvent(new viewer.window.Event(eventName, {bubbles: true}));
+    return field;
+  };
+
+  viewer.clickCanvas(...viewer.screenPosition(
+      meshByGeometry(viewer, 'SphereGeometry')));
+
+  edit('colorType', ['#336699']);
+  edit('meshMaterial', ['MeshStandardMaterial'], 'change');
+  edit('positionCoords', ['1', '2', '3']);
+  edit('transformations', ['[{"rotationAxis": "x", "rotationAmount": 0.05}]'],
+      'change');
+
+  const mesh = meshByGeometry(viewer, 'SphereGeometry');
+
+  assert.strictEqual(mesh.material.type, 'MeshStandardMaterial');
+  assert.strictEqual(mesh.material.color.getHex(), 0x336699);
+  assert.strictEqual(mesh.material.emissive.getHex(), 0x404000);
+  assert.deepStrictEqual({...mesh.position}, {x: 1, y: 2, z: 3});
+
+  // Reselecting the sphere shows the edited data of its entry
+  viewer.clickCanvas(5, 5);
+  viewer.clickCanvas(...viewer.screenPosition(mesh));
+  assert.strictEqual(inspectorField(viewer, 'colorType')
+      .querySelector('input').value, '#336699');
+  assert.deepStrictEqual(JSON.parse(inspectorField(viewer, 'transformations')
+      .querySelector('textarea').value), [{rotationAxis: 'x',
+      rotationAmount: 0.05}]);
+
+  // Malformed input marks the field rather than applying it
+  assert.ok(edit('transformations', ['[{'], 'change').classList.contains(
+      'invalid-input'));
+  assert.ok(!edit('transformations', ['[]'], 'change').classList.contains(
+      'invalid-input'));
+});
+
+test('standard and physical materials take roughness, metalness and more',
+    async (t) => {
+  const viewer = await initViewer(t);
+  const add = (config) => {
+    viewer.module.addSceneElement(Object.assign({itemType: 'Ball',
+        geometry: 'SphereGeometry'}, config));
+    return meshByGeometry(viewer, 'SphereGeometry').material;
+  };
+
+  const physical = add({meshMaterial: 'MeshPhysicalMaterial',
+      roughness: 0.3, metalness: 0.8, emissive: '#330000', opacity: 0.5,
+      shininess: 40});
+
+  assert.strictEqual(physical.type, 'MeshPhysicalMaterial');
+  assert.strictEqual(physical.roughness, 0.3);
+  assert.strictEqual(physical.metalness, 0.8);
+  assert.strictEqual(physical.emissive.getHex(), 0x330000);
+  assert.strictEqual(physical.opacity, 0.5);
+  assert.strictEqual(physical.transparent, true);
+  assert.strictEqual(physical.shininess, undefined);
+
+  // Properties the material lacks are ignored
+  const lambert = add({itemType: 'Pebble', roughness: 0.3, opacity: 1});
+
+  assert.strictEqual(lambert.roughness, undefined);
+  assert.strictEqual(lambert.transparent, false);
+
+  assert.throws(() => add({roughness: 2}),
+      /Material property must be a number from 0 to 1: roughness/);
+  assert.throws(() => add({opacity: '0.5'}), /opacity/);
+});
+
+/**
+ * Returns a stand-in for a 2D canvas context that keeps the pixels written
+ * to it and counts the lines drawn.
+ */
+function pixelContext(canvas) {
+  const size = canvas.width;
+  const context = {data: new Uint8ClampedArray(size * size * 4),
+      calls: {strokeRect: 0, arc: 0, stroke: 0}};
+
+  context.createImageData = (width, height) => ({width, height,
+      data: new Uint8ClampedArray(width * height * 4)});
+  context.getImageData = () => ({data: context.data.slice()});
+  context.putImageData = (image) => {
+    context.data = image.data;
+  };
+  context.fillRect = (x, y, width, height) => {
+    const rgb = context.fillStyle.match(/[0-9a-f]{2}/g).map(
+        (hex) => parseInt(hex, 16));
+
+    for (let row = y; row < y + height; row++) {
+      for (let column = x; column < x + width; column++) {
+        context.data.set([...rgb, 255], (row * size + column) * 4);
+      }
+    }
+  };
+  ['beginPath', 'moveTo', 'lineTo', 'stroke', 'strokeRect', 'arc'].forEach(
+      (method) => {
+        context[method] = () => {
+          context.calls[method] = (context.calls[method] || 0) + 1;
+        };
+      });
+
+  return context;
+}
+
+/**
+ * Returns the red, green and blue values of a pixel of a procedural texture.
+ */
+function texturePixel(texture, x, y) {
+  const context = texture.image.context;
+  const index = (y * texture.image.width + x) * 4;
+
+  return Array.from(context.data.slice(index, index + 3));
+}
+
+test('procedural textures are drawn on canvases and tiled', async (t) => {
+  const viewer = await initViewer(t);
+
+  stubCanvasContexts(t, viewer, function (type) {
+    this.context = (type === '2d') ? pixelContext(this) : null;
+    return this.context;
+  });
+
+  const build = (textures) => {
+    viewer.module.addSceneElement({itemType: 'Tile',
+        meshMaterial: 'MeshStandardMaterial', geometry: 'PlaneGeometry',
+        textures});
+
+    return meshByGeometry(viewer, 'PlaneGeometry').material;
+  };
+
+  const checkered = build({map: {type: 'checkerboard', size: 4, cells: 2,
+      colors: ['#FF0000', '#0000FF'], repeat: [3, 2]}});
+
+  assert.deepStrictEqual(texturePixel(checkered.map, 0, 0), [255, 0, 0]);
+  assert.deepStrictEqual(texturePixel(checkered.map, 2, 0), [0, 0, 255]);
+  assert.deepStrictEqual(texturePixel(checkered.map, 2, 2), [255, 0, 0]);
+  assert.deepStrictEqual({...checkered.map.repeat}, {x: 3, y: 2});
+  assert.strictEqual(checkered.map.wrapS, viewer.THREE.RepeatWrapping);
+
+  // Noise is the same for the same seed, and gradients run their direction
+  const noisy = (seed) => Array.from(build({roughnessMap: {type: 'noise',
+      size: 8, seed}}).roughnessMap.image.context.data);
+
+  assert.deepStrictEqual(noisy(7), noisy(7));
+  assert.notDeepStrictEqual(noisy(7), noisy(8));
+
+  const gradient = build({map: {type: 'gradient', size: 5,
+      direction: 'horizontal', colors: ['#000000', '#FFFFFF']}}).map;
+
+  assert.deepStrictEqual(texturePixel(gradient, 0, 4), [0, 0, 0]);
+  assert.deepStrictEqual(texturePixel(gradient, 4, 0), [204, 204, 204]);
+
+  // As a normal map, a gradient brightening rightward faces to the left
+  const normal = build({normalMap: {type: 'gradient', size: 8,
+      direction: 'horizontal', colors: ['#000000', '#FFFFFF']}}).normalMap;
+  const [red, green, blue] = texturePixel(normal, 4, 4);
+
+  assert.ok(red < 128 && blue > 128, `${red}, ${blue}`);
+  assert.strictEqual(green, 128);
+
+  // Court lines are painted over the wood
+  const court = build({map: {type: 'wood', size: 16, courtLines: 'WHITE'}});
+
+  assert.strictEqual(court.map.image.context.calls.strokeRect, 3);
+  assert.strictEqual(court.map.image.context.calls.arc, 3);
+  assert.strictEqual(court.map.image.context.strokeStyle, '#ffffff');
+});
+
+test('edits redraw only the textures whose configs changed', async (t) => {
+  const viewer = await initViewer(t);
+  let draws = 0;
+
+  stubCanvasContexts(t, viewer, function (type) {
+    draws++;
+    this.context = (type === '2d') ? pixelContext(this) : null;
+    return this.context;
+  });
+
+  const id = viewer.module.addSceneElement({itemType: 'Tile',
+      meshMaterial: 'MeshStandardMaterial', geometry: 'PlaneGeometry',
+      textures: {map: {type: 'checkerboard', size: 4, cells: 2},
+        roughnessMap: {type: 'noise', size: 4, seed: 1}}});
+  const material = () => meshByGeometry(viewer, 'PlaneGeometry').material;
+  const {map, roughnessMap} = material();
+  let disposals = 0;
+
+  [map, roughnessMap].forEach((texture) => {
+    texture.addEventListener('dispose', () => disposals++);
+  });
+  assert.strictEqual(draws, 2);
+
+  // Other edits keep both maps, even across a change of material
+  viewer.module.updateSceneElement(id, {colorType: 'RED'});
+  viewer.module.updateSceneElement(id, {meshMaterial: 'MeshPhysicalMaterial'});
+  assert.strictEqual(material().map, map);
+  assert.strictEqual(material().roughnessMap, roughnessMap);
+  assert.strictEqual(draws, 2);
+  assert.strictEqual(disposals, 0);
+
+  // An edited map alone is drawn again, and the old one freed
+  viewer.module.updateSceneElement(id, {textures: {
+    map: {type: 'checkerboard', size: 4, cells: 2},
+    roughnessMap: {type: 'noise', size: 4, seed: 2},
+  }});
+  assert.strictEqual(material().map, map);
+  assert.notStrictEqual(material().roughnessMap, roughnessMap);
+  assert.strictEqual(draws, 3);
+  assert.strictEqual(disposals, 1);
+});
+
+test('image textures are loaded and invalid textures refused', async (t) => {
+  const viewer = await initViewer(t);
+  const loads = [];
+  const add = (textures) => viewer.module.addSceneElement({itemType: 'Tile',
+      meshMaterial: 'MeshStandardMaterial', geometry: 'PlaneGeometry',
+      textures});
+
+  // Images never arrive in jsdom, so loads are recorded and finished by hand
+  viewer.THREE.TextureLoader.prototype.load = (url, onLoad, onProgress,
+      onError) => {
+    loads.push({url, onLoad, onError});
+    return new viewer.THREE.Texture();
+  };
+
+  const id = add({map: 'textures/floor.png',
+      roughnessMap: {url: 'textures/rough.png', repeat: [4, 4]}});
+  const material = meshByGeometry(viewer, 'PlaneGeometry').material;
+  const renders = viewer.renderer.renderCount;
+  let disposals = 0;
+
+  assert.deepStrictEqual(loads.map((load) => load.url),
+      ['textures/floor.png', 'textures/rough.png']);
+  assert.deepStrictEqual({...material.roughnessMap.repeat}, {x: 4, y: 4});
+  assert.strictEqual(material.map.wrapT, viewer.THREE.RepeatWrapping);
+
+  // The scene is drawn again once an image arrives, or failing that reported
+  loads[0].onLoad();
+  assert.strictEqual(viewer.renderer.renderCount, renders + 1);
+  loads[1].onError();
+  assert.deepStrictEqual(viewer.notifications(),
+      ['Sorry, this texture could not be loaded: textures/rough.png']);
+
+  // Textures are freed with their element
+  [material.map, material.roughnessMap].forEach((texture) => {
+    texture.addEventListener('dispose', () => disposals++);
+  });
+  viewer.module.removeSceneElement(id);
+  assert.strictEqual(disposals, 2);
+
+  [
+    {bumpMap: 'bump.png'},
+    {map: {type: 'marble'}},
+    {map: {type: 'noise', url: 'noise.png'}},
+    {map: {type: 'gradient', direction: 'diagonal'}},
+    {map: {type: 'checkerboard', colors: ['RED']}},
+  ].forEach((textures) => {
+    assert.throws(() => add(textures), /Invalid texture/,
+        JSON.stringify(textures));
+  });
+});
+
+// A right triangle 4 wide and 2 tall, as the same model in every format
+const WEDGE_POSITIONS = [0, 0, 0, 4, 0, 0, 0, 2, 0];
+
+const WEDGE_STL = `solid wedge
+facet normal 0 0 1
+outer loop
+${[0, 3, 6].map((i) => `vertex ${WEDGE_POSITIONS.slice(i, i + 3).join(' ')}`)
+    .join('\n')}
+endloop
+endfacet
+endsolid wedge`;
+
+function binarySTL() {
+  const buffer = Buffer.alloc(84 + 50);
+
+  buffer.writeUInt32LE(1, 80);
+  WEDGE_POSITIONS.forEach((value, index) => {
+    buffer.writeFloatLE(value, 84 + 12 + index * 4);
+  });
+  return buffer;
+}
+
+/**
+ * Builds a glTF file of the wedge, as JSON with its buffer in the inputted URI
+ * or, if none is given, as GLB. The node is moved and doubled in size, which
+ * importing undoes again.
+ */
+function wedgeGLTF(uri) {
+  const data = Buffer.alloc(36 + 8);
+
+  WEDGE_POSITIONS.forEach((value, index) => {
+    data.writeFloatLE(value, index * 4);
+  });
+  [0, 1, 2].forEach((value, index) => {
+    data.writeUInt16LE(value, 36 + index * 2);
+  });
+
+  const json = {
+    asset: {version: '2.0'},
+    scene: 0,
+    scenes: [{nodes: [0]}],
+    nodes: [{mesh: 0, translation: [5, 5, 5], scale: [2, 2, 2]}],
+    meshes: [{primitives: [{attributes: {POSITION: 0}, indices: 1}]}],
+    accessors: [
+      {bufferView: 0, componentType: 5126, count: 3, type: 'VEC3'},
+      {bufferView: 1, componentType: 5123, count: 3, type: 'SCALAR'},
+    ],
+    bufferViews: [
+      {buffer: 0, byteOffset: 0, byteLength: 36},
+      {buffer: 0, byteOffset: 36, byteLength: 6},
+    ],
+    buffers: [{byteLength: data.length}],
+  };
+
+  if (uri != null) {
+    json.buffers[0].uri = (uri === 'data')
+        ? `data:application/octet-stream;base64,${data.toString('base64')}`
+        : uri;
+    return {json: Buffer.from(JSON.stringify(json)), data};
+  }
+
+  const text = Buffer.from(JSON.stringify(json).padEnd(
+      Math.ceil(JSON.stringify(json).length / 4) * 4));
+  const header = Buffer.alloc(12);
+  const chunk = (type, body) => {
+    const chunkHeader = Buffer.alloc(8);
+
+    chunkHeader.writeUInt32LE(body.length, 0);
+    chunkHeader.writeUInt32LE(type, 4);
+    return Buffer.concat([chunkHeader, body]);
+  };
+  const glb = Buffer.concat([header, chunk(0x4E4F534A, text),
+    chunk(0x004E4942, data)]);
+
+  glb.writeUInt32LE(0x46546C67, 0);
+  glb.writeUInt32LE(2, 4);
+  glb.writeUInt32LE(glb.length, 8);
+  return {json: glb, data};
+}
+
+/**
+ * Returns the size and center of the bounding box of a mesh's geometry.
+ */
+function geometryBounds(viewer, mesh) {
+  const box = new viewer.THREE.Box3().setFromPoints(mesh.geometry.vertices);
+  const round = (vector) => Array.from(vector.toArray(), (value) =>
+    Math.round(value * 1000) / 1000 + 0);
+
+  return {size: round(box.getSize(new viewer.THREE.Vector3())),
+      center: round(box.getCenter(new viewer.THREE.Vector3()))};
+}
+
+/**
+ * Resolves once the inputted condition holds, giving file reads time to
+ * finish.
+ */
+async function waitFor(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  assert.ok(condition(), 'Condition not met in time');
+}
+
+test('STL, OBJ and glTF models are imported as fitted scene elements',
+    async (t) => {
+  const viewer = await initViewer(t);
+  const file = (contents, name) => new viewer.window.File([contents], name);
+  const imported = [];
+
+  for (const [name, contents] of [
+    ['wedge.stl', WEDGE_STL],
+    ['binary-wedge.stl', binarySTL()],
+    ['wedge.obj', 'v 0 0 0\nv 4 0 0\nv 4 2 0\nv 0 2 0\nf 1 2 3\nf -4 -2 -1\n'],
+    ['wedge.gltf', wedgeGLTF('data').json],
+    ['wedge.glb', wedgeGLTF().json],
+  ]) {
+    const id = await viewer.module.importModel(file(contents, name),
+        {positionCoords: [0, 2, 0]});
+    const entry = viewer.getState().elements.find((item) => item.id === id);
+
+    imported.push([name, entry != null]);
+  }
+
+  assert.deepStrictEqual(imported.map(([name, isAdded]) => isAdded),
+      [true, true, true, true, true]);
+
+  const meshes = [];
+
+  viewer.renderer.lastScene.traverse((child) => {
+    if (child.isMesh && child.geometry.vertices.length <= 6 &&
+        child.position.y === 2) {
+      meshes.push(child);
+    }
+  });
+
+  // Each is centered and scaled to the size of the built-in shapes
+  assert.deepStrictEqual(meshes.map((mesh) => geometryBounds(viewer, mesh)),
+      Array(5).fill({size: [2, 1, 0], center: [0, 0, 0]}));
+  assert.deepStrictEqual(meshes.map((mesh) => mesh.geometry.faces.length),
+      [1, 1, 2, 1, 1]);
+  assert.deepStrictEqual(checkBoxLabels(viewer).filter((label) =>
+    /Wedge/.test(label)), ['Toggle Wedge', 'Toggle Binary Wedge',
+    'Toggle Wedge', 'Toggle Wedge', 'Toggle Wedge']);
+
+  await assert.rejects(viewer.module.importModel(file('', 'wedge.fbx')),
+      /Unrecognized model format: wedge\.fbx/);
+  await assert.rejects(viewer.module.importModel(file('f 1 2 3', 'bad.obj')),
+      /Invalid model file/);
+  await assert.rejects(viewer.module.importModel(
+      file(wedgeGLTF('wedge.bin').json, 'split.gltf')),
+      /Model resource not found: wedge\.bin/);
+
+  // Resources are matched by name, whatever their path, query or fragment
+  for (const uri of ['wedge.bin', 'buffers/wedge.bin?v=2',
+    'buffers\\wedge.bin#data', 'my%20buffers/wedge.bin']) {
+    const split = wedgeGLTF(uri);
+
+    assert.ok(await viewer.module.importModel(file(split.json, 'split.gltf'),
+        null, [file(split.data, 'wedge.bin')]), uri);
+  }
+});
+
+test('scene descriptions load models relative to the page', async (t) => {
+  const viewer = createViewer();
+  const wedge = wedgeGLTF('wedge.bin');
+  const files = {
+    'http://localhost/models/wedge.gltf': wedge.json,
+    'http://localhost/models/wedge.bin': wedge.data,
+  };
+  t.after(viewer.close);
+
+  viewer.window.fetch = (url) => {
+    const href = new URL(url, 'http://localhost/').href;
+
+    return Promise.resolve({
+      ok: href in files,
+      status: (href in files) ? 200 : 404,
+      arrayBuffer: () => Promise.resolve(new Uint8Array(files[href]).buffer),
+    });
+  };
+
+  await viewer.init({elements: [{itemType: 'Wedge', model: 'models/wedge.gltf',
+      modelSize: 4, positionCoords: [0, 3, 0], transformations: [
+        {rotationAxis: 'y', rotationAmount: 0.01},
+      ]}]});
+
+  const mesh = meshByGeometry(viewer, 'Geometry');
+
+  assert.deepStrictEqual(geometryBounds(viewer, mesh),
+      {size: [4, 2, 0], center: [0, 0, 0]});
+  assert.deepStrictEqual(checkBoxLabels(viewer)[0], 'Toggle Wedge');
+
+  // The element animates and takes part in the scene like any other
+  viewer.byId('buttonStart animation').click();
+  viewer.runFrame(1000);
+  viewer.runFrame(1000 + 1000 / 60);
+  assert.ok(viewer.getState().elements[0].rotation[1] > 0);
+
+  // Missing models fail the scene as a whole
+  const missing = createViewer();
+  t.after(missing.close);
+  missing.window.fetch = viewer.window.fetch;
+
+  await missing.init({elements: [{itemType: 'Lost', model: 'lost.stl'}]});
+  assert.deepStrictEqual(startupError(missing),
+      ['Sorry, the scene description could not be loaded.',
+        'Error: Model resource not found: lost.stl (404)']);
+});
+
+test('models dropped on the canvas or picked are imported', async (t) => {
+  const viewer = await initViewer(t);
+  const holder = viewer.byId('canvas-holder');
+  const count = () => viewer.getState().elements.length;
+  const drag = (type, files) => {
+    const event = new viewer.window.Event(type, {cancelable: true});
+
+    event.dataTransfer = {types: ['Files'], files};
+    holder.dispatchEvent(event);
+    return event;
+  };
+
+  assert.ok(drag('dragover', []).defaultPrevented);
+  assert.ok(holder.classList.contains('drop-target'));
+  drag('dragleave', []);
+  assert.ok(!holder.classList.contains('drop-target'));
+
+  // A glTF model and its buffer dropped together
+  const wedge = wedgeGLTF('wedge.bin');
+
+  drag('drop', [new viewer.window.File([wedge.json], 'wedge.gltf'),
+    new viewer.window.File([wedge.data], 'wedge.bin')]);
+  await waitFor(() => count() === 7);
+  assert.ok(checkBoxLabels(viewer).includes('Toggle Wedge'));
+
+  drag('drop', [new viewer.window.File(['Hello'], 'notes.txt')]);
+  assert.deepStrictEqual(viewer.notifications(),
+      ['Unrecognized model format: notes.txt']);
+
+  // The import button offers a file picker
+  let picker = null;
+
+  viewer.window.HTMLInputElement.prototype.click = function () {
+    picker = this;
+  };
+  viewer.byId('buttonImport model').click();
+  assert.strictEqual(picker.accept, '.gltf,.glb,.obj,.stl,.bin');
+  Object.defineProperty(picker, 'files',
+      {value: [new viewer.window.File([WEDGE_STL], 'picked.stl')]});
+  picker.dispatchEvent(new viewer.window.Event('change'));
+  await waitFor(() => count() === 8);
+  assert.ok(checkBoxLabels(viewer).includes('Toggle Picked'));
+});
+
+test('hovering a mesh shows a tooltip describing it', async (t) => {
+  const viewer = await initViewer(t);
+  const tooltip = viewer.byId('scene-tooltip');
+  const [x, y] = viewer.screenPosition(meshByGeometry(viewer,
+      'IcosahedronGeometry'));
+
+  viewer.byId('glcanvas').getBoundingClientRect = () => ({left: 0, top: 0,
+      width: 640, height: 480});
+  viewer.pointer('pointermove', {clientX: x, clientY: y});
+
+  assert.strictEqual(tooltip.hidden, false);
+  assert.strictEqual(tooltip.textContent,
+      'IcosahedronIcosahedron, Phong, #7FFF00');
+  assert.strictEqual(tooltip.style.left, `${x + 12}px`);
+
+  viewer.pointer('pointerleave', {});
+  assert.strictEqual(tooltip.hidden, true);
+});
+
+test('labels follow their objects while toggled on', async (t) => {
+  const viewer = await initViewer(t);
+  const layer = viewer.byId('label-layer');
+  const mesh = meshByGeometry(viewer, 'SphereGeometry');
+  const sphereLabel = () => Array.from(layer.children).find(
+      (label) => label.textContent === 'Sphere');
+
+  assert.strictEqual(layer.hidden, true);
+  assert.strictEqual(layer.children.length, 0);
+
+  viewer.byId('toggleLabels').click();
+  assert.strictEqual(layer.hidden, false);
+  assert.strictEqual(layer.children.length, 11);
+  assert.strictEqual(sphereLabel().style.left,
+      `${viewer.screenPosition(mesh)[0]}px`);
+
+  viewer.pressKey('KeyD');
+  assert.strictEqual(sphereLabel().style.left,
+      `${viewer.screenPosition(mesh)[0]}px`);
+
+  viewer.module.removeSceneElement(viewer.getState().elements[4].id);
+  assert.strictEqual(sphereLabel(), undefined);
+
+  viewer.byId('toggleLabels').click();
+  assert.strictEqual(layer.hidden, true);
+});
+
+/**
+ * Gives the canvas wrapper the inputted layout size, as jsdom does no layout.
+ */
+function setHolderSize(viewer, width, height) {
+  const holder = viewer.byId('canvas-holder');
+
+  Object.defineProperty(holder, 'clientWidth', {value: width});
+  Object.defineProperty(holder, 'clientHeight', {value: height});
+}
+
+test('the responsive canvas tracks the size of its wrapper', async (t) => {
+  const viewer = await initViewer(t, undefined, {responsive: true});
+
+  assert.ok(viewer.byId('container').classList.contains('responsive-layout'));
+
+  viewer.window.devicePixelRatio = 3;
+  setHolderSize(viewer, 1000, 500);
+  viewer.window.dispatchEvent(new viewer.window.Event('resize'));
+
+  assert.deepStrictEqual(viewer.renderer.size, [1000, 500]);
+  assert.strictEqual(viewer.renderer.pixelRatio, 2);
+  assert.strictEqual(viewer.renderer.lastCamera.aspect, 2);
+  assert.strictEqual(viewer.byId('glcanvas').style.width, '');
+});
+
+test('the fixed layout keeps the canvas at 640x480 by default', async (t) => {
+  const viewer = await initViewer(t, undefined, {maxPixelRatio: 1.5});
+
+  assert.ok(!viewer.byId('container').classList.contains('responsive-layout'));
+  assert.deepStrictEqual(viewer.renderer.size, [640, 480]);
+  assert.strictEqual(viewer.renderer.pixelRatio, 1);
+  assert.strictEqual(viewer.byId('glcanvas').style.width, '640px');
+  assert.strictEqual(viewer.renderer.lastCamera.aspect, 4 / 3);
+
+  viewer.window.devicePixelRatio = 2;
+  setHolderSize(viewer, 1000, 500);
+  viewer.window.dispatchEvent(new viewer.window.Event('resize'));
+  assert.deepStrictEqual(viewer.renderer.size, [640, 480]);
+  assert.strictEqual(viewer.renderer.pixelRatio, 1.5);
+});
+
+test('the fullscreen button and key toggle fullscreen', async (t) => {
+  const viewer = await initViewer(t);
+  const holder = viewer.byId('canvas-holder');
+  let requests = 0;
+
+  viewer.byId('buttonToggle fullscreen').click();
+  assert.deepStrictEqual(viewer.notifications(),
+      ['Fullscreen is not supported by this browser.']);
+
+  holder.requestFullscreen = () => requests++;
+  viewer.byId('buttonToggle fullscreen').click();
+  viewer.pressKey('KeyF', 'f');
+  assert.strictEqual(requests, 2);
+
+  // Browser shortcuts such as Ctrl+F are left to the browser
+  ['ctrlKey', 'metaKey', 'altKey'].forEach((modifier) => {
+    const event = new viewer.window.KeyboardEvent('keydown', {code: 'KeyF',
+        key: 'f', [modifier]: true, bubbles: true, cancelable: true});
+
+    viewer.document.dispatchEvent(event);
+    assert.strictEqual(event.defaultPrevented, false, modifier);
+  });
+  assert.strictEqual(requests, 2);
+});
+
+/**
+ * Asserts that each component of a vector is within rounding error of those
+ * expected.
+ */
+function assertVectorClose(vector, expected) {
+  [vector.x, vector.y, vector.z].forEach((value, i) => {
+    assert.ok(Math.abs(value - expected[i]) < 1e-9,
+        `${[vector.x, vector.y, vector.z]} != ${expected}`);
+  });
+}
+
+/**
+ * Sets a camera panel input and fires its change event.
+ */
+function setCameraInput(viewer, id, value) {
+  const input = viewer.byId(id);
+
+  if (input.type === 'checkbox') {
+    input.checked = value;
+  } else {
+    input.value = value;
+  }
+
+  input.dispatchEvent(new viewer.window.Event('change'));
+}
+
+test('camera presets swing the camera smoothly into place', async (t) => {
+  const viewer = await initViewer(t);
+
+  assertVectorClose(viewer.renderer.lastCamera.position, [0, 0, 25]);
+
+  viewer.byId('buttonTop').click();
+  viewer.runFrame(1000);
+  viewer.runFrame(1300);
+
+  // Halfway through, the camera is partway round at the same distance
+  const camera = viewer.renderer.lastCamera;
+  assert.ok(camera.position.y > 0 && camera.position.z > 0);
+  assert.ok(Math.abs(camera.position.length() - 25) < 1e-9);
+
+  viewer.runFrame(1600);
+  assertVectorClose(camera.position, [0, 25, 0]);
+  assertVectorClose(camera.up.clone().applyQuaternion(camera.quaternion),
+      [0, 0, -1]);
+  assert.strictEqual(viewer.frameCallbacks.length, 0);
+
+  viewer.byId('buttonIsometric').click();
+  viewer.runFrame(2000);
+  viewer.runFrame(2600);
+  assertVectorClose(camera.position, [1, 1, 1].map((value) =>
+      value * 25 / Math.sqrt(3)));
+});
+
+test('the orthographic camera matches the perspective view', async (t) => {
+  const viewer = await initViewer(t, undefined, {responsive: false});
+
+  setCameraInput(viewer, 'camera-orthographic', true);
+
+  const camera = viewer.renderer.lastCamera;
+  const halfHeight = 25 * Math.tan(Math.PI / 8);
+  assert.strictEqual(camera.isOrthographicCamera, true);
+  assertVectorClose(camera.position, [0, 0, 25]);
+  assert.ok(Math.abs(camera.top - halfHeight) < 1e-9);
+  assert.ok(Math.abs(camera.right - halfHeight * 640 / 480) < 1e-9);
+
+  setCameraInput(viewer, 'camera-orthographic', false);
+  assert.strictEqual(viewer.renderer.lastCamera.isPerspectiveCamera, true);
+});
+
+test('follow mode keeps the camera on the chosen element', async (t) => {
+  const viewer = await initViewer(t, {elements: [
+    {itemType: 'Moon', geometry: 'SphereGeometry', geometryConfig: [1],
+        transformations: [{type: 'orbit', radius: 5, period: 4}]},
+  ]});
+  const id = viewer.getState().elements[0].id;
+  const moonPosition = () => viewer.renderer.lastScene.getObjectByProperty(
+      'type', 'Mesh').getWorldPosition(new viewer.THREE.Vector3());
+
+  assert.deepStrictEqual(Array.from(viewer.byId('camera-follow').options,
+      (option) => option.textContent), ['Nothing', 'Moon']);
+
+  setCameraInput(viewer, 'camera-follow', id);
+  viewer.runFrame(0);
+  viewer.runFrame(600);
+
+  const camera = viewer.renderer.lastCamera;
+  assertVectorClose(camera.position.clone().sub(moonPosition()), [0, 0, 25]);
+
+  // The camera tracks the element as it moves
+  viewer.byId('buttonStep frame').click();
+  viewer.byId('buttonStep frame').click();
+  assertVectorClose(camera.position.clone().sub(moonPosition()), [0, 0, 25]);
+
+  // And returns to the center once it's gone
+  viewer.module.removeSceneElement(id);
+  assert.strictEqual(viewer.byId('camera-follow').value, '');
+  viewer.runFrame(1000);
+  viewer.runFrame(1600);
+  assertVectorClose(camera.position, [0, 0, 25]);
+});
+
+test('field of view and clipping planes are adjustable', async (t) => {
+  const viewer = await initViewer(t);
+
+  setCameraInput(viewer, 'camera-fov', '60');
+  setCameraInput(viewer, 'camera-far', '200');
+
+  const camera = viewer.renderer.lastCamera;
+  assert.strictEqual(camera.fov, 60);
+  assert.strictEqual(camera.far, 200);
+  assert.ok(Math.abs(camera.projectionMatrix.elements[5] -
+      1 / Math.tan(Math.PI / 6)) < 1e-9);
+
+  // Out of range values are flagged and ignored
+  setCameraInput(viewer, 'camera-near', '300');
+  setCameraInput(viewer, 'camera-fov', '180');
+  assert.strictEqual(camera.near, 1);
+  assert.strictEqual(camera.fov, 60);
+  assert.ok(viewer.byId('camera-near').classList.contains('invalid-input'));
+  assert.ok(viewer.byId('camera-fov').classList.contains('invalid-input'));
+
+  setCameraInput(viewer, 'camera-near', '0.5');
+  assert.strictEqual(camera.near, 0.5);
+  assert.ok(!viewer.byId('camera-near').classList.contains('invalid-input'));
+});
+
+/**
+ * Sets the export panel's inputs and presses one of its buttons.
+ */
+async function runExport(viewer, button, settings = {}) {
+  Object.keys(settings).forEach((id) => {
+    viewer.byId(id).value = settings[id];
+  });
+  viewer.byId(button).click();
+  await viewer.settle();
+}
+
+test('save screenshot exports the current frame as PNG', async (t) => {
+  const viewer = await initViewer(t, undefined, {responsive: false});
+  const frame = viewer.renderer.lastFrame;
+
+  await runExport(viewer, 'buttonSave screenshot');
+  await runExport(viewer, 'buttonSave screenshot', {'export-scale': '2'});
+
+  assert.deepStrictEqual(viewer.downloads.map((item) => item.fileName),
+      ['project-three-screenshot.png', 'project-three-screenshot.png']);
+  assert.strictEqual(viewer.downloads[0].blob.type, 'image/png');
+  assert.strictEqual(viewer.downloads[0].blob.frame, frame);
+  assert.deepStrictEqual(JSON.parse(viewer.downloads[1].blob.frame).size,
+      [1280, 960]);
+
+  // The canvas returns to its usual resolution afterwards
+  assert.deepStrictEqual(viewer.renderer.size, [640, 480]);
+});
+
+test('frame sequence export is deterministic', async (t) => {
+  const exportFrames = async () => {
+    const viewer = await initViewer(t, undefined, {seed: 42});
+
+    await runExport(viewer, 'buttonExport frames', {
+      'export-frame-count': '4',
+      'export-frame-rate': '30',
+    });
+
+    return viewer;
+  };
+  const first = await exportFrames();
+  const second = await exportFrames();
+  const frames = first.downloads.map((item) => item.blob.frame);
+
+  assert.deepStrictEqual(first.downloads.map((item) => item.fileName), [
+    'project-three-frame-0001.png',
+    'project-three-frame-0002.png',
+    'project-three-frame-0003.png',
+    'project-three-frame-0004.png',
+  ]);
+  assert.strictEqual(new Set(frames).size, 4);
+  assert.deepStrictEqual(second.downloads.map((item) => item.blob.frame),
+      frames);
+  assert.deepStrictEqual(second.getState(), first.getState());
+
+  // Each frame at 30 fps advances the animation by two 60 Hz frames
+  assert.strictEqual(first.getState().elements[0].rotation[1], 0.01 * 2 * 3);
+});
+
+test('frame sequence export suspends and resumes the animation',
+    async (t) => {
+  const viewer = await initViewer(t);
+
+  viewer.byId('buttonStart animation').click();
+  viewer.runFrame(0);
+  await runExport(viewer, 'buttonExport frames',
+      {'export-frame-count': '2'});
+
+  assert.strictEqual(viewer.downloads.length, 2);
+  assert.strictEqual(viewer.getState().isSceneAnimated, true);
+  assert.strictEqual(viewer.frameCallbacks.length, 1);
+});
+
+test('WebM export reports missing browser support', async (t) => {
+  const viewer = await initViewer(t);
+
+  await runExport(viewer, 'buttonExport WebM');
+  assert.deepStrictEqual(viewer.notifications(),
+      ['Sorry, this browser cannot record WebM video.']);
+  assert.strictEqual(viewer.downloads.length, 0);
+});
+
+// A ball orbiting through a post, and a pea sitting inside a shell
+const CLIPPING_SCENE = {
+  elements: [
+    {itemType: 'Post', geometry: 'SphereGeometry',
+        geometryConfig: [1, 16, 16], positionCoords: [3, 0, 0]},
+    {itemType: 'Ball', geometry: 'SphereGeometry',
+        geometryConfig: [0.5, 16, 16], positionCoords: [0, 0, 0],
+        transformations: [{type: 'orbit', radius: 3, period: 2}]},
+    {itemType: 'Shell', geometry: 'BoxGeometry', geometryConfig: [2, 2, 2],
+        positionCoords: [-10, 0, 0]},
+    {itemType: 'Pea', geometry: 'BoxGeometry',
+        geometryConfig: [0.2, 0.2, 0.2], positionCoords: [-10, 0, 0]},
+  ],
+};
+
+function range(start, end) {
+  return Array.from({length: end - start + 1}, (value, i) => start + i);
+}
+
+function clippingOutlines(viewer) {
+  return viewer.renderer.lastScene.children.filter(
+      (child) => child instanceof viewer.THREE.BoxHelper);
+}
+
+test('the built-in shapes pass through the torus without clipping', (t) => {
+  const viewer = createViewer();
+  t.after(viewer.close);
+
+  const report = viewer.module.checkClipping();
+
+  assert.strictEqual(report.hasClipping, false);
+  assert.strictEqual(report.frameCount, Math.ceil(2 * Math.PI / 0.01));
+});
+
+test('the clipping check reports clipping pairs and frames', (t) => {
+  const viewer = createViewer();
+  t.after(viewer.close);
+
+  const report = JSON.parse(JSON.stringify(
+      viewer.module.checkClipping(CLIPPING_SCENE)));
+
+  assert.strictEqual(report.hasClipping, true);
+  assert.strictEqual(report.frameCount, 120);
+  assert.deepStrictEqual(report.collisions, [
+    {
+      elements: [
+        {index: 2, id: null, itemType: 'Shell'},
+        {index: 3, id: null, itemType: 'Pea'},
+      ],
+      frames: range(0, 119),
+      frameRanges: '0-119',
+    },
+    {
+      elements: [
+        {index: 0, id: null, itemType: 'Post'},
+        {index: 1, id: null, itemType: 'Ball'},
+      ],
+      frames: range(21, 39),
+      frameRanges: '21-39',
+    },
+  ]);
+
+  // Fewer frames may be checked by stepping further between them
+  assert.deepStrictEqual([...viewer.module.checkClipping(CLIPPING_SCENE,
+      {frameStep: 10}).collisions[1].frames], [3]);
+});
+
+test('the clipping panel lists results and outlines clipping pairs',
+    async (t) => {
+  const viewer = await initViewer(t, CLIPPING_SCENE);
+  const ball = viewer.getState().elements[1];
+
+  viewer.byId('buttonStart animation').click();
+  viewer.byId('buttonCheck clipping').click();
+
+  const buttons = Array.from(viewer.document.querySelectorAll(
+      '#clipping-results button'), (button) => button.textContent);
+  assert.deepStrictEqual(buttons,
+      ['Shell / Pea: 0-119', 'Post / Ball: 21-39']);
+
+  // The live scene is left untouched by the check
+  assert.deepStrictEqual(viewer.getState().elements[1], ball);
+
+  viewer.byId('buttonPost / Ball: 21-39').click();
+
+  const helpers = clippingOutlines(viewer);
+  assert.strictEqual(viewer.getState().isSceneAnimated, false);
+  assert.strictEqual(helpers.length, 2);
+  assert.strictEqual(viewer.getState().elements[1].time, 21 / 60);
+
+  // A clean check clears the outlines
+  viewer.module.removeSceneElement(viewer.getState().elements[3].id);
+  viewer.module.removeSceneElement(viewer.getState().elements[1].id);
+  viewer.byId('buttonCheck clipping').click();
+  assert.strictEqual(viewer.byId('clipping-results').textContent,
+      'No clipping found (1 frames checked)');
+  assert.strictEqual(clippingOutlines(viewer).length, 0);
+});
+
+test('the clipping check script runs headlessly in Node', (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'clipping-'));
+  const file = path.join(directory, 'scene.json');
+  t.after(() => fs.rmSync(directory, {recursive: true}));
+
+  fs.writeFileSync(file, JSON.stringify(CLIPPING_SCENE));
+
+  const result = childProcess.spawnSync(process.execPath,
+      [path.join(__dirname, '..', 'scripts', 'check-clipping.js'), file],
+      {encoding: 'utf8', timeout: 60000});
+
+  assert.strictEqual(result.status, 1);
+  assert.deepStrictEqual(result.stdout.trim().split('\n'), [
+    'Checked 120 frames (2.00 s period)',
+    'Shell [2] / Pea [3] clip in frames 0-119',
+    'Post [0] / Ball [1] clip in frames 21-39',
+  ]);
+});
+
+// A floor that doesn't bounce, to isolate the restitution of what lands on it
+const PHYSICS_FLOOR = {itemType: 'Floor', geometry: 'BoxGeometry',
+    geometryConfig: [5, 0.5, 5], isStatic: true, restitution: 0};
+
+function physicsBall(restitution) {
+  return {itemType: 'Ball', geometry: 'SphereGeometry',
+      geometryConfig: [1, 16, 16], positionCoords: [0, 4, 0],
+      restitution: restitution};
+}
+
+/**
+ * Asserts that a position array lies within resting slop of the expected one.
+ */
+function assertRestingAt(position, expected) {
+  position.forEach((value, i) => {
+    assert.ok(Math.abs(value - expected[i]) < 0.02,
+        `${position} != ${expected}`);
+  });
+}
+
+/**
+ * Returns the highest a ball dropped on the floor climbs after first landing,
+ * 0.75 s in, by sampling headless runs of increasing length.
+ */
+function bounceHeight(viewer, restitution) {
+  const scene = {elements: [PHYSICS_FLOOR, physicsBall(restitution)]};
+  let height = 0;
+
+  for (let duration = 0.8; duration < 1.6; duration += 0.05) {
+    height = Math.max(height, viewer.module.simulatePhysics(scene,
+        {duration}).elements[1].position[1]);
+  }
+
+  return height;
+}
+
+test('physics settles shapes on the floor and on each other', (t) => {
+  const viewer = createViewer();
+  t.after(viewer.close);
+
+  const cube = {geometry: 'BoxGeometry', geometryConfig: [1, 1, 1]};
+  const report = viewer.module.simulatePhysics({elements: [PHYSICS_FLOOR,
+    Object.assign(physicsBall(0.5), {positionCoords: [1, 4, 0]}),
+    Object.assign({itemType: 'Base', positionCoords: [-1.5, 1, 0]}, cube),
+    Object.assign({itemType: 'Top', positionCoords: [-1.3, 2.2, 0]}, cube),
+  ]}, {duration: 3});
+
+  assert.strictEqual(report.stepCount, 360);
+  assert.strictEqual(report.isSettled, true);
+  [[0, 0, 0], [1, 1.25, 0], [-1.5, 0.75, 0], [-1.3, 1.75, 0]].forEach(
+      (expected, i) => assertRestingAt(report.elements[i].position, expected));
+
+  // The bouncier the ball, the higher it climbs after landing
+  const heightsByRestitution = [0, 0.5, 0.9].map((restitution) =>
+    bounceHeight(viewer, restitution));
+
+  assert.ok(heightsByRestitution[0] < 1.26);
+  assert.ok(heightsByRestitution[1] > 1.5);
+  assert.ok(heightsByRestitution[2] > heightsByRestitution[1] + 1);
+
+  assert.throws(() => viewer.module.simulatePhysics({elements: [
+    physicsBall(2)]}), /Invalid physics property: restitution/);
+});
+
+test('headless physics runs are deterministic', (t) => {
+  const viewer = createViewer();
+  t.after(viewer.close);
+
+  const run = (seed) => JSON.stringify(viewer.module.simulatePhysics(null,
+      {duration: 2, drop: true, seed}));
+
+  assert.strictEqual(run(7), run(7));
+  assert.notStrictEqual(run(7), run(8));
+});
+
+test('the physics panel starts, drops and resets the shapes', async (t) => {
+  const viewer = await initViewer(t, {elements: [PHYSICS_FLOOR,
+    physicsBall(0)]});
+  const ball = () => worldPositions(viewer)[1];
+
+  viewer.byId('buttonStart physics').click();
+  assert.strictEqual(viewer.getState().isSceneAnimated, true);
+
+  runFrames(viewer, 90);
+  assertRestingAt(ball(), [0, 1.25, 0]);
+
+  viewer.byId('buttonStart physics').click();
+  assert.deepStrictEqual(viewer.notifications(),
+      ['Physics is already running.']);
+
+  // Dropping lifts the ball above the floor again, to land once more
+  viewer.byId('buttonDrop objects').click();
+  assert.strictEqual(ball()[1], 3);
+  runFrames(viewer, 90);
+  assert.ok(Math.abs(ball()[1] - 1.25) < 0.02);
+
+  viewer.byId('buttonReset physics').click();
+  runFrames(viewer, 1);
+  assert.deepStrictEqual(ball(), [0, 4, 0]);
+
+  viewer.byId('buttonReset physics').click();
+  assert.deepStrictEqual(viewer.notifications().slice(-1),
+      ['Physics is not currently running.']);
+
+  // Unchecked shapes are held still, and added ones join in
+  checkBoxByLabel(viewer, 'Ball').click();
+  viewer.byId('buttonStart physics').click();
+  viewer.module.addSceneElement(Object.assign(physicsBall(0),
+      {itemType: 'Pebble', geometryConfig: [0.3, 8, 8],
+        positionCoords: [1, 2, 0]}));
+  runFrames(viewer, 90);
+  assert.deepStrictEqual(ball(), [0, 4, 0]);
+  assertRestingAt(worldPositions(viewer)[2], [1, 0.55, 0]);
+});
+
+test('notifications queue, dismiss themselves, and can be dismissed',
+    async (t) => {
+  const viewer = await initViewer(t);
+  const timers = [];
+
+  viewer.window.setTimeout = (callback, delay) => timers.push({callback,
+      delay});
+  viewer.byId('buttonStart animation').click();
+  ['Step frame', 'Step frame', 'Step frame', 'Copy permalink'].forEach(
+      (button) => viewer.byId(`button${button}`).click());
+
+  // Only three are shown at once, the fourth waiting its turn
+  const holder = viewer.byId('notification-holder');
+  assert.deepStrictEqual(viewer.notifications(), [
+    'Animation must be stopped before stepping.',
+    'Animation must be stopped before stepping.',
+    'Animation must be stopped before stepping.',
+  ]);
+  assert.strictEqual(holder.firstElementChild.getAttribute('role'), 'alert');
+  assert.ok(holder.firstElementChild.classList.contains('notification-error'));
+
+  holder.querySelector('.notification-close').click();
+  assert.strictEqual(viewer.notifications().length, 3);
+  assert.match(viewer.notifications()[2],
+      /^Permalink copied to the address bar:\nhttp:\/\/localhost\/#state=/);
+  assert.ok(!holder.lastElementChild.classList.contains('notification-error'));
+
+  // Each dismisses itself once its time is up
+  assert.ok(timers.every((timer) => timer.delay === 4000));
+  timers.forEach((timer) => timer.callback());
+  assert.deepStrictEqual(viewer.notifications(), []);
+  assert.deepStrictEqual(viewer.alerts, []);
+});
+
+test('the help overlay lists controls and closes with Esc', async (t) => {
+  const viewer = await initViewer(t);
+  const overlay = viewer.byId('help-overlay');
+  const rows = () => Array.from(overlay.querySelectorAll('tr'),
+      (row) => row.textContent);
+
+  assert.strictEqual(overlay.hidden, true);
+  viewer.pressKey('Slash', '?');
+  assert.strictEqual(overlay.hidden, false);
+  assert.ok(rows().includes('Left arrowRotate left'));
+  assert.ok(rows().includes('?About'));
+  assert.ok(rows().includes('Right-drag or two-finger drag to pan scene'));
+
+  // Esc closes the overlay rather than doing anything else
+  const event = viewer.pressKey('Escape');
+  assert.strictEqual(overlay.hidden, true);
+  assert.strictEqual(event.defaultPrevented, true);
+
+  // As do the About button's Close button and clicks beside the panel
+  viewer.byId('buttonAbout').click();
+  assert.strictEqual(overlay.hidden, false);
+  viewer.byId('buttonClose').click();
+  assert.strictEqual(overlay.hidden, true);
+  viewer.byId('buttonAbout').click();
+  overlay.dispatchEvent(new viewer.window.Event('click', {bubbles: true}));
+  assert.strictEqual(overlay.hidden, true);
+  assert.deepStrictEqual(viewer.alerts, []);
+});
+
+test('keys are rebound from the panel, saved, and restored', async (t) => {
+  const viewer = await initViewer(t);
+  const button = (actionName) => viewer.byId(`keyBinding${actionName}`);
+  const turn = () => viewer.getState().model.rotation[1];
+  const helpRows = () => {
+    viewer.pressKey('Slash', '?');
+
+    const rows = Array.from(viewer.byId('help-table').querySelectorAll('tr'),
+        (row) => row.textContent);
+
+    viewer.pressKey('Escape');
+    return rows;
+  };
+
+  assert.strictEqual(button('rotateY-').textContent, 'Left arrow');
+  button('rotateY-').click();
+  assert.strictEqual(button('rotateY-').textContent, 'Press a key...');
+
+  // The next keystroke is bound rather than acted on
+  assert.strictEqual(viewer.pressKey('KeyJ', 'j').defaultPrevented, true);
+  assert.strictEqual(turn(), DEFAULT_STATE.rotation[1]);
+  assert.strictEqual(button('rotateY-').textContent, 'J');
+
+  viewer.pressKey('KeyJ', 'j');
+  assertArrayClose([turn()], [-0.23]);
+  assert.strictEqual(viewer.pressKey('ArrowLeft').defaultPrevented, false);
+  assert.ok(helpRows().includes('JRotate left'));
+  assert.ok(!helpRows().includes('Left arrowRotate left'));
+
+  // A key moves to the last action bound to it, leaving the first unbound
+  button('rotateY+').click();
+  viewer.pressKey('KeyJ', 'j');
+  assert.strictEqual(button('rotateY-').textContent, 'Unbound');
+  assert.strictEqual(button('rotateY+').textContent, 'J');
+  assert.ok(!helpRows().some((row) => row.endsWith('Rotate left')));
+  assert.ok(helpRows().includes('JRotate right'));
+
+  // Bindings persist to the next visit
+  const saved = viewer.window.localStorage.getItem(
+      'project-three-key-bindings');
+  const revisit = createViewer();
+  t.after(revisit.close);
+  revisit.window.localStorage.setItem('project-three-key-bindings', saved);
+  await revisit.init();
+
+  assert.strictEqual(JSON.parse(saved).KeyJ, 'rotateY+');
+  assert.strictEqual(revisit.byId('keyBindingrotateY+').textContent, 'J');
+  revisit.pressKey('KeyJ', 'j');
+  assertArrayClose([revisit.getState().model.rotation[1]], [-0.17]);
+
+  // Restoring the defaults unbinds J again
+  viewer.byId('buttonRestore default keys').click();
+  assert.strictEqual(button('rotateY-').textContent, 'Left arrow');
+  assert.strictEqual(button('rotateY+').textContent, 'Right arrow');
+  assert.strictEqual(viewer.pressKey('KeyJ', 'j').defaultPrevented, false);
+  assert.ok(helpRows().includes('Left arrowRotate left'));
+
+  const restored = JSON.parse(viewer.window.localStorage.getItem(
+      'project-three-key-bindings'));
+  assert.strictEqual(restored.ArrowLeft, 'rotateY-');
+  assert.strictEqual(restored.KeyJ, undefined);
+});
+
+test('start and stop buttons control the animation', async (t) => {
+  const viewer = await initViewer(t);
+
+  viewer.byId('buttonStop animation').click();
+  assert.deepStrictEqual(viewer.notifications(),
+      ['Animation is not currently running.']);
+
+  viewer.byId('buttonStart animation').click();
+  assert.strictEqual(viewer.getState().isSceneAnimated, true);
+  assert.strictEqual(viewer.frameCallbacks.length, 1);
+
+  viewer.byId('buttonStart animation').click();
+  assert.strictEqual(viewer.notifications()[1],
+      'Animation is already running.');
+
+  viewer.byId('buttonStop animation').click();
+  viewer.runFrame(0);
+  assert.strictEqual(viewer.getState().isSceneAnimated, false);
+  assert.strictEqual(viewer.frameCallbacks.length, 0);
+});
+
+KEY_TRANSFORMS.forEach(([code, property, axes, amount]) => {
+  test(`${code} transforms the model ${property}`, async (t) => {
+    const viewer = await initViewer(t);
+    const expected = DEFAULT_STATE[property].slice();
+    const renderCount = viewer.renderer.renderCount;
+
+    axes.forEach((axis) => {
+      expected[axis] += amount;
+    });
+
+    assert.strictEqual(viewer.pressKey(code).defaultPrevented, true);
+    assert.deepStrictEqual(viewer.getState().model[property], expected);
+    assert.strictEqual(viewer.renderer.renderCount, renderCount + 1);
+  });
+});
+
+test('the speed slider and reverse button scale the animation',
+    async (t) => {
+  const viewer = await initViewer(t, {elements: [{itemType: 'Spinner',
+    geometry: 'BoxGeometry', transformations: [{rotationAxis: 'y',
+      rotationAmount: 0.01}]}]});
+  const slider = viewer.byId('speed-input');
+  const readout = viewer.byId('speed-output');
+  let timestamp = 1000;
+  let expected = 0;
+
+  // Runs frames 16 ms apart, tallying the turn as handleFrame scales it
+  const runAt = (speed, count) => {
+    for (let i = 0; i < count; i++) {
+      timestamp += 16;
+      viewer.runFrame(timestamp);
+      expected += 0.01 * (16 / (1000 / 60) * speed);
+    }
+
+    assert.deepStrictEqual(viewer.getState().elements[0].rotation,
+        [0, expected, 0]);
+  };
+
+  assert.strictEqual(readout.textContent, '1x');
+  slider.value = '2';
+  slider.dispatchEvent(new viewer.window.Event('input'));
+  assert.strictEqual(readout.textContent, '2x');
+  assert.strictEqual(viewer.getState().animationSpeed, 2);
+
+  viewer.byId('buttonStart animation').click();
+  viewer.runFrame(timestamp);
+  runAt(2, 30);
+
+  // Reversing negates the speed, winding the element back
+  viewer.byId('buttonReverse animation').click();
+  assert.strictEqual(readout.textContent, '-2x');
+  assert.strictEqual(slider.value, '-2');
+  runAt(-2, 20);
+
+  slider.value = '-1';
+  slider.dispatchEvent(new viewer.window.Event('input'));
+  runAt(-1, 10);
+
+  // Net of 60 - 40 - 10 frames of 16 ms, each 0.96 of a 60 Hz frame
+  assertArrayClose([expected], [0.096]);
+
+  // Stepping follows the direction of the animation
+  viewer.byId('buttonStop animation').click();
+  viewer.byId('buttonStep frame').click();
+  expected += 0.01 * -1;
+  assert.deepStrictEqual(viewer.getState().elements[0].rotation,
+      [0, expected, 0]);
+});
+
+test('unbound keys are left alone', async (t) => {
+  const viewer = await initViewer(t);
+
+  assert.strictEqual(viewer.pressKey('KeyQ', 'q').defaultPrevented, false);
+  assert.deepStrictEqual(viewer.getState().model, DEFAULT_STATE);
+});
+
+test('reset button restores the default transforms', async (t) => {
+  const viewer = await initViewer(t);
+
+  ['ArrowLeft', 'ArrowDown', 'KeyR', 'KeyD', 'KeyX'].forEach(
+      (code) => viewer.pressKey(code));
+  assert.notDeepStrictEqual(viewer.getState().model, DEFAULT_STATE);
+
+  viewer.byId('buttonReset model').click();
+  assert.deepStrictEqual(viewer.getState().model, DEFAULT_STATE);
+});
+
+/**
+ * Moves a viewer away from its starting state: the elements are turned by a
+ * second of animation, the model transformed, the speed changed, and the Box
+ * and Red Light switched off. Returns the resulting state.
+ */
+function changeViewerState(viewer) {
+  viewer.byId('buttonStart animation').click();
+  runFrames(viewer, 60);
+  viewer.byId('buttonStop animation').click();
+  ['ArrowLeft', 'KeyR', 'KeyD'].forEach((code) => viewer.pressKey(code));
+  viewer.module.setState(Object.assign(viewer.getState(),
+      {animationSpeed: 2}));
+  checkBoxByLabel(viewer, 'Box').click();
+  checkBoxByLabel(viewer, 'Red Light').click();
+  return viewer.getState();
+}
+
+function assertSwitchedOff(viewer, labels) {
+  ELEMENT_LABELS.concat(LIGHT_LABELS).forEach((label) =>
+    assert.strictEqual(checkBoxByLabel(viewer, label).checked,
+        !labels.includes(label), label));
+}
+
+test('snapshots are saved to and restored from a file', async (t) => {
+  const viewer = await initViewer(t);
+  const state = changeViewerState(viewer);
+  let picker = null;
+
+  viewer.byId('buttonSave snapshot').click();
+  assert.deepStrictEqual(viewer.downloads.map((item) => item.fileName),
+      ['project-three-snapshot.json']);
+  assert.strictEqual(viewer.downloads[0].blob.type, 'application/json');
+
+  // Undo every change, then load the saved file back in
+  viewer.byId('buttonReset model').click();
+  checkBoxByLabel(viewer, 'Box').click();
+  checkBoxByLabel(viewer, 'Red Light').click();
+  viewer.byId('buttonStart animation').click();
+  runFrames(viewer, 30);
+  assert.notDeepStrictEqual(viewer.getState(), state);
+
+  // Checkboxes are clicked while restoring, so only the picker is held back
+  const click = viewer.window.HTMLInputElement.prototype.click;
+
+  viewer.window.HTMLInputElement.prototype.click = function () {
+    if (this.type === 'file') {
+      picker = this;
+    } else {
+      click.call(this);
+    }
+  };
+  viewer.byId('buttonLoad snapshot').click();
+  Object.defineProperty(picker, 'files', {value: [new viewer.window.File(
+      [viewer.downloads[0].blob], 'project-three-snapshot.json')]});
+  picker.dispatchEvent(new viewer.window.Event('change'));
+  await waitFor(() => !viewer.getState().isSceneAnimated);
+
+  assert.deepStrictEqual(viewer.getState(), state);
+  assertSwitchedOff(viewer, ['Box', 'Red Light']);
+
+  // Malformed files are refused outright
+  viewer.byId('buttonLoad snapshot').click();
+  Object.defineProperty(picker, 'files', {value: [new viewer.window.File(
+      ['{"version": 1}'], 'broken.json')]});
+  picker.dispatchEvent(new viewer.window.Event('change'));
+  await waitFor(() => viewer.notifications().length === 1);
+  assert.deepStrictEqual(viewer.notifications(),
+      ['Sorry, this snapshot could not be restored.']);
+  assert.deepStrictEqual(viewer.getState(), state);
+});
+
+test('permalinks restore the viewer state on load', async (t) => {
+
+  // Seeded alike, so that the reopened viewer generates the same ids
+  const viewer = await initViewer(t, undefined, {seed: 3});
+  const state = changeViewerState(viewer);
+
+  viewer.byId('buttonCopy permalink').click();
+
+  const reopened = createViewer({url: viewer.window.location.href});
+  t.after(reopened.close);
+  await reopened.init(undefined, {seed: 3});
+
+  assert.deepStrictEqual(reopened.getState(), state);
+  assertSwitchedOff(reopened, ['Box', 'Red Light']);
+
+  // A mangled permalink leaves the default view in place
+  const mangled = createViewer({url: 'http://localhost/#state=%7Bnope'});
+  t.after(mangled.close);
+  await mangled.init();
+  assert.deepStrictEqual(mangled.getState().model, DEFAULT_STATE);
+});
+
+test('sessions are saved on unload and restored if enabled', async (t) => {
+  const viewer = await initViewer(t, undefined,
+      {restoreSession: true, seed: 3});
+  const state = changeViewerState(viewer);
+  const reload = async (options) => {
+    const reloaded = createViewer();
+
+    t.after(reloaded.close);
+    reloaded.window.localStorage.setItem('project-three-session',
+        viewer.window.localStorage.getItem('project-three-session'));
+    await reloaded.init(undefined, options);
+    return reloaded;
+  };
+
+  assert.strictEqual(viewer.window.localStorage.length, 0);
+  viewer.window.dispatchEvent(new viewer.window.Event('beforeunload'));
+  assert.deepStrictEqual(JSON.parse(viewer.window.localStorage.getItem(
+      'project-three-session')), state);
+
+  const restored = await reload({restoreSession: true, seed: 3});
+  assert.deepStrictEqual(restored.getState(), state);
+  assertSwitchedOff(restored, ['Box', 'Red Light']);
+
+  // Saved sessions are ignored unless the option is set
+  const ignored = await reload();
+  assert.deepStrictEqual(ignored.getState().model, DEFAULT_STATE);
+  assertSwitchedOff(ignored, []);
+});
+
+/**
+ * Returns the heading and details of the startup error message shown in place
+ * of the viewer.
+ */
+function startupError(viewer) {
+  const details = viewer.document.querySelector('#container .error-details');
+
+  return [viewer.document.querySelector('#container h3').textContent,
+    details && details.textContent];
+}
+
+/**
+ * Replaces canvas contexts for the duration of a test, as jsdom implements
+ * none. Calls to the returned 2D context are recorded by method name.
+ */
+function stubCanvasContexts(t, viewer, getContext) {
+  const prototype = viewer.window.HTMLCanvasElement.prototype;
+  const original = prototype.getContext;
+
+  prototype.getContext = getContext;
+  t.after(() => {
+    prototype.getContext = original;
+  });
+}
+
+function recordingContext() {
+  const context = {calls: {}, strokeStyles: []};
+
+  ['fillRect', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'stroke']
+      .forEach((method) => {
+        context.calls[method] = 0;
+        context[method] = () => {
+          context.calls[method]++;
+
+          if (method === 'stroke') {
+            context.strokeStyles.push(context.strokeStyle);
+          }
+        };
+      });
+
+  return context;
+}
+
+/**
+ * Appends an empty element with the inputted id to the body, in which to
+ * mount a viewer.
+ */
+function mountPoint(viewer, id) {
+  const mount = viewer.document.createElement('div');
+
+  mount.id = id;
+  viewer.document.body.appendChild(mount);
+  return mount;
+}
+
+/**
+ * Dispatches a keydown event from within a mounted viewer's container, as
+ * happens when the viewer has focus.
+ */
+function pressMountedKey(mount, code) {
+  const container = mount.shadowRoot.getElementById('container');
+  const event = new container.ownerDocument.defaultView.KeyboardEvent(
+      'keydown', {code, key: code, bubbles: true, cancelable: true,
+        composed: true});
+
+  container.focus();
+  container.dispatchEvent(event);
+  return event;
+}
+
+test('create mounts independent viewers in shadow roots', async (t) => {
+  const viewer = createViewer();
+  t.after(viewer.close);
+
+  const left = mountPoint(viewer, 'left');
+  const right = mountPoint(viewer, 'right');
+  const [leftViewer, rightViewer] = await Promise.all([
+    viewer.create(left, {responsive: true, scene: {elements: [{
+      itemType: 'Ball', geometry: 'SphereGeometry',
+      geometryConfig: [1, 8, 8]}]}}),
+    viewer.create(right),
+  ]);
+
+  // Each has its own DOM, with the usual ids, and nothing leaks to the page
+  assert.strictEqual(viewer.byId('container'), null);
+  [left, right].forEach((mount) => {
+    const container = mount.shadowRoot.getElementById('container');
+
+    assert.notStrictEqual(container, null);
+    assert.ok(container.classList.contains('mounted-layout'));
+    assert.strictEqual(container.tabIndex, 0);
+    assert.strictEqual(mount.shadowRoot.getElementById('buttonCopy permalink'),
+        null);
+  });
+
+  // Each has its own scene data and options
+  assert.strictEqual(leftViewer.getState().elements.length, 1);
+  assert.strictEqual(rightViewer.getState().elements.length, 6);
+  assert.ok(left.shadowRoot.getElementById('container').classList.contains(
+      'responsive-layout'));
+  assert.ok(!right.shadowRoot.getElementById('container').classList.contains(
+      'responsive-layout'));
+
+  // Scene changes stay within their viewer
+  leftViewer.addSceneElement({itemType: 'Cube', geometry: 'BoxGeometry'});
+  assert.strictEqual(leftViewer.getState().elements.length, 2);
+  assert.strictEqual(rightViewer.getState().elements.length, 6);
+
+  // Sidebar controls act on their own viewer
+  left.shadowRoot.getElementById('buttonStart animation').click();
+  assert.strictEqual(viewer.frameCallbacks.length, 1);
+  assert.deepStrictEqual(viewer.notifications(), []);
+  right.shadowRoot.getElementById('buttonStop animation').click();
+  assert.strictEqual(right.shadowRoot.querySelector(
+      '#notification-holder .notification-text').textContent,
+      'Animation is not currently running.');
+});
+
+test('mounted viewers take keystrokes only while focused', async (t) => {
+  const viewer = await initViewer(t);
+  const mount = mountPoint(viewer, 'mounted');
+  const mounted = await viewer.create(mount);
+  const model = (state) => JSON.parse(JSON.stringify(state.model));
+
+  // Keystrokes elsewhere on the page go to the main viewer alone
+  viewer.pressKey('ArrowLeft');
+  assert.notDeepStrictEqual(viewer.getState().model, DEFAULT_STATE);
+  assert.deepStrictEqual(model(mounted.getState()), DEFAULT_STATE);
+
+  viewer.byId('buttonReset model').click();
+
+  // Keystrokes in the focused mounted viewer go to it alone
+  const event = pressMountedKey(mount, 'ArrowLeft');
+
+  assert.ok(event.defaultPrevented);
+  assert.strictEqual(mount.shadowRoot.activeElement,
+      mount.shadowRoot.getElementById('container'));
+  assert.notDeepStrictEqual(model(mounted.getState()), DEFAULT_STATE);
+  assert.deepStrictEqual(viewer.getState().model, DEFAULT_STATE);
+});
+
+test('create refuses elements that cannot host a viewer', async (t) => {
+  const viewer = createViewer();
+  t.after(viewer.close);
+
+  const mount = mountPoint(viewer, 'mounted');
+
+  await viewer.create(mount);
+  assert.throws(() => viewer.module.create(mount),
+      /Viewers must be mounted in an element not hosting one yet/);
+  assert.throws(() => viewer.module.create(null), viewer.window.TypeError);
+});
+
+test('destroy cancels frames and timers, removes listeners and disposes',
+    async (t) => {
+  const viewer = await initViewer(t);
+  const cancelled = [];
+  const cleared = [];
+  const disposed = new Set();
+  const THREE = viewer.THREE;
+
+  viewer.window.cancelAnimationFrame = (id) => cancelled.push(id);
+  viewer.window.clearTimeout = (id) => cleared.push(id);
+  [THREE.Geometry, THREE.BufferGeometry, THREE.Material].forEach((type) => {
+    type.prototype.dispose = function () {
+      disposed.add(this);
+    };
+  });
+
+  // A running animation, camera transition, and pending notification
+  viewer.byId('buttonStart animation').click();
+  viewer.byId('buttonTop').click();
+  viewer.byId('buttonStop animation').click();
+  viewer.byId('buttonStop animation').click();
+  assert.strictEqual(viewer.notifications().length, 1);
+
+  const renderer = viewer.renderer;
+  const meshes = [];
+
+  renderer.lastScene.traverse((object) => {
+    if (object.isMesh) {
+      meshes.push(object);
+    }
+  });
+  renderer.dispose = () => {
+    renderer.isDisposed = true;
+  };
+
+  viewer.module.destroy();
+
+  assert.strictEqual(cancelled.length, 2);
+  assert.strictEqual(cleared.length, 1);
+  assert.ok(renderer.isDisposed);
+  assert.strictEqual(meshes.length, 6);
+  meshes.forEach((mesh) => {
+    assert.ok(disposed.has(mesh.geometry));
+    assert.ok(disposed.has(mesh.material));
+  });
+
+  // The DOM is gone, and keystrokes and resizes no longer reach the viewer
+  assert.strictEqual(viewer.byId('container'), null);
+  assert.strictEqual(viewer.document.body.children.length, 0);
+
+  const renders = renderer.renderCount;
+
+  viewer.pressKey('ArrowLeft');
+  viewer.document.dispatchEvent(new viewer.window.Event('fullscreenchange'));
+  viewer.document.dispatchEvent(new viewer.window.Event('visibilitychange'));
+  assert.strictEqual(renderer.renderCount, renders);
+  assert.throws(() => viewer.module.removeSceneElement('Torus1'),
+      /Scene has not been initialized yet/);
+
+  // Destroying twice is harmless
+  viewer.module.destroy();
+});
+
+test('destroy abandons exports and texture loads under way', async (t) => {
+  const viewer = await initViewer(t);
+  const renderer = viewer.renderer;
+  const rejections = [];
+  const loads = [];
+  const onRejection = (reason) => rejections.push(reason);
+
+  process.on('unhandledRejection', onRejection);
+  t.after(() => process.off('unhandledRejection', onRejection));
+  viewer.THREE.TextureLoader.prototype.load = (url, onLoad, onProgress,
+      onError) => {
+    loads.push({onLoad, onError});
+    return new viewer.THREE.Texture();
+  };
+  viewer.module.addSceneElement({itemType: 'Tile', geometry: 'PlaneGeometry',
+      meshMaterial: 'MeshStandardMaterial', textures: {map: 'floor.png'}});
+
+  viewer.byId('export-frame-count').value = '3';
+  viewer.byId('buttonExport frames').click();
+
+  const renders = renderer.renderCount;
+
+  viewer.module.destroy();
+
+  for (let i = 0; i < 5; i++) {
+    await viewer.settle();
+  }
+
+  loads[0].onLoad();
+  loads[0].onError();
+
+  assert.strictEqual(renderer.renderCount, renders);
+  assert.strictEqual(viewer.downloads.length, 0);
+  assert.deepStrictEqual(rejections, []);
+});
+
+test('a destroyed mounted viewer frees its element for reuse', async (t) => {
+  const viewer = createViewer();
+  t.after(viewer.close);
+
+  const mount = mountPoint(viewer, 'mounted');
+  const first = await viewer.create(mount);
+
+  first.destroy();
+  assert.strictEqual(mount.shadowRoot.childNodes.length, 0);
+
+  const second = await viewer.create(mount);
+
+  assert.strictEqual(second.getState().elements.length, 6);
+  assert.strictEqual(mount.shadowRoot.querySelectorAll('#container').length,
+      1);
+});
+
+test('pause and resume suspend the animation, also while hidden',
+    async (t) => {
+  const viewer = await initViewer(t);
+  const renderer = viewer.renderer;
+  let isHidden = false;
+
+  Object.defineProperty(viewer.document, 'hidden', {get: () => isHidden});
+
+  const setHidden = (hidden) => {
+    isHidden = hidden;
+    viewer.document.dispatchEvent(
+        new viewer.window.Event('visibilitychange'));
+  };
+
+  // Frames requested before pausing do nothing when they arrive
+  viewer.byId('buttonStart animation').click();
+  viewer.module.pause();
+  viewer.runFrame(16);
+  assert.strictEqual(viewer.frameCallbacks.length, 0);
+
+  viewer.module.resume();
+  assert.strictEqual(viewer.frameCallbacks.length, 1);
+  viewer.runFrame(32);
+  assert.strictEqual(viewer.frameCallbacks.length, 1);
+
+  // Hiding the page pauses, and showing it again resumes
+  setHidden(true);
+  const renders = renderer.renderCount;
+
+  viewer.runFrame(48);
+  assert.strictEqual(renderer.renderCount, renders);
+  assert.strictEqual(viewer.frameCallbacks.length, 0);
+  setHidden(false);
+  assert.strictEqual(viewer.frameCallbacks.length, 1);
+
+  // A pause by the caller outlasts the page being hidden and shown
+  viewer.module.pause();
+  setHidden(true);
+  setHidden(false);
+  assert.strictEqual(viewer.frameCallbacks.length, 0);
+  viewer.module.resume();
+  assert.strictEqual(viewer.frameCallbacks.length, 1);
+
+  // A stopped animation stays stopped on resuming
+  viewer.byId('buttonStop animation').click();
+  viewer.runFrame(64);
+  viewer.module.pause();
+  viewer.module.resume();
+  assert.strictEqual(viewer.frameCallbacks.length, 0);
+});
+
+test('events report frames, toggles and model transforms', async (t) => {
+  const viewer = await initViewer(t);
+  const events = [];
+  const record = (name) => viewer.module.on(name,
+      (details) => events.push([name, JSON.parse(JSON.stringify(details))]));
+  const state = viewer.getState();
+
+  ['frame', 'elementToggled', 'lightToggled', 'modelTransformed'].forEach(
+      record);
+
+  viewer.byId('buttonStart animation').click();
+  viewer.runFrame(1000);
+  assert.deepStrictEqual(events.pop(), ['frame',
+      {timestamp: 1000, frames: 0}]);
+
+  viewer.byId('buttonStop animation').click();
+  events.length = 0;
+  checkBoxByLabel(viewer, 'Torus').click();
+  checkBoxByLabel(viewer, 'Red Light').click();
+  assert.deepStrictEqual(events.splice(0), [
+    ['elementToggled', {id: state.elements[5].id, isAnimated: false}],
+    ['lightToggled', {id: state.lights[0].id, isAnimated: false}],
+  ]);
+
+  viewer.pressKey('ArrowLeft');
+  viewer.byId('buttonReset model').click();
+  assert.deepStrictEqual(events.map(([name, details]) => [name,
+      details.source, details.model.rotation]), [
+    ['modelTransformed', 'keyboard', [0.4, -0.23, 0]],
+    ['modelTransformed', 'reset', DEFAULT_STATE.rotation],
+  ]);
+
+  // Removed handlers hear nothing more, and misspelled events are refused
+  const frames = [];
+  const onFrame = (details) => frames.push(details.timestamp);
+
+  viewer.module.on('frame', onFrame);
+  viewer.byId('buttonStart animation').click();
+  viewer.runFrame(2000);
+  viewer.module.off('frame', onFrame);
+  viewer.runFrame(2016);
+  assert.deepStrictEqual(frames, [2000]);
+  assert.throws(() => viewer.module.on('frames', () => {}),
+      /Unrecognized event name: frames/);
+});
+
+test('handlers added before init hear ready or error', async (t) => {
+  const viewer = createViewer();
+  t.after(viewer.close);
+
+  const ready = [];
+  viewer.module.on('ready', (details) => ready.push({...details}));
+  viewer.module.on('frame', () => ready.push('frame'));
+  await viewer.init();
+  assert.deepStrictEqual(ready, [{isFallbackRenderer: false}]);
+
+  const failing = createViewer();
+  t.after(failing.close);
+
+  const errors = [];
+  failing.module.on('error', (details) => errors.push(details.message));
+  await failing.init({elements: [{itemType: 'Blob'}]});
+  assert.deepStrictEqual(errors,
+      ['Sorry, the scene description could not be loaded.']);
+});
+
+test('plugins are installed once ready and may add sidebar modules',
+    async (t) => {
+  const viewer = createViewer();
+  t.after(viewer.close);
+
+  const contexts = [];
+  viewer.module.registerPlugin({
+    name: 'early',
+    install: (context) => {
+      contexts.push(context);
+      context.addSidebarModule('Early').textContent = 'Installed';
+    },
+  });
+  assert.strictEqual(contexts.length, 0);
+  await viewer.init();
+
+  const [context] = contexts;
+  const module = viewer.document.querySelector('.plugin-module');
+
+  assert.strictEqual(context.viewer, viewer.module);
+  assert.strictEqual(context.THREE, viewer.THREE);
+  assert.ok(context.scene.children.includes(context.model));
+  assert.strictEqual(context.camera.isPerspectiveCamera, true);
+  assert.strictEqual(module.previousElementSibling.id, 'button-holder');
+  assert.strictEqual(module.nextElementSibling.id, 'speed-holder');
+  assert.strictEqual(module.querySelector('summary').textContent, 'Early');
+  assert.strictEqual(module.querySelector('.plugin-content').textContent,
+      'Installed');
+
+  // Plugins registered later are installed at once
+  const renders = viewer.renderer.renderCount;
+
+  viewer.module.registerPlugin({
+    name: 'late',
+    install: (lateContext) => {
+      lateContext.notify('Late plugin installed');
+      lateContext.render();
+    },
+  });
+  assert.deepStrictEqual(viewer.notifications(), ['Late plugin installed']);
+  assert.strictEqual(viewer.renderer.renderCount, renders + 1);
+});
+
+test('plugins are validated, and failing ones reported', async (t) => {
+  const viewer = await initViewer(t);
+  const errors = [];
+
+  viewer.module.on('error', (details) => errors.push(details.message));
+  assert.throws(() => viewer.module.registerPlugin({name: 'nameless'}),
+      /Plugins need a unique name and an install function/);
+
+  viewer.module.registerPlugin({
+    name: 'broken',
+    install: () => {
+      throw new Error('Broken');
+    },
+  });
+  assert.throws(() => viewer.module.registerPlugin({name: 'broken',
+      install: () => {}}), /unique name/);
+
+  const message = 'Sorry, this plugin could not be installed: broken';
+
+  assert.deepStrictEqual(viewer.notifications(), [message]);
+  assert.deepStrictEqual(errors, [message]);
+
+  // The viewer carries on regardless
+  viewer.pressKey('ArrowLeft');
+  assert.notDeepStrictEqual(viewer.getState().model, DEFAULT_STATE);
+});
+
+test('plugin teardowns are called on destroy', async (t) => {
+  const viewer = await initViewer(t);
+  let teardowns = 0;
+
+  viewer.module.registerPlugin({
+    name: 'tidy',
+    install: () => () => teardowns++,
+  });
+  viewer.module.destroy();
+  viewer.module.destroy();
+  assert.strictEqual(teardowns, 1);
+});
+
+test('main reports an error if the renderer cannot be created', async (t) => {
+  const viewer = await initViewer(t, undefined, {
+    createRenderer: () => {
+      throw new Error('No WebGL');
+    },
+  });
+
+  assert.deepStrictEqual(startupError(viewer),
+      ['Sorry, the renderer could not be created.', 'Error: No WebGL']);
+  assert.strictEqual(viewer.byId('interface-sidebar'), null);
+});
+
+test('main reports a typo in the scene data as a configuration error',
+    async (t) => {
+  const viewer = createViewer();
+  t.after(viewer.close);
+
+  // As though the built-in torus entry named a geometry that does not exist
+  delete viewer.window.THREE.TorusGeometry;
+  await viewer.init();
+
+  const [heading, details] = startupError(viewer);
+
+  assert.strictEqual(heading, 'Sorry, the scene configuration is invalid.');
+  assert.match(details,
+      /^TypeError: Invalid scene description entry: .*"itemType":"Torus"/);
+  assert.strictEqual(viewer.renderer, null);
+});
+
+test('main reports other startup failures as assembly errors', async (t) => {
+  const viewer = await initViewer(t, undefined, {
+    createRenderer: (config) => {
+      const renderer = new StubRenderer(config);
+
+      renderer.render = () => {
+        throw new RangeError('Draw failed');
+      };
+      return renderer;
+    },
+  });
+
+  assert.deepStrictEqual(startupError(viewer),
+      ['Sorry, the viewer could not be assembled.', 'RangeError: Draw failed']);
+});
+
+test('without WebGL the scene is drawn as a wireframe on a 2D canvas',
+    async (t) => {
+  const viewer = createViewer();
+  const context = recordingContext();
+  t.after(viewer.close);
+
+  // jsdom, like some browsers, lacks WebGL entirely
+  assert.strictEqual(viewer.window.WebGLRenderingContext, undefined);
+  stubCanvasContexts(t, viewer, (type) => (type === '2d') ? context : null);
+  await viewer.module.init();
+
+  assert.notStrictEqual(viewer.byId('interface-sidebar'), null);
+  assert.deepStrictEqual(viewer.notifications(), ['WebGL is unavailable, so ' +
+      'a simplified wireframe view is shown instead.\nThis browser does not ' +
+      'support WebGL.']);
+  assert.ok(context.calls.fillRect > 0);
+  assert.strictEqual(context.fillStyle, 'rgb(68,68,68)');
+
+  // Each render strokes one wireframe per shape, in the shape's color
+  Object.keys(context.calls).forEach((method) => {
+    context.calls[method] = 0;
+  });
+  viewer.pressKey('ArrowLeft');
+  assert.strictEqual(context.calls.fillRect, 1);
+  assert.strictEqual(context.calls.stroke, 6);
+  assert.ok(context.strokeStyles.includes('rgb(210,105,30)'));
+  assert.ok(context.calls.lineTo > 0);
+});
+
+test('WebGL failing to start is explained if there is no fallback either',
+    async (t) => {
+  const viewer = createViewer();
+  t.after(viewer.close);
+
+  viewer.window.WebGLRenderingContext = function () {};
+  stubCanvasContexts(t, viewer, function (type) {
+    if (type === 'webgl') {
+      const event = new viewer.window.Event('webglcontextcreationerror');
+
+      event.statusMessage = 'GPU is blocklisted';
+      this.dispatchEvent(event);
+    }
+
+    return null;
+  });
+  await viewer.module.init();
+
+  const [heading, details] = startupError(viewer);
+
+  assert.strictEqual(heading, 'Sorry, WebGL is required but is not available.');
+  assert.match(details, /could not be started.*\(GPU is blocklisted\)/);
+  assert.match(details, /A 2D canvas is not available either\.$/);
+});
+
+test('init reports an error for a malformed scene description', async (t) => {
+  const viewer = await initViewer(t, {elements: [{itemType: 'Blob'}]});
+  const [heading, details] = startupError(viewer);
+
+  assert.strictEqual(heading,
+      'Sorry, the scene description could not be loaded.');
+  assert.match(details, /^TypeError: Invalid scene description entry/);
+});
+
+test('init loads scene descriptions from a relative JSON path', async (t) => {
+  const scene = JSON.parse(fs.readFileSync(
+      path.join(__dirname, '..', 'Files', 'scenes', 'example.json'), 'utf8'));
+  const requests = [];
+  const load = async (url) => {
+    const viewer = createViewer();
+    t.after(viewer.close);
+
+    viewer.window.fetch = (request) => {
+      const isFound = request === 'scenes/example.json';
+
+      requests.push(request);
+      return Promise.resolve({
+        ok: isFound,
+        status: isFound ? 200 : 404,
+        json: () => Promise.resolve(JSON.parse(JSON.stringify(scene))),
+      });
+    };
+    await viewer.init(url);
+    return viewer;
+  };
+
+  const viewer = await load('scenes/example.json');
+
+  assert.deepStrictEqual(checkBoxLabels(viewer), scene.elements.concat(
+      scene.lights).map((entry) =>
+    `Toggle ${entry.itemType.split(/(?=[A-Z])/).join(' ')}`));
+
+  const missing = await load('scenes/missing.json');
+
+  assert.deepStrictEqual(requests,
+      ['scenes/example.json', 'scenes/missing.json']);
+  assert.deepStrictEqual(startupError(missing),
+      ['Sorry, the scene description could not be loaded.',
+        'Error: Sorry, the scene description could not be loaded. (404)']);
+  assert.strictEqual(missing.byId('interface-sidebar'), null);
+});
+
+test('init reports an error for an unknown light type', async (t) => {
+  const viewer = await initViewer(t, {lights: [{itemType: 'Laser',
+      lightType: 'LaserLight'}]});
+
+  assert.deepStrictEqual(startupError(viewer),
+      ['Sorry, the scene description could not be loaded.',
+        'TypeError: Unrecognized light type: LaserLight']);
+});
+
+test('scripted replay produces exact model and element transforms',
+    async (t) => {
+  const viewer = await initViewer(t);
+  const expected = JSON.parse(JSON.stringify(DEFAULT_STATE));
+  const rotations = [0, 0, 0, 0, 0, 0];
+  const script = [
+    ['ArrowLeft', 15, 'rotation', [1], -0.03],
+    ['ArrowDown', 10, 'rotation', [0], 0.03],
+    ['KeyR', 20, 'scale', [0, 1, 2], 0.01],
+    ['ArrowRight', 25, 'rotation', [1], 0.03],
+    ['KeyA', 20, 'position', [0], -0.1],
+    ['KeyE', 25, 'scale', [0, 1, 2], -0.01],
+  ];
+
+  // Storyboard of handleAnimationTesting, replayed through the key bindings
+  script.forEach(([code, count, property, axes, amount]) => {
+    for (let i = 0; i < count; i++) {
+      viewer.pressKey(code);
+      axes.forEach((axis) => {
+        expected[property][axis] += amount;
+      });
+    }
+
+    assert.deepStrictEqual(viewer.getState().model, expected);
+  });
+
+  // Followed by two seconds of animation at an uneven frame rate
+  viewer.byId('buttonStart animation').click();
+  viewer.runFrame(1000);
+
+  for (let timestamp = 1000, i = 0; timestamp < 3000; i++) {
+    const elapsed = [16, 8, 33, 150][i % 4];
+    const frames = Math.min(elapsed, 100) / (1000 / 60) * 1;
+
+    timestamp += elapsed;
+    viewer.runFrame(timestamp);
+    rotations[0] += 0.01 * frames;
+  }
+
+  assert.deepStrictEqual(viewer.getState().elements[0].rotation,
+      [0, rotations[0], 0]);
+  assert.deepStrictEqual(viewer.getState().model, expected);
+});
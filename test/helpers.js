@@ -0,0 +1,256 @@
+/**
+ * @file helpers.js
+ * @fileoverview Shared fixtures for the headless test suite. Each viewer is
+ * built inside its own jsdom window, into which <code>three.min.js</code> and
+ * <code>app.js</code> are evaluated exactly as the browser would load them via
+ * their <code>script</code> tags. As WebGL is unavailable outside the browser,
+ * a stub renderer is injected through the <code>createRenderer</code> option.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {JSDOM} = require('jsdom');
+
+const THREE_SOURCE = fs.readFileSync(
+    path.join(__dirname, '..', 'Files', 'js', 'three.min.js'), 'utf8');
+const APP_SOURCE = fs.readFileSync(
+    path.join(__dirname, '..', 'Files', 'js', 'app.js'), 'utf8');
+
+/**
+ * @description Stand-in for <code>THREE.WebGLRenderer</code> that simply
+ * records the scene and camera of each render call, along with the last size
+ * and pixel ratio set. In lieu of pixels, each render also records a
+ * description of the frame, namely the drawing buffer size and the world
+ * matrix of every mesh, which stands in for the image in exported frames.
+ */
+class StubRenderer {
+  constructor(config) {
+    this.config = config;
+    this.domElement = config.canvas;
+    this.renderCount = 0;
+    this.lastScene = null;
+    this.lastCamera = null;
+    this.size = null;
+    this.pixelRatio = 1;
+  }
+
+  render(scene, camera) {
+
+    // As THREE.WebGLRenderer does before drawing
+    scene.updateMatrixWorld();
+    camera.updateMatrixWorld();
+
+    this.renderCount++;
+    this.lastScene = scene;
+    this.lastCamera = camera;
+    this.lastFrame = JSON.stringify({
+      size: this.size,
+      meshes: scene.children.reduce(function collect(meshes, child) {
+        if (child.isMesh) {
+          meshes.push(Array.from(child.matrixWorld.elements));
+        }
+
+        return child.children.reduce(collect, meshes);
+      }, []),
+    });
+  }
+
+  setClearColor() {}
+
+  setPixelRatio(pixelRatio) {
+    this.pixelRatio = pixelRatio;
+  }
+
+  setSize(width, height) {
+    this.size = [width, height];
+  }
+
+  dispose() {}
+}
+
+/**
+ * @description Builds a fresh jsdom window with the module loaded and its
+ * timing and popup functions replaced by deterministic recorders. The module is
+ * not initialized; call <code>viewer.init()</code> to do so.
+ *
+ * @param {object=} options
+ * @param {string=} options.url Page URL, i.e. to test permalinks
+ * @returns {object} viewer
+ */
+function createViewer(options = {}) {
+  const dom = new JSDOM('<!DOCTYPE html><body></body>', {
+    runScripts: 'outside-only',
+    url: options.url || 'http://localhost/',
+  });
+  const window = dom.window;
+  const viewer = {
+    window,
+    document: window.document,
+    alerts: [],
+    frameCallbacks: [],
+    downloads: [],
+    renderer: null,
+  };
+
+  window.alert = (message) => viewer.alerts.push(message);
+  let lastFrameId = 0;
+  window.requestAnimationFrame = (callback) => {
+    callback.frameId = ++lastFrameId;
+    viewer.frameCallbacks.push(callback);
+    return lastFrameId;
+  };
+  window.cancelAnimationFrame = (frameId) => {
+    viewer.frameCallbacks = viewer.frameCallbacks.filter(
+        (callback) => callback.frameId !== frameId);
+  };
+
+  // Canvases encode the stub renderer's description of the last frame
+  window.HTMLCanvasElement.prototype.toBlob = (callback, type) => {
+    const blob = new window.Blob([viewer.renderer.lastFrame], {type});
+
+    blob.frame = viewer.renderer.lastFrame;
+    callback(blob);
+  };
+
+  // Downloads are recorded rather than navigated to
+  const blobs = [];
+  window.URL.createObjectURL = (blob) => `blob:${blobs.push(blob) - 1}`;
+  window.URL.revokeObjectURL = () => {};
+  window.HTMLAnchorElement.prototype.click = function () {
+    viewer.downloads.push({
+      fileName: this.download,
+      blob: blobs[Number(this.href.split(':')[1])],
+    });
+  };
+
+  window.eval(THREE_SOURCE);
+  window.eval(`${APP_SOURCE}\nwindow.ProjectThreeModule = ProjectThreeModule;`);
+
+  viewer.THREE = window.THREE;
+  viewer.module = window.ProjectThreeModule;
+
+  /**
+   * Initializes the module with the stub renderer plus any extra options.
+   */
+  viewer.init = (scene, initOptions = {}) => viewer.module.init(scene,
+      Object.assign({
+        createRenderer: (config) => {
+          viewer.renderer = new StubRenderer(config);
+          return viewer.renderer;
+        },
+      }, initOptions));
+
+  /**
+   * Mounts an additional viewer in the inputted element, with a stub renderer
+   * of its own, and returns its public API once it is ready.
+   */
+  viewer.create = async (mount, createOptions = {}) => {
+    const mounted = viewer.module.create(mount, Object.assign({
+      createRenderer: (config) => new StubRenderer(config),
+    }, createOptions));
+
+    await mounted.ready;
+    return mounted;
+  };
+
+  /**
+   * Runs all pending animation frame callbacks with the inputted timestamp.
+   */
+  viewer.runFrame = (timestamp) => {
+    const callbacks = viewer.frameCallbacks;
+    viewer.frameCallbacks = [];
+    callbacks.forEach((callback) => callback(timestamp));
+  };
+
+  /**
+   * Resolves once pending promise callbacks (i.e. of exports) have run.
+   */
+  viewer.settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  /**
+   * Dispatches a keydown event for the inputted KeyboardEvent.code.
+   */
+  viewer.pressKey = (code, key = code) => {
+    const event = new window.KeyboardEvent('keydown',
+        {code, key, bubbles: true, cancelable: true});
+    viewer.document.dispatchEvent(event);
+    return event;
+  };
+
+  /**
+   * Dispatches a pointer event of the inputted type on the canvas. jsdom lacks
+   * PointerEvent, so a plain Event is given the properties read by the module.
+   * As an event's own timeStamp is read-only, one passed in shadows it.
+   */
+  viewer.pointer = (type, properties = {}) => {
+    const event = new window.Event(type, {bubbles: true, cancelable: true});
+    const {timeStamp, ...others} = properties;
+
+    Object.assign(event, {pointerId: 1, button: 0}, others);
+
+    if (timeStamp != null) {
+      Object.defineProperty(event, 'timeStamp', {value: timeStamp});
+    }
+    viewer.byId('glcanvas').dispatchEvent(event);
+    return event;
+  };
+
+  /**
+   * Clicks the canvas at the inputted coordinates. As jsdom does no layout,
+   * the canvas is first given the bounds it would have in the browser.
+   */
+  viewer.clickCanvas = (clientX, clientY) => {
+    viewer.byId('glcanvas').getBoundingClientRect = () => ({
+      left: 0,
+      top: 0,
+      width: 640,
+      height: 480,
+    });
+    viewer.pointer('pointerdown', {clientX, clientY});
+    viewer.pointer('pointerup', {clientX, clientY});
+  };
+
+  /**
+   * Returns the canvas coordinates at which the inputted mesh's center was
+   * drawn in the most recent render.
+   */
+  viewer.screenPosition = (mesh) => {
+    const point = mesh.getWorldPosition(new window.THREE.Vector3())
+        .project(viewer.renderer.lastCamera);
+
+    return [(point.x + 1) / 2 * 640, (1 - point.y) / 2 * 480];
+  };
+
+  /**
+   * Returns the module's viewer state, copied out of the window's realm so
+   * that it can be compared with deepStrictEqual.
+   */
+  viewer.getState = () => JSON.parse(JSON.stringify(viewer.module.getState()));
+
+  /**
+   * Returns the element with the inputted id.
+   */
+  viewer.byId = (id) => viewer.document.getElementById(id);
+
+  /**
+   * Returns the messages of the notifications currently on display.
+   */
+  viewer.notifications = () => Array.from(viewer.document.querySelectorAll(
+      '#notification-holder .notification-text'), (text) => text.textContent);
+
+  /**
+   * Returns the lights in the most recently rendered scene.
+   */
+  viewer.renderedLights = () => viewer.renderer.lastScene.children.filter(
+      (child) => child.isLight);
+
+  /**
+   * Shuts down the window, cancelling any pending timers.
+   */
+  viewer.close = () => window.close();
+
+  return viewer;
+}
+
+module.exports = {createViewer, StubRenderer};